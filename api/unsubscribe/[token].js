@@ -0,0 +1,56 @@
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * One-click unsubscribe endpoint (RFC 8058), deployed as a Vercel function.
+ * The List-Unsubscribe header of each campaign email points here. Mailbox
+ * providers POST "List-Unsubscribe=One-Click" when the recipient clicks their
+ * unsubscribe button, and the opt-out is recorded straight away with no
+ * confirmation step. GET requests come from people or link scanners opening
+ * the URL, so they are sent to the confirmation page instead.
+ */
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseAnonKey = process.env.VITE_SUPABASE_ANON_KEY;
+
+if (!supabaseUrl || !supabaseAnonKey) {
+  console.error('Missing Supabase credentials. Please set VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY in the Vercel project.');
+}
+
+const supabase = createClient(supabaseUrl || '', supabaseAnonKey || '', {
+  auth: { persistSession: false, autoRefreshToken: false },
+});
+
+// RAISE EXCEPTION (unknown token) and invalid UUID syntax
+const INVALID_TOKEN_CODES = ['P0001', '22P02'];
+
+export default async function handler(req, res) {
+  const { token } = req.query;
+
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    res.redirect(303, `/unsubscribe/${encodeURIComponent(token)}`);
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'GET, HEAD, POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  const { error } = await supabase.rpc('record_unsubscribe', {
+    p_token: token,
+    p_reason: 'Unsubscribed via one-click header',
+  });
+
+  if (error) {
+    if (INVALID_TOKEN_CODES.includes(error.code)) {
+      res.status(404).json({ error: 'This unsubscribe link is invalid or has expired' });
+      return;
+    }
+    console.error('Error recording one-click unsubscribe:', error);
+    res.status(500).json({ error: 'Could not record the unsubscribe. Please try again.' });
+    return;
+  }
+
+  res.status(200).json({ unsubscribed: true });
+}
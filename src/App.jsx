@@ -2,9 +2,10 @@ import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-route
 import Header from './components/Layout/Header';
 import Sidebar from './components/Layout/Sidebar';
 import ErrorBoundary from './components/ErrorBoundary';
-import { Dashboard, Templates, Contacts, SendEmails, Settings, Help, FailedEmails } from './pages';
+import { Dashboard, Templates, Contacts, SendEmails, Settings, Help, FailedEmails, Campaigns, Suppression } from './pages';
 import Auth from './pages/Auth';
 import Landing from './pages/Landing';
+import Unsubscribe from './pages/Unsubscribe';
 import { CampaignProvider } from './context/CampaignContext';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { LoadingSpinner, OfflineIndicator } from './components/UI';
@@ -59,6 +60,9 @@ function ProtectedRoutes() {
           <Route path="/templates" element={<Templates />} />
           <Route path="/contacts" element={<Contacts />} />
           <Route path="/send" element={<SendEmails />} />
+          <Route path="/campaigns" element={<Campaigns />} />
+          <Route path="/campaigns/:campaignId" element={<Campaigns />} />
+          <Route path="/suppression" element={<Suppression />} />
           <Route path="/settings" element={<Settings />} />
           <Route path="/help" element={<Help />} />
           <Route path="/failed-emails" element={<FailedEmails />} />
@@ -76,7 +80,11 @@ export default function App() {
     <ErrorBoundary>
       <AuthProvider>
         <BrowserRouter>
-          <ProtectedRoutes />
+          <Routes>
+            {/* Public: reached from links in sent emails, signed in or not */}
+            <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
+            <Route path="*" element={<ProtectedRoutes />} />
+          </Routes>
         </BrowserRouter>
       </AuthProvider>
     </ErrorBoundary>
@@ -4,6 +4,23 @@ import { useAuth } from '../../context/AuthContext';
 import { useState, useEffect, useRef } from 'react';
 import MobileNav from './MobileNav';
 
+const THROTTLE_LABELS = {
+  daily_cap: 'Daily cap reached',
+  hourly_cap: 'Hourly cap reached',
+  window: 'Outside sending window',
+};
+
+// "3:00 PM" today, "Tue 9:00 AM" on a later day
+function formatResumeTime(value) {
+  const date = new Date(value);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return date.toLocaleString('en-US', {
+    weekday: sameDay ? undefined : 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
 export default function Header() {
   const campaign = useCampaign();
   const { user, signOut } = useAuth();
@@ -75,6 +92,11 @@ export default function Header() {
     };
   }, [mobileNavOpen]);
 
+  // Worker is holding the campaign until a send cap resets or the window opens
+  const throttleLabel = campaign.isRunning && campaign.throttledUntil
+    ? `${THROTTLE_LABELS[campaign.throttleReason] || 'Paused'}, resumes at ${formatResumeTime(campaign.throttledUntil)}`
+    : null;
+
   const userInitial = user?.user_metadata?.full_name?.charAt(0) || user?.email?.charAt(0) || 'U';
   const userName = user?.user_metadata?.full_name || 'User';
 
@@ -125,7 +147,15 @@ export default function Header() {
                       style={{ width: `${Math.min(100, campaign.total > 0 ? (campaign.sent / campaign.total) * 100 : 0)}%` }}
                     ></div>
                   </div>
-                  {countdown > 0 && (
+                  {throttleLabel ? (
+                    <>
+                      <div className="h-4 w-px bg-stone-300"></div>
+                      <div className="flex items-center gap-1.5 text-amber-600">
+                        <Clock className="w-3.5 h-3.5" />
+                        <span className="text-sm font-medium">{throttleLabel}</span>
+                      </div>
+                    </>
+                  ) : countdown > 0 && (
                     <>
                       <div className="h-4 w-px bg-stone-300"></div>
                       <div className="flex items-center gap-1.5 text-amber-600">
@@ -148,7 +178,9 @@ export default function Header() {
               <div className="md:hidden flex items-center gap-2 bg-emerald-50 px-3 py-1.5 rounded-full border border-emerald-200">
                 <Circle className="w-2 h-2 fill-emerald-500 text-emerald-500 animate-pulse" />
                 <span className="text-xs font-medium text-emerald-700">{campaign.sent}/{campaign.total}</span>
-                {countdown > 0 && (
+                {throttleLabel ? (
+                  <Clock className="w-3 h-3 text-amber-600" aria-label={throttleLabel} />
+                ) : countdown > 0 && (
                   <span className="text-xs font-medium text-amber-600 tabular-nums">{countdown}s</span>
                 )}
               </div>
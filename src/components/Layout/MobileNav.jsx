@@ -1,11 +1,13 @@
 import { NavLink } from 'react-router-dom';
-import { X, Settings, FileText, Users, Send, LayoutDashboard, HelpCircle } from 'lucide-react';
+import { X, Settings, FileText, Users, Send, LayoutDashboard, HelpCircle, History, ShieldOff } from 'lucide-react';
 
 const navItems = [
   { path: '/', label: 'Dashboard', icon: LayoutDashboard },
   { path: '/templates', label: 'Templates', icon: FileText },
   { path: '/contacts', label: 'Contacts', icon: Users },
   { path: '/send', label: 'Send Emails', icon: Send },
+  { path: '/campaigns', label: 'Campaigns', icon: History },
+  { path: '/suppression', label: 'Suppression', icon: ShieldOff },
   { path: '/settings', label: 'Settings', icon: Settings },
   { path: '/help', label: 'Help & Docs', icon: HelpCircle },
 ];
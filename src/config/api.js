@@ -26,6 +26,8 @@ export const API_ENDPOINTS = {
   // AI Generation
   AI_GENERATE_TEMPLATE: `${API_BASE_URL}/api/ai/generate-template`,
   AI_IMPROVE_TEMPLATE: `${API_BASE_URL}/api/ai/improve-template`,
+  AI_SUBJECT_VARIANTS: `${API_BASE_URL}/api/ai/subject-variants`,
+  AI_GENERATE_INTROS: `${API_BASE_URL}/api/ai/generate-intros`,
   
   // Campaign Queue (Server-side execution)
   CAMPAIGN_START: `${API_BASE_URL}/api/campaign/start`,
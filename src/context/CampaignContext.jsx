@@ -8,7 +8,7 @@
 
 import { createContext, useContext, useState, useRef, useCallback, useEffect, useMemo } from 'react';
 import { campaignAPI } from '../services/api';
-import { campaignService } from '../services/supabase';
+import { campaignService, unsubscribedService, contactFieldsService } from '../services/supabase';
 import { useAuth } from './AuthContext';
 import { 
   notifyCampaignStarted,
@@ -16,6 +16,10 @@ import {
   notifyCampaignError,
   notifyCampaignPaused,
   requestNotificationPermission,
+  buildSuppressionSet,
+  filterSuppressed,
+  renderTemplate,
+  getContactCustomFields,
 } from '../utils';
 
 const CampaignContext = createContext();
@@ -69,12 +73,27 @@ export const CampaignProvider = ({ children }) => {
     nextEmailAt: null, // ISO timestamp of when next email will be sent
     startedAt: null,   // Campaign start time for ETA calculation
     currentTemplate: null,
+    totalSteps: 1,     // 1 + number of follow-up steps
+    throttledUntil: null,  // ISO timestamp sending resumes at, while waiting on a cap or window
+    throttleReason: null,  // 'daily_cap' | 'hourly_cap' | 'window'
   });
 
+  const [scheduledCampaigns, setScheduledCampaigns] = useState([]);
+
   const subscriptionRef = useRef(null);
   const autoPausedRef = useRef(false); // Track if campaign was auto-paused due to connection loss
   const [isOffline, setIsOffline] = useState(!navigator.onLine);
 
+  // Load campaigns waiting for their scheduled start
+  const refreshScheduled = useCallback(async () => {
+    try {
+      const campaigns = await campaignService.getScheduled();
+      setScheduledCampaigns(campaigns);
+    } catch (err) {
+      log('Error loading scheduled campaigns:', err);
+    }
+  }, []);
+
   // Load active campaign on mount or when user changes
   useEffect(() => {
     if (!user) {
@@ -88,7 +107,8 @@ export const CampaignProvider = ({ children }) => {
     }
 
     loadActiveCampaign();
-  }, [user]);
+    refreshScheduled();
+  }, [user, refreshScheduled]);
 
   // Subscribe to real-time updates when we have a campaign
   useEffect(() => {
@@ -121,6 +141,9 @@ export const CampaignProvider = ({ children }) => {
           error: campaign.error_message,
           nextEmailAt: campaign.next_email_at || null,
           startedAt: campaign.started_at || prev.startedAt,
+          totalSteps: campaign.total_steps || prev.totalSteps,
+          throttledUntil: campaign.throttled_until || null,
+          throttleReason: campaign.throttle_reason || null,
         }));
 
         // Send notifications on status changes
@@ -164,6 +187,30 @@ export const CampaignProvider = ({ children }) => {
     };
   }, [campaignState.campaignId, campaignState.status]);
 
+  // Start scheduled campaigns when they are due (Vercel free plan workaround - no cron)
+  useEffect(() => {
+    if (!user || scheduledCampaigns.length === 0) {
+      return;
+    }
+
+    const nextStart = Math.min(...scheduledCampaigns.map(c => new Date(c.scheduled_at).getTime()));
+    const now = Date.now();
+    // Re-check overdue campaigns every 30s until the worker picks them up;
+    // cap long waits at 1h so timers stay well within setTimeout limits
+    const wait = nextStart <= now ? 30000 : Math.min(nextStart - now, 60 * 60 * 1000);
+
+    const timer = setTimeout(async () => {
+      if (nextStart <= Date.now()) {
+        log('Scheduled campaign is due - triggering worker');
+        await campaignAPI.triggerWorker();
+        await loadActiveCampaign();
+      }
+      refreshScheduled();
+    }, wait);
+
+    return () => clearTimeout(timer);
+  }, [user, scheduledCampaigns, refreshScheduled]);
+
   async function loadActiveCampaign() {
     try {
       const campaign = await campaignService.getActive();
@@ -184,6 +231,9 @@ export const CampaignProvider = ({ children }) => {
           nextEmailAt: campaign.next_email_at || null,
           startedAt: campaign.started_at || null,
           currentTemplate: campaign.current_template,
+          totalSteps: campaign.total_steps || 1,
+          throttledUntil: campaign.throttled_until || null,
+          throttleReason: campaign.throttle_reason || null,
         });
       }
     } catch (err) {
@@ -222,30 +272,84 @@ export const CampaignProvider = ({ children }) => {
     requestNotificationPermission();
 
     try {
-      // Prepare contacts with their templates (backend handles variable replacement)
-      const preparedContacts = contacts.map(contact => ({
+      // Drop suppressed addresses and domains - checked here so every caller is covered
+      const [suppressedEmails, fields] = await Promise.all([
+        unsubscribedService.findSuppressed(contacts.map(contact => contact.email)),
+        contactFieldsService.getAll(),
+      ]);
+      const suppression = buildSuppressionSet(suppressedEmails.map(email => ({ email, kind: 'email' })));
+      const { allowed, suppressed } = filterSuppressed(contacts, suppression);
+      if (allowed.length === 0) {
+        throw new Error(`All ${contacts.length} contacts are on the suppression list`);
+      }
+      if (suppressed.length > 0) {
+        log('Skipping suppressed contacts:', suppressed.length);
+      }
+
+      // Render every email here with the same engine as the previews; only
+      // {{unsubscribeLink}} is left for the server, which knows each email's token.
+      // {{date}}/{{day}} use the campaign's start time; custom fields fall back to their defaults.
+      const now = config.scheduledAt ? new Date(config.scheduledAt) : new Date();
+      const renderFor = (template, contact) => {
+        const data = { ...contact, unsubscribeLink: '{{unsubscribeLink}}' };
+        return {
+          ...template,
+          subject: renderTemplate(template.subject, data, { now, fields }),
+          body: renderTemplate(template.body, data, { now, fields }),
+        };
+      };
+
+      // Prepare contacts with their rendered emails
+      const preparedContacts = allowed.map(contact => ({
         email: contact.email,
         firstName: contact.firstName || contact.name?.split(' ')[0] || '',
         lastName: contact.lastName || contact.name?.split(' ').slice(1).join(' ') || '',
         company: contact.company || '',
         position: contact.position || '',
-        template: contact.template,
+        timezone: contact.timezone || null,
+        customFields: getContactCustomFields(contact),
+        senderId: contact.senderId || null,
+        template: renderFor(contact.template, contact),
+        templateVersionId: contact.template.current_version_id || null,
+        subjectVariant: contact.template.subjectVariant || null,
+        followUps: (config.sequence?.steps || []).map(step => ({
+          stepNumber: step.stepNumber,
+          templateVersionId: step.templateVersionId || null,
+          template: renderFor(step.template, contact),
+        })),
       }));
 
       // Start campaign via server API - server handles email sending
       const response = await campaignAPI.start({
         contacts: preparedContacts,
-        template: preparedContacts[0]?.template || {},
+        template: allowed[0]?.template || {},
         delayMin: config.delayMin || 10000,
         delayMax: config.delayMax || 30000,
         campaignName: config.campaignName || `Campaign ${new Date().toLocaleDateString()}`,
         senderName: config.senderName,
+        sequence: config.sequence,
+        scheduledAt: config.scheduledAt,
+        timezone: config.timezone,
+        sendingWindow: config.sendingWindow,
+        fallbackTimezone: config.fallbackTimezone,
+        senderIds: config.senderIds,
+        senderRotation: config.senderRotation,
+        retryOf: config.retryOf,
+        audience: config.audience,
+        unsubscribe: config.unsubscribe,
       });
 
       if (!response.success) {
         throw new Error(response.error || 'Failed to start campaign');
       }
 
+      // Scheduled campaigns don't become the active campaign until they start
+      if (config.scheduledAt) {
+        log('Campaign scheduled:', response.campaignId, config.scheduledAt);
+        await refreshScheduled();
+        return { ...response, suppressedCount: suppressed.length };
+      }
+
       log('Campaign started:', response.campaignId);
 
       // Send browser notification
@@ -265,9 +369,12 @@ export const CampaignProvider = ({ children }) => {
         nextEmailAt: null,
         startedAt: new Date().toISOString(),
         currentTemplate: preparedContacts[0]?.template?.subject || '',
+        totalSteps: 1 + (config.sequence?.steps?.length || 0),
+        throttledUntil: null,
+        throttleReason: null,
       });
 
-      return response;
+      return { ...response, suppressedCount: suppressed.length };
 
     } catch (err) {
       log('Failed to start campaign:', err);
@@ -278,7 +385,23 @@ export const CampaignProvider = ({ children }) => {
       }));
       throw err;
     }
-  }, []);
+  }, [refreshScheduled]);
+
+  /**
+   * Change the start time of a scheduled campaign
+   */
+  const rescheduleCampaign = useCallback(async (campaignId, schedule) => {
+    await campaignService.reschedule(campaignId, schedule);
+    await refreshScheduled();
+  }, [refreshScheduled]);
+
+  /**
+   * Cancel a scheduled campaign before it starts
+   */
+  const cancelScheduledCampaign = useCallback(async (campaignId) => {
+    await campaignService.cancelScheduled(campaignId);
+    await refreshScheduled();
+  }, [refreshScheduled]);
 
   /**
    * Resume a paused campaign
@@ -448,6 +571,9 @@ export const CampaignProvider = ({ children }) => {
       nextEmailAt: null,
       startedAt: null,
       currentTemplate: null,
+      totalSteps: 1,
+      throttledUntil: null,
+      throttleReason: null,
     });
   }, [campaignState]);
 
@@ -542,7 +668,11 @@ export const CampaignProvider = ({ children }) => {
     resetCampaign: resetCampaignWithClear,
     resumeCampaign,
     canResume,
-  }), [campaignState, isOffline, startCampaign, stopCampaign, resetCampaignWithClear, resumeCampaign, canResume]);
+    scheduledCampaigns,
+    refreshScheduled,
+    rescheduleCampaign,
+    cancelScheduledCampaign,
+  }), [campaignState, isOffline, startCampaign, stopCampaign, resetCampaignWithClear, resumeCampaign, canResume, scheduledCampaigns, refreshScheduled, rescheduleCampaign, cancelScheduledCampaign]);
 
   return (
     <CampaignContext.Provider value={value}>
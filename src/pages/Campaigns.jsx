@@ -0,0 +1,649 @@
+import { useEffect, useState, useCallback, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Search,
+  History,
+  ChevronLeft,
+  ChevronRight,
+  ChevronsLeft,
+  ChevronsRight,
+  ChevronUp,
+  ChevronDown,
+  ArrowLeft,
+  RefreshCw,
+  Send,
+  Download,
+  AlertCircle,
+} from 'lucide-react';
+import { Card, Button, Alert, Badge, PageLoader } from '../components/UI';
+import { campaignService } from '../services/supabase';
+import { useDebounce, toCSV, downloadFile, toFileSlug, summarizeSubjectVariants } from '../utils';
+
+const ITEMS_PER_PAGE = 20;
+
+const CAMPAIGN_STATUS_VARIANTS = {
+  scheduled: 'info',
+  running: 'success',
+  paused: 'warning',
+  completed: 'default',
+  stopped: 'default',
+  error: 'danger',
+  idle: 'default',
+};
+
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'running', label: 'Running' },
+  { value: 'paused', label: 'Paused' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'stopped', label: 'Stopped' },
+  { value: 'error', label: 'Error' },
+];
+
+const SORT_OPTIONS = [
+  { value: 'created_at:desc', label: 'Newest first' },
+  { value: 'created_at:asc', label: 'Oldest first' },
+  { value: 'name:asc', label: 'Name (A-Z)' },
+  { value: 'sent_count:desc', label: 'Most sent' },
+  { value: 'failed_count:desc', label: 'Most failed' },
+];
+
+export default function Campaigns() {
+  const { campaignId } = useParams();
+
+  if (campaignId) {
+    return <CampaignDetail key={campaignId} campaignId={campaignId} />;
+  }
+  return <CampaignHistory />;
+}
+
+// Campaign History Component
+function CampaignHistory() {
+  const navigate = useNavigate();
+  const [campaigns, setCampaigns] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [sort, setSort] = useState(SORT_OPTIONS[0].value);
+  const [currentPage, setCurrentPage] = useState(1);
+
+  // Debounced search term
+  const debouncedSearch = useDebounce(searchTerm, 300);
+
+  const totalPages = Math.max(1, Math.ceil(total / ITEMS_PER_PAGE));
+
+  const loadCampaigns = useCallback(async () => {
+    const [sortBy, direction] = sort.split(':');
+    try {
+      setRefreshing(true);
+      const result = await campaignService.getHistory({
+        page: currentPage,
+        pageSize: ITEMS_PER_PAGE,
+        search: debouncedSearch,
+        status: statusFilter,
+        sortBy,
+        ascending: direction === 'asc',
+      });
+      setCampaigns(result.campaigns);
+      setTotal(result.total);
+      setError('');
+    } catch (err) {
+      setError('Failed to load campaigns: ' + err.message);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [currentPage, debouncedSearch, statusFilter, sort]);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [loadCampaigns]);
+
+  // Any filter change starts again from the first page
+  const updateFilter = (setter) => (value) => {
+    setter(value);
+    setCurrentPage(1);
+  };
+
+  if (loading) {
+    return <PageLoader />;
+  }
+
+  const hasFilters = debouncedSearch.trim() || statusFilter !== 'all';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-stone-900">Campaigns</h2>
+          <p className="text-stone-500 mt-1">
+            {total} campaign{total !== 1 ? 's' : ''}{hasFilters ? ' matching your filters' : ' in your history'}
+          </p>
+        </div>
+        <Button variant="secondary" onClick={loadCampaigns} loading={refreshing} title="Refresh list">
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </Button>
+      </div>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+
+      <Card>
+        {/* Search & Filters */}
+        <div className="flex flex-col md:flex-row gap-3 mb-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-stone-400" aria-hidden="true" />
+            <input
+              type="search"
+              placeholder="Search campaigns..."
+              value={searchTerm}
+              onChange={(e) => updateFilter(setSearchTerm)(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500 focus:border-transparent"
+              aria-label="Search campaigns by name"
+            />
+          </div>
+          <select
+            value={statusFilter}
+            onChange={(e) => updateFilter(setStatusFilter)(e.target.value)}
+            className="px-3 py-2.5 border border-stone-300 rounded-lg bg-white text-sm"
+            aria-label="Filter by status"
+          >
+            {STATUS_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            value={sort}
+            onChange={(e) => updateFilter(setSort)(e.target.value)}
+            className="px-3 py-2.5 border border-stone-300 rounded-lg bg-white text-sm"
+            aria-label="Sort campaigns"
+          >
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {campaigns.length === 0 ? (
+          <div className="text-center py-12">
+            <History className="w-12 h-12 mx-auto text-stone-300 mb-4" />
+            <h3 className="text-lg font-semibold text-stone-900">
+              {hasFilters ? 'No matching campaigns' : 'No campaigns yet'}
+            </h3>
+            <p className="text-stone-500 mt-2 mb-6">
+              {hasFilters ? 'Try a different search or status filter.' : 'Campaigns you send will show up here.'}
+            </p>
+            {!hasFilters && (
+              <Button onClick={() => navigate('/send')}>
+                <Send className="w-4 h-4 mr-2" />
+                Send Emails
+              </Button>
+            )}
+          </div>
+        ) : (
+          <>
+            <div className="divide-y divide-stone-100">
+              {campaigns.map(item => (
+                <CampaignRow
+                  key={item.id}
+                  campaign={item}
+                  onOpen={() => navigate(`/campaigns/${item.id}`)}
+                />
+              ))}
+            </div>
+
+            {/* Pagination */}
+            {totalPages > 1 && (
+              <div className="flex flex-col sm:flex-row items-center justify-between gap-3 mt-4 pt-4 border-t border-stone-100">
+                <p className="text-sm text-stone-500 order-2 sm:order-1">
+                  Showing {(currentPage - 1) * ITEMS_PER_PAGE + 1}-{Math.min(currentPage * ITEMS_PER_PAGE, total)} of {total}
+                </p>
+                <div className="flex items-center gap-1 order-1 sm:order-2">
+                  <button
+                    onClick={() => setCurrentPage(1)}
+                    disabled={currentPage === 1}
+                    className="p-2 rounded-lg text-stone-600 hover:bg-stone-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                    title="First page"
+                    aria-label="First page"
+                  >
+                    <ChevronsLeft className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
+                    disabled={currentPage === 1}
+                    className="p-2 rounded-lg text-stone-600 hover:bg-stone-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                    title="Previous page"
+                    aria-label="Previous page"
+                  >
+                    <ChevronLeft className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                  <span className="text-sm text-stone-600 px-3 min-w-16 text-center">
+                    {currentPage} / {totalPages}
+                  </span>
+                  <button
+                    onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
+                    disabled={currentPage === totalPages}
+                    className="p-2 rounded-lg text-stone-600 hover:bg-stone-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                    title="Next page"
+                    aria-label="Next page"
+                  >
+                    <ChevronRight className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                  <button
+                    onClick={() => setCurrentPage(totalPages)}
+                    disabled={currentPage === totalPages}
+                    className="p-2 rounded-lg text-stone-600 hover:bg-stone-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+                    title="Last page"
+                    aria-label="Last page"
+                  >
+                    <ChevronsRight className="w-4 h-4" aria-hidden="true" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+// Campaign Row Component
+function CampaignRow({ campaign, onOpen }) {
+  const processed = (campaign.sent_count || 0) + (campaign.failed_count || 0);
+  const progress = campaign.total_contacts > 0 ? Math.min(100, (processed / campaign.total_contacts) * 100) : 0;
+  const createdAt = new Date(campaign.created_at).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+  return (
+    <button
+      onClick={onOpen}
+      className="w-full flex items-center gap-4 p-4 text-left hover:bg-stone-50 transition-colors"
+    >
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="font-medium text-stone-900 truncate">{campaign.name || 'Untitled campaign'}</span>
+          <Badge variant={CAMPAIGN_STATUS_VARIANTS[campaign.status] || 'default'} size="xs">
+            {campaign.status}
+          </Badge>
+          {campaign.total_steps > 1 && (
+            <Badge variant="purple" size="xs">{campaign.total_steps} steps</Badge>
+          )}
+        </div>
+        <p className="text-xs text-stone-500 mt-1">{createdAt}</p>
+      </div>
+
+      <div className="hidden sm:flex items-center gap-6 text-sm">
+        <div className="text-right">
+          <p className="font-semibold text-emerald-600">{campaign.sent_count || 0}</p>
+          <p className="text-xs text-stone-400">Sent</p>
+        </div>
+        <div className="text-right">
+          <p className="font-semibold text-red-600">{campaign.failed_count || 0}</p>
+          <p className="text-xs text-stone-400">Failed</p>
+        </div>
+        <div className="text-right">
+          <p className="font-semibold text-stone-900">{campaign.total_contacts || 0}</p>
+          <p className="text-xs text-stone-400">Total</p>
+        </div>
+        <div className="w-24 h-1.5 bg-stone-200 rounded-full overflow-hidden">
+          <div className="h-full bg-emerald-500 rounded-full" style={{ width: `${progress}%` }}></div>
+        </div>
+      </div>
+
+      <ChevronRight className="w-4 h-4 text-stone-400 flex-shrink-0" aria-hidden="true" />
+    </button>
+  );
+}
+
+const EMAIL_STATUS_VARIANTS = {
+  sent: 'success',
+  failed: 'danger',
+  pending: 'default',
+  cancelled: 'default',
+  skipped: 'warning',
+};
+
+const EMAIL_STATUS_FILTERS = ['all', 'sent', 'failed', 'pending', 'skipped', 'cancelled'];
+
+// Sort value for each sortable column of the email table
+const EMAIL_SORT_VALUES = {
+  recipient: (row) => (row.email || row.contact_email || '').toLowerCase(),
+  status: (row) => row.status || '',
+  step: (row) => row.step_number || 1,
+  sentAt: (row) => row.sent_at || row.failed_at || '',
+  template: (row) => (row.template_subject || '').toLowerCase(),
+  sender: (row) => (row.sender_email || '').toLowerCase(),
+  order: (row) => row.sort_order || 0,
+};
+
+function formatDateTime(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+// Campaign Detail Component
+function CampaignDetail({ campaignId }) {
+  const navigate = useNavigate();
+  const [campaign, setCampaign] = useState(null);
+  const [emails, setEmails] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [sortConfig, setSortConfig] = useState({ key: 'order', ascending: true });
+
+  const loadCampaign = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [campaignData, emailRows] = await Promise.all([
+        campaignService.getById(campaignId),
+        campaignService.getCampaignEmails(campaignId),
+      ]);
+      setCampaign(campaignData);
+      setEmails(emailRows);
+      setError('');
+    } catch (err) {
+      setError('Failed to load campaign: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [campaignId]);
+
+  useEffect(() => {
+    loadCampaign();
+  }, [loadCampaign]);
+
+  // Per-subject results when the campaign ran a subject line A/B test
+  const subjectResults = useMemo(() => summarizeSubjectVariants(emails), [emails]);
+
+  const statusCounts = useMemo(() => {
+    const counts = { all: emails.length };
+    for (const row of emails) {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+    }
+    return counts;
+  }, [emails]);
+
+  const visibleEmails = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    const getValue = EMAIL_SORT_VALUES[sortConfig.key];
+    const direction = sortConfig.ascending ? 1 : -1;
+
+    return emails
+      .filter(row => statusFilter === 'all' || row.status === statusFilter)
+      .filter(row => !term
+        || (row.email || row.contact_email || '').toLowerCase().includes(term)
+        || (row.contact_name || '').toLowerCase().includes(term))
+      .sort((a, b) => {
+        const left = getValue(a);
+        const right = getValue(b);
+        if (left < right) return -direction;
+        if (left > right) return direction;
+        return 0;
+      });
+  }, [emails, statusFilter, searchTerm, sortConfig]);
+
+  const handleSort = (key) => {
+    setSortConfig(prev => ({
+      key,
+      ascending: prev.key === key ? !prev.ascending : true,
+    }));
+  };
+
+  const handleExportCSV = () => {
+    const csvContent = toCSV([
+      { header: 'Email', value: row => row.email || row.contact_email },
+      { header: 'Name', value: row => row.contact_name },
+      { header: 'Status', value: row => row.status },
+      { header: 'Step', value: row => row.step_number || 1 },
+      { header: 'Sent At', value: row => row.sent_at },
+      { header: 'Failed At', value: row => row.failed_at },
+      { header: 'Subject', value: row => row.template_subject },
+      { header: 'Subject Variant', value: row => row.subject_variant },
+      { header: 'Template Version', value: row => row.template_version?.version_number },
+      { header: 'Sender', value: row => row.sender_email },
+      { header: 'Error', value: row => row.error_message },
+    ], visibleEmails);
+
+    downloadFile(csvContent, `${toFileSlug(campaign?.name || 'campaign')}_emails_${new Date().toISOString().split('T')[0]}.csv`);
+    setSuccess(`${visibleEmails.length} email${visibleEmails.length !== 1 ? 's' : ''} exported to CSV`);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  if (loading) {
+    return <PageLoader />;
+  }
+
+  const isSequence = (campaign?.total_steps || 1) > 1;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div className="flex items-center gap-4 min-w-0">
+          <button
+            onClick={() => navigate('/campaigns')}
+            className="p-2 hover:bg-stone-100 rounded-lg transition-colors"
+            aria-label="Back to campaigns"
+          >
+            <ArrowLeft className="w-5 h-5 text-stone-600" />
+          </button>
+          <div className="min-w-0">
+            <div className="flex items-center gap-2">
+              <h2 className="text-2xl font-bold text-stone-900 truncate">{campaign?.name || 'Campaign'}</h2>
+              {campaign && (
+                <Badge variant={CAMPAIGN_STATUS_VARIANTS[campaign.status] || 'default'}>{campaign.status}</Badge>
+              )}
+            </div>
+            {campaign && (
+              <p className="text-stone-500 mt-1">
+                Created {formatDateTime(campaign.created_at)}
+                {campaign.completed_at && ` · Finished ${formatDateTime(campaign.completed_at)}`}
+                {campaign.retry_of && (
+                  <>
+                    {' · '}
+                    <button
+                      onClick={() => navigate(`/campaigns/${campaign.retry_of}`)}
+                      className="underline hover:text-stone-900 transition-colors"
+                    >
+                      Retry of an earlier campaign
+                    </button>
+                  </>
+                )}
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="secondary" size="sm" onClick={loadCampaign} title="Refresh">
+            <RefreshCw className="w-4 h-4" />
+          </Button>
+          {statusCounts.failed > 0 && (
+            <Button variant="secondary" size="sm" onClick={() => navigate(`/failed-emails?campaignId=${campaignId}`)}>
+              <AlertCircle className="w-4 h-4 mr-1" />
+              Failed Emails
+            </Button>
+          )}
+          <Button variant="secondary" size="sm" onClick={handleExportCSV} disabled={visibleEmails.length === 0} title="Export as CSV">
+            <Download className="w-4 h-4 mr-1" />
+            Export
+          </Button>
+        </div>
+      </div>
+
+      {error && <Alert type="error" message={error} onClose={() => setError('')} />}
+      {success && <Alert type="success" message={success} onClose={() => setSuccess('')} />}
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+        {[
+          { label: 'Emails', value: statusCounts.all, className: 'text-stone-900' },
+          { label: 'Sent', value: statusCounts.sent || 0, className: 'text-emerald-600' },
+          { label: 'Failed', value: statusCounts.failed || 0, className: 'text-red-600' },
+          { label: 'Pending', value: statusCounts.pending || 0, className: 'text-amber-600' },
+        ].map(stat => (
+          <div key={stat.label} className="bg-white rounded-xl border border-stone-200 p-4">
+            <p className="text-sm text-stone-500">{stat.label}</p>
+            <p className={`text-2xl font-bold mt-1 ${stat.className}`}>{stat.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Subject line A/B test */}
+      {subjectResults.length > 0 && (
+        <Card title="Subject Line Test" subtitle="Recipients were split evenly across these subject lines" noPadding>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-stone-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-stone-500">Variant</th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-stone-500">Subject</th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-stone-500">Emails</th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-stone-500">Failure rate</th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-stone-500">Reply rate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-stone-100">
+                {subjectResults.map(result => (
+                  <tr key={result.variant}>
+                    <td className="py-3 px-4 text-sm font-medium text-stone-900">{String.fromCharCode(64 + result.variant)}</td>
+                    <td className="py-3 px-4 text-sm text-stone-600 max-w-md truncate" title={result.subject}>{result.subject || '-'}</td>
+                    <td className="py-3 px-4 text-sm text-stone-600 text-right">{result.total}</td>
+                    <td className="py-3 px-4 text-sm text-stone-600 text-right">
+                      {result.failureRate.toFixed(1)}% <span className="text-stone-400">({result.failed})</span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-stone-600 text-right">
+                      {result.replyRate.toFixed(1)}% <span className="text-stone-400">({result.replied})</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
+      <Card>
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-stone-400" aria-hidden="true" />
+            <input
+              type="search"
+              placeholder="Search recipients..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500 focus:border-transparent"
+              aria-label="Search recipients by email or name"
+            />
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {EMAIL_STATUS_FILTERS.filter(status => status === 'all' || statusCounts[status]).map(status => (
+              <button
+                key={status}
+                onClick={() => setStatusFilter(status)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium capitalize transition-colors ${
+                  statusFilter === status
+                    ? 'bg-stone-900 text-white'
+                    : 'text-stone-600 hover:bg-stone-100'
+                }`}
+              >
+                {status} ({statusCounts[status] || 0})
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {visibleEmails.length === 0 ? (
+          <p className="text-center text-stone-500 py-12">
+            {emails.length === 0 ? 'This campaign has no emails.' : 'No emails match your filters.'}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full" role="table">
+              <thead>
+                <tr className="border-b border-stone-200">
+                  <SortableHeader label="Recipient" sortKey="recipient" sortConfig={sortConfig} onSort={handleSort} />
+                  <SortableHeader label="Status" sortKey="status" sortConfig={sortConfig} onSort={handleSort} />
+                  {isSequence && (
+                    <SortableHeader label="Step" sortKey="step" sortConfig={sortConfig} onSort={handleSort} />
+                  )}
+                  <SortableHeader label="Sent At" sortKey="sentAt" sortConfig={sortConfig} onSort={handleSort} />
+                  <SortableHeader label="Template" sortKey="template" sortConfig={sortConfig} onSort={handleSort} />
+                  <SortableHeader label="Sender" sortKey="sender" sortConfig={sortConfig} onSort={handleSort} />
+                  <th scope="col" className="text-left py-3 px-4 text-sm font-medium text-stone-500">Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleEmails.map(row => (
+                  <tr key={row.id} className="border-b border-stone-100 hover:bg-stone-50 transition-colors align-top">
+                    <td className="py-3 px-4 text-sm">
+                      <p className="font-medium text-stone-900">{row.email || row.contact_email}</p>
+                      {row.contact_name && <p className="text-xs text-stone-500">{row.contact_name}</p>}
+                    </td>
+                    <td className="py-3 px-4">
+                      <Badge variant={EMAIL_STATUS_VARIANTS[row.status] || 'default'} size="xs">{row.status}</Badge>
+                    </td>
+                    {isSequence && (
+                      <td className="py-3 px-4 text-sm text-stone-600">{row.step_number || 1}</td>
+                    )}
+                    <td className="py-3 px-4 text-sm text-stone-600 whitespace-nowrap">
+                      {formatDateTime(row.sent_at || row.failed_at)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-stone-600 max-w-xs truncate" title={row.template_subject}>
+                      {row.template_version && (
+                        <span className="text-xs text-stone-400 mr-1.5" title="Template version sent">v{row.template_version.version_number}</span>
+                      )}
+                      {row.template_subject || '-'}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-stone-600">{row.sender_email || '-'}</td>
+                    <td className="py-3 px-4 text-sm text-red-600 max-w-xs">{row.error_message || ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
+// Sortable Header Component
+function SortableHeader({ label, sortKey, sortConfig, onSort }) {
+  const active = sortConfig.key === sortKey;
+  const Icon = active && !sortConfig.ascending ? ChevronDown : ChevronUp;
+
+  return (
+    <th
+      scope="col"
+      className="text-left py-3 px-4 text-sm font-medium text-stone-500"
+      aria-sort={active ? (sortConfig.ascending ? 'ascending' : 'descending') : 'none'}
+    >
+      <button
+        onClick={() => onSort(sortKey)}
+        className="inline-flex items-center gap-1 hover:text-stone-900 transition-colors"
+      >
+        {label}
+        <Icon className={`w-3.5 h-3.5 ${active ? 'text-stone-900' : 'text-stone-300'}`} aria-hidden="true" />
+      </button>
+    </th>
+  );
+}
@@ -1,15 +1,56 @@
 import { useEffect, useState, useRef, useMemo, useCallback } from 'react';
-import { Plus, Trash2, Upload, Search, Users, ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, User, Building } from 'lucide-react';
-import { Card, Button, Input, Modal, Alert, ConfirmDialog, PageLoader, DuplicateDialog } from '../components/UI';
-import { contactsService } from '../services/supabase';
-import { useDebounce, parseContactsCSV, findDuplicateContacts, validateContactEmails } from '../utils';
+import { Plus, Trash2, Upload, Search, Users, ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, User, Building, List, Filter, ListPlus, ListMinus, Edit, X, Tags, Download } from 'lucide-react';
+import { Card, Button, Input, Modal, Alert, ConfirmDialog, PageLoader, DuplicateDialog, Badge } from '../components/UI';
+import { contactsService, listsService, segmentsService, unsubscribedService, contactFieldsService } from '../services/supabase';
+import {
+  useDebounce,
+  readCSVFile,
+  readSpreadsheetFile,
+  getSpreadsheetFormat,
+  SPREADSHEET_FORMATS,
+  getDelimiterLabel,
+  findDuplicateContacts,
+  validateContactEmails,
+  SEGMENT_FIELDS,
+  SEGMENT_OPERATORS,
+  buildSegmentContext,
+  matchesSegment,
+  validateSegment,
+  describeSegment,
+  countAudienceSources,
+  buildSuppressionSet,
+  filterSuppressed,
+  isSuppressed,
+  CUSTOM_FIELD_TYPES,
+  toFieldName,
+  validateFieldName,
+  validateFieldValue,
+  getContactCustomFields,
+  alignCustomFieldNames,
+  CSV_BUILT_IN_FIELDS,
+  CUSTOM_TARGET_PREFIX,
+  loadSavedCSVMapping,
+  saveCSVMapping,
+  suggestCSVMapping,
+  validateCSVMapping,
+  applyCSVMapping,
+  getCSVColumnSamples,
+  isReservedFieldName,
+  CONTACT_EXPORT_FORMATS,
+  buildContactStats,
+  buildContactExport,
+  downloadFile,
+  toFileSlug,
+} from '../utils';
 
 const ITEMS_PER_PAGE = 50;
+const CSV_PREVIEW_ROWS = 5;
 
 export default function Contacts() {
   const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // percent of the file read
   const [saving, setSaving] = useState(false);
   const [deleting, setDeleting] = useState(null);
   const [error, setError] = useState('');
@@ -33,8 +74,32 @@ export default function Contacts() {
     uniqueContacts: [],
     invalidItems: [],
     fields: [],
+    customFields: [],
   });
 
+  // CSV or spreadsheet import waiting for its column mapping:
+  // { fileName, source, headers, rows, mapping, savedMapping, sheets?, sheetIndex? }
+  const [csvImport, setCsvImport] = useState(null);
+
+  // Export modal: default source when open, e.g. 'all', 'selected', 'list:<id>'
+  const [exportSource, setExportSource] = useState(null);
+
+  // Custom field registry
+  const [customFields, setCustomFields] = useState([]);
+  const [isFieldsModalOpen, setIsFieldsModalOpen] = useState(false);
+
+  // Lists & segments
+  const [lists, setLists] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [memberships, setMemberships] = useState([]);
+  const [emailHistory, setEmailHistory] = useState([]);
+  const [activeView, setActiveView] = useState({ type: 'all', id: null });
+  const [listModal, setListModal] = useState({ open: false, id: null, name: '' });
+  const [addToListModal, setAddToListModal] = useState({ open: false, listId: '', newName: '' });
+  const [segmentDraft, setSegmentDraft] = useState(null);
+  const [deleteViewConfirm, setDeleteViewConfirm] = useState(false);
+  const [suppressionRows, setSuppressionRows] = useState([]);
+
   // Debounced search term
   const debouncedSearch = useDebounce(searchTerm, 300);
 
@@ -60,10 +125,51 @@ export default function Contacts() {
     }
   }, []);
 
+  const loadAudiences = useCallback(async () => {
+    try {
+      const [listsData, membershipsData, segmentsData, historyData, suppressionData, fieldsData] = await Promise.all([
+        listsService.getAll(),
+        listsService.getMemberships(),
+        segmentsService.getAll(),
+        contactsService.getEmailHistory(),
+        unsubscribedService.getAll(),
+        contactFieldsService.getAll(),
+      ]);
+      setLists(listsData);
+      setMemberships(membershipsData);
+      setSegments(segmentsData);
+      setEmailHistory(historyData);
+      setSuppressionRows(suppressionData);
+      setCustomFields(fieldsData);
+    } catch (err) {
+      setError('Failed to load lists and segments: ' + err.message);
+    }
+  }, []);
+
   useEffect(() => {
     loadContacts();
   }, [loadContacts]);
 
+  useEffect(() => {
+    loadAudiences();
+  }, [loadAudiences]);
+
+  const segmentContext = useMemo(
+    () => buildSegmentContext({ emailHistory, memberships }),
+    [emailHistory, memberships]
+  );
+
+  // Contacts per list and per segment
+  const audienceCounts = useMemo(
+    () => countAudienceSources(contacts, segments, segmentContext),
+    [contacts, segments, segmentContext]
+  );
+
+  const suppression = useMemo(() => buildSuppressionSet(suppressionRows), [suppressionRows]);
+
+  const activeList = activeView.type === 'list' ? lists.find(l => l.id === activeView.id) : null;
+  const activeSegment = activeView.type === 'segment' ? segments.find(s => s.id === activeView.id) : null;
+
   // Reset to page 1 when search changes
   useEffect(() => {
     setCurrentPage(1);
@@ -71,8 +177,13 @@ export default function Contacts() {
 
   // Filtered and paginated contacts
   const { filteredContacts, paginatedContacts, totalPages } = useMemo(() => {
+    const inView = (contact) => {
+      if (activeList) return !!segmentContext.listsByContact.get(contact.id)?.has(activeList.id);
+      if (activeSegment) return matchesSegment(contact, activeSegment, segmentContext);
+      return true;
+    };
     const filtered = contacts.filter(c =>
-      c.email.toLowerCase().includes(debouncedSearch.toLowerCase())
+      inView(c) && c.email.toLowerCase().includes(debouncedSearch.toLowerCase())
     );
     
     const total = Math.ceil(filtered.length / ITEMS_PER_PAGE);
@@ -84,7 +195,28 @@ export default function Contacts() {
       paginatedContacts: paginated,
       totalPages: total,
     };
-  }, [contacts, debouncedSearch, currentPage]);
+  }, [contacts, debouncedSearch, currentPage, activeList, activeSegment, segmentContext]);
+
+  // Save new contacts, leaving out suppressed addresses and domains.
+  // Custom columns from an import are registered as fields first.
+  async function saveNewContacts(newContacts, importedFields = []) {
+    const { contacts: aligned, newFields } = alignCustomFieldNames(newContacts, importedFields, customFields);
+    const { allowed, suppressed } = filterSuppressed(aligned, suppression);
+    if (allowed.length > 0) {
+      if (newFields.length > 0) {
+        await contactFieldsService.ensure(newFields);
+        setCustomFields(await contactFieldsService.getAll());
+      }
+      await contactsService.bulkAdd(allowed);
+      await loadContacts();
+    }
+    return {
+      added: allowed.length,
+      skippedNote: suppressed.length > 0
+        ? ` (${suppressed.length} suppressed address${suppressed.length !== 1 ? 'es' : ''} skipped)`
+        : '',
+    };
+  }
 
   async function handleAddEmails() {
     const rawEmails = newEmails
@@ -114,6 +246,7 @@ export default function Contacts() {
         uniqueContacts: duplicateCheck.unique,
         invalidItems: validation.invalid,
         fields: [],
+        customFields: [],
       });
       return;
     }
@@ -121,9 +254,8 @@ export default function Contacts() {
     // No issues, add all
     setSaving(true);
     try {
-      await contactsService.bulkAdd(duplicateCheck.unique);
-      await loadContacts();
-      setSuccess(`Added ${duplicateCheck.unique.length} contacts`);
+      const { added, skippedNote } = await saveNewContacts(duplicateCheck.unique);
+      setSuccess(`Added ${added} contacts${skippedNote}`);
       setIsModalOpen(false);
       setNewEmails('');
     } catch (err) {
@@ -135,7 +267,7 @@ export default function Contacts() {
 
   // Handle confirmed add from duplicate dialog
   async function handleConfirmAddContacts() {
-    const { uniqueContacts, fields } = duplicateDialog;
+    const { uniqueContacts, fields, customFields: importedFields } = duplicateDialog;
     
     if (uniqueContacts.length === 0) {
       setError('No valid contacts to add');
@@ -145,15 +277,14 @@ export default function Contacts() {
 
     setSaving(true);
     try {
-      await contactsService.bulkAdd(uniqueContacts);
-      await loadContacts();
+      const { added, skippedNote } = await saveNewContacts(uniqueContacts, importedFields);
       
       const personalizationFields = fields.filter(f => f !== 'email');
-      let successMessage = `Added ${uniqueContacts.length} contacts`;
+      let successMessage = `Added ${added} contacts`;
       if (personalizationFields.length > 0) {
         successMessage += ` with fields: ${personalizationFields.join(', ')}`;
       }
-      setSuccess(successMessage);
+      setSuccess(successMessage + skippedNote);
       setIsModalOpen(false);
       setNewEmails('');
     } catch (err) {
@@ -164,6 +295,120 @@ export default function Contacts() {
     }
   }
 
+  async function handleCreateField(field) {
+    const created = await contactFieldsService.create(field);
+    setCustomFields(prev => [...prev, created]);
+  }
+
+  async function handleUpdateField(id, changes) {
+    const updated = await contactFieldsService.update(id, changes);
+    setCustomFields(prev => prev.map(field => (field.id === id ? updated : field)));
+  }
+
+  async function handleDeleteField(id) {
+    await contactFieldsService.delete(id);
+    setCustomFields(prev => prev.filter(field => field.id !== id));
+  }
+
+  function selectView(view) {
+    setActiveView(view);
+    setCurrentPage(1);
+    setSelectedIds([]);
+  }
+
+  async function handleSaveList() {
+    const name = listModal.name.trim();
+    if (!name) {
+      setError('Please enter a list name');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (listModal.id) {
+        await listsService.rename(listModal.id, name);
+        setSuccess(`List renamed to "${name}"`);
+      } else {
+        const list = await listsService.create(name);
+        selectView({ type: 'list', id: list.id });
+        setSuccess(`List "${name}" created`);
+      }
+      await loadAudiences();
+      setListModal({ open: false, id: null, name: '' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleAddToList() {
+    const newName = addToListModal.newName.trim();
+    if (!addToListModal.listId && !newName) {
+      setError('Pick a list or enter a name for a new one');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const list = addToListModal.listId
+        ? lists.find(l => l.id === addToListModal.listId)
+        : await listsService.create(newName);
+      await listsService.addContacts(list.id, selectedIds);
+      await loadAudiences();
+      setSuccess(`Added ${selectedIds.length} contact${selectedIds.length !== 1 ? 's' : ''} to "${list.name}"`);
+      setSelectedIds([]);
+      setAddToListModal({ open: false, listId: '', newName: '' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleRemoveFromList() {
+    if (!activeList || selectedIds.length === 0) return;
+
+    setSaving(true);
+    try {
+      await listsService.removeContacts(activeList.id, selectedIds);
+      await loadAudiences();
+      setSuccess(`Removed ${selectedIds.length} contact${selectedIds.length !== 1 ? 's' : ''} from "${activeList.name}"`);
+      setSelectedIds([]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleSaveSegment(segment) {
+    const saved = await segmentsService.save(segment);
+    await loadAudiences();
+    selectView({ type: 'segment', id: saved.id });
+    setSegmentDraft(null);
+    setSuccess(`Segment "${saved.name}" saved`);
+  }
+
+  // Delete the list or segment being viewed (contacts are kept)
+  async function handleDeleteView() {
+    try {
+      if (activeList) {
+        await listsService.delete(activeList.id);
+        setSuccess(`List "${activeList.name}" deleted`);
+      } else if (activeSegment) {
+        await segmentsService.delete(activeSegment.id);
+        setSuccess(`Segment "${activeSegment.name}" deleted`);
+      }
+      selectView({ type: 'all', id: null });
+      await loadAudiences();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDeleteViewConfirm(false);
+    }
+  }
+
   async function handleDelete(id) {
     setDeleting(id);
     try {
@@ -224,6 +469,28 @@ export default function Contacts() {
     }
   }
 
+  // Show the mapping step for one table of an imported file
+  function openMapping(fileName, source, table, extra = {}) {
+    const headers = table.headers.map(header => header.trim());
+
+    // Reuse the mapping from the last file with the same columns
+    const savedMapping = loadSavedCSVMapping(headers);
+    setCsvImport({
+      fileName,
+      source,
+      headers,
+      rows: table.rows,
+      mapping: savedMapping || suggestCSVMapping(headers, customFields),
+      savedMapping: Boolean(savedMapping),
+      ...extra,
+    });
+  }
+
+  function handleSelectSheet(sheetIndex) {
+    const { fileName, source, sheets } = csvImport;
+    openMapping(fileName, source, sheets[sheetIndex], { sheets, sheetIndex });
+  }
+
   async function handleFileUpload(e) {
     const file = e.target.files[0];
     if (!file) return;
@@ -233,15 +500,51 @@ export default function Contacts() {
     setUploading(true);
 
     try {
-      const text = await file.text();
-      
-      // Use personalization-aware CSV parser
-      const { contacts: parsedContacts, fields } = parseContactsCSV(text);
-      
-      if (parsedContacts.length === 0) {
-        throw new Error('No valid contacts found in CSV');
+      const format = getSpreadsheetFormat(file.name);
+
+      // Parsed in a worker, so large files don't freeze the page
+      if (format) {
+        const { sheets } = await readSpreadsheetFile(file, format);
+        // Start on the first sheet that has data
+        const sheetIndex = Math.max(0, sheets.findIndex(sheet => sheet.rows.length > 0));
+        if (sheets[sheetIndex].rows.length === 0) {
+          throw new Error('No contacts found in spreadsheet');
+        }
+        openMapping(file.name, `${SPREADSHEET_FORMATS[format]} spreadsheet`, sheets[sheetIndex], { sheets, sheetIndex });
+      } else {
+        const table = await readCSVFile(file, {
+          onProgress: ({ loaded, total }) => setUploadProgress(total ? Math.round((loaded / total) * 100) : null),
+        });
+        if (table.rows.length === 0) {
+          throw new Error('No contacts found in CSV');
+        }
+        openMapping(file.name, `${getDelimiterLabel(table.delimiter)}-separated · ${table.encoding.toUpperCase()}`, table);
       }
+    } catch (err) {
+      setError(err.message || 'Failed to read file');
+    } finally {
+      setUploading(false);
+      setUploadProgress(null);
+    }
+
+    e.target.value = '';
+  }
+
+  // Import a mapped file: remember the mapping, then validate and save like any other import
+  async function handleConfirmMapping(mapping) {
+    const { headers, rows } = csvImport;
+    const { contacts: parsedContacts, fields, customFields: importedFields } = applyCSVMapping(headers, rows, mapping);
+
+    if (parsedContacts.length === 0) {
+      setError('No valid contacts found in the file');
+      return;
+    }
 
+    saveCSVMapping(headers, mapping);
+    setCsvImport(null);
+    setUploading(true);
+
+    try {
       // Validate emails in parsed contacts
       const validation = validateContactEmails(parsedContacts);
       
@@ -259,30 +562,34 @@ export default function Contacts() {
           uniqueContacts: duplicateCheck.unique,
           invalidItems: validation.invalid,
           fields,
+          customFields: importedFields,
         });
-        setUploading(false);
-        e.target.value = '';
         return;
       }
 
       // No issues, add all
-      await contactsService.bulkAdd(duplicateCheck.unique);
-      await loadContacts();
+      const { added, skippedNote } = await saveNewContacts(duplicateCheck.unique, importedFields);
       
-      // Show which personalization fields were detected
+      // Show which personalization fields were imported
       const personalizationFields = fields.filter(f => f !== 'email');
-      let successMessage = `Uploaded ${duplicateCheck.unique.length} contacts`;
+      let successMessage = `Uploaded ${added} contacts`;
       if (personalizationFields.length > 0) {
         successMessage += ` with personalization fields: ${personalizationFields.join(', ')}`;
       }
-      setSuccess(successMessage);
+      setSuccess(successMessage + skippedNote);
     } catch (err) {
       setError(err.message || 'Failed to upload contacts');
     } finally {
       setUploading(false);
     }
-    
-    e.target.value = '';
+  }
+
+  // Export what's in focus: the selection, else the open list or segment, else everything
+  function openExport() {
+    if (selectedIds.length > 0) setExportSource('selected');
+    else if (activeList) setExportSource(`list:${activeList.id}`);
+    else if (activeSegment) setExportSource(`segment:${activeSegment.id}`);
+    else setExportSource('all');
   }
 
   function handleImportClick() {
@@ -309,11 +616,23 @@ export default function Contacts() {
           <input 
             type="file" 
             ref={fileInputRef}
-            accept=".csv" 
+            accept=".csv,.tsv,.txt,.xlsx,.ods" 
             onChange={handleFileUpload} 
             className="hidden"
-            aria-label="Import contacts CSV file"
+            aria-label="Import contacts from a CSV, Excel or OpenDocument file"
           />
+          {selectedIds.length > 0 && activeList && (
+            <Button variant="secondary" size="sm" onClick={handleRemoveFromList} loading={saving}>
+              <ListMinus className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+              <span className="hidden sm:inline">Remove from List</span>
+            </Button>
+          )}
+          {selectedIds.length > 0 && (
+            <Button variant="secondary" size="sm" onClick={() => setAddToListModal({ open: true, listId: lists[0]?.id || '', newName: '' })}>
+              <ListPlus className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+              <span className="hidden sm:inline">Add to List</span>
+            </Button>
+          )}
           {selectedIds.length > 0 && (
             <Button variant="danger" size="sm" onClick={() => setDeleteConfirm({ open: true, id: 'selected', email: null })} loading={deleting === 'bulk'}>
               <Trash2 className="w-4 h-4 sm:mr-2" aria-hidden="true" />
@@ -327,9 +646,21 @@ export default function Contacts() {
               <span className="hidden sm:inline">Delete All</span>
             </Button>
           )}
+          {contacts.length > 0 && (
+            <Button variant="outline" size="sm" onClick={openExport}>
+              <Download className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+              <span className="hidden sm:inline">Export</span>
+            </Button>
+          )}
+          <Button variant="outline" size="sm" onClick={() => setIsFieldsModalOpen(true)}>
+            <Tags className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+            <span className="hidden sm:inline">Fields</span>
+          </Button>
           <Button variant="outline" size="sm" onClick={handleImportClick} loading={uploading}>
             <Upload className="w-4 h-4 sm:mr-2" aria-hidden="true" />
-            <span className="hidden sm:inline">{uploading ? 'Uploading...' : 'Import CSV'}</span>
+            <span className="hidden sm:inline">
+              {uploadProgress !== null ? `Reading ${uploadProgress}%` : uploading ? 'Uploading...' : 'Import'}
+            </span>
           </Button>
           <Button size="sm" onClick={() => setIsModalOpen(true)}>
             <Plus className="w-4 h-4 sm:mr-2" aria-hidden="true" />
@@ -341,6 +672,25 @@ export default function Contacts() {
       {error && <Alert type="error" message={error} />}
       {success && <Alert type="success" message={success} />}
 
+      {contacts.length > 0 && (
+        <AudiencePanel
+          lists={lists}
+          segments={segments}
+          listCounts={audienceCounts.lists}
+          segmentCounts={audienceCounts.segments}
+          totalCount={contacts.length}
+          activeView={activeView}
+          activeDescription={activeSegment ? describeSegment(activeSegment, lists) : null}
+          onSelect={selectView}
+          onNewList={() => setListModal({ open: true, id: null, name: '' })}
+          onNewSegment={() => setSegmentDraft({ name: '', match: 'all', rules: [{ field: 'company', operator: 'is_set', value: '' }] })}
+          onEdit={() => activeList
+            ? setListModal({ open: true, id: activeList.id, name: activeList.name })
+            : setSegmentDraft(activeSegment)}
+          onDelete={() => setDeleteViewConfirm(true)}
+        />
+      )}
+
       <Card>
         {/* Search */}
         <div className="relative mb-4">
@@ -372,7 +722,7 @@ export default function Contacts() {
               <div className="flex flex-col sm:flex-row items-center justify-center gap-3">
                 <Button onClick={handleImportClick}>
                   <Upload className="w-4 h-4 mr-2" />
-                  Import CSV
+                  Import CSV or Excel
                 </Button>
                 <Button variant="outline" onClick={() => setIsModalOpen(true)}>Add Manually</Button>
               </div>
@@ -423,13 +773,19 @@ export default function Contacts() {
                               <span className="text-sm font-medium text-stone-900 truncate">{displayName}</span>
                             )}
                           </div>
-                          <p className="text-sm text-stone-700 truncate">{contact.email}</p>
+                          <div className="flex items-center gap-2">
+                            <p className="text-sm text-stone-700 truncate">{contact.email}</p>
+                            {isSuppressed(contact.email, suppression) && (
+                              <Badge variant="danger" size="xs" className="flex-shrink-0">Suppressed</Badge>
+                            )}
+                          </div>
                           {contact.company && (
                             <p className="text-xs text-stone-500 flex items-center gap-1 mt-1">
                               <Building className="w-3 h-3" />
                               {contact.company}
                             </p>
                           )}
+                          <CustomFieldSummary contact={contact} className="mt-1" />
                         </div>
                       </div>
                     </div>
@@ -456,6 +812,8 @@ export default function Contacts() {
                     <th scope="col" className="text-left py-3 px-4 text-sm font-medium text-stone-500">Email Address</th>
                     <th scope="col" className="text-left py-3 px-4 text-sm font-medium text-stone-500">Name</th>
                     <th scope="col" className="text-left py-3 px-4 text-sm font-medium text-stone-500">Company</th>
+                    <th scope="col" className="text-left py-3 px-4 text-sm font-medium text-stone-500">Timezone</th>
+                    <th scope="col" className="text-left py-3 px-4 text-sm font-medium text-stone-500">Fields</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -477,7 +835,14 @@ export default function Contacts() {
                           />
                         </td>
                         <td className="py-3 px-4 text-sm text-stone-400">{globalIndex}</td>
-                        <td className="py-3 px-4 text-sm text-stone-900 font-medium">{contact.email}</td>
+                        <td className="py-3 px-4 text-sm text-stone-900 font-medium">
+                          <div className="flex items-center gap-2">
+                            <span>{contact.email}</span>
+                            {isSuppressed(contact.email, suppression) && (
+                              <Badge variant="danger" size="xs">Suppressed</Badge>
+                            )}
+                          </div>
+                        </td>
                         <td className="py-3 px-4 text-sm text-stone-600">
                           <div className="flex items-center gap-1.5">
                             {displayName !== '-' && <User className="w-3.5 h-3.5 text-stone-400" />}
@@ -490,6 +855,10 @@ export default function Contacts() {
                             <span>{contact.company || '-'}</span>
                           </div>
                         </td>
+                        <td className="py-3 px-4 text-sm text-stone-600">{contact.timezone || '-'}</td>
+                        <td className="py-3 px-4 text-sm text-stone-600">
+                          <CustomFieldSummary contact={contact} />
+                        </td>
                       </tr>
                     );
                   })}
@@ -610,6 +979,141 @@ export default function Contacts() {
         variant="danger"
       />
 
+      {/* Create / Rename List Modal */}
+      <Modal
+        isOpen={listModal.open}
+        onClose={() => setListModal({ open: false, id: null, name: '' })}
+        title={listModal.id ? 'Rename List' : 'New List'}
+        size="sm"
+      >
+        <div className="space-y-4">
+          <Input
+            label="List Name"
+            placeholder="e.g. Conference leads"
+            value={listModal.name}
+            onChange={(e) => setListModal(prev => ({ ...prev, name: e.target.value }))}
+            autoFocus
+          />
+          <div className="flex justify-end gap-3 pt-2">
+            <Button variant="secondary" onClick={() => setListModal({ open: false, id: null, name: '' })}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveList} loading={saving}>
+              {listModal.id ? 'Rename' : 'Create List'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Add to List Modal */}
+      <Modal
+        isOpen={addToListModal.open}
+        onClose={() => setAddToListModal({ open: false, listId: '', newName: '' })}
+        title="Add to List"
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-stone-600">
+            Add {selectedIds.length} selected contact{selectedIds.length !== 1 ? 's' : ''} to a list. Contacts can belong to several lists.
+          </p>
+          {lists.length > 0 && (
+            <div>
+              <label htmlFor="add-to-list" className="block text-sm font-medium text-stone-700 mb-1.5">Existing List</label>
+              <select
+                id="add-to-list"
+                value={addToListModal.listId}
+                onChange={(e) => setAddToListModal(prev => ({ ...prev, listId: e.target.value }))}
+                className="w-full px-3 py-2.5 border border-stone-300 rounded-lg bg-white text-sm"
+              >
+                <option value="">New list…</option>
+                {lists.map(list => (
+                  <option key={list.id} value={list.id}>{list.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {!addToListModal.listId && (
+            <Input
+              label="New List Name"
+              placeholder="e.g. Conference leads"
+              value={addToListModal.newName}
+              onChange={(e) => setAddToListModal(prev => ({ ...prev, newName: e.target.value }))}
+            />
+          )}
+          <div className="flex justify-end gap-3 pt-2">
+            <Button variant="secondary" onClick={() => setAddToListModal({ open: false, listId: '', newName: '' })}>
+              Cancel
+            </Button>
+            <Button onClick={handleAddToList} loading={saving}>
+              Add to List
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Segment Editor */}
+      {segmentDraft && (
+        <SegmentEditor
+          segment={segmentDraft}
+          lists={lists}
+          contacts={contacts}
+          context={segmentContext}
+          onClose={() => setSegmentDraft(null)}
+          onSave={handleSaveSegment}
+        />
+      )}
+
+      {/* Delete List / Segment Confirmation */}
+      <ConfirmDialog
+        isOpen={deleteViewConfirm}
+        onClose={() => setDeleteViewConfirm(false)}
+        onConfirm={handleDeleteView}
+        title={activeList ? 'Delete List' : 'Delete Segment'}
+        message={`Delete "${activeList?.name || activeSegment?.name}"? The contacts themselves are kept.`}
+        confirmText="Delete"
+        variant="danger"
+      />
+
+      {/* Custom Fields */}
+      <CustomFieldsModal
+        isOpen={isFieldsModalOpen}
+        onClose={() => setIsFieldsModalOpen(false)}
+        fields={customFields}
+        onCreate={handleCreateField}
+        onUpdate={handleUpdateField}
+        onDelete={handleDeleteField}
+      />
+
+      {/* Export */}
+      {exportSource && (
+        <ContactExportModal
+          defaultSource={exportSource}
+          contacts={contacts}
+          selectedIds={selectedIds}
+          lists={lists}
+          segments={segments}
+          context={segmentContext}
+          fields={customFields}
+          onClose={() => setExportSource(null)}
+          onExported={(message) => {
+            setExportSource(null);
+            setSuccess(message);
+          }}
+        />
+      )}
+
+      {/* CSV / Spreadsheet Column Mapping */}
+      {csvImport && (
+        <CsvMappingModal
+          key={`${csvImport.fileName}:${csvImport.sheetIndex ?? 0}`}
+          csvImport={csvImport}
+          onSelectSheet={handleSelectSheet}
+          fields={customFields}
+          onClose={() => setCsvImport(null)}
+          onConfirm={handleConfirmMapping}
+        />
+      )}
+
       {/* Duplicate/Invalid Detection Dialog */}
       <DuplicateDialog
         isOpen={duplicateDialog.open}
@@ -624,3 +1128,731 @@ export default function Contacts() {
     </div>
   );
 }
+
+// Audience Panel Component
+function AudiencePanel({
+  lists,
+  segments,
+  listCounts,
+  segmentCounts,
+  totalCount,
+  activeView,
+  activeDescription,
+  onSelect,
+  onNewList,
+  onNewSegment,
+  onEdit,
+  onDelete,
+}) {
+  const chipClass = (isActive) => `inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors ${
+    isActive
+      ? 'bg-stone-900 text-white border-stone-900'
+      : 'bg-white text-stone-600 border-stone-200 hover:bg-stone-50 hover:text-stone-900'
+  }`;
+  const isActive = (type, id = null) => activeView.type === type && activeView.id === id;
+
+  return (
+    <Card>
+      <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between gap-4">
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => onSelect({ type: 'all', id: null })} className={chipClass(isActive('all'))}>
+            <Users className="w-3.5 h-3.5" aria-hidden="true" />
+            All contacts ({totalCount})
+          </button>
+          {lists.map(list => (
+            <button key={list.id} onClick={() => onSelect({ type: 'list', id: list.id })} className={chipClass(isActive('list', list.id))}>
+              <List className="w-3.5 h-3.5" aria-hidden="true" />
+              {list.name} ({listCounts[list.id] || 0})
+            </button>
+          ))}
+          {segments.map(segment => (
+            <button key={segment.id} onClick={() => onSelect({ type: 'segment', id: segment.id })} className={chipClass(isActive('segment', segment.id))}>
+              <Filter className="w-3.5 h-3.5" aria-hidden="true" />
+              {segment.name} ({segmentCounts[segment.id] || 0})
+            </button>
+          ))}
+        </div>
+        <div className="flex gap-2 flex-shrink-0">
+          <Button variant="outline" size="sm" onClick={onNewList}>
+            <List className="w-4 h-4 mr-1" aria-hidden="true" />
+            New List
+          </Button>
+          <Button variant="outline" size="sm" onClick={onNewSegment}>
+            <Filter className="w-4 h-4 mr-1" aria-hidden="true" />
+            New Segment
+          </Button>
+        </div>
+      </div>
+
+      {activeView.type !== 'all' && (
+        <div className="flex items-center justify-between gap-3 mt-4 pt-4 border-t border-stone-100">
+          <p className="text-sm text-stone-500 min-w-0 truncate">
+            {activeDescription || 'Select contacts below to add them to or remove them from this list.'}
+          </p>
+          <div className="flex gap-1 flex-shrink-0">
+            <button
+              onClick={onEdit}
+              className="p-2 rounded-lg text-stone-500 hover:bg-stone-100 hover:text-stone-900 transition-colors"
+              title={activeView.type === 'list' ? 'Rename list' : 'Edit segment'}
+              aria-label={activeView.type === 'list' ? 'Rename list' : 'Edit segment'}
+            >
+              <Edit className="w-4 h-4" aria-hidden="true" />
+            </button>
+            <button
+              onClick={onDelete}
+              className="p-2 rounded-lg text-stone-500 hover:bg-red-50 hover:text-red-600 transition-colors"
+              title={activeView.type === 'list' ? 'Delete list' : 'Delete segment'}
+              aria-label={activeView.type === 'list' ? 'Delete list' : 'Delete segment'}
+            >
+              <Trash2 className="w-4 h-4" aria-hidden="true" />
+            </button>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Segment Editor Component
+function SegmentEditor({ segment, lists, contacts, context, onClose, onSave }) {
+  const [name, setName] = useState(segment.name || '');
+  const [match, setMatch] = useState(segment.match || 'all');
+  const [rules, setRules] = useState(segment.rules || []);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const draft = { ...segment, name, match, rules };
+  const validationError = validateSegment(draft);
+  const matchCount = useMemo(
+    () => validationError ? null : contacts.filter(contact => matchesSegment(contact, { match, rules }, context)).length,
+    [validationError, contacts, match, rules, context]
+  );
+
+  function updateRule(index, changes) {
+    setRules(prev => prev.map((rule, i) => i === index ? { ...rule, ...changes } : rule));
+  }
+
+  // A new field resets the condition and value to that field's defaults
+  function changeField(index, field) {
+    const type = SEGMENT_FIELDS.find(f => f.key === field)?.type || 'text';
+    updateRule(index, {
+      field,
+      operator: SEGMENT_OPERATORS[type][0].value,
+      value: type === 'list' ? (lists[0]?.id || '') : '',
+    });
+  }
+
+  async function handleSave() {
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  }
+
+  return (
+    <Modal isOpen onClose={onClose} title={segment.id ? 'Edit Segment' : 'New Segment'} size="lg">
+      <div className="space-y-4">
+        {error && <Alert type="error" message={error} />}
+
+        <Input
+          label="Segment Name"
+          placeholder="e.g. Fresh company leads"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+
+        <div className="flex items-center gap-2 text-sm text-stone-600">
+          <span>Contacts matching</span>
+          <select
+            value={match}
+            onChange={(e) => setMatch(e.target.value)}
+            className="px-2 py-1.5 border border-stone-300 rounded-lg bg-white text-sm"
+            aria-label="Rule matching"
+          >
+            <option value="all">all</option>
+            <option value="any">any</option>
+          </select>
+          <span>of these rules</span>
+        </div>
+
+        <div className="space-y-2">
+          {rules.map((rule, index) => {
+            const type = SEGMENT_FIELDS.find(f => f.key === rule.field)?.type || 'text';
+            const operator = SEGMENT_OPERATORS[type].find(op => op.value === rule.operator);
+            return (
+              <div key={index} className="flex flex-col sm:flex-row gap-2 p-3 bg-stone-50 rounded-lg border border-stone-200">
+                <select
+                  value={rule.field}
+                  onChange={(e) => changeField(index, e.target.value)}
+                  className="px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm"
+                  aria-label="Field"
+                >
+                  {SEGMENT_FIELDS.map(field => (
+                    <option key={field.key} value={field.key}>{field.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={rule.operator}
+                  onChange={(e) => updateRule(index, { operator: e.target.value })}
+                  className="px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm"
+                  aria-label="Condition"
+                >
+                  {SEGMENT_OPERATORS[type].map(op => (
+                    <option key={op.value} value={op.value}>{op.label}</option>
+                  ))}
+                </select>
+                {operator?.needsValue && (type === 'list' ? (
+                  <select
+                    value={rule.value}
+                    onChange={(e) => updateRule(index, { value: e.target.value })}
+                    className="flex-1 px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm"
+                    aria-label="List"
+                  >
+                    {lists.length === 0 && <option value="">No lists yet</option>}
+                    {lists.map(list => (
+                      <option key={list.id} value={list.id}>{list.name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type={type === 'history' ? 'number' : 'text'}
+                    min={type === 'history' ? 1 : undefined}
+                    value={rule.value}
+                    onChange={(e) => updateRule(index, { value: e.target.value })}
+                    placeholder={type === 'history' ? 'Days' : 'Value'}
+                    className="flex-1 px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm"
+                    aria-label="Value"
+                  />
+                ))}
+                <button
+                  onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}
+                  className="p-2 rounded-lg text-stone-400 hover:bg-stone-200 hover:text-stone-700 transition-colors sm:ml-auto"
+                  title="Remove rule"
+                  aria-label="Remove rule"
+                >
+                  <X className="w-4 h-4" aria-hidden="true" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => setRules(prev => [...prev, { field: 'company', operator: 'is_set', value: '' }])}
+        >
+          <Plus className="w-4 h-4 mr-1" aria-hidden="true" />
+          Add Rule
+        </Button>
+
+        <div className="flex items-center justify-between gap-3 pt-4 border-t border-stone-100">
+          <p className="text-sm text-stone-500">
+            {matchCount === null
+              ? 'Finish the rules to see matching contacts'
+              : `${matchCount} of ${contacts.length} contacts match`}
+          </p>
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} loading={saving}>
+              Save Segment
+            </Button>
+          </div>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// CSV Mapping Modal Component - map each CSV or sheet column to a field before importing
+function CsvMappingModal({ csvImport, fields, onSelectSheet, onClose, onConfirm }) {
+  const { fileName, source, headers, rows, sheets, sheetIndex, savedMapping } = csvImport;
+  const [mapping, setMapping] = useState(csvImport.mapping);
+
+  const selectClass = 'w-full px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm';
+
+  const problem = validateCSVMapping(mapping, headers);
+  const result = useMemo(() => applyCSVMapping(headers, rows, mapping), [headers, rows, mapping]);
+  const preview = result.contacts.slice(0, CSV_PREVIEW_ROWS);
+  const registered = new Set(fields.map(field => field.name.toLowerCase()));
+
+  // Mapped columns in file order, as preview table columns
+  const previewColumns = mapping
+    .map((target, index) => ({ target, header: headers[index] }))
+    .filter(column => column.target);
+
+  function targetLabel(target) {
+    if (target.startsWith(CUSTOM_TARGET_PREFIX)) return `{{${target.slice(CUSTOM_TARGET_PREFIX.length)}}}`;
+    return CSV_BUILT_IN_FIELDS.find(field => field.key === target)?.label || target;
+  }
+
+  function previewValue(contact, target) {
+    if (target.startsWith(CUSTOM_TARGET_PREFIX)) return contact.customFields?.[target.slice(CUSTOM_TARGET_PREFIX.length)];
+    return contact[target];
+  }
+
+  function updateTarget(index, target) {
+    setMapping(prev => prev.map((current, i) => (i === index ? target : current)));
+  }
+
+  return (
+    <Modal isOpen onClose={onClose} title="Map Columns" size="xl">
+      <div className="space-y-5">
+        <p className="text-sm text-stone-500">
+          Choose where each column of <span className="font-medium text-stone-700">{fileName}</span> goes.
+          Columns mapped to a new field are added to your custom fields.
+        </p>
+        <p className="text-xs text-stone-400">
+          {rows.length.toLocaleString()} row{rows.length !== 1 ? 's' : ''} · {source}
+        </p>
+
+        {sheets?.length > 1 && (
+          <div>
+            <label htmlFor="import-sheet" className="block text-sm font-medium text-stone-700 mb-1.5">Sheet</label>
+            <select
+              id="import-sheet"
+              value={sheetIndex}
+              onChange={(e) => onSelectSheet(Number(e.target.value))}
+              className={selectClass}
+            >
+              {sheets.map((sheet, index) => (
+                <option key={index} value={index} disabled={sheet.rows.length === 0}>
+                  {sheet.name} ({sheet.rows.length.toLocaleString()} row{sheet.rows.length !== 1 ? 's' : ''})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {savedMapping && (
+          <Alert type="info" message="Applied the mapping you used last time for a file with these columns." />
+        )}
+
+        <div className="border border-stone-200 rounded-lg divide-y divide-stone-100 max-h-80 overflow-y-auto">
+          {headers.map((header, index) => {
+            const newName = toFieldName(header);
+            const offerNew = newName && !isReservedFieldName(newName) && !registered.has(newName.toLowerCase());
+            const samples = getCSVColumnSamples(rows, index);
+
+            return (
+              <div key={index} className="grid gap-2 sm:grid-cols-2 sm:items-center px-4 py-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-stone-900 truncate">{header || `Column ${index + 1}`}</p>
+                  <p className="text-xs text-stone-500 truncate" title={samples.join(', ')}>
+                    {samples.length > 0 ? samples.join(', ') : 'No values'}
+                  </p>
+                </div>
+                <select
+                  value={mapping[index]}
+                  onChange={(e) => updateTarget(index, e.target.value)}
+                  className={selectClass}
+                  aria-label={`Field for column ${header || index + 1}`}
+                >
+                  <option value="">Ignore this column</option>
+                  <optgroup label="Contact fields">
+                    {CSV_BUILT_IN_FIELDS.map(field => (
+                      <option key={field.key} value={field.key}>{field.label}</option>
+                    ))}
+                  </optgroup>
+                  {fields.length > 0 && (
+                    <optgroup label="Custom fields">
+                      {fields.map(field => (
+                        <option key={field.id || field.name} value={CUSTOM_TARGET_PREFIX + field.name}>
+                          {field.label || field.name} {`{{${field.name}}}`}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                  {offerNew && (
+                    <optgroup label="New custom field">
+                      <option value={CUSTOM_TARGET_PREFIX + newName}>{`New field {{${newName}}}`}</option>
+                    </optgroup>
+                  )}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between gap-3">
+            <h4 className="text-sm font-semibold text-stone-900">Preview</h4>
+            {!problem && (
+              <p className="text-xs text-stone-500">
+                {result.contacts.length} contact{result.contacts.length !== 1 ? 's' : ''}
+                {result.skipped > 0 && ` · ${result.skipped} row${result.skipped !== 1 ? 's' : ''} without a valid email skipped`}
+              </p>
+            )}
+          </div>
+
+          {problem ? (
+            <Alert type="warning" message={problem} />
+          ) : preview.length === 0 ? (
+            <p className="text-sm text-stone-400 text-center py-4">No rows with a valid email</p>
+          ) : (
+            <div className="border border-stone-200 rounded-lg overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-stone-50 text-left">
+                  <tr>
+                    {previewColumns.map(column => (
+                      <th key={column.target} className="px-3 py-2 text-xs font-medium text-stone-500 whitespace-nowrap">
+                        {targetLabel(column.target)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-stone-100">
+                  {preview.map((contact, row) => (
+                    <tr key={row}>
+                      {previewColumns.map(column => (
+                        <td key={column.target} className="px-3 py-2 text-stone-700 whitespace-nowrap max-w-48 truncate">
+                          {previewValue(contact, column.target) || <span className="text-stone-300">-</span>}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button onClick={() => onConfirm(mapping)} disabled={Boolean(problem) || result.contacts.length === 0}>
+            <Upload className="w-4 h-4 mr-2" aria-hidden="true" />
+            Import {result.contacts.length} Contact{result.contacts.length !== 1 ? 's' : ''}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Contact Export Modal Component - pick contacts and a format, then download
+function ContactExportModal({ defaultSource, contacts, selectedIds, lists, segments, context, fields, onClose, onExported }) {
+  const [source, setSource] = useState(defaultSource);
+  const [format, setFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const selectClass = 'w-full px-3 py-2.5 border border-stone-300 rounded-lg bg-white text-sm';
+
+  const sources = useMemo(() => [
+    { value: 'all', label: 'All contacts', name: 'all', contacts },
+    ...(selectedIds.length > 0
+      ? [{ value: 'selected', label: 'Selected contacts', name: 'selected', contacts: contacts.filter(c => selectedIds.includes(c.id)) }]
+      : []),
+    ...lists.map(list => ({
+      value: `list:${list.id}`,
+      label: `List: ${list.name}`,
+      name: list.name,
+      contacts: contacts.filter(c => context.listsByContact.get(c.id)?.has(list.id)),
+    })),
+    ...segments.map(segment => ({
+      value: `segment:${segment.id}`,
+      label: `Segment: ${segment.name}`,
+      name: segment.name,
+      contacts: contacts.filter(c => matchesSegment(c, segment, context)),
+    })),
+  ], [contacts, selectedIds, lists, segments, context]);
+
+  const current = sources.find(item => item.value === source) || sources[0];
+  const count = current.contacts.length;
+
+  async function handleExport() {
+    setExporting(true);
+    setError('');
+    try {
+      const stats = buildContactStats(await contactsService.getCampaignStats());
+      const { content, extension, type } = buildContactExport(current.contacts, format, { fields, stats });
+      downloadFile(content, `contacts_${toFileSlug(current.name)}_${new Date().toISOString().split('T')[0]}.${extension}`, type);
+      onExported(`${count} contact${count !== 1 ? 's' : ''} exported as ${CONTACT_EXPORT_FORMATS.find(item => item.value === format).label}`);
+    } catch (err) {
+      setError(err.message || 'Failed to export contacts');
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <Modal isOpen onClose={onClose} title="Export Contacts">
+      <div className="space-y-5">
+        {error && <Alert type="error" message={error} />}
+
+        <div>
+          <label htmlFor="export-source" className="block text-sm font-medium text-stone-700 mb-1.5">Contacts</label>
+          <select id="export-source" value={current.value} onChange={(e) => setSource(e.target.value)} className={selectClass}>
+            {sources.map(item => (
+              <option key={item.value} value={item.value}>
+                {item.label} ({item.contacts.length})
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <fieldset>
+          <legend className="block text-sm font-medium text-stone-700 mb-1.5">Format</legend>
+          <div className="grid gap-2 sm:grid-cols-3">
+            {CONTACT_EXPORT_FORMATS.map(item => (
+              <label
+                key={item.value}
+                className={`flex flex-col gap-0.5 p-3 border rounded-lg cursor-pointer transition-colors ${
+                  format === item.value ? 'border-stone-900 bg-stone-50' : 'border-stone-200 hover:border-stone-300'
+                }`}
+              >
+                <span className="flex items-center gap-2 text-sm font-medium text-stone-900">
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={item.value}
+                    checked={format === item.value}
+                    onChange={() => setFormat(item.value)}
+                  />
+                  {item.label}
+                </span>
+                <span className="text-xs text-stone-500">{item.description}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <p className="text-xs text-stone-500">
+          Includes custom fields and campaign stats: times emailed, times failed, last sent and last status.
+        </p>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose} disabled={exporting}>Cancel</Button>
+          <Button onClick={handleExport} loading={exporting} disabled={count === 0}>
+            <Download className="w-4 h-4 mr-2" aria-hidden="true" />
+            Export {count} Contact{count !== 1 ? 's' : ''}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Custom Field Summary Component - count of a contact's custom fields, values on hover
+function CustomFieldSummary({ contact, className = '' }) {
+  const entries = Object.entries(getContactCustomFields(contact)).filter(([, value]) => value !== '' && value !== null);
+  if (entries.length === 0) return <span className={className}>-</span>;
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 text-xs text-stone-500 ${className}`}
+      title={entries.map(([name, value]) => `${name}: ${value}`).join('\n')}
+    >
+      <Tags className="w-3 h-3" aria-hidden="true" />
+      {entries.length} field{entries.length !== 1 ? 's' : ''}
+    </span>
+  );
+}
+
+// Custom Fields Modal Component - the per-user field registry
+function CustomFieldsModal({ isOpen, onClose, fields, onCreate, onUpdate, onDelete }) {
+  const emptyDraft = { label: '', name: '', nameEdited: false, type: 'text', default_value: '' };
+  const [draft, setDraft] = useState(emptyDraft);
+  const [editing, setEditing] = useState(null); // { id, label, type, default_value }
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const selectClass = 'w-full px-3 py-2.5 border border-stone-300 rounded-lg bg-white text-sm';
+
+  function updateLabel(label) {
+    // The name follows the label until it's edited by hand
+    setDraft(prev => ({ ...prev, label, name: prev.nameEdited ? prev.name : toFieldName(label) }));
+  }
+
+  async function run(action) {
+    setSaving(true);
+    setError('');
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to save field');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleCreate() {
+    const problem = validateFieldName(draft.name, fields) || validateFieldValue(draft.default_value, draft.type);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    if (await run(() => onCreate({ name: draft.name, label: draft.label, type: draft.type, default_value: draft.default_value }))) {
+      setDraft(emptyDraft);
+    }
+  }
+
+  async function handleUpdate() {
+    const problem = validateFieldValue(editing.default_value, editing.type);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    if (await run(() => onUpdate(editing.id, editing))) {
+      setEditing(null);
+    }
+  }
+
+  async function handleDelete() {
+    const target = deleteTarget;
+    setDeleteTarget(null);
+    await run(() => onDelete(target.id));
+  }
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Custom Fields" size="lg">
+      <div className="space-y-4">
+        <p className="text-sm text-stone-500">
+          Every field can be used in templates as {'{{fieldName}}'}. The default is used for contacts without a value.
+          Unknown columns in a CSV import are added here automatically.
+        </p>
+
+        {error && <Alert type="error" message={error} />}
+
+        {fields.length === 0 ? (
+          <p className="text-sm text-stone-400 text-center py-4">No custom fields yet</p>
+        ) : (
+          <div className="border border-stone-200 rounded-lg divide-y divide-stone-100">
+            {fields.map(field => (
+              editing?.id === field.id ? (
+                <div key={field.id} className="p-3 space-y-3 bg-stone-50">
+                  <p className="text-sm font-mono text-stone-800">{`{{${field.name}}}`}</p>
+                  <div className="grid gap-3 sm:grid-cols-3">
+                    <Input
+                      label="Label"
+                      value={editing.label}
+                      onChange={(e) => setEditing(prev => ({ ...prev, label: e.target.value }))}
+                    />
+                    <div>
+                      <label className="block text-sm font-medium text-stone-700 mb-1.5">Type</label>
+                      <select
+                        value={editing.type}
+                        onChange={(e) => setEditing(prev => ({ ...prev, type: e.target.value }))}
+                        className={selectClass}
+                      >
+                        {CUSTOM_FIELD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+                      </select>
+                    </div>
+                    <Input
+                      label="Default"
+                      value={editing.default_value}
+                      onChange={(e) => setEditing(prev => ({ ...prev, default_value: e.target.value }))}
+                    />
+                  </div>
+                  <div className="flex justify-end gap-2">
+                    <Button size="sm" variant="secondary" onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+                    <Button size="sm" onClick={handleUpdate} loading={saving}>Save</Button>
+                  </div>
+                </div>
+              ) : (
+                <div key={field.id} className="flex items-center justify-between gap-3 px-4 py-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-mono text-stone-900">{`{{${field.name}}}`}</span>
+                      <Badge size="xs">{CUSTOM_FIELD_TYPES.find(type => type.value === field.type)?.label || field.type}</Badge>
+                    </div>
+                    <p className="text-xs text-stone-500 mt-0.5 truncate">
+                      {field.label || field.name}
+                      {field.default_value ? ` · Default: ${field.default_value}` : ' · No default'}
+                    </p>
+                  </div>
+                  <div className="flex gap-1 flex-shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => setEditing({
+                        id: field.id,
+                        label: field.label || '',
+                        type: field.type,
+                        default_value: field.default_value || '',
+                      })}
+                      className="p-2 text-stone-400 hover:text-stone-700 transition-colors"
+                      aria-label={`Edit field ${field.name}`}
+                    >
+                      <Edit className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDeleteTarget(field)}
+                      className="p-2 text-stone-400 hover:text-red-500 transition-colors"
+                      aria-label={`Delete field ${field.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" aria-hidden="true" />
+                    </button>
+                  </div>
+                </div>
+              )
+            ))}
+          </div>
+        )}
+
+        <div className="border-t border-stone-100 pt-4 space-y-3">
+          <h4 className="text-sm font-semibold text-stone-900">Add Field</h4>
+          <div className="grid gap-3 sm:grid-cols-2">
+            <Input
+              label="Label"
+              placeholder="e.g. Job Title"
+              value={draft.label}
+              onChange={(e) => updateLabel(e.target.value)}
+            />
+            <Input
+              label="Variable name"
+              placeholder="e.g. jobTitle"
+              value={draft.name}
+              onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value.trim(), nameEdited: true }))}
+              hint={draft.name ? `Use as {{${draft.name}}}` : undefined}
+            />
+            <div>
+              <label className="block text-sm font-medium text-stone-700 mb-1.5">Type</label>
+              <select
+                value={draft.type}
+                onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value }))}
+                className={selectClass}
+              >
+                {CUSTOM_FIELD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+              </select>
+            </div>
+            <Input
+              label="Default (optional)"
+              placeholder="Used when a contact has no value"
+              value={draft.default_value}
+              onChange={(e) => setDraft(prev => ({ ...prev, default_value: e.target.value }))}
+            />
+          </div>
+          <div className="flex justify-end">
+            <Button size="sm" onClick={handleCreate} loading={saving && !editing} disabled={!draft.name}>
+              <Plus className="w-4 h-4 mr-1" aria-hidden="true" />
+              Add Field
+            </Button>
+          </div>
+        </div>
+      </div>
+
+      <ConfirmDialog
+        isOpen={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        title="Delete Field"
+        message={`Delete {{${deleteTarget?.name}}}? Contacts keep their stored values, but templates using it will no longer get its default.`}
+        confirmText="Delete"
+        variant="danger"
+      />
+    </Modal>
+  );
+}
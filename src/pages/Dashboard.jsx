@@ -1,13 +1,14 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   Mail, Users, FileText, Send, Clock, CheckCircle, XCircle, Activity,
   PlayCircle, Settings, AlertTriangle, ArrowRight,
-  BarChart3, Target
+  BarChart3, Target, Repeat, Reply, CalendarClock, Edit, X
 } from 'lucide-react';
-import { Card, Badge, PageLoader, Button, OnboardingWizard } from '../components/UI';
-import { templatesService, contactsService, smtpService } from '../services/supabase';
+import { Card, Badge, PageLoader, Button, OnboardingWizard, Modal, Input, Alert, ConfirmDialog } from '../components/UI';
+import { templatesService, contactsService, smtpService, campaignService } from '../services/supabase';
 import { useCampaign } from '../context/CampaignContext';
+import { getTimezones, getLocalTimezone, zonedTimeToUtc, utcToZonedInputs, formatInTimezone } from '../utils';
 
 export default function Dashboard() {
   const navigate = useNavigate();
@@ -19,6 +20,14 @@ export default function Dashboard() {
   });
   const [loading, setLoading] = useState(true);
   const [recentTemplates, setRecentTemplates] = useState([]);
+  const [stepProgress, setStepProgress] = useState([]);
+  const [replyEmail, setReplyEmail] = useState('');
+  const [replyStatus, setReplyStatus] = useState('');
+  const [editingSchedule, setEditingSchedule] = useState(null);
+  const [scheduleError, setScheduleError] = useState('');
+  const [savingSchedule, setSavingSchedule] = useState(false);
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const timezones = useMemo(() => getTimezones(), []);
 
   useEffect(() => {
     let cancelled = false;
@@ -52,6 +61,70 @@ export default function Dashboard() {
     return () => { cancelled = true; };
   }, []);
 
+  // Per-step progress for multi-step sequences, refreshed as emails go out
+  const hasSequence = campaign.campaignId && campaign.totalSteps > 1;
+  useEffect(() => {
+    if (!hasSequence) return;
+    let cancelled = false;
+
+    campaignService.getStepProgress(campaign.campaignId)
+      .then(steps => { if (!cancelled) setStepProgress(steps); })
+      .catch(error => console.error('Failed to load step progress:', error));
+
+    return () => { cancelled = true; };
+  }, [hasSequence, campaign.campaignId, campaign.sent, campaign.failed]);
+
+  async function handleMarkReplied(e) {
+    e.preventDefault();
+    const email = replyEmail.trim().toLowerCase();
+    if (!email) return;
+
+    try {
+      const stopped = await campaignService.markReplied(campaign.campaignId, email);
+      setReplyStatus(`Stopped ${stopped} follow-up${stopped !== 1 ? 's' : ''} for ${email}`);
+      setReplyEmail('');
+      setStepProgress(await campaignService.getStepProgress(campaign.campaignId));
+    } catch (error) {
+      setReplyStatus('Failed to record reply: ' + error.message);
+    }
+  }
+
+  function openScheduleEditor(scheduled) {
+    const timezone = scheduled.scheduled_timezone || getLocalTimezone();
+    const { date, time } = utcToZonedInputs(scheduled.scheduled_at, timezone);
+    setScheduleError('');
+    setEditingSchedule({ id: scheduled.id, name: scheduled.name || '', date, time, timezone });
+  }
+
+  async function handleSaveSchedule(e) {
+    e.preventDefault();
+    const { id, name, date, time, timezone } = editingSchedule;
+    const scheduledAt = zonedTimeToUtc(date, time, timezone);
+
+    if (!scheduledAt) {
+      setScheduleError('Please pick a valid start date, time and timezone');
+      return;
+    }
+    if (scheduledAt.getTime() <= Date.now()) {
+      setScheduleError('Scheduled start must be in the future');
+      return;
+    }
+
+    setSavingSchedule(true);
+    try {
+      await campaign.rescheduleCampaign(id, {
+        scheduledAt: scheduledAt.toISOString(),
+        timezone,
+        name: name.trim() || undefined,
+      });
+      setEditingSchedule(null);
+    } catch (error) {
+      setScheduleError('Failed to update schedule: ' + error.message);
+    } finally {
+      setSavingSchedule(false);
+    }
+  }
+
   const successRate = campaign.total > 0 
     ? Math.min(100, Math.round((campaign.sent / campaign.total) * 100))
     : 100;
@@ -183,6 +256,49 @@ export default function Dashboard() {
                   </div>
                 </div>
 
+                {/* Sequence Step Progress */}
+                {hasSequence && stepProgress.length > 0 && (
+                  <div className="bg-stone-50 rounded-lg p-4 border border-stone-200 space-y-3">
+                    <div className="flex items-center gap-2">
+                      <Repeat className="w-4 h-4 text-stone-500" />
+                      <span className="text-sm font-medium text-stone-700">Sequence Steps</span>
+                    </div>
+                    {stepProgress.map(step => (
+                      <div key={step.step}>
+                        <div className="flex justify-between text-xs text-stone-600 mb-1">
+                          <span>{step.step === 1 ? 'Step 1 · Initial email' : `Step ${step.step} · Follow-up`}</span>
+                          <span>
+                            {step.sent}/{step.total} sent
+                            {step.failed > 0 && ` · ${step.failed} failed`}
+                            {step.skipped > 0 && ` · ${step.skipped} stopped`}
+                          </span>
+                        </div>
+                        <div className="w-full bg-stone-200 rounded-full h-1.5 overflow-hidden">
+                          <div
+                            className="h-full rounded-full transition-all duration-500 ease-out bg-stone-700"
+                            style={{ width: `${step.total > 0 ? Math.min(100, (step.sent / step.total) * 100) : 0}%` }}
+                          ></div>
+                        </div>
+                      </div>
+                    ))}
+                    <form onSubmit={handleMarkReplied} className="flex gap-2 pt-2 border-t border-stone-200">
+                      <input
+                        type="email"
+                        value={replyEmail}
+                        onChange={(e) => setReplyEmail(e.target.value)}
+                        placeholder="Contact who replied"
+                        className="flex-1 min-w-0 px-3 py-1.5 border border-stone-300 rounded-lg text-sm"
+                        aria-label="Email address of contact who replied"
+                      />
+                      <Button type="submit" size="sm" variant="outline" disabled={!replyEmail.trim()}>
+                        <Reply className="w-4 h-4 mr-1.5" />
+                        Mark Replied
+                      </Button>
+                    </form>
+                    {replyStatus && <p className="text-xs text-stone-500">{replyStatus}</p>}
+                  </div>
+                )}
+
                 {/* Current Activity */}
                 {campaign.currentEmail && (
                   <div className="flex items-center gap-3 bg-stone-50 border border-stone-200 rounded-lg p-3">
@@ -263,10 +379,15 @@ export default function Dashboard() {
                     <div className="w-10 h-10 bg-emerald-100 rounded-lg flex items-center justify-center">
                       <CheckCircle className="w-5 h-5 text-emerald-600" />
                     </div>
-                    <div>
+                    <div className="flex-1">
                       <div className="font-medium text-stone-900">Campaign Completed</div>
                       <div className="text-sm text-emerald-600">Successfully sent {campaign.sent} emails</div>
                     </div>
+                    {campaign.campaignId && (
+                      <Button size="sm" variant="outline" onClick={() => navigate(`/campaigns/${campaign.campaignId}`)}>
+                        View Details
+                      </Button>
+                    )}
                   </div>
                 )}
 
@@ -297,6 +418,44 @@ export default function Dashboard() {
 
         {/* Quick Info Panel */}
         <div className="space-y-6">
+          {/* Scheduled Campaigns */}
+          {campaign.scheduledCampaigns.length > 0 && (
+            <Card title="Scheduled Campaigns">
+              <div className="space-y-3">
+                {campaign.scheduledCampaigns.map(scheduled => (
+                  <div key={scheduled.id} className="flex items-start gap-3 p-3 bg-stone-50 rounded-lg">
+                    <div className="w-8 h-8 bg-stone-200 rounded-lg flex items-center justify-center flex-shrink-0">
+                      <CalendarClock className="w-4 h-4 text-stone-600" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <div className="font-medium text-stone-900 truncate text-sm">{scheduled.name || 'Untitled campaign'}</div>
+                      <div className="text-xs text-stone-500">
+                        {formatInTimezone(scheduled.scheduled_at, scheduled.scheduled_timezone || getLocalTimezone())}
+                      </div>
+                      <div className="text-xs text-stone-400">{scheduled.total_emails || scheduled.total_contacts || 0} emails</div>
+                    </div>
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => openScheduleEditor(scheduled)}
+                        className="p-1.5 text-stone-400 hover:text-stone-700 hover:bg-stone-200 rounded-lg transition-colors"
+                        aria-label="Edit schedule"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setCancelTarget(scheduled)}
+                        className="p-1.5 text-stone-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                        aria-label="Cancel scheduled campaign"
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+
           {/* Recent Templates */}
           <Card title="Recent Templates">
             {recentTemplates.length > 0 ? (
@@ -361,6 +520,71 @@ export default function Dashboard() {
           </Card>
         </div>
       </div>
+
+      {/* Edit Schedule Modal */}
+      <Modal
+        isOpen={!!editingSchedule}
+        onClose={() => setEditingSchedule(null)}
+        title="Edit Scheduled Campaign"
+      >
+        {editingSchedule && (
+          <form onSubmit={handleSaveSchedule} className="space-y-4">
+            {scheduleError && (
+              <Alert type="error" message={scheduleError} onClose={() => setScheduleError('')} />
+            )}
+            <Input
+              label="Campaign Name"
+              value={editingSchedule.name}
+              onChange={(e) => setEditingSchedule({ ...editingSchedule, name: e.target.value })}
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <Input
+                label="Date"
+                type="date"
+                value={editingSchedule.date}
+                onChange={(e) => setEditingSchedule({ ...editingSchedule, date: e.target.value })}
+              />
+              <Input
+                label="Time"
+                type="time"
+                value={editingSchedule.time}
+                onChange={(e) => setEditingSchedule({ ...editingSchedule, time: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-stone-700 mb-1.5">Timezone</label>
+              <select
+                value={editingSchedule.timezone}
+                onChange={(e) => setEditingSchedule({ ...editingSchedule, timezone: e.target.value })}
+                className="w-full px-4 py-2.5 border border-stone-300 rounded-lg bg-white text-stone-900"
+              >
+                {timezones.map(tz => (
+                  <option key={tz} value={tz}>{tz}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex justify-end gap-3 pt-2">
+              <Button type="button" variant="secondary" onClick={() => setEditingSchedule(null)}>
+                Cancel
+              </Button>
+              <Button type="submit" loading={savingSchedule}>
+                Save Schedule
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+
+      {/* Cancel Scheduled Campaign Confirmation */}
+      <ConfirmDialog
+        isOpen={!!cancelTarget}
+        onClose={() => setCancelTarget(null)}
+        onConfirm={() => campaign.cancelScheduledCampaign(cancelTarget.id)}
+        title="Cancel Scheduled Campaign"
+        message={`"${cancelTarget?.name || 'Untitled campaign'}" will not be sent. This cannot be undone.`}
+        confirmText="Cancel Campaign"
+        cancelText="Keep"
+      />
     </div>
   );
 }
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { 
   ArrowLeft, 
@@ -9,9 +9,12 @@ import {
   Mail,
   RefreshCw,
   Download,
+  RotateCcw,
 } from 'lucide-react';
-import { Card, Button, Alert, LoadingSpinner } from '../components/UI';
-import { campaignService, contactsService } from '../services/supabase';
+import { Card, Button, Alert, LoadingSpinner, Modal, Input, Badge } from '../components/UI';
+import { campaignService, contactsService, smtpService } from '../services/supabase';
+import { useCampaign } from '../context/CampaignContext';
+import { isPermanentFailure, buildRetryContacts, assignSenders, getUnsubscribeOneClickUrl } from '../utils';
 
 export default function FailedEmails() {
   const navigate = useNavigate();
@@ -24,6 +27,18 @@ export default function FailedEmails() {
   const [success, setSuccess] = useState('');
   const [selectedEmails, setSelectedEmails] = useState([]);
   const [campaign, setCampaign] = useState(null);
+  const { startCampaign, isRunning } = useCampaign();
+
+  // Retry dialog: the rows being retried and the new campaign's name
+  const [retryRows, setRetryRows] = useState(null);
+  const [retryName, setRetryName] = useState('');
+  const [retrying, setRetrying] = useState(false);
+
+  const retryPlan = useMemo(() => buildRetryContacts(retryRows), [retryRows]);
+  const permanentCount = useMemo(
+    () => failedEmails.filter(f => isPermanentFailure(f.error_message)).length,
+    [failedEmails]
+  );
 
   useEffect(() => {
     if (campaignId) {
@@ -90,14 +105,14 @@ export default function FailedEmails() {
 
   const handleExportCSV = () => {
     const csvContent = [
-      'Email,Name,Error',
+      'Email,Name,Sender,Error',
       ...failedEmails.map(f => {
         const email = f.email || f.contact_email || '';
         const name = f.contact_data?.firstName 
           ? `${f.contact_data.firstName} ${f.contact_data.lastName || ''}`.trim() 
           : (f.contact_name || '');
         const error = (f.error_message || '').replace(/"/g, '""');
-        return `"${email}","${name}","${error}"`;
+        return `"${email}","${name}","${f.sender_email || ''}","${error}"`;
       })
     ].join('\n');
     
@@ -111,6 +126,51 @@ export default function FailedEmails() {
     setTimeout(() => setSuccess(''), 3000);
   };
 
+  const openRetry = (rows) => {
+    setRetryRows(rows);
+    setRetryName(`${campaign?.name || 'Campaign'} (retry)`);
+  };
+
+  // Resend the retryable rows as a new campaign with the original campaign's settings
+  const handleRetry = async () => {
+    const { contacts } = retryPlan;
+    if (contacts.length === 0) return;
+
+    try {
+      setRetrying(true);
+
+      const allSenders = await smtpService.getAll();
+      const originalSenders = allSenders.filter(sender => campaign?.sender_ids?.includes(sender.id));
+      const retrySenders = originalSenders.length > 0 ? originalSenders : allSenders.slice(0, 1);
+      const senderRotation = campaign?.sender_rotation || 'round_robin';
+
+      await startCampaign(assignSenders(contacts, retrySenders, senderRotation), {
+        delayMin: campaign?.delay_min,
+        delayMax: campaign?.delay_max,
+        campaignName: retryName.trim() || `${campaign?.name || 'Campaign'} (retry)`,
+        senderName: campaign?.sender_name,
+        sendingWindow: campaign?.sending_window || null,
+        fallbackTimezone: campaign?.fallback_timezone || null,
+        senderIds: retrySenders.map(sender => sender.id),
+        senderRotation,
+        retryOf: campaignId,
+        // Templates were saved with the footer already in place; campaigns from
+        // before the one-click endpoint existed get its URL for their headers
+        unsubscribe: campaign?.unsubscribe
+          ? { oneClickUrl: getUnsubscribeOneClickUrl(), ...campaign.unsubscribe }
+          : null,
+      });
+
+      setRetryRows(null);
+      navigate('/');
+    } catch (err) {
+      setError('Failed to start retry campaign: ' + err.message);
+      setRetryRows(null);
+    } finally {
+      setRetrying(false);
+    }
+  };
+
   const handleRemoveFromContacts = async () => {
     if (selectedEmails.length === 0) {
       setError('Please select emails to remove');
@@ -172,6 +232,7 @@ export default function FailedEmails() {
           <h2 className="text-2xl font-bold text-stone-900">Failed Emails</h2>
           <p className="text-stone-500 mt-1">
             {campaign?.name || 'Campaign'} - {failedEmails.length} failed email{failedEmails.length !== 1 ? 's' : ''}
+            {permanentCount > 0 && `, ${permanentCount} permanent`}
           </p>
         </div>
       </div>
@@ -238,6 +299,14 @@ export default function FailedEmails() {
                 
                 {selectedEmails.length > 0 ? (
                   <>
+                    <Button
+                      variant="primary"
+                      size="sm"
+                      onClick={() => openRetry(failedEmails.filter(f => selectedEmails.includes(f.id)))}
+                    >
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Retry Selected
+                    </Button>
                     <Button
                       variant="secondary"
                       size="sm"
@@ -256,14 +325,24 @@ export default function FailedEmails() {
                     </Button>
                   </>
                 ) : (
-                  <Button
-                    variant="secondary"
-                    size="sm"
-                    onClick={handleCopyAll}
-                  >
-                    <Copy className="w-4 h-4 mr-1" />
-                    Copy All
-                  </Button>
+                  <>
+                    <Button
+                      variant="primary"
+                      size="sm"
+                      onClick={() => openRetry(failedEmails)}
+                    >
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      Retry All
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      size="sm"
+                      onClick={handleCopyAll}
+                    >
+                      <Copy className="w-4 h-4 mr-1" />
+                      Copy All
+                    </Button>
+                  </>
                 )}
               </div>
             </div>
@@ -298,12 +377,19 @@ export default function FailedEmails() {
                         <span className="font-medium text-stone-900 truncate">
                           {email}
                         </span>
+                        {isPermanentFailure(failed.error_message) && (
+                          <Badge variant="danger" size="xs" className="flex-shrink-0">Permanent</Badge>
+                        )}
                       </div>
                       
                       {name && (
                         <p className="text-sm text-stone-500 mt-1">{name}</p>
                       )}
                       
+                      {failed.sender_email && (
+                        <p className="text-xs text-stone-400 mt-1">Sent from {failed.sender_email}</p>
+                      )}
+                      
                       {failed.error_message && (
                         <div className="flex items-start gap-2 mt-2 p-2 bg-red-50 rounded-lg">
                           <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0 mt-0.5" />
@@ -332,16 +418,71 @@ export default function FailedEmails() {
               <div>
                 <p className="text-sm font-medium text-blue-800">How to retry failed emails</p>
                 <ul className="text-sm text-blue-700 mt-2 space-y-1 list-disc list-inside">
-                  <li>Copy the failed emails and verify they are correct</li>
+                  <li>Use Retry All or Retry Selected to resend as a new campaign with the same templates and personalization</li>
+                  <li>Emails marked Permanent (unknown user, bad domain) are skipped, since they would fail again</li>
                   <li>Check if the email addresses have any typos</li>
                   <li>Remove invalid emails from your contacts list</li>
-                  <li>Start a new campaign with the corrected contacts</li>
                 </ul>
               </div>
             </div>
           </div>
         </>
       )}
+
+      {/* Retry Modal */}
+      <Modal
+        isOpen={!!retryRows}
+        onClose={() => !retrying && setRetryRows(null)}
+        title="Retry Failed Emails"
+        size="md"
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-stone-600">
+            {retryPlan.contacts.length} email{retryPlan.contacts.length !== 1 ? 's' : ''} will be sent again as a new campaign,
+            using the original templates, personalization and sender settings.
+          </p>
+
+          {retryPlan.skipped.length > 0 && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-3">
+              <p className="text-sm font-medium text-amber-800">
+                {retryPlan.skipped.length} email{retryPlan.skipped.length !== 1 ? 's' : ''} will be skipped
+              </p>
+              <ul className="text-xs text-amber-700 mt-2 space-y-1">
+                {retryPlan.skipped.slice(0, 5).map(({ row, reason }) => (
+                  <li key={row.id} className="truncate">
+                    {row.email || row.contact_email}: {reason}
+                  </li>
+                ))}
+                {retryPlan.skipped.length > 5 && <li>and {retryPlan.skipped.length - 5} more</li>}
+              </ul>
+            </div>
+          )}
+
+          {isRunning && (
+            <Alert type="warning" message="A campaign is already running. Wait for it to finish before retrying." />
+          )}
+
+          <Input
+            label="Campaign Name"
+            value={retryName}
+            onChange={(e) => setRetryName(e.target.value)}
+          />
+
+          <div className="flex justify-end gap-3 pt-2">
+            <Button variant="secondary" onClick={() => setRetryRows(null)} disabled={retrying}>
+              Cancel
+            </Button>
+            <Button
+              onClick={handleRetry}
+              loading={retrying}
+              disabled={isRunning || retryPlan.contacts.length === 0}
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Retry {retryPlan.contacts.length} Email{retryPlan.contacts.length !== 1 ? 's' : ''}
+            </Button>
+          </div>
+        </div>
+      </Modal>
     </div>
   );
 }
@@ -22,6 +22,8 @@ import {
   Lock,
   Sparkles,
   Target,
+  History,
+  ShieldOff,
 } from 'lucide-react';
 import { Card, Badge } from '../components/UI';
 
@@ -175,11 +177,13 @@ function GettingStartedSection() {
     {
       step: 3,
       title: 'Import Contacts',
-      description: 'Upload your contact list via CSV or add manually.',
+      description: 'Upload your contact list via CSV or Excel, or add manually.',
       icon: Users,
       details: [
         'Go to Contacts page',
-        'Click "Import CSV" for bulk upload',
+        'Click "Import" to upload a CSV, Excel or OpenDocument file',
+        'For workbooks with several sheets, pick the sheet to import',
+        'Map each column to a field and check the preview',
         'Or add emails manually one by one',
         'Include name, company for personalization',
         'Duplicates are automatically detected',
@@ -284,7 +288,12 @@ function FeaturesSection() {
         'Create templates with rich text formatting',
         'Use personalization variables: {{firstName}}, {{company}}, {{email}}',
         'AI-powered template generation with Groq',
+        'Improve an existing template with AI and accept or reject each suggested change',
+        'A/B test subject lines: AI suggests 5-10, campaigns split recipients evenly across the ones you keep',
         'Import templates from CSV or JSON files',
+        'Export templates as CSV, JSON or a shareable template pack',
+        'Version history with side-by-side diffs and one-click rollback',
+        'Deliverability score with inline spam and HTML warnings',
         'Preview how emails will look with sample data',
       ],
     },
@@ -297,6 +306,9 @@ function FeaturesSection() {
         'Automatic duplicate detection and removal',
         'Email validation before adding',
         'Search and filter contacts',
+        'Custom fields with a type and default, usable in templates',
+        'Group contacts into lists and build saved segments from rules',
+        'Export contacts as CSV, JSON or vCard with campaign stats',
         'Bulk delete options',
       ],
     },
@@ -306,11 +318,40 @@ function FeaturesSection() {
       description: 'Configure and launch email campaigns.',
       capabilities: [
         'Select template and preview with real data',
+        'Pick lists and segments to send to, and ones to exclude',
         'Configure delay between emails (prevent spam flags)',
+        'Add follow-up steps that stop when a contact replies',
+        'Unsubscribe footer and one-click unsubscribe headers',
+        'Pre-flight check for empty or misspelled variables, with fix or exclude per contact',
+        'Schedule a campaign to start later in any timezone',
+        'Only send during business hours in each contact\'s timezone',
         'Pause, resume, or stop campaigns anytime',
         'Real-time progress updates',
       ],
     },
+    {
+      title: 'Campaigns',
+      icon: History,
+      description: 'Browse every campaign you have sent.',
+      capabilities: [
+        'Search campaigns by name and filter by status',
+        'Open a campaign to see every email with its status, send time, template and error',
+        'Sort the email list by any column',
+        'Export a campaign\'s emails to CSV',
+        'Retry failed emails as a new campaign; permanent failures are skipped',
+      ],
+    },
+    {
+      title: 'Suppression',
+      icon: ShieldOff,
+      description: 'Addresses and domains that must never be emailed.',
+      capabilities: [
+        'Suppress single addresses or whole domains (subdomains included)',
+        'Bulk import from pasted text or a CSV/TXT file',
+        'Unsubscribes are added automatically',
+        'Every campaign skips suppressed contacts and reports how many',
+      ],
+    },
     {
       title: 'Settings',
       icon: Settings,
@@ -319,6 +360,8 @@ function FeaturesSection() {
         'Secure SMTP credential storage',
         'DNS record checker (SPF, DKIM, DMARC)',
         'Provider-specific setup instructions',
+        'Multiple sender accounts with inbox rotation',
+        'Daily and hourly sending limits per sender',
         'Clear credentials option',
         'Cross-device sync',
       ],
@@ -469,7 +512,7 @@ function TroubleshootingSection() {
         'Ensure contact has the required field (firstName, company, etc.)',
         'Variable names are case-sensitive',
         'Preview email before sending to verify',
-        'Check CSV column headers match expected names',
+        'Check the column mapping when importing the CSV',
       ],
     },
     {
@@ -536,6 +579,13 @@ function ShortcutsSection() {
         { shortcut: '{{company}}', description: 'Company name' },
         { shortcut: '{{date}}', description: 'Today\'s date (formatted)' },
         { shortcut: '{{day}}', description: 'Day of week (Monday, Tuesday, etc.)' },
+        { shortcut: '{{unsubscribeLink}}', description: 'Recipient\'s own unsubscribe page' },
+        { shortcut: '{{aiIntro}}', description: 'AI-written opening line, approved per contact before sending' },
+        { shortcut: '{{company | default: "you"}}', description: 'Fallback when the field is empty' },
+        { shortcut: '{{#if company}}…{{else}}…{{/if}}', description: 'Text shown only when a field is set (or not)' },
+        { shortcut: '{{company | title}}', description: 'Filters fix inconsistent case; chain them with more pipes' },
+        { shortcut: '{Hi|Hello|Hey}', description: 'Spintax: one option picked per recipient' },
+        { shortcut: '{{#unless website}}…{{/unless}}', description: 'Text shown only when a field is empty' },
       ],
     },
     {
@@ -545,7 +595,9 @@ function ShortcutsSection() {
         { shortcut: 'firstName', description: 'Maps to {{firstName}} variable' },
         { shortcut: 'lastName', description: 'Maps to {{lastName}} variable' },
         { shortcut: 'company', description: 'Maps to {{company}} variable' },
-        { shortcut: 'custom1, custom2, custom3', description: 'Custom fields for any data' },
+        { shortcut: 'Job Title', description: 'Any other column becomes a custom field, e.g. {{jobTitle}}' },
+        { shortcut: 'Format', description: 'Comma, semicolon or tab separated; quoted values may span lines' },
+        { shortcut: 'Mapping', description: 'Remap or ignore columns before import; remembered for files with the same headers' },
       ],
     },
     {
@@ -700,7 +752,15 @@ We recommend staying under these limits and sending in batches to avoid account
 • {{company}} - Company name
 • {{email}} - Email address
 
-Make sure your contacts have these fields filled in. If a field is empty, "there" is used as fallback for names.`,
+Custom fields work the same way: add them under Contacts → Fields, or import a CSV with extra columns (a "Job Title" column becomes {{jobTitle}}). A field's default is used for contacts without a value.
+
+Give a fallback for empty fields with {{company | default: "your team"}}. Show text only when a field is set with {{#if company}}...{{else}}...{{/if}}, or only when it is empty with {{#unless website}}...{{/unless}}. Without a default, empty names fall back to "there". Syntax mistakes are shown with their line and column in the template editor.
+
+Clean up inconsistent data with filters: capitalize, title, upper, lower, domain (from a URL or email), truncate: 40 and format: "dd MMM" for dates. Chain them left to right, like {{company | title | truncate: 30}}. The Insert variable panel in the template editor shows a live example of each filter.
+
+Vary wording with spintax: {Hi|Hello|Hey} {{firstName}}. Groups can be nested, like {Hi|Hello {there|friend}}. Each recipient always gets the same variant, and the template preview lets you step through every variation.
+
+Before a campaign starts, every email is rendered for every contact. Contacts whose emails would contain an empty field, a misspelled variable or a leftover {{...}} tag are listed so you can fill in their data or exclude them.`,
     },
     {
       id: 'bounce-handling',
@@ -715,12 +775,12 @@ Make sure your contacts have these fields filled in. If a field is empty, "there
     {
       id: 'unsubscribe',
       question: 'How do unsubscribes work?',
-      answer: `Unsubscribe links can be added to emails. When clicked:
-1. The recipient sees a confirmation page
-2. Their email is recorded as unsubscribed
-3. Future campaigns automatically skip unsubscribed emails
+      answer: `Put {{unsubscribeLink}} in a template, or leave the unsubscribe footer on in Send Emails to add it to templates that don't have one. One-click List-Unsubscribe headers are sent too, as Gmail and Yahoo require for bulk senders; when a recipient uses their mail app's unsubscribe button, the opt-out is recorded immediately. When a recipient clicks the link:
+1. They see a confirmation page
+2. Their email is added to your suppression list
+3. Their remaining follow-ups are skipped, and future campaigns automatically leave them out
 
-This helps you comply with anti-spam laws.`,
+You can also suppress addresses or whole domains yourself on the Suppression page. This helps you comply with anti-spam laws.`,
     },
   ];
 
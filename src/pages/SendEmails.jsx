@@ -17,11 +17,90 @@ import {
   ChevronDown,
   ChevronUp,
   ExternalLink,
+  Plus,
+  Trash2,
+  Repeat,
+  CalendarClock,
+  Globe,
+  List,
+  Filter,
+  ShieldOff,
+  MailX,
+  ClipboardCheck,
+  Sparkles,
+  Loader2,
 } from 'lucide-react';
-import { Card, Button, Alert, LoadingSpinner } from '../components/UI';
+import { Card, Button, Alert, Badge, LoadingSpinner, Modal, Input } from '../components/UI';
 import { useCampaign } from '../context/CampaignContext';
-import { templatesService, contactsService } from '../services/supabase';
-import { replaceVariables, validateContactEmails, sanitizeAndFormat } from '../utils';
+import { useAuth } from '../context/AuthContext';
+import { aiAPI } from '../services/api';
+import { templatesService, contactsService, smtpService, listsService, segmentsService, unsubscribedService, contactFieldsService } from '../services/supabase';
+import { 
+  replaceVariables, 
+  validateContactEmails, 
+  sanitizeAndFormat,
+  getLocalTimezone,
+  getTimezones,
+  zonedTimeToUtc,
+  formatInTimezone,
+  WEEKDAY_LABELS,
+  DEFAULT_SENDING_WINDOW,
+  validateSendingWindow,
+  buildSchedulePreview,
+  estimateCampaignDays,
+  SENDER_ROTATION_MODES,
+  assignSenders,
+  getSenderShares,
+  EMPTY_AUDIENCE,
+  buildSegmentContext,
+  resolveAudience,
+  countAudienceSources,
+  isAudienceEmpty,
+  buildSuppressionSet,
+  filterSuppressed,
+  DEFAULT_UNSUBSCRIBE_FOOTER,
+  hasUnsubscribeLink,
+  withUnsubscribeFooter,
+  applySubjectVariant,
+  hasSubjectVariants,
+  scoreTemplate,
+  AI_INTRO_MAX_LENGTH,
+  templatesUseAiIntro,
+  getAiIntroStatus,
+  countAiIntroStatuses,
+  buildAiIntroRequest,
+  toAiIntroBatches,
+  validateUnsubscribeSettings,
+  getUnsubscribePageUrl,
+  getUnsubscribeOneClickUrl,
+  validateTemplate,
+  checkCampaignRender,
+  getContactColumnValue,
+  buildContactChanges,
+} from '../utils';
+
+// Maximum number of follow-up steps after the initial email
+const MAX_FOLLOW_UPS = 5;
+
+// AI intro review: status filters, and grid rows shown per "Show more"
+const INTRO_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'missing', label: 'Not generated' },
+  { value: 'pending', label: 'Awaiting review' },
+  { value: 'approved', label: 'Approved' },
+];
+const INTRO_PAGE_SIZE = 50;
+
+// Pre-flight dialog: rows rendered at once, and how each problem type reads
+const PREFLIGHT_ROW_LIMIT = 100;
+const PREFLIGHT_ISSUES = {
+  unknown: { variant: 'danger', describe: (issue) => `Unknown variable {{${issue.key}}}` },
+  empty: { variant: 'warning', describe: (issue) => `{{${issue.key}}} is empty` },
+  leftover: {
+    variant: 'warning',
+    describe: (issue) => `${issue.key} left in the email${issue.column ? ` (from ${issue.column.replace(/^custom_fields\./, '')})` : ''}`,
+  },
+};
 
 export default function SendEmails() {
   const navigate = useNavigate();
@@ -45,28 +124,91 @@ export default function SendEmails() {
   } = useCampaign();
 
   const [templates, setTemplates] = useState([]);
-  const [contacts, setContacts] = useState([]);
+  const [allContacts, setAllContacts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [senders, setSenders] = useState([]);
+  
+  // Audience: lists and segments to include or exclude (empty sends to every contact)
+  const [lists, setLists] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [memberships, setMemberships] = useState([]);
+  const [emailHistory, setEmailHistory] = useState([]);
+  const [audience, setAudience] = useState(EMPTY_AUDIENCE);
+  const [suppressionRows, setSuppressionRows] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
   
   // Campaign settings
   const [selectedTemplates, setSelectedTemplates] = useState([]);
   const [delayMin, setDelayMin] = useState(10);
   const [delayMax, setDelayMax] = useState(30);
   const [campaignName, setCampaignName] = useState('');
+  const [selectedSenderIds, setSelectedSenderIds] = useState([]);
+  const [senderRotation, setSenderRotation] = useState('round_robin');
+  
+  // Follow-up sequence (step 1 is the rotated initial email)
+  const [followUps, setFollowUps] = useState([]); // [{ id, templateId, waitDays }]
+  const [stopOnReply, setStopOnReply] = useState(true);
+  const [stopOnUnsubscribe, setStopOnUnsubscribe] = useState(true);
+  const nextFollowUpIdRef = useRef(1);
   
+  // Start time: now, or scheduled for a date/time in a chosen timezone
+  const [startMode, setStartMode] = useState('now'); // 'now' | 'schedule'
+  const [scheduleDate, setScheduleDate] = useState('');
+  const [scheduleTime, setScheduleTime] = useState('09:00');
+  const [scheduleTimezone, setScheduleTimezone] = useState(getLocalTimezone);
+  const timezones = useMemo(() => getTimezones(), []);
+  
+  // Sending window, evaluated in each contact's timezone
+  const [windowEnabled, setWindowEnabled] = useState(false);
+  const [sendingWindow, setSendingWindow] = useState(DEFAULT_SENDING_WINDOW);
+  const [fallbackTimezone, setFallbackTimezone] = useState(getLocalTimezone);
+  
+  // Unsubscribe: footer appended to templates without {{unsubscribeLink}}, and one-click headers
+  const [unsubscribeFooterEnabled, setUnsubscribeFooterEnabled] = useState(true);
+  const [unsubscribeFooter, setUnsubscribeFooter] = useState(DEFAULT_UNSUBSCRIBE_FOOTER);
+  const [unsubscribeHeaders, setUnsubscribeHeaders] = useState(true);
+  const activeFooter = unsubscribeFooterEnabled ? unsubscribeFooter : null;
+  
+  // Pre-flight check: contacts whose emails would render badly must be fixed or excluded
+  const [showPreflight, setShowPreflight] = useState(false);
+  const [preflightExcluded, setPreflightExcluded] = useState([]); // lowercased emails
+
+  // {{aiIntro}}: per-contact opening lines must be generated and approved before launch
+  const [showIntroReview, setShowIntroReview] = useState(false);
+
   // UI state
   const [showPreview, setShowPreview] = useState(false);
 
   // Load data function
   const loadData = useCallback(async () => {
     try {
-      const [templatesData, contactsData] = await Promise.all([
+      const [templatesData, contactsData, sendersData, listsData, membershipsData, segmentsData, historyData, suppressionData, fieldsData] = await Promise.all([
         templatesService.getAll(),
         contactsService.getAll(),
+        smtpService.getAll(),
+        listsService.getAll(),
+        listsService.getMemberships(),
+        segmentsService.getAll(),
+        contactsService.getEmailHistory(),
+        unsubscribedService.getAll(),
+        contactFieldsService.getAll(),
       ]);
       setTemplates(templatesData || []);
-      setContacts(contactsData || []);
+      setAllContacts(contactsData || []);
+      setSenders(sendersData || []);
+      setLists(listsData || []);
+      setMemberships(membershipsData || []);
+      setSegments(segmentsData || []);
+      setEmailHistory(historyData || []);
+      setSuppressionRows(suppressionData || []);
+      setCustomFields(fieldsData || []);
+      
+      // Default to the default sender account
+      if (sendersData?.length > 0) {
+        setSelectedSenderIds(prev => prev.length > 0 ? prev : [sendersData[0].id]);
+      }
       
       // Auto-select all templates for rotation
       if (templatesData?.length > 0) {
@@ -84,17 +226,156 @@ export default function SendEmails() {
     loadData();
   }, [loadData]);
 
+  const segmentContext = useMemo(
+    () => buildSegmentContext({ emailHistory, memberships }),
+    [emailHistory, memberships]
+  );
+
+  const audienceCounts = useMemo(
+    () => countAudienceSources(allContacts, segments, segmentContext),
+    [allContacts, segments, segmentContext]
+  );
+
+  // Contacts this campaign will send to, minus suppressed addresses and domains
+  // and contacts excluded after the pre-flight check
+  const { contacts, suppressedCount } = useMemo(() => {
+    const inAudience = resolveAudience(allContacts, audience, { segments, context: segmentContext });
+    const { allowed, suppressed } = filterSuppressed(inAudience, buildSuppressionSet(suppressionRows));
+    const excluded = new Set(preflightExcluded);
+    return {
+      contacts: allowed.filter(contact => !excluded.has(contact.email.toLowerCase())),
+      suppressedCount: suppressed.length,
+    };
+  }, [allContacts, audience, segments, segmentContext, suppressionRows, preflightExcluded]);
+
+  // Initial template for the contact at this index: templates rotate, and each
+  // template's contacts rotate through its subject variants
+  const initialTemplateFor = useCallback(
+    (index) => applySubjectVariant(selectedTemplates[index % selectedTemplates.length], Math.floor(index / selectedTemplates.length)),
+    [selectedTemplates]
+  );
+
+  // Templates each contact receives, labelled by step (the initial email rotates by index)
+  const templatesFor = useCallback((contact, index) => {
+    const initial = initialTemplateFor(index);
+    const steps = [{ template: initial, stepNumber: 1 }, ...followUps.map((step, i) => ({
+      template: templates.find(t => t.id === step.templateId),
+      stepNumber: i + 2,
+    }))];
+
+    return steps
+      .filter(step => step.template)
+      .map(({ template, stepNumber }) => ({
+        ...withUnsubscribeFooter(template, activeFooter),
+        label: `Step ${stepNumber} · ${template.name || template.subject}`,
+      }));
+  }, [initialTemplateFor, followUps, templates, activeFooter]);
+
+  // Templates in the campaign (initial rotation plus follow-ups)
+  const campaignTemplates = useMemo(() => [
+    ...selectedTemplates,
+    ...followUps.map(step => templates.find(t => t.id === step.templateId)).filter(Boolean),
+  ], [selectedTemplates, followUps, templates]);
+
+  // Deliverability score per template (see deliverability.js)
+  const deliverability = useMemo(
+    () => Object.fromEntries(templates.map(template => [template.id, scoreTemplate(template)])),
+    [templates]
+  );
+
+  const usesAiIntro = useMemo(() => templatesUseAiIntro(campaignTemplates), [campaignTemplates]);
+  const introCounts = useMemo(
+    () => (usesAiIntro ? countAiIntroStatuses(contacts) : null),
+    [usesAiIntro, contacts]
+  );
+
+  // Render problems per contact, recomputed while the pre-flight dialog is open
+  const preflightResults = useMemo(
+    () => (showPreflight && selectedTemplates.length > 0
+      ? checkCampaignRender(contacts, templatesFor, { fields: customFields })
+      : []),
+    [showPreflight, contacts, selectedTemplates.length, templatesFor, customFields]
+  );
+
   // Preview email with first contact's data (using first selected template)
   const previewEmail = useMemo(() => {
     if (selectedTemplates.length === 0 || contacts.length === 0) return null;
     
-    const sampleContact = contacts[0];
-    const firstTemplate = selectedTemplates[0];
+    const sampleContact = { ...contacts[0], unsubscribeLink: `${getUnsubscribePageUrl()}/preview` };
+    const firstTemplate = withUnsubscribeFooter(selectedTemplates[0], activeFooter);
     return {
-      subject: replaceVariables(firstTemplate.subject, sampleContact),
-      body: replaceVariables(firstTemplate.body, sampleContact),
+      subject: replaceVariables(firstTemplate.subject, sampleContact, { fields: customFields }),
+      body: replaceVariables(firstTemplate.body, sampleContact, { fields: customFields }),
     };
-  }, [selectedTemplates, contacts]);
+  }, [selectedTemplates, contacts, activeFooter, customFields]);
+
+  const selectedSenders = useMemo(
+    () => senders.filter(sender => selectedSenderIds.includes(sender.id)),
+    [senders, selectedSenderIds]
+  );
+
+  // Combined caps of the selected senders (uncapped if any sender is uncapped)
+  const sendCaps = useMemo(() => {
+    const combine = (key) => selectedSenders.length > 0 && selectedSenders.every(sender => sender[key])
+      ? selectedSenders.reduce((sum, sender) => sum + sender[key], 0)
+      : null;
+    return { dailyCap: combine('dailyCap'), hourlyCap: combine('hourlyCap') };
+  }, [selectedSenders]);
+
+  function toggleSender(senderId) {
+    setSelectedSenderIds(prev =>
+      prev.includes(senderId) ? prev.filter(id => id !== senderId) : [...prev, senderId]
+    );
+  }
+
+  // When each timezone group will first receive email under the window
+  const schedulePreview = useMemo(() => {
+    if (!windowEnabled || contacts.length === 0 || validateSendingWindow(sendingWindow)) return [];
+
+    const scheduledAt = startMode === 'schedule'
+      ? zonedTimeToUtc(scheduleDate, scheduleTime, scheduleTimezone)
+      : null;
+
+    return buildSchedulePreview(contacts, sendingWindow, {
+      startAt: scheduledAt || new Date(),
+      fallbackTimezone,
+    });
+  }, [windowEnabled, sendingWindow, fallbackTimezone, contacts, startMode, scheduleDate, scheduleTime, scheduleTimezone]);
+
+  function addFollowUp() {
+    if (followUps.length >= MAX_FOLLOW_UPS) return;
+    const id = nextFollowUpIdRef.current++;
+    setFollowUps(prev => [...prev, { id, templateId: templates[0]?.id || '', waitDays: 3 }]);
+  }
+
+  function updateFollowUp(id, changes) {
+    setFollowUps(prev => prev.map(step => step.id === id ? { ...step, ...changes } : step));
+  }
+
+  function removeFollowUp(id) {
+    setFollowUps(prev => prev.filter(step => step.id !== id));
+  }
+
+  // Build the sequence payload sent to the server (null when there are no follow-ups)
+  function buildSequence() {
+    if (followUps.length === 0) return null;
+
+    const steps = followUps.map((step, index) => {
+      const template = templates.find(t => t.id === step.templateId);
+      if (!template) {
+        throw new Error(`Follow-up ${index + 1} has no template selected`);
+      }
+      return {
+        stepNumber: index + 2,
+        templateId: template.id,
+        templateVersionId: template.current_version_id || null,
+        template: withUnsubscribeFooter({ subject: template.subject, body: template.body }, activeFooter),
+        waitDays: Math.max(1, Number(step.waitDays) || 1),
+      };
+    });
+
+    return { steps, stopOnReply, stopOnUnsubscribe };
+  }
 
   // Handle campaign start
   async function handleStartCampaign() {
@@ -102,10 +383,16 @@ export default function SendEmails() {
       setError('Please select at least one template');
       return;
     }
-    if (contacts.length === 0) {
+    if (allContacts.length === 0) {
       setError('No contacts available. Please add contacts first.');
       return;
     }
+    if (contacts.length === 0) {
+      setError(suppressedCount > 0
+        ? 'Every contact in the selected audience is on the suppression list'
+        : 'No contacts match the selected audience');
+      return;
+    }
 
     // Validate all emails before sending
     const validation = validateContactEmails(contacts);
@@ -117,27 +404,132 @@ export default function SendEmails() {
       return;
     }
 
+    let scheduledAt = null;
+    if (startMode === 'schedule') {
+      scheduledAt = zonedTimeToUtc(scheduleDate, scheduleTime, scheduleTimezone);
+      if (!scheduledAt) {
+        setError('Please pick a valid start date, time and timezone');
+        return;
+      }
+      if (scheduledAt.getTime() <= Date.now()) {
+        setError('Scheduled start must be in the future');
+        return;
+      }
+    }
+
+    if (senders.length > 0 && selectedSenders.length === 0) {
+      setError('Please select at least one sender account');
+      return;
+    }
+
+    const windowError = windowEnabled ? validateSendingWindow(sendingWindow) : null;
+    if (windowError) {
+      setError(windowError);
+      return;
+    }
+
+    // Templates with broken {{#if}}/{{default}} syntax would render wrongly for every contact
+    for (const template of campaignTemplates) {
+      const subjects = hasSubjectVariants(template) ? template.subject_variants : [template.subject];
+      const syntaxError = subjects.map(validateTemplate).find(Boolean) || validateTemplate(template.body);
+      if (syntaxError) {
+        setError(`Template "${template.name || template.subject}" has a syntax error: ${syntaxError.message}. Fix it on the Templates page.`);
+        return;
+      }
+    }
+
+    // Unreviewed AI intros never go out
+    if (usesAiIntro) {
+      const unapproved = validation.valid.filter(contact => getAiIntroStatus(contact) !== 'approved').length;
+      if (unapproved > 0) {
+        setError(`${unapproved} contact${unapproved !== 1 ? 's have' : ' has'} no approved {{aiIntro}} yet. Generate and approve the opening lines first.`);
+        setShowIntroReview(true);
+        return;
+      }
+    }
+
+    const unsubscribeError = validateUnsubscribeSettings({ footerEnabled: unsubscribeFooterEnabled, footer: unsubscribeFooter });
+    if (unsubscribeError) {
+      setError(unsubscribeError);
+      return;
+    }
+
+    // Render every contact × template first; problems must be fixed or excluded
+    if (checkCampaignRender(validation.valid, templatesFor, { fields: customFields }).length > 0) {
+      setError('');
+      setShowPreflight(true);
+      return;
+    }
+    setShowPreflight(false);
+
     setError('');
+    setSuccess('');
     
     try {
+      const sequence = buildSequence();
+
       // Attach templates to contacts rotationally
       // If 5 templates and 47 contacts: templates rotate (1,2,3,4,5,1,2,3,4,5,...)
       // If 5 templates and 3 contacts: only first 3 templates are used
       const contactsWithTemplate = validation.valid.map((contact, index) => ({
         ...contact,
-        template: selectedTemplates[index % selectedTemplates.length],
+        template: withUnsubscribeFooter(initialTemplateFor(index), activeFooter),
       }));
+
+      // Spread contacts across the selected sender accounts
+      const contactsWithSender = assignSenders(contactsWithTemplate, selectedSenders, senderRotation);
       
-      await startCampaign(contactsWithTemplate, {
+      const response = await startCampaign(contactsWithSender, {
         delayMin: delayMin * 1000,
         delayMax: delayMax * 1000,
         campaignName: campaignName || `Campaign ${new Date().toLocaleDateString()}`,
+        sequence,
+        scheduledAt: scheduledAt?.toISOString() || null,
+        timezone: scheduledAt ? scheduleTimezone : null,
+        sendingWindow: windowEnabled ? sendingWindow : null,
+        fallbackTimezone: windowEnabled ? fallbackTimezone : null,
+        senderIds: selectedSenderIds,
+        senderRotation,
+        audience: isAudienceEmpty(audience) ? null : audience,
+        unsubscribe: {
+          pageUrl: getUnsubscribePageUrl(),
+          oneClickUrl: getUnsubscribeOneClickUrl(),
+          footer: activeFooter,
+          headers: unsubscribeHeaders,
+        },
       });
+
+      // Suppressed here, plus any added since the page loaded
+      const skipped = suppressedCount + (response?.suppressedCount || 0);
+      const skippedNote = skipped > 0
+        ? ` ${skipped} suppressed contact${skipped !== 1 ? 's were' : ' was'} skipped.`
+        : '';
+
+      if (scheduledAt) {
+        setSuccess(`Campaign scheduled for ${formatInTimezone(scheduledAt, scheduleTimezone)}. You can edit or cancel it from the Dashboard.${skippedNote}`);
+      } else if (skippedNote) {
+        setSuccess(`Campaign started.${skippedNote}`);
+      }
     } catch (err) {
       setError(err.message);
     }
   }
 
+  // Fill in a contact's fields from the pre-flight dialog
+  async function handlePreflightFix(contact, values) {
+    const updated = await contactsService.update(contact.id, buildContactChanges(contact, values));
+    setAllContacts(prev => prev.map(c => (c.id === updated.id ? updated : c)));
+  }
+
+  function handleIntrosSaved(rows) {
+    const byId = new Map(rows.map(row => [row.id, row]));
+    setAllContacts(prev => prev.map(c => byId.get(c.id) || c));
+  }
+
+  function excludeFromCampaign(emails) {
+    setPreflightExcluded(prev => [...new Set([...prev, ...emails.map(email => email.toLowerCase())])]);
+  }
+
   // Calculate progress percentage (capped at 100%)
   const progressPercent = total > 0 
     ? Math.min(100, Math.round((sent + failed) / total * 100))
@@ -246,6 +638,9 @@ export default function SendEmails() {
       {error && (
         <Alert type="error" message={error} onClose={() => setError('')} />
       )}
+      {success && (
+        <Alert type="success" message={success} onClose={() => setSuccess('')} />
+      )}
 
       {/* Data Retention Notice */}
       <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
@@ -317,6 +712,7 @@ export default function SendEmails() {
               <div className="space-y-3">
                 {templates.map((template) => {
                   const isSelected = selectedTemplates.some(t => t.id === template.id);
+                  const lint = deliverability[template.id];
                   const toggleTemplate = () => {
                     if (isRunning) return;
                     if (isSelected) {
@@ -350,11 +746,21 @@ export default function SendEmails() {
                             <p className="text-sm text-stone-500 mt-1 truncate max-w-md">
                               {template.subject}
                             </p>
+                            {hasSubjectVariants(template) && (
+                              <p className="text-xs text-violet-600 mt-1">
+                                A/B test: split evenly across {template.subject_variants.length} subject lines
+                              </p>
+                            )}
                           </div>
                         </div>
-                        {isSelected && (
-                          <CheckCircle className="w-5 h-5 text-stone-900" />
-                        )}
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          <span title={[`Deliverability ${lint.score}/100`, ...lint.issues.map(issue => issue.message)].join('\n')}>
+                            <Badge variant={lint.grade.variant} size="xs">{lint.score}/100</Badge>
+                          </span>
+                          {isSelected && (
+                            <CheckCircle className="w-5 h-5 text-stone-900" />
+                          )}
+                        </div>
                       </div>
                     </div>
                   );
@@ -363,6 +769,48 @@ export default function SendEmails() {
             )}
           </Card>
 
+          {/* Audience */}
+          {allContacts.length > 0 && (
+            <AudiencePicker
+              lists={lists}
+              segments={segments}
+              counts={audienceCounts}
+              audience={audience}
+              onChange={setAudience}
+              selectedCount={contacts.length}
+              suppressedCount={suppressedCount}
+              totalCount={allContacts.length}
+              disabled={isRunning}
+            />
+          )}
+
+          {/* AI opening lines */}
+          {usesAiIntro && contacts.length > 0 && (
+            <Card>
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div>
+                  <h3 className="text-lg font-semibold text-stone-900 flex items-center gap-2">
+                    <Sparkles className="w-5 h-5 text-purple-600" />
+                    AI Opening Lines
+                  </h3>
+                  <p className="text-sm text-stone-500 mt-1">
+                    Your templates use {'{{aiIntro}}'}. Every recipient needs an approved opening line before the campaign can start.
+                  </p>
+                  <p className="text-sm mt-2">
+                    <span className="text-emerald-700">{introCounts.approved} approved</span>
+                    {' · '}
+                    <span className="text-amber-700">{introCounts.pending} awaiting review</span>
+                    {' · '}
+                    <span className="text-stone-600">{introCounts.missing} not generated</span>
+                  </p>
+                </div>
+                <Button variant="outline" size="sm" onClick={() => setShowIntroReview(true)} disabled={isRunning}>
+                  Generate & Review
+                </Button>
+              </div>
+            </Card>
+          )}
+
           {/* Campaign Settings */}
           <Card>
             <h3 className="text-lg font-semibold text-stone-900 mb-4 flex items-center gap-2">
@@ -386,6 +834,17 @@ export default function SendEmails() {
                 />
               </div>
 
+              {/* Sender Accounts */}
+              <SenderRotation
+                senders={senders}
+                selectedIds={selectedSenderIds}
+                onToggle={toggleSender}
+                rotation={senderRotation}
+                onRotationChange={setSenderRotation}
+                contactCount={contacts.length}
+                disabled={isRunning}
+              />
+
               {/* Delay Setting */}
               <div>
                 <label className="block text-sm font-medium text-stone-700 mb-1">
@@ -425,11 +884,123 @@ export default function SendEmails() {
                 <p className="text-xs text-stone-500 mt-1">
                   Recommended: 10-50 seconds for natural sending pattern
                 </p>
+                {(sendCaps.dailyCap || sendCaps.hourlyCap) && (
+                  <p className="text-xs text-stone-500 mt-1 flex items-center gap-1">
+                    <Info className="w-3.5 h-3.5" />
+                    Sender limits: {[
+                      sendCaps.dailyCap && `${sendCaps.dailyCap}/day`,
+                      sendCaps.hourlyCap && `${sendCaps.hourlyCap}/hour`,
+                    ].filter(Boolean).join(', ')}
+                    {estimateCampaignDays(contacts.length, sendCaps.dailyCap) > 1 &&
+                      ` — this campaign will spread over about ${estimateCampaignDays(contacts.length, sendCaps.dailyCap)} days`}
+                  </p>
+                )}
+              </div>
+
+              {/* Start Time */}
+              <div>
+                <label className="block text-sm font-medium text-stone-700 mb-1">
+                  Start
+                </label>
+                <div className="flex items-center gap-4 mb-2">
+                  <label className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="startMode"
+                      value="now"
+                      checked={startMode === 'now'}
+                      onChange={() => setStartMode('now')}
+                      disabled={isRunning}
+                    />
+                    Send now
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="startMode"
+                      value="schedule"
+                      checked={startMode === 'schedule'}
+                      onChange={() => setStartMode('schedule')}
+                      disabled={isRunning}
+                    />
+                    Schedule for later
+                  </label>
+                </div>
+                {startMode === 'schedule' && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    <input
+                      type="date"
+                      value={scheduleDate}
+                      onChange={(e) => setScheduleDate(e.target.value)}
+                      className="px-3 py-2 border border-stone-300 rounded-lg"
+                      aria-label="Start date"
+                      disabled={isRunning}
+                    />
+                    <input
+                      type="time"
+                      value={scheduleTime}
+                      onChange={(e) => setScheduleTime(e.target.value)}
+                      className="px-3 py-2 border border-stone-300 rounded-lg"
+                      aria-label="Start time"
+                      disabled={isRunning}
+                    />
+                    <select
+                      value={scheduleTimezone}
+                      onChange={(e) => setScheduleTimezone(e.target.value)}
+                      className="px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm"
+                      aria-label="Timezone"
+                      disabled={isRunning}
+                    >
+                      {timezones.map(tz => (
+                        <option key={tz} value={tz}>{tz}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
               </div>
 
             </div>
           </Card>
 
+          {/* Sending Window */}
+          <SendingWindowCard
+            enabled={windowEnabled}
+            onEnabledChange={setWindowEnabled}
+            sendingWindow={sendingWindow}
+            onWindowChange={setSendingWindow}
+            fallbackTimezone={fallbackTimezone}
+            onFallbackTimezoneChange={setFallbackTimezone}
+            timezones={timezones}
+            preview={schedulePreview}
+            disabled={isRunning}
+          />
+
+          {/* Follow-up Sequence */}
+          <SequenceBuilder
+            templates={templates}
+            steps={followUps}
+            onAdd={addFollowUp}
+            onUpdate={updateFollowUp}
+            onRemove={removeFollowUp}
+            stopOnReply={stopOnReply}
+            onStopOnReplyChange={setStopOnReply}
+            stopOnUnsubscribe={stopOnUnsubscribe}
+            onStopOnUnsubscribeChange={setStopOnUnsubscribe}
+            disabled={isRunning}
+          />
+
+          {/* Unsubscribe */}
+          <UnsubscribeCard
+            footerEnabled={unsubscribeFooterEnabled}
+            onFooterEnabledChange={setUnsubscribeFooterEnabled}
+            footer={unsubscribeFooter}
+            onFooterChange={setUnsubscribeFooter}
+            headers={unsubscribeHeaders}
+            onHeadersChange={setUnsubscribeHeaders}
+            templatesWithoutLink={selectedTemplates.filter(t => !hasUnsubscribeLink(t.body)).length}
+            disabled={isRunning}
+          />
+
           {/* Email Preview */}
           {selectedTemplates.length > 0 && (
             <Card>
@@ -592,11 +1163,29 @@ export default function SendEmails() {
                   className="w-full"
                   disabled={selectedTemplates.length === 0 || contacts.length === 0}
                 >
-                  <Play className="w-4 h-4 mr-2" />
-                  Start Campaign
+                  {startMode === 'schedule' ? (
+                    <>
+                      <CalendarClock className="w-4 h-4 mr-2" />
+                      Schedule Campaign
+                    </>
+                  ) : (
+                    <>
+                      <Play className="w-4 h-4 mr-2" />
+                      Start Campaign
+                    </>
+                  )}
                 </Button>
               )}
 
+              {preflightExcluded.length > 0 && (status === 'idle' || status === 'completed' || status === 'error') && (
+                <p className="text-xs text-stone-500 text-center">
+                  {preflightExcluded.length} contact{preflightExcluded.length !== 1 ? 's' : ''} excluded by the pre-flight check ·{' '}
+                  <button type="button" onClick={() => setPreflightExcluded([])} className="underline hover:text-stone-800">
+                    Restore
+                  </button>
+                </p>
+              )}
+
               {status === 'running' && (
                 <div className="grid grid-cols-2 gap-3">
                   <Button variant="secondary" onClick={stopCampaign}>
@@ -629,8 +1218,17 @@ export default function SendEmails() {
                   className="w-full"
                   disabled={selectedTemplates.length === 0 || contacts.length === 0}
                 >
-                  <Play className="w-4 h-4 mr-2" />
-                  Start New Campaign
+                  {startMode === 'schedule' ? (
+                    <>
+                      <CalendarClock className="w-4 h-4 mr-2" />
+                      Schedule New Campaign
+                    </>
+                  ) : (
+                    <>
+                      <Play className="w-4 h-4 mr-2" />
+                      Start New Campaign
+                    </>
+                  )}
                 </Button>
               )}
             </div>
@@ -643,6 +1241,26 @@ export default function SendEmails() {
             )}
           </Card>
 
+          <PreflightDialog
+            isOpen={showPreflight}
+            onClose={() => setShowPreflight(false)}
+            results={preflightResults}
+            totalCount={contacts.length}
+            onFix={handlePreflightFix}
+            onExclude={excludeFromCampaign}
+            onEditTemplates={() => navigate('/templates')}
+            onStart={handleStartCampaign}
+            startLabel={startMode === 'schedule' ? 'Schedule Campaign' : 'Start Campaign'}
+          />
+
+          {showIntroReview && (
+            <AiIntroReviewModal
+              contacts={contacts}
+              onSaved={handleIntrosSaved}
+              onClose={() => setShowIntroReview(false)}
+            />
+          )}
+
           {/* Tips Card */}
           <Card>
             <h3 className="text-sm font-semibold text-stone-900 mb-3">Tips for Better Delivery</h3>
@@ -670,3 +1288,877 @@ export default function SendEmails() {
     </div>
   );
 }
+
+// Follow-up Sequence Builder Component
+function SequenceBuilder({
+  templates,
+  steps,
+  onAdd,
+  onUpdate,
+  onRemove,
+  stopOnReply,
+  onStopOnReplyChange,
+  stopOnUnsubscribe,
+  onStopOnUnsubscribeChange,
+  disabled,
+}) {
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-stone-900 flex items-center gap-2">
+          <Repeat className="w-5 h-5 text-stone-600" />
+          Follow-up Sequence
+        </h3>
+        {steps.length < MAX_FOLLOW_UPS && templates.length > 0 && (
+          <Button variant="outline" size="sm" onClick={onAdd} disabled={disabled}>
+            <Plus className="w-4 h-4 mr-1" />
+            Add Follow-up
+          </Button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        <div className="flex items-center gap-3 p-3 bg-stone-50 rounded-lg">
+          <span className="w-7 h-7 rounded-full bg-stone-900 text-white text-xs font-semibold flex items-center justify-center shrink-0">
+            1
+          </span>
+          <p className="text-sm text-stone-700">Initial email using the selected templates</p>
+        </div>
+
+        {steps.map((step, index) => (
+          <div key={step.id} className="flex flex-col sm:flex-row sm:items-center gap-3 p-3 border border-stone-200 rounded-lg">
+            <span className="w-7 h-7 rounded-full bg-stone-200 text-stone-700 text-xs font-semibold flex items-center justify-center shrink-0">
+              {index + 2}
+            </span>
+            <div className="flex items-center gap-2 text-sm text-stone-600">
+              <span>Wait</span>
+              <input
+                type="number"
+                min="1"
+                max="60"
+                value={step.waitDays}
+                onChange={(e) => onUpdate(step.id, { waitDays: Number(e.target.value) })}
+                className="w-16 px-2 py-1 border border-stone-300 rounded text-center"
+                disabled={disabled}
+                aria-label={`Days to wait before follow-up ${index + 1}`}
+              />
+              <span>day{step.waitDays !== 1 ? 's' : ''}, then send</span>
+            </div>
+            <select
+              value={step.templateId}
+              onChange={(e) => onUpdate(step.id, { templateId: e.target.value })}
+              className="flex-1 min-w-0 px-3 py-1.5 border border-stone-300 rounded-lg bg-white text-sm"
+              disabled={disabled}
+              aria-label={`Template for follow-up ${index + 1}`}
+            >
+              {templates.map(template => (
+                <option key={template.id} value={template.id}>
+                  {template.name || template.subject}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => onRemove(step.id)}
+              className="p-2 text-stone-400 hover:text-red-500 transition-colors self-end sm:self-auto"
+              disabled={disabled}
+              aria-label={`Remove follow-up ${index + 1}`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {steps.length > 0 ? (
+        <div className="mt-4 pt-4 border-t border-stone-100 space-y-2">
+          <label className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={stopOnReply}
+              onChange={(e) => onStopOnReplyChange(e.target.checked)}
+              className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-stone-500"
+              disabled={disabled}
+            />
+            Stop follow-ups when a contact replies
+          </label>
+          <label className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={stopOnUnsubscribe}
+              onChange={(e) => onStopOnUnsubscribeChange(e.target.checked)}
+              className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-stone-500"
+              disabled={disabled}
+            />
+            Stop follow-ups when a contact unsubscribes
+          </label>
+        </div>
+      ) : (
+        <p className="text-xs text-stone-500 mt-3">
+          Add follow-ups to automatically re-contact people who haven't replied.
+        </p>
+      )}
+    </Card>
+  );
+}
+
+// Sender Rotation Component
+function SenderRotation({
+  senders,
+  selectedIds,
+  onToggle,
+  rotation,
+  onRotationChange,
+  contactCount,
+  disabled,
+}) {
+  const selected = senders.filter(sender => selectedIds.includes(sender.id));
+  const shares = getSenderShares(contactCount, selected, rotation);
+
+  if (senders.length === 0) return null;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-stone-700 mb-1">
+        Sender Accounts
+      </label>
+      <div className="border border-stone-200 rounded-lg divide-y divide-stone-100">
+        {senders.map(sender => {
+          const isSelected = selectedIds.includes(sender.id);
+          return (
+            <label key={sender.id} className="flex items-center gap-3 px-3 py-2 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={isSelected}
+                onChange={() => onToggle(sender.id)}
+                className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-stone-500"
+                disabled={disabled}
+              />
+              <div className="flex-1 min-w-0">
+                <p className="text-stone-900 truncate">{sender.label || sender.emailUser}</p>
+                {sender.label && <p className="text-xs text-stone-500 truncate">{sender.emailUser}</p>}
+              </div>
+              {rotation === 'weighted' && (
+                <span className="text-xs text-stone-400">weight {sender.weight}</span>
+              )}
+              {isSelected && selected.length > 1 && (
+                <span className="text-xs text-stone-500 tabular-nums">{shares[sender.id]} emails</span>
+              )}
+            </label>
+          );
+        })}
+      </div>
+
+      {selected.length > 1 && (
+        <div className="flex flex-wrap items-center gap-4 mt-2">
+          {SENDER_ROTATION_MODES.map(mode => (
+            <label key={mode.value} className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer" title={mode.description}>
+              <input
+                type="radio"
+                name="senderRotation"
+                value={mode.value}
+                checked={rotation === mode.value}
+                onChange={() => onRotationChange(mode.value)}
+                disabled={disabled}
+              />
+              {mode.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sending Window Component
+function SendingWindowCard({
+  enabled,
+  onEnabledChange,
+  sendingWindow,
+  onWindowChange,
+  fallbackTimezone,
+  onFallbackTimezoneChange,
+  timezones,
+  preview,
+  disabled,
+}) {
+  const windowError = enabled ? validateSendingWindow(sendingWindow) : null;
+  const localTimezone = getLocalTimezone();
+
+  function toggleDay(day) {
+    const days = sendingWindow.days.includes(day)
+      ? sendingWindow.days.filter(d => d !== day)
+      : [...sendingWindow.days, day].sort((a, b) => a - b);
+    onWindowChange({ ...sendingWindow, days });
+  }
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-stone-900 mb-4 flex items-center gap-2">
+        <Globe className="w-5 h-5 text-stone-600" />
+        Sending Window
+      </h3>
+
+      <label className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => onEnabledChange(e.target.checked)}
+          className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-stone-500"
+          disabled={disabled}
+        />
+        Only send during business hours in each contact's timezone
+      </label>
+
+      {enabled ? (
+        <div className="mt-4 space-y-4">
+          <div className="flex flex-wrap gap-1.5">
+            {WEEKDAY_LABELS.map((label, day) => {
+              const isActive = sendingWindow.days.includes(day);
+              return (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleDay(day)}
+                  className={`px-3 py-1.5 text-sm rounded-lg border transition-colors ${
+                    isActive
+                      ? 'bg-stone-900 border-stone-900 text-white'
+                      : 'bg-white border-stone-300 text-stone-600 hover:border-stone-400'
+                  }`}
+                  aria-pressed={isActive}
+                  disabled={disabled}
+                >
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="flex items-center gap-2 text-sm text-stone-600">
+            <span>From</span>
+            <input
+              type="time"
+              value={sendingWindow.start}
+              onChange={(e) => onWindowChange({ ...sendingWindow, start: e.target.value })}
+              className="px-2 py-1 border border-stone-300 rounded"
+              aria-label="Window opens at"
+              disabled={disabled}
+            />
+            <span>to</span>
+            <input
+              type="time"
+              value={sendingWindow.end}
+              onChange={(e) => onWindowChange({ ...sendingWindow, end: e.target.value })}
+              className="px-2 py-1 border border-stone-300 rounded"
+              aria-label="Window closes at"
+              disabled={disabled}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-stone-700 mb-1">
+              Timezone for contacts without one
+            </label>
+            <select
+              value={fallbackTimezone}
+              onChange={(e) => onFallbackTimezoneChange(e.target.value)}
+              className="w-full px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm"
+              disabled={disabled}
+            >
+              {timezones.map(tz => (
+                <option key={tz} value={tz}>{tz}</option>
+              ))}
+            </select>
+          </div>
+
+          {windowError && (
+            <p className="text-sm text-red-600">{windowError}</p>
+          )}
+
+          {preview.length > 0 && (
+            <div className="pt-4 border-t border-stone-100">
+              <p className="text-sm font-medium text-stone-700 mb-2">Schedule preview</p>
+              <div className="border border-stone-200 rounded-lg divide-y divide-stone-100 max-h-64 overflow-y-auto">
+                {preview.map(group => (
+                  <div key={group.timezone} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      <p className="text-stone-900 truncate">{group.timezone}</p>
+                      <p className="text-xs text-stone-500">
+                        {group.count} contact{group.count !== 1 ? 's' : ''}
+                        {group.usingFallback > 0 && ` · ${group.usingFallback} without a timezone`}
+                      </p>
+                    </div>
+                    <div className="text-right shrink-0">
+                      {group.waiting ? (
+                        <>
+                          <p className="text-stone-700">{formatInTimezone(group.firstSendAt, group.timezone)}</p>
+                          {group.timezone !== localTimezone && (
+                            <p className="text-xs text-stone-500">{formatInTimezone(group.firstSendAt, localTimezone)}</p>
+                          )}
+                        </>
+                      ) : (
+                        <Badge variant="success">Sends right away</Badge>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-stone-500 mt-2">
+                Sending pauses outside the window and resumes when it opens again.
+              </p>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-stone-500 mt-3">
+          Without a window, emails go out around the clock as soon as the campaign starts.
+        </p>
+      )}
+    </Card>
+  );
+}
+
+// Unsubscribe Settings Component
+function UnsubscribeCard({
+  footerEnabled,
+  onFooterEnabledChange,
+  footer,
+  onFooterChange,
+  headers,
+  onHeadersChange,
+  templatesWithoutLink,
+  disabled,
+}) {
+  const footerError = validateUnsubscribeSettings({ footerEnabled, footer });
+
+  return (
+    <Card>
+      <h3 className="text-lg font-semibold text-stone-900 mb-4 flex items-center gap-2">
+        <MailX className="w-5 h-5 text-stone-600" />
+        Unsubscribe
+      </h3>
+
+      <div className="space-y-3">
+        <label className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={headers}
+            onChange={(e) => onHeadersChange(e.target.checked)}
+            className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-stone-500"
+            disabled={disabled}
+          />
+          Send one-click unsubscribe headers (required by Gmail and Yahoo for bulk senders)
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-stone-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={footerEnabled}
+            onChange={(e) => onFooterEnabledChange(e.target.checked)}
+            className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-stone-500"
+            disabled={disabled}
+          />
+          Add an unsubscribe footer to templates without {'{{unsubscribeLink}}'}
+        </label>
+
+        {footerEnabled && (
+          <div>
+            <textarea
+              rows={2}
+              value={footer}
+              onChange={(e) => onFooterChange(e.target.value)}
+              className={`w-full px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-stone-500 focus:border-stone-500 resize-none ${
+                footerError ? 'border-red-300' : 'border-stone-300'
+              }`}
+              disabled={disabled}
+              aria-label="Unsubscribe footer"
+            />
+            {footerError ? (
+              <p className="text-xs text-red-600 mt-1">{footerError}</p>
+            ) : (
+              <p className="text-xs text-stone-500 mt-1">
+                {templatesWithoutLink > 0
+                  ? `Added to ${templatesWithoutLink} selected template${templatesWithoutLink !== 1 ? 's' : ''} without the link, and to any such follow-ups.`
+                  : 'Every selected template already includes the link, so no footer is added.'}
+              </p>
+            )}
+          </div>
+        )}
+
+        {!footerEnabled && templatesWithoutLink > 0 && (
+          <p className="text-xs text-amber-700 flex items-center gap-1">
+            <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+            {templatesWithoutLink} selected template{templatesWithoutLink !== 1 ? 's have' : ' has'} no {'{{unsubscribeLink}}'}; recipients will have no link to opt out.
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+// Audience Picker Component
+function AudiencePicker({ lists, segments, counts, audience, onChange, selectedCount, suppressedCount, totalCount, disabled }) {
+  const sources = [
+    ...lists.map(list => ({ kind: 'lists', excludeKind: 'excludeLists', id: list.id, name: list.name, count: counts.lists[list.id] || 0, icon: List })),
+    ...segments.map(segment => ({ kind: 'segments', excludeKind: 'excludeSegments', id: segment.id, name: segment.name, count: counts.segments[segment.id] || 0, icon: Filter })),
+  ];
+
+  // A source is either included, excluded or unused; picking it in one group removes it from the other
+  function toggle(source, group) {
+    const key = group === 'include' ? source.kind : source.excludeKind;
+    const otherKey = group === 'include' ? source.excludeKind : source.kind;
+    const selected = audience[key].includes(source.id);
+    onChange({
+      ...audience,
+      [key]: selected ? audience[key].filter(id => id !== source.id) : [...audience[key], source.id],
+      [otherKey]: audience[otherKey].filter(id => id !== source.id),
+    });
+  }
+
+  const renderGroup = (group) => sources.map(source => {
+    const key = group === 'include' ? source.kind : source.excludeKind;
+    const active = audience[key].includes(source.id);
+    const Icon = source.icon;
+    return (
+      <button
+        key={`${group}-${source.kind}-${source.id}`}
+        onClick={() => toggle(source, group)}
+        disabled={disabled}
+        className={`inline-flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors disabled:opacity-60 disabled:cursor-not-allowed ${
+          active
+            ? group === 'include' ? 'bg-stone-900 text-white border-stone-900' : 'bg-red-600 text-white border-red-600'
+            : 'bg-white text-stone-600 border-stone-200 hover:bg-stone-50'
+        }`}
+      >
+        <Icon className="w-3.5 h-3.5" />
+        {source.name} ({source.count})
+      </button>
+    );
+  });
+
+  return (
+    <Card>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-stone-900 flex items-center gap-2">
+          <Users className="w-5 h-5 text-stone-600" />
+          Audience
+        </h3>
+        <span className="text-sm text-stone-500">
+          <strong className="text-stone-900">{selectedCount}</strong> of {totalCount} contacts
+        </span>
+      </div>
+
+      {suppressedCount > 0 && (
+        <p className="flex items-center gap-2 text-sm text-amber-700 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2 mb-4">
+          <ShieldOff className="w-4 h-4 flex-shrink-0" />
+          {suppressedCount} suppressed contact{suppressedCount !== 1 ? 's' : ''} will be skipped.
+        </p>
+      )}
+
+      {sources.length === 0 ? (
+        <p className="text-sm text-stone-500">
+          Sending to all contacts. Create lists or segments on the Contacts page to target a subset.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          <div>
+            <p className="text-sm font-medium text-stone-700 mb-2">Send to</p>
+            <div className="flex flex-wrap gap-2">{renderGroup('include')}</div>
+            {!audience.lists.length && !audience.segments.length && (
+              <p className="text-xs text-stone-500 mt-2">Nothing picked — the campaign goes to all contacts.</p>
+            )}
+          </div>
+          <div>
+            <p className="text-sm font-medium text-stone-700 mb-2">Exclude</p>
+            <div className="flex flex-wrap gap-2">{renderGroup('exclude')}</div>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Pre-flight Dialog Component - render problems per contact, each fixed in place or excluded
+function PreflightDialog({ isOpen, onClose, results, totalCount, onFix, onExclude, onEditTemplates, onStart, startLabel }) {
+  const hasTemplateIssues = results.some(result => result.issues.some(issue => issue.type === 'unknown'));
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Pre-flight check" size="lg">
+      {results.length === 0 ? (
+        <div className="text-center py-6">
+          <CheckCircle className="w-10 h-10 mx-auto text-green-500 mb-3" />
+          <p className="font-medium text-stone-900">
+            All {totalCount} contact{totalCount !== 1 ? 's' : ''} render cleanly
+          </p>
+          <p className="text-sm text-stone-500 mt-1">Every variable is filled in for every email in the sequence.</p>
+          <Button onClick={onStart} className="mt-5">
+            <Play className="w-4 h-4 mr-2" />
+            {startLabel}
+          </Button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex items-start gap-3">
+            <ClipboardCheck className="w-5 h-5 text-amber-500 mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-stone-600">
+              {results.length} of {totalCount} contact{totalCount !== 1 ? 's' : ''} would receive an email with missing
+              or broken personalization. Fix each one or exclude it from this campaign before starting.
+            </p>
+          </div>
+
+          <div className="flex flex-wrap gap-2">
+            <Button size="sm" variant="secondary" onClick={() => onExclude(results.map(result => result.contact.email))}>
+              Exclude all {results.length}
+            </Button>
+            {hasTemplateIssues && (
+              <Button size="sm" variant="secondary" onClick={onEditTemplates}>
+                <FileText className="w-4 h-4 mr-1.5" />
+                Edit templates
+              </Button>
+            )}
+          </div>
+
+          <div className="max-h-[50vh] overflow-y-auto border border-stone-200 rounded-lg divide-y divide-stone-100">
+            {results.slice(0, PREFLIGHT_ROW_LIMIT).map(({ contact, issues }) => (
+              <PreflightRow
+                key={contact.id || contact.email}
+                contact={contact}
+                issues={issues}
+                onFix={onFix}
+                onExclude={() => onExclude([contact.email])}
+              />
+            ))}
+            {results.length > PREFLIGHT_ROW_LIMIT && (
+              <p className="px-4 py-3 text-xs text-stone-500">
+                And {results.length - PREFLIGHT_ROW_LIMIT} more. Fix or exclude these to see the rest.
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
+
+// Pre-flight Row Component - one contact's problems, with inline fields for the fixable ones
+function PreflightRow({ contact, issues, onFix, onExclude }) {
+  // Empty fields and fields holding stray {{...}} tags can be edited here
+  const columns = [...new Set(issues.filter(issue => issue.type !== 'unknown' && issue.column).map(issue => issue.column))];
+  const [editing, setEditing] = useState(false);
+  const [values, setValues] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  function startEditing() {
+    setValues(Object.fromEntries(columns.map(column => [column, getContactColumnValue(contact, column)])));
+    setError('');
+    setEditing(true);
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError('');
+    try {
+      await onFix(contact, values);
+      setEditing(false);
+    } catch (err) {
+      setError(err.message || 'Failed to update contact');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="px-4 py-3">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-stone-900 truncate">{contact.email}</p>
+          <div className="flex flex-wrap gap-1.5 mt-1.5">
+            {issues.map(issue => (
+              <Badge
+                key={`${issue.type}:${issue.key}:${issue.column}`}
+                variant={PREFLIGHT_ISSUES[issue.type].variant}
+                size="xs"
+              >
+                <span title={issue.where.join(', ')}>{PREFLIGHT_ISSUES[issue.type].describe(issue)}</span>
+              </Badge>
+            ))}
+          </div>
+          <p className="text-xs text-stone-400 mt-1 truncate">
+            In {[...new Set(issues.flatMap(issue => issue.where))].join(', ')}
+          </p>
+        </div>
+        <div className="flex gap-2 flex-shrink-0">
+          {columns.length > 0 && !editing && (
+            <Button size="sm" variant="secondary" onClick={startEditing}>Fix</Button>
+          )}
+          <Button size="sm" variant="ghost" onClick={onExclude}>Exclude</Button>
+        </div>
+      </div>
+
+      {editing && (
+        <div className="mt-3 bg-stone-50 rounded-lg p-3 space-y-3">
+          <div className="grid gap-3 sm:grid-cols-2">
+            {columns.map(column => (
+              <Input
+                key={column}
+                label={column.replace(/^custom_fields\./, '')}
+                value={values[column] ?? ''}
+                onChange={(e) => setValues(prev => ({ ...prev, [column]: e.target.value }))}
+              />
+            ))}
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <div className="flex justify-end gap-2">
+            <Button size="sm" variant="secondary" onClick={() => setEditing(false)} disabled={saving}>Cancel</Button>
+            <Button size="sm" onClick={handleSave} loading={saving}>Save contact</Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// AI Intro Review Component - generate {{aiIntro}} per contact in batches, then edit and approve in a grid
+function AiIntroReviewModal({ contacts, onSaved, onClose }) {
+  const { user } = useAuth();
+  const [filter, setFilter] = useState('all');
+  const [limit, setLimit] = useState(INTRO_PAGE_SIZE);
+  const [drafts, setDrafts] = useState({}); // contact id → edited text
+  const [progress, setProgress] = useState(null); // { done, total } while generating
+  const [busyIds, setBusyIds] = useState([]);
+  const [error, setError] = useState('');
+
+  const counts = countAiIntroStatuses(contacts);
+  const visible = contacts.filter(contact => filter === 'all' || getAiIntroStatus(contact) === filter);
+  const generating = progress !== null;
+
+  // Rows saved before a failed chunk still reach the page, so the grid matches the database
+  async function save(intros, options) {
+    let rows;
+    try {
+      rows = await contactsService.saveAiIntros(intros, options);
+    } catch (err) {
+      if (err.saved?.length) applySaved(err.saved);
+      throw err;
+    }
+    applySaved(rows);
+  }
+
+  function applySaved(rows) {
+    onSaved(rows);
+    setDrafts(prev => {
+      const next = { ...prev };
+      for (const { id } of rows) delete next[id];
+      return next;
+    });
+  }
+
+  // Generate intros batch by batch; each batch is saved as soon as it comes back
+  async function generate(targets) {
+    setError('');
+    setProgress({ done: 0, total: targets.length });
+    try {
+      let done = 0;
+      for (const batch of toAiIntroBatches(targets)) {
+        const response = await aiAPI.generateIntros({
+          contacts: batch.map(buildAiIntroRequest),
+          maxLength: AI_INTRO_MAX_LENGTH,
+          userId: user?.id,
+        });
+        if (!response.success || !Array.isArray(response.intros)) {
+          throw new Error(response.error || 'Failed to generate opening lines');
+        }
+
+        const byEmail = new Map(response.intros.map(item => [String(item.email || '').toLowerCase(), item.intro]));
+        const intros = batch
+          .map(contact => ({
+            id: contact.id,
+            intro: String(byEmail.get(contact.email.toLowerCase()) || '').trim().slice(0, AI_INTRO_MAX_LENGTH),
+            status: 'pending',
+          }))
+          .filter(item => item.intro);
+        if (intros.length > 0) await save(intros, { generated: true });
+
+        done += batch.length;
+        setProgress({ done, total: targets.length });
+      }
+    } catch (err) {
+      setError(err.message || 'AI generation failed. Please try again.');
+    } finally {
+      setProgress(null);
+    }
+  }
+
+  async function saveRow(contact, status) {
+    const intro = (drafts[contact.id] ?? contact.ai_intro ?? '').trim();
+    setBusyIds(prev => [...prev, contact.id]);
+    setError('');
+    try {
+      await save([{ id: contact.id, intro, status }]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyIds(prev => prev.filter(id => id !== contact.id));
+    }
+  }
+
+  // Pending lines and any edited in the grid, approved as shown; emptied lines are left alone
+  const approvable = contacts
+    .filter(contact => getAiIntroStatus(contact) === 'pending' || drafts[contact.id] !== undefined)
+    .map(contact => ({ id: contact.id, intro: (drafts[contact.id] ?? contact.ai_intro ?? '').trim() }))
+    .filter(item => item.intro);
+
+  async function approveAll() {
+    setBusyIds(approvable.map(item => item.id));
+    setError('');
+    try {
+      await save(approvable.map(item => ({ ...item, status: 'approved' })));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyIds([]);
+    }
+  }
+
+  return (
+    <Modal isOpen onClose={generating ? () => {} : onClose} title="AI Opening Lines" size="xl">
+      <div className="space-y-4">
+        <p className="text-sm text-stone-500">
+          The AI writes one opening line per contact from their company, website and custom fields.
+          Edit any line, then approve it; only approved lines are sent.
+        </p>
+
+        {error && <Alert type="error" message={error} />}
+
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex flex-wrap gap-1">
+            {INTRO_FILTERS.map(item => (
+              <button
+                key={item.value}
+                onClick={() => {
+                  setFilter(item.value);
+                  setLimit(INTRO_PAGE_SIZE);
+                }}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  filter === item.value ? 'bg-stone-900 text-white' : 'text-stone-600 hover:bg-stone-100'
+                }`}
+              >
+                {item.label} ({item.value === 'all' ? contacts.length : counts[item.value]})
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={approveAll}
+              disabled={generating || approvable.length === 0 || busyIds.length > 0}
+            >
+              <CheckCircle className="w-4 h-4 mr-1" />
+              Approve All ({approvable.length})
+            </Button>
+            <Button
+              size="sm"
+              onClick={() => generate(contacts.filter(contact => getAiIntroStatus(contact) === 'missing'))}
+              disabled={generating || counts.missing === 0}
+              className="bg-purple-600 hover:bg-purple-700"
+            >
+              <Sparkles className="w-4 h-4 mr-1" />
+              Generate Missing ({counts.missing})
+            </Button>
+          </div>
+        </div>
+
+        {generating && (
+          <div className="flex items-center gap-2 text-sm text-purple-700">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Generating {progress.done} of {progress.total}...
+          </div>
+        )}
+
+        <div className="border border-stone-200 rounded-lg overflow-auto max-h-[28rem]">
+          <table className="w-full">
+            <thead className="sticky top-0 bg-white">
+              <tr className="border-b border-stone-200">
+                <th className="text-left py-2 px-3 text-sm font-medium text-stone-500 w-1/4">Contact</th>
+                <th className="text-left py-2 px-3 text-sm font-medium text-stone-500">Opening line</th>
+                <th className="text-left py-2 px-3 text-sm font-medium text-stone-500 w-44">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-stone-100">
+              {visible.slice(0, limit).map(contact => {
+                const status = getAiIntroStatus(contact);
+                const draft = drafts[contact.id];
+                const text = draft ?? contact.ai_intro ?? '';
+                const edited = draft !== undefined && draft !== (contact.ai_intro ?? '');
+                const busy = busyIds.includes(contact.id);
+                return (
+                  <tr key={contact.id} className="align-top">
+                    <td className="py-2 px-3">
+                      <p className="text-sm font-medium text-stone-900 break-all">{contact.email}</p>
+                      <p className="text-xs text-stone-500 break-all">{[contact.company, contact.website].filter(Boolean).join(' · ') || 'No company or website'}</p>
+                    </td>
+                    <td className="py-2 px-3">
+                      <textarea
+                        value={text}
+                        onChange={(e) => setDrafts(prev => ({ ...prev, [contact.id]: e.target.value }))}
+                        rows={2}
+                        maxLength={AI_INTRO_MAX_LENGTH}
+                        placeholder="Not generated yet"
+                        disabled={generating || busy}
+                        className="w-full px-2 py-1.5 border border-stone-300 rounded-lg text-sm resize-y focus:ring-2 focus:ring-stone-500 focus:border-stone-500"
+                        aria-label={`Opening line for ${contact.email}`}
+                      />
+                    </td>
+                    <td className="py-2 px-3 space-y-2">
+                      <Badge variant={status === 'approved' && !edited ? 'success' : status === 'pending' || edited ? 'warning' : 'default'} size="xs">
+                        {edited ? 'Edited' : status === 'approved' ? 'Approved' : status === 'pending' ? 'Awaiting review' : 'Not generated'}
+                      </Badge>
+                      <div className="flex flex-wrap gap-1">
+                        {(status !== 'approved' || edited) && text.trim() && (
+                          <Button size="sm" variant="outline" onClick={() => saveRow(contact, 'approved')} loading={busy} disabled={generating}>
+                            Approve
+                          </Button>
+                        )}
+                        <Button
+                          size="sm"
+                          variant="secondary"
+                          onClick={() => generate([contact])}
+                          disabled={generating || busy}
+                          title="Write a new opening line"
+                        >
+                          <Repeat className="w-3.5 h-3.5" />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {visible.length === 0 && (
+            <p className="text-sm text-stone-500 text-center py-6">No contacts in this view.</p>
+          )}
+        </div>
+
+        {visible.length > limit && (
+          <button
+            onClick={() => setLimit(prev => prev + INTRO_PAGE_SIZE)}
+            className="text-sm font-medium text-stone-600 hover:text-stone-900"
+          >
+            Show {Math.min(INTRO_PAGE_SIZE, visible.length - limit)} more of {visible.length - limit}
+          </button>
+        )}
+
+        <div className="flex justify-between items-center gap-3">
+          <p className="text-sm text-stone-600">
+            {counts.approved} of {contacts.length} approved
+          </p>
+          <Button variant="secondary" onClick={onClose} disabled={generating}>
+            Done
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
@@ -1,26 +1,52 @@
-import { useCallback, useEffect, useState } from 'react';
-import { Save, Eye, EyeOff, CheckCircle, AlertCircle, Shield, Server, Key, User, Info, Trash2, Cloud, Globe, Search, ExternalLink, XCircle, Loader2, RefreshCw, Clock } from 'lucide-react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Save, Eye, EyeOff, CheckCircle, AlertCircle, Shield, Server, Key, User, Info, Trash2, Cloud, Globe, Search, ExternalLink, XCircle, Loader2, RefreshCw, Clock, Gauge, Users, Plus } from 'lucide-react';
 import { Card, Button, Input, Alert, Badge, ConfirmDialog } from '../components/UI';
 import { smtpService } from '../services/supabase';
 import { useAuth } from '../context/AuthContext';
-import { checkAllDNS, getProviderInstructions } from '../utils';
+import { checkAllDNS, getProviderInstructions, getTimezones, getLocalTimezone, parseCap, getCapStatus, formatInTimezone } from '../utils';
+
+// Blank form for a new sender account
+const emptySender = () => ({
+  label: '',
+  smtpHost: '',
+  smtpPort: '587',
+  emailUser: '',
+  emailPass: '',
+  senderName: 'Support Team',
+  dailyCap: '',
+  hourlyCap: '',
+  capTimezone: getLocalTimezone(),
+  weight: '1',
+});
+
+// Form values for an existing sender account
+const toSenderForm = (sender) => ({
+  label: sender.label || '',
+  smtpHost: sender.smtpHost || '',
+  smtpPort: sender.smtpPort || '587',
+  emailUser: sender.emailUser || '',
+  emailPass: sender.emailPass || '',
+  senderName: sender.senderName || 'Support Team',
+  dailyCap: sender.dailyCap ? String(sender.dailyCap) : '',
+  hourlyCap: sender.hourlyCap ? String(sender.hourlyCap) : '',
+  capTimezone: sender.capTimezone || getLocalTimezone(),
+  weight: String(sender.weight || 1),
+});
+
+const isUsableSender = (sender) => !!(sender.smtpHost && sender.emailUser && sender.emailPass);
 
 export default function Settings() {
   const { user } = useAuth();
-  const [config, setConfig] = useState({
-    smtpHost: '',
-    smtpPort: '587',
-    emailUser: '',
-    emailPass: '',
-    senderName: 'Support Team',
-  });
+  const [senders, setSenders] = useState([]);
+  const [editingId, setEditingId] = useState(null); // null = adding a new sender
+  const [config, setConfig] = useState(emptySender);
+  const [sendVolume, setSendVolume] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
   const [saving, setSaving] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
-  const [configured, setConfigured] = useState(false);
-  const [clearConfirm, setClearConfirm] = useState(false);
+  const [deleteConfirm, setDeleteConfirm] = useState(false);
   const [secureConnection, setSecureConnection] = useState(true);
   
   // DNS Checker state
@@ -29,7 +55,25 @@ export default function Settings() {
   const [dnsError, setDnsError] = useState('');
   const [showInstructions, setShowInstructions] = useState(null);
 
-  const loadConfig = useCallback(async () => {
+  const configured = senders.some(isUsableSender);
+
+  // Load a sender into the form, with its current usage against the caps
+  const selectSender = useCallback(async (sender) => {
+    setEditingId(sender?.id || null);
+    setConfig(sender ? toSenderForm(sender) : emptySender());
+    setSendVolume(null);
+    setDnsResults(null);
+
+    if (sender && (sender.dailyCap || sender.hourlyCap)) {
+      try {
+        setSendVolume(await smtpService.getSendVolume(sender.capTimezone, sender.id));
+      } catch (err) {
+        console.error('Failed to load send volume:', err);
+      }
+    }
+  }, []);
+
+  const loadConfig = useCallback(async (selectId) => {
     if (!user) {
       setLoading(false);
       return;
@@ -37,23 +81,17 @@ export default function Settings() {
     
     try {
       setLoading(true);
-      const creds = await smtpService.get();
-      if (creds) {
-        setConfig({
-          smtpHost: creds.smtpHost || '',
-          smtpPort: creds.smtpPort || '587',
-          emailUser: creds.emailUser || '',
-          emailPass: creds.emailPass || '',
-          senderName: creds.senderName || 'Support Team',
-        });
-        setConfigured(!!(creds.smtpHost && creds.emailUser && creds.emailPass));
-      }
+      const all = await smtpService.getAll();
+      setSenders(all);
+      // Keep editing the same sender after a save; otherwise start with the default
+      const selected = all.find(sender => sender.id === selectId) || all[0] || null;
+      await selectSender(selected);
     } catch (err) {
       console.error('Failed to load SMTP config:', err);
     } finally {
       setLoading(false);
     }
-  }, [user]);
+  }, [user, selectSender]);
 
   useEffect(() => {
     loadConfig();
@@ -84,13 +122,28 @@ export default function Settings() {
       return;
     }
 
+    const dailyCap = parseCap(config.dailyCap);
+    const hourlyCap = parseCap(config.hourlyCap);
+    if (dailyCap && hourlyCap && hourlyCap > dailyCap) {
+      setError('Hourly cap cannot be higher than the daily cap');
+      return;
+    }
+
     setSaving(true);
     setError('');
 
     try {
-      await smtpService.save(config);
-      setSuccess('Settings saved successfully! Your SMTP configuration is securely stored and accessible from all your devices.');
-      setConfigured(true);
+      const saved = await smtpService.save({
+        ...config,
+        id: editingId,
+        dailyCap,
+        hourlyCap,
+        weight: parseCap(config.weight) || 1,
+      });
+      setSuccess(editingId
+        ? 'Settings saved successfully! Your SMTP configuration is securely stored and accessible from all your devices.'
+        : `Sender ${saved.emailUser} added.`);
+      await loadConfig(saved.id);
     } catch (err) {
       console.error('Save error:', err);
       setError('Failed to save settings: ' + err.message);
@@ -99,27 +152,29 @@ export default function Settings() {
     }
   }
 
-  function handleClear() {
-    setClearConfirm(true);
+  async function handleSetDefault(sender) {
+    try {
+      await smtpService.setDefault(sender.id);
+      await loadConfig(editingId);
+      setSuccess(`${sender.emailUser} is now the default sender`);
+    } catch (err) {
+      setError('Failed to set default sender: ' + err.message);
+    }
+  }
+
+  function handleDelete() {
+    setDeleteConfirm(true);
   }
 
-  async function confirmClear() {
+  async function confirmDelete() {
     try {
-      await smtpService.delete();
-      setConfig({
-        smtpHost: '',
-        smtpPort: '587',
-        emailUser: '',
-        emailPass: '',
-        senderName: 'Support Team',
-      });
-      setConfigured(false);
-      setDnsResults(null);
-      setSuccess('Credentials cleared');
+      await smtpService.delete(editingId);
+      await loadConfig();
+      setSuccess('Sender removed');
     } catch {
-      setError('Failed to clear credentials');
+      setError('Failed to remove sender');
     }
-    setClearConfirm(false);
+    setDeleteConfirm(false);
   }
 
   // DNS Checker function
@@ -209,20 +264,38 @@ export default function Settings() {
               </div>
             </div>
 
+            {/* Sender Accounts */}
+            <SenderAccounts
+              senders={senders}
+              editingId={editingId}
+              onSelect={selectSender}
+              onAdd={() => selectSender(null)}
+              onSetDefault={handleSetDefault}
+            />
+
             <form onSubmit={handleSave} className="space-y-6">
             {/* Sender Info Section */}
               <div>
                 <h4 className="text-sm font-semibold text-stone-900 mb-4 flex items-center gap-2">
                   <User className="w-4 h-4 text-stone-500" />
-                  Sender Information
+                  {editingId ? 'Sender Information' : 'New Sender'}
                 </h4>
-                <Input
-                  label="Sender Name"
-                  placeholder="e.g., Support Team, Your Company"
-                  value={config.senderName}
-                  onChange={(e) => setConfig({ ...config, senderName: e.target.value })}
-                  hint="This name will appear as the sender in recipients' inboxes"
-                />
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <Input
+                    label="Sender Name"
+                    placeholder="e.g., Support Team, Your Company"
+                    value={config.senderName}
+                    onChange={(e) => setConfig({ ...config, senderName: e.target.value })}
+                    hint="This name will appear as the sender in recipients' inboxes"
+                  />
+                  <Input
+                    label="Account Label (optional)"
+                    placeholder="e.g., Sales inbox 2"
+                    value={config.label}
+                    onChange={(e) => setConfig({ ...config, label: e.target.value })}
+                    hint="Only shown to you, to tell sender accounts apart"
+                  />
+                </div>
               </div>
 
               {/* Server Settings Section */}
@@ -293,15 +366,22 @@ export default function Settings() {
                 </div>
               </div>
 
+              {/* Sending Limits Section */}
+              <SendingLimits
+                config={config}
+                onChange={(changes) => setConfig({ ...config, ...changes })}
+                volume={sendVolume}
+              />
+
               <div className="pt-6 border-t border-stone-100 flex flex-wrap gap-3">
                 <Button type="submit" loading={saving}>
                   <Save className="w-4 h-4 mr-2" aria-hidden="true" />
-                  Save Configuration
+                  {editingId ? 'Save Configuration' : 'Add Sender'}
                 </Button>
-                {configured && (
-                  <Button type="button" variant="outline" onClick={handleClear}>
+                {editingId && (
+                  <Button type="button" variant="outline" onClick={handleDelete}>
                     <Trash2 className="w-4 h-4 mr-2" aria-hidden="true" />
-                    Clear Credentials
+                    Remove Sender
                   </Button>
                 )}
               </div>
@@ -555,18 +635,160 @@ export default function Settings() {
 
       {/* Clear Credentials Confirmation */}
       <ConfirmDialog
-        isOpen={clearConfirm}
-        onClose={() => setClearConfirm(false)}
-        onConfirm={confirmClear}
-        title="Clear Credentials"
-        message="Are you sure you want to clear your SMTP credentials? You'll need to reconfigure them to send emails."
-        confirmText="Clear"
+        isOpen={deleteConfirm}
+        onClose={() => setDeleteConfirm(false)}
+        onConfirm={confirmDelete}
+        title="Remove Sender"
+        message={`Are you sure you want to remove ${config.emailUser || 'this sender'}? Campaigns will no longer be able to send from it.`}
+        confirmText="Remove"
         variant="danger"
       />
     </div>
   );
 }
 
+// Sender Accounts Component
+function SenderAccounts({ senders, editingId, onSelect, onAdd, onSetDefault }) {
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-sm font-semibold text-stone-900 flex items-center gap-2">
+          <Users className="w-4 h-4 text-stone-500" />
+          Sender Accounts
+        </h4>
+        <Button type="button" variant="outline" size="sm" onClick={onAdd}>
+          <Plus className="w-4 h-4 mr-1" />
+          Add Sender
+        </Button>
+      </div>
+
+      {senders.length === 0 ? (
+        <p className="text-sm text-stone-500">
+          No sender accounts yet. Fill in the form below to add your first one.
+        </p>
+      ) : (
+        <div className="border border-stone-200 rounded-lg divide-y divide-stone-100">
+          {senders.map(sender => (
+            <div
+              key={sender.id}
+              className={`flex items-center gap-3 px-3 py-2.5 ${editingId === sender.id ? 'bg-stone-50' : ''}`}
+            >
+              <button
+                type="button"
+                onClick={() => onSelect(sender)}
+                className="flex-1 min-w-0 text-left"
+                aria-current={editingId === sender.id}
+              >
+                <p className="text-sm font-medium text-stone-900 truncate">{sender.label || sender.emailUser}</p>
+                <p className="text-xs text-stone-500 truncate">
+                  {sender.label ? `${sender.emailUser} · ` : ''}{sender.smtpHost}
+                  {sender.dailyCap && ` · ${sender.dailyCap}/day`}
+                  {sender.hourlyCap && ` · ${sender.hourlyCap}/hour`}
+                </p>
+              </button>
+              {!sender.emailPass && (
+                <Badge variant="warning">No password on this device</Badge>
+              )}
+              {sender.isDefault ? (
+                <Badge variant="success">Default</Badge>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onSetDefault(sender)}
+                  className="text-xs text-stone-500 hover:text-stone-900"
+                >
+                  Make default
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Sending Limits Component
+function SendingLimits({ config, onChange, volume }) {
+  const timezones = useMemo(() => getTimezones(), []);
+  const dailyCap = parseCap(config.dailyCap);
+  const hourlyCap = parseCap(config.hourlyCap);
+  const capStatus = volume
+    ? getCapStatus({ dailyCap, hourlyCap, timeZone: config.capTimezone }, volume)
+    : null;
+
+  return (
+    <div className="pt-4 border-t border-stone-100">
+      <h4 className="text-sm font-semibold text-stone-900 mb-4 flex items-center gap-2">
+        <Gauge className="w-4 h-4 text-stone-500" />
+        Sending Limits
+      </h4>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Input
+          label="Daily Cap"
+          type="number"
+          min="1"
+          placeholder="No limit"
+          value={config.dailyCap}
+          onChange={(e) => onChange({ dailyCap: e.target.value })}
+        />
+        <Input
+          label="Hourly Cap"
+          type="number"
+          min="1"
+          placeholder="No limit"
+          value={config.hourlyCap}
+          onChange={(e) => onChange({ hourlyCap: e.target.value })}
+        />
+        <div>
+          <label className="block text-sm font-medium text-stone-700 mb-1.5">
+            Day Resets In
+          </label>
+          <select
+            value={config.capTimezone}
+            onChange={(e) => onChange({ capTimezone: e.target.value })}
+            className="w-full px-4 py-2.5 border border-stone-300 rounded-lg text-stone-900 bg-white text-sm"
+          >
+            {timezones.map(tz => (
+              <option key={tz} value={tz}>{tz}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-stone-500 flex items-center gap-1">
+        <Info className="w-3.5 h-3.5" />
+        Caps apply across all campaigns. Emails over the cap wait for the next hour or day.
+      </p>
+      <Input
+        className="mt-4 md:w-1/3"
+        label="Rotation Weight"
+        type="number"
+        min="1"
+        value={config.weight}
+        onChange={(e) => onChange({ weight: e.target.value })}
+        hint="With weighted rotation, a sender with weight 2 sends twice as many emails as one with weight 1"
+      />
+
+      {volume && (dailyCap || hourlyCap) && (
+        <div className={`mt-3 p-3 rounded-lg border text-sm ${
+          capStatus ? 'bg-amber-50 border-amber-200 text-amber-700' : 'bg-stone-50 border-stone-200 text-stone-600'
+        }`}>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {dailyCap && <span>Today: <strong>{volume.sentToday}</strong> / {dailyCap}</span>}
+            {hourlyCap && <span>This hour: <strong>{volume.sentThisHour}</strong> / {hourlyCap}</span>}
+          </div>
+          {capStatus && (
+            <p className="mt-1 flex items-center gap-1">
+              <Clock className="w-3.5 h-3.5" />
+              {capStatus.reason === 'daily_cap' ? 'Daily' : 'Hourly'} cap reached, resumes at {formatInTimezone(capStatus.resumesAt)}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Setup Step Component
 function SetupStep({ number, title, description, completed }) {
   return (
@@ -0,0 +1,461 @@
+import { useEffect, useState, useRef, useMemo, useCallback } from 'react';
+import { Plus, Trash2, Upload, Search, ShieldOff, Mail, Globe, Download, AlertCircle } from 'lucide-react';
+import { Card, Button, Input, Modal, Alert, Badge, ConfirmDialog, PageLoader } from '../components/UI';
+import { unsubscribedService } from '../services/supabase';
+import {
+  useDebounce,
+  normalizeSuppressionEntry,
+  parseSuppressionList,
+  toCSV,
+  downloadFile,
+} from '../utils';
+
+const KIND_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'email', label: 'Addresses' },
+  { value: 'domain', label: 'Domains' },
+];
+
+function formatDate(value) {
+  if (!value) return '-';
+  return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+export default function Suppression() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [kindFilter, setKindFilter] = useState('all');
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const [newEntry, setNewEntry] = useState({ value: '', reason: '' });
+  const [importModal, setImportModal] = useState({ open: false, text: '', reason: '' });
+  const [removeConfirm, setRemoveConfirm] = useState({ open: false, id: null, value: null });
+  const fileInputRef = useRef(null);
+
+  const debouncedSearch = useDebounce(searchTerm, 300);
+
+  // Auto-dismiss messages
+  useEffect(() => {
+    if (error || success) {
+      const timer = setTimeout(() => {
+        setError('');
+        setSuccess('');
+      }, 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [error, success]);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setEntries(await unsubscribedService.getAll());
+    } catch (err) {
+      setError('Failed to load suppression list: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const kindCounts = useMemo(() => ({
+    all: entries.length,
+    email: entries.filter(entry => entry.kind !== 'domain').length,
+    domain: entries.filter(entry => entry.kind === 'domain').length,
+  }), [entries]);
+
+  const visibleEntries = useMemo(() => {
+    const term = debouncedSearch.trim().toLowerCase();
+    return entries
+      .filter(entry => kindFilter === 'all' || (entry.kind || 'email') === kindFilter)
+      .filter(entry => !term
+        || entry.email.includes(term)
+        || (entry.reason || '').toLowerCase().includes(term));
+  }, [entries, kindFilter, debouncedSearch]);
+
+  // Preview of what the import will add
+  const importPreview = useMemo(() => parseSuppressionList(importModal.text), [importModal.text]);
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    const entry = normalizeSuppressionEntry(newEntry.value);
+    if (!entry) {
+      setError('Enter a valid email address or domain (e.g. name@example.com or example.com)');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await unsubscribedService.add(entry.value, newEntry.reason.trim() || 'Added manually');
+      await loadEntries();
+      setSuccess(entry.kind === 'domain'
+        ? `Suppressed every address at ${entry.value}`
+        : `Suppressed ${entry.value}`);
+      setNewEntry({ value: '', reason: '' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleImport() {
+    const { entries: parsed } = importPreview;
+    if (parsed.length === 0) {
+      setError('No valid addresses or domains to import');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const existing = new Set(entries.map(entry => entry.email));
+      const added = parsed.filter(entry => !existing.has(entry.value));
+      if (added.length > 0) {
+        await unsubscribedService.bulkAdd(added, importModal.reason.trim() || 'Imported');
+      }
+      await loadEntries();
+
+      const alreadyListed = parsed.length - added.length;
+      setSuccess(`Imported ${added.length} entr${added.length !== 1 ? 'ies' : 'y'}` +
+        (alreadyListed > 0 ? ` (${alreadyListed} already on the list)` : ''));
+      setImportModal({ open: false, text: '', reason: '' });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function handleFileSelect(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      setImportModal(prev => ({ ...prev, text: prev.text ? `${prev.text}\n${text}` : text }));
+    } catch (err) {
+      setError('Failed to read file: ' + err.message);
+    }
+    e.target.value = '';
+  }
+
+  async function handleRemove() {
+    const ids = removeConfirm.id === 'selected' ? selectedIds : [removeConfirm.id];
+    try {
+      await unsubscribedService.deleteMany(ids);
+      await loadEntries();
+      setSuccess(ids.length === 1 && removeConfirm.value
+        ? `${removeConfirm.value} can be emailed again`
+        : `Removed ${ids.length} entr${ids.length !== 1 ? 'ies' : 'y'}`);
+      setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRemoveConfirm({ open: false, id: null, value: null });
+    }
+  }
+
+  function handleExport() {
+    const csv = toCSV([
+      { header: 'Email', value: entry => entry.email },
+      { header: 'Type', value: entry => entry.kind || 'email' },
+      { header: 'Reason', value: entry => entry.reason },
+      { header: 'Added', value: entry => entry.unsubscribed_at },
+    ], entries);
+    downloadFile(csv, `suppression_list_${new Date().toISOString().split('T')[0]}.csv`);
+  }
+
+  function toggleSelectAll() {
+    if (selectedIds.length === visibleEntries.length) {
+      setSelectedIds([]);
+    } else {
+      setSelectedIds(visibleEntries.map(entry => entry.id));
+    }
+  }
+
+  function toggleSelect(id) {
+    setSelectedIds(prev =>
+      prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id]
+    );
+  }
+
+  if (loading) {
+    return <PageLoader />;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-stone-900">Suppression List</h2>
+          <p className="text-stone-500 mt-1">
+            Addresses and domains that are never emailed. Campaigns skip them automatically.
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2 sm:gap-3">
+          {selectedIds.length > 0 && (
+            <Button variant="danger" size="sm" onClick={() => setRemoveConfirm({ open: true, id: 'selected', value: null })}>
+              <Trash2 className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+              <span className="hidden sm:inline">Remove Selected ({selectedIds.length})</span>
+              <span className="sm:hidden">Remove ({selectedIds.length})</span>
+            </Button>
+          )}
+          {entries.length > 0 && (
+            <Button variant="secondary" size="sm" onClick={handleExport}>
+              <Download className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+              <span className="hidden sm:inline">Export</span>
+            </Button>
+          )}
+          <Button variant="outline" size="sm" onClick={() => setImportModal({ open: true, text: '', reason: '' })}>
+            <Upload className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+            <span className="hidden sm:inline">Bulk Import</span>
+          </Button>
+        </div>
+      </div>
+
+      {error && <Alert type="error" message={error} />}
+      {success && <Alert type="success" message={success} />}
+
+      {/* Add Entry */}
+      <Card>
+        <form onSubmit={handleAdd} className="flex flex-col md:flex-row md:items-end gap-3">
+          <div className="flex-1">
+            <Input
+              label="Email address or domain"
+              placeholder="name@example.com or example.com"
+              value={newEntry.value}
+              onChange={(e) => setNewEntry(prev => ({ ...prev, value: e.target.value }))}
+            />
+          </div>
+          <div className="flex-1">
+            <Input
+              label="Reason (optional)"
+              placeholder="e.g. Asked not to be contacted"
+              value={newEntry.reason}
+              onChange={(e) => setNewEntry(prev => ({ ...prev, reason: e.target.value }))}
+            />
+          </div>
+          <Button type="submit" loading={saving} disabled={!newEntry.value.trim()}>
+            <Plus className="w-4 h-4 mr-2" />
+            Suppress
+          </Button>
+        </form>
+        <p className="text-xs text-stone-500 mt-2">
+          A domain suppresses every address at it, including subdomains: example.com also covers name@mail.example.com.
+        </p>
+      </Card>
+
+      <Card>
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-stone-400" aria-hidden="true" />
+            <input
+              type="search"
+              placeholder="Search suppression list..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              className="w-full pl-10 pr-4 py-2.5 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500 focus:border-transparent"
+              aria-label="Search suppression list by address, domain or reason"
+            />
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {KIND_FILTERS.map(option => (
+              <button
+                key={option.value}
+                onClick={() => { setKindFilter(option.value); setSelectedIds([]); }}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                  kindFilter === option.value
+                    ? 'bg-stone-900 text-white'
+                    : 'text-stone-600 hover:bg-stone-100'
+                }`}
+              >
+                {option.label} ({kindCounts[option.value]})
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {visibleEntries.length === 0 ? (
+          <div className="text-center py-12 px-4">
+            <div className="w-16 h-16 bg-gradient-to-br from-stone-100 to-stone-200 rounded-2xl flex items-center justify-center mx-auto mb-4 shadow-sm">
+              <ShieldOff className="w-8 h-8 text-stone-500" aria-hidden="true" />
+            </div>
+            <h3 className="text-lg font-semibold text-stone-900 mb-2">
+              {entries.length === 0 ? 'Nothing suppressed yet' : 'No matching entries'}
+            </h3>
+            <p className="text-stone-500 max-w-sm mx-auto">
+              {entries.length === 0
+                ? 'Unsubscribes are added here automatically. You can also add addresses or whole domains yourself.'
+                : 'Try a different search term or filter'}
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="mb-2 flex items-center gap-3 bg-stone-50 rounded-lg p-3">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selectedIds.length === visibleEntries.length}
+                  onChange={toggleSelectAll}
+                  className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-2 focus:ring-stone-500"
+                />
+                <span className="text-sm text-stone-600 font-medium">
+                  {selectedIds.length > 0 ? `${selectedIds.length} selected` : 'Select all'}
+                </span>
+              </label>
+            </div>
+
+            <div className="divide-y divide-stone-100">
+              {visibleEntries.map(entry => (
+                <SuppressionRow
+                  key={entry.id}
+                  entry={entry}
+                  selected={selectedIds.includes(entry.id)}
+                  onToggle={() => toggleSelect(entry.id)}
+                  onRemove={() => setRemoveConfirm({ open: true, id: entry.id, value: entry.email })}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </Card>
+
+      {/* Bulk Import Modal */}
+      <Modal
+        isOpen={importModal.open}
+        onClose={() => !saving && setImportModal({ open: false, text: '', reason: '' })}
+        title="Bulk Import"
+        size="md"
+      >
+        <div className="space-y-4">
+          <div>
+            <div className="flex items-center justify-between mb-1.5">
+              <label htmlFor="suppression-import" className="block text-sm font-medium text-stone-700">
+                Addresses and domains
+              </label>
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                className="text-sm text-stone-600 hover:text-stone-900 underline"
+              >
+                Load from CSV/TXT
+              </button>
+              <input
+                type="file"
+                ref={fileInputRef}
+                accept=".csv,.txt"
+                onChange={handleFileSelect}
+                className="hidden"
+                aria-label="Import suppression list file"
+              />
+            </div>
+            <textarea
+              id="suppression-import"
+              rows={8}
+              placeholder={'name@example.com\nexample.org\n@competitor.com'}
+              value={importModal.text}
+              onChange={(e) => setImportModal(prev => ({ ...prev, text: e.target.value }))}
+              className="w-full px-4 py-2.5 border border-stone-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-stone-500 focus:border-transparent resize-none font-mono text-sm"
+            />
+            <p className="mt-1.5 text-xs text-stone-500">
+              One per line, or separated by commas or semicolons. Anything without an @ is treated as a domain.
+            </p>
+          </div>
+
+          <Input
+            label="Reason (optional)"
+            placeholder="e.g. Imported from previous provider"
+            value={importModal.reason}
+            onChange={(e) => setImportModal(prev => ({ ...prev, reason: e.target.value }))}
+          />
+
+          {importModal.text.trim() && (
+            <div className="text-sm space-y-2">
+              <p className="text-stone-600">
+                {importPreview.entries.filter(entry => entry.kind === 'email').length} address(es),{' '}
+                {importPreview.entries.filter(entry => entry.kind === 'domain').length} domain(s) ready to import
+              </p>
+              {importPreview.invalid.length > 0 && (
+                <div className="flex items-start gap-2 p-2 bg-amber-50 border border-amber-200 rounded-lg">
+                  <AlertCircle className="w-4 h-4 text-amber-600 flex-shrink-0 mt-0.5" />
+                  <p className="text-amber-700">
+                    {importPreview.invalid.length} invalid entr{importPreview.invalid.length !== 1 ? 'ies' : 'y'} will be ignored:{' '}
+                    {importPreview.invalid.slice(0, 5).join(', ')}
+                    {importPreview.invalid.length > 5 && ` and ${importPreview.invalid.length - 5} more`}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <Button variant="secondary" onClick={() => setImportModal({ open: false, text: '', reason: '' })} disabled={saving}>
+              Cancel
+            </Button>
+            <Button onClick={handleImport} loading={saving} disabled={importPreview.entries.length === 0}>
+              <Upload className="w-4 h-4 mr-2" />
+              Import {importPreview.entries.length || ''}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Remove Confirmation */}
+      <ConfirmDialog
+        isOpen={removeConfirm.open}
+        onClose={() => setRemoveConfirm({ open: false, id: null, value: null })}
+        onConfirm={handleRemove}
+        title={removeConfirm.id === 'selected' ? 'Remove Selected Entries' : 'Remove from Suppression List'}
+        message={removeConfirm.id === 'selected'
+          ? `Remove ${selectedIds.length} entr${selectedIds.length !== 1 ? 'ies' : 'y'}? Future campaigns will be able to email them again.`
+          : `Remove "${removeConfirm.value}"? Future campaigns will be able to email it again.`
+        }
+        confirmText="Remove"
+        variant="danger"
+      />
+    </div>
+  );
+}
+
+// Suppression Row Component
+function SuppressionRow({ entry, selected, onToggle, onRemove }) {
+  const isDomain = entry.kind === 'domain';
+  const Icon = isDomain ? Globe : Mail;
+
+  return (
+    <div className={`flex items-center gap-4 p-3 hover:bg-stone-50 transition-colors ${selected ? 'bg-stone-50' : ''}`}>
+      <input
+        type="checkbox"
+        checked={selected}
+        onChange={onToggle}
+        className="w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-2 focus:ring-stone-500"
+        aria-label={`Select ${entry.email}`}
+      />
+      <Icon className="w-4 h-4 text-stone-400 flex-shrink-0" aria-hidden="true" />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="font-medium text-stone-900 truncate">{isDomain ? `*@${entry.email}` : entry.email}</span>
+          <Badge variant={isDomain ? 'purple' : 'default'} size="xs" className="flex-shrink-0">
+            {isDomain ? 'Domain' : 'Address'}
+          </Badge>
+        </div>
+        {entry.reason && <p className="text-sm text-stone-500 truncate mt-0.5">{entry.reason}</p>}
+      </div>
+      <span className="hidden sm:block text-sm text-stone-400 flex-shrink-0">{formatDate(entry.unsubscribed_at)}</span>
+      <button
+        onClick={onRemove}
+        className="p-2 hover:bg-stone-200 rounded-lg transition-colors flex-shrink-0"
+        title="Remove from suppression list"
+        aria-label={`Remove ${entry.email} from suppression list`}
+      >
+        <Trash2 className="w-4 h-4 text-stone-500" />
+      </button>
+    </div>
+  );
+}
@@ -1,17 +1,58 @@
 import { useEffect, useState, useRef, useCallback, useMemo } from 'react';
-import { Plus, Trash2, Edit, Upload, Eye, ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, Sparkles, Wand2, Loader2, Check } from 'lucide-react';
-import { Card, Button, Input, TextArea, Modal, Alert, ConfirmDialog, PageLoader, DuplicateDialog } from '../components/UI';
-import { templatesService } from '../services/supabase';
+import { Plus, Trash2, Edit, Upload, Eye, ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, Sparkles, Wand2, Loader2, Check, Shuffle, Braces, Download, Package, History, RotateCcw, FlaskConical, ShieldCheck, AlertTriangle, AlertCircle, Info } from 'lucide-react';
+import { Card, Button, Input, TextArea, Modal, Alert, ConfirmDialog, PageLoader, DuplicateDialog, Badge } from '../components/UI';
+import { templatesService, templateVersionsService, contactFieldsService } from '../services/supabase';
 import { aiAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
-import { sanitizeAndFormat, findDuplicateTemplates } from '../utils';
+import {
+  sanitizeAndFormat,
+  findDuplicateTemplates,
+  validateTemplate,
+  getTemplatePreview,
+  countSpintaxPermutations,
+  SUPPORTED_VARIABLES,
+  SUPPORTED_FILTERS,
+  applyTemplateFilters,
+  readCSVFile,
+  TEMPLATE_EXPORT_FORMATS,
+  buildTemplateExport,
+  parseTemplateImport,
+  parseTags,
+  validatePackVersion,
+  downloadFile,
+  toFileSlug,
+  diffLines,
+  diffWords,
+  toSideBySide,
+  countDiffChanges,
+  buildDiffHunks,
+  applyDiffHunks,
+  MAX_SUBJECT_VARIANTS,
+  SUBJECT_VARIANT_COUNTS,
+  normalizeSubjectVariants,
+  hasSubjectVariants,
+  lintTemplate,
+  scoreTemplate,
+} from '../utils';
 
 const ITEMS_PER_PAGE = 10;
 
+// Goals offered when asking the AI to improve an existing template
+const AI_IMPROVE_GOALS = [
+  { value: 'shorter', label: 'Shorter' },
+  { value: 'less_salesy', label: 'Less salesy' },
+  { value: 'stronger_cta', label: 'Stronger call to action' },
+  { value: 'fix_spam_triggers', label: 'Fix spam triggers' },
+  { value: 'more_personal', label: 'More personal' },
+  { value: 'clearer', label: 'Clearer' },
+];
+
 export default function Templates() {
   const [templates, setTemplates] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null); // percent of the file read
   const [saving, setSaving] = useState(false);
   const [deleting, setDeleting] = useState(null);
   const [error, setError] = useState('');
@@ -21,12 +62,21 @@ export default function Templates() {
   
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editId, setEditId] = useState(null);
-  const [formData, setFormData] = useState({ name: '', subject: '', body: '' });
+  const [formData, setFormData] = useState({ name: '', subject: '', body: '', tags: '' });
+  const [showEditorPreview, setShowEditorPreview] = useState(false);
+  const [showVariablePicker, setShowVariablePicker] = useState(false);
+  const subjectRef = useRef(null);
+  const bodyRef = useRef(null);
+  const lastFieldRef = useRef('body');
   
   const [previewTemplate, setPreviewTemplate] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState({ open: false, id: null });
   const [deleteAllConfirm, setDeleteAllConfirm] = useState(false);
   const [deletingAll, setDeletingAll] = useState(false);
+  const [isExportOpen, setIsExportOpen] = useState(false);
+  const [historyTemplate, setHistoryTemplate] = useState(null);
+  const [improveTemplate, setImproveTemplate] = useState(null);
+  const [variantsTemplate, setVariantsTemplate] = useState(null);
   const fileInputRef = useRef(null);
   
   // Duplicate detection state
@@ -35,6 +85,7 @@ export default function Templates() {
     duplicates: [],
     duplicatesWithExisting: [],
     uniqueTemplates: [],
+    pack: null,
   });
   
   // AI Generation state
@@ -59,6 +110,11 @@ export default function Templates() {
     { id: 'company', label: 'Company' },
     { id: 'position', label: 'Position/Title' },
   ];
+  // Custom contact fields are offered to the AI as well
+  const aiFields = [
+    ...PERSONALIZATION_FIELDS,
+    ...customFields.map(field => ({ id: field.name, label: field.label || field.name })),
+  ];
   const { user } = useAuth();
 
   // Auto-dismiss messages
@@ -74,8 +130,12 @@ export default function Templates() {
 
   const loadTemplates = useCallback(async () => {
     try {
-      const data = await templatesService.getAll();
+      const [data, fieldsData] = await Promise.all([
+        templatesService.getAll(),
+        contactFieldsService.getAll(),
+      ]);
       setTemplates(data);
+      setCustomFields(fieldsData);
     } catch (err) {
       setError('Failed to load templates: ' + err.message);
     } finally {
@@ -87,6 +147,28 @@ export default function Templates() {
     loadTemplates();
   }, [loadTemplates]);
 
+  // Syntax errors in the template being edited, with line and column
+  const formErrors = useMemo(() => ({
+    subject: validateTemplate(formData.subject),
+    body: validateTemplate(formData.body),
+  }), [formData.subject, formData.body]);
+
+  // Unique spintax variations per template (subject × body)
+  const variationCounts = useMemo(() => Object.fromEntries(templates.map(template => [
+    template.id,
+    countSpintaxPermutations(template.subject) * countSpintaxPermutations(template.body),
+  ])), [templates]);
+
+  // Deliverability score per template, and live lint results for the editor
+  const deliverability = useMemo(
+    () => Object.fromEntries(templates.map(template => [template.id, scoreTemplate(template)])),
+    [templates]
+  );
+  const formLint = useMemo(
+    () => lintTemplate({ subject: formData.subject, body: formData.body }),
+    [formData.subject, formData.body]
+  );
+
   // Pagination logic
   const { paginatedTemplates, totalPages } = useMemo(() => {
     const total = Math.ceil(templates.length / ITEMS_PER_PAGE);
@@ -104,7 +186,7 @@ export default function Templates() {
 
   function openAddModal() {
     setEditId(null);
-    setFormData({ name: '', subject: '', body: '' });
+    setFormData({ name: '', subject: '', body: '', tags: '' });
     setIsModalOpen(true);
   }
 
@@ -113,17 +195,38 @@ export default function Templates() {
     setFormData({ 
       name: template.name || '', 
       subject: template.subject, 
-      body: template.body 
+      body: template.body,
+      tags: (template.tags || []).join(', '),
     });
     setIsModalOpen(true);
   }
 
+  // Insert a variable tag at the cursor of the subject or body, whichever was focused last
+  function insertVariable(tag) {
+    const field = lastFieldRef.current;
+    const element = field === 'subject' ? subjectRef.current : bodyRef.current;
+    const value = formData[field];
+    const start = element?.selectionStart ?? value.length;
+    const end = element?.selectionEnd ?? value.length;
+
+    setFormData({ ...formData, [field]: value.slice(0, start) + tag + value.slice(end) });
+    requestAnimationFrame(() => {
+      element?.focus();
+      element?.setSelectionRange(start + tag.length, start + tag.length);
+    });
+  }
+
   async function handleSave() {
     if (!formData.subject.trim() || !formData.body.trim()) {
       setError('Subject and body are required');
       return;
     }
 
+    if (formErrors.subject || formErrors.body) {
+      setError(`Fix the template syntax first: ${(formErrors.subject || formErrors.body).message}`);
+      return;
+    }
+
     // Check for duplicates when adding new template (not editing)
     if (!editId) {
       const duplicateCheck = findDuplicateTemplates([formData], templates);
@@ -135,11 +238,12 @@ export default function Templates() {
 
     setSaving(true);
     try {
+      const template = { ...formData, tags: parseTags(formData.tags) };
       if (editId) {
-        await templatesService.update(editId, formData);
+        await templatesService.update(editId, template);
         setSuccess('Template updated successfully');
       } else {
-        await templatesService.add(formData);
+        await templatesService.add(template);
         setSuccess('Template added successfully');
       }
       await loadTemplates();
@@ -219,16 +323,18 @@ export default function Templates() {
     setUploading(true);
 
     try {
-      const text = await file.text();
       let templatesArray = [];
+      let pack = null;
       
       // Check if it's a CSV file
       if (file.name.toLowerCase().endsWith('.csv')) {
-        templatesArray = parseCSV(text);
+        const table = await readCSVFile(file, {
+          onProgress: ({ loaded, total }) => setUploadProgress(total ? Math.round((loaded / total) * 100) : null),
+        });
+        templatesArray = templatesFromCSV(table);
       } else {
-        // Try JSON format (backward compatibility)
-        const imported = JSON.parse(text);
-        templatesArray = Array.isArray(imported) ? imported : [imported];
+        // JSON: a template pack, or an array of templates (backward compatibility)
+        ({ templates: templatesArray, pack } = parseTemplateImport(JSON.parse(await file.text())));
       }
       
       if (templatesArray.length === 0) {
@@ -245,6 +351,7 @@ export default function Templates() {
           duplicates: duplicateCheck.duplicates,
           duplicatesWithExisting: duplicateCheck.duplicatesWithExisting,
           uniqueTemplates: duplicateCheck.unique,
+          pack,
         });
         setUploading(false);
         e.target.value = '';
@@ -254,11 +361,12 @@ export default function Templates() {
       // No duplicates, add all
       await templatesService.bulkAdd(duplicateCheck.unique);
       await loadTemplates();
-      setSuccess(`Uploaded ${duplicateCheck.unique.length} template${duplicateCheck.unique.length !== 1 ? 's' : ''}`);
+      setSuccess(`Uploaded ${duplicateCheck.unique.length} template${duplicateCheck.unique.length !== 1 ? 's' : ''}${packNote(pack)}`);
     } catch (err) {
       setError(err.message || 'Failed to upload templates');
     } finally {
       setUploading(false);
+      setUploadProgress(null);
     }
     
     e.target.value = '';
@@ -266,7 +374,7 @@ export default function Templates() {
 
   // Handle confirmed add from duplicate dialog
   async function handleConfirmAddTemplates() {
-    const { uniqueTemplates } = duplicateDialog;
+    const { uniqueTemplates, pack } = duplicateDialog;
     
     if (uniqueTemplates.length === 0) {
       setError('No unique templates to add');
@@ -278,7 +386,7 @@ export default function Templates() {
     try {
       await templatesService.bulkAdd(uniqueTemplates);
       await loadTemplates();
-      setSuccess(`Added ${uniqueTemplates.length} template${uniqueTemplates.length !== 1 ? 's' : ''}`);
+      setSuccess(`Added ${uniqueTemplates.length} template${uniqueTemplates.length !== 1 ? 's' : ''}${packNote(pack)}`);
     } catch (err) {
       setError(err.message);
     } finally {
@@ -287,54 +395,38 @@ export default function Templates() {
     }
   }
 
-  function parseCSV(text) {
-    const lines = text.trim().split('\n');
-    if (lines.length < 2) {
-      throw new Error('CSV must have at least a header row and one data row');
-    }
+  function packNote(pack) {
+    return pack ? ` from "${pack.name}"${pack.version ? ` v${pack.version}` : ''}` : '';
+  }
 
-    // Parse header
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
-    const nameIdx = headers.indexOf('name');
-    const subjectIdx = headers.indexOf('subject');
-    const bodyIdx = headers.indexOf('body');
+  // Turn parsed CSV rows into templates ("subject" and "body" columns, optional "name" and "tags")
+  function templatesFromCSV({ headers, rows }) {
+    const columns = headers.map(h => h.trim().toLowerCase());
+    const nameIdx = columns.indexOf('name');
+    const subjectIdx = columns.indexOf('subject');
+    const bodyIdx = columns.indexOf('body');
+    const tagsIdx = columns.indexOf('tags');
 
     if (subjectIdx === -1 || bodyIdx === -1) {
       throw new Error('CSV must have "subject" and "body" columns. Optional: "name" column.');
     }
+    if (rows.length === 0) {
+      throw new Error('CSV must have at least a header row and one data row');
+    }
 
-    // Parse rows
     const templates = [];
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-
-      // Handle quoted fields (CSV with commas in content)
-      const fields = [];
-      let currentField = '';
-      let inQuotes = false;
-      
-      for (let j = 0; j < line.length; j++) {
-        const char = line[j];
-        
-        if (char === '"') {
-          inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-          fields.push(currentField.trim());
-          currentField = '';
-        } else {
-          currentField += char;
-        }
-      }
-      fields.push(currentField.trim());
-
+    for (const fields of rows) {
       const template = {
-        subject: fields[subjectIdx]?.replace(/^"/, '').replace(/"$/, '') || '',
-        body: fields[bodyIdx]?.replace(/^"/, '').replace(/"$/, '').replace(/\\n/g, '\n') || '',
+        subject: fields[subjectIdx]?.trim() || '',
+        // Older exports escaped line breaks as "\n"
+        body: fields[bodyIdx]?.trim().replace(/\\n/g, '\n') || '',
       };
 
-      if (nameIdx !== -1 && fields[nameIdx]) {
-        template.name = fields[nameIdx].replace(/^"/, '').replace(/"$/, '');
+      if (nameIdx !== -1 && fields[nameIdx]?.trim()) {
+        template.name = fields[nameIdx].trim();
+      }
+      if (tagsIdx !== -1) {
+        template.tags = parseTags(fields[tagsIdx]);
       }
 
       if (template.subject && template.body) {
@@ -453,7 +545,7 @@ export default function Templates() {
             accept=".csv,.json" 
             onChange={handleFileUpload} 
             className="hidden"
-            aria-label="Import templates CSV or JSON file"
+            aria-label="Import templates CSV, JSON or template pack file"
           />
           {selectedIds.length > 0 && (
             <Button variant="danger" size="sm" onClick={() => setDeleteConfirm({ open: true, id: 'selected' })} loading={deleting === 'bulk'}>
@@ -468,9 +560,17 @@ export default function Templates() {
               <span className="hidden sm:inline">Delete All</span>
             </Button>
           )}
+          {templates.length > 0 && (
+            <Button variant="outline" size="sm" onClick={() => setIsExportOpen(true)}>
+              <Download className="w-4 h-4 sm:mr-2" aria-hidden="true" />
+              <span className="hidden sm:inline">{selectedIds.length > 0 ? `Export (${selectedIds.length})` : 'Export'}</span>
+            </Button>
+          )}
           <Button variant="outline" size="sm" onClick={handleImportClick} loading={uploading}>
             <Upload className="w-4 h-4 sm:mr-2" aria-hidden="true" />
-            <span className="hidden sm:inline">{uploading ? 'Uploading...' : 'Import'}</span>
+            <span className="hidden sm:inline">
+              {uploadProgress !== null ? `Reading ${uploadProgress}%` : uploading ? 'Uploading...' : 'Import'}
+            </span>
           </Button>
           <Button variant="secondary" size="sm" onClick={() => setIsAIModalOpen(true)}>
             <Sparkles className="w-4 h-4 sm:mr-2" aria-hidden="true" />
@@ -495,7 +595,7 @@ export default function Templates() {
             </div>
             <div className="flex-1">
               <h3 className="font-semibold text-stone-900">Easy Template Import</h3>
-              <p className="text-sm text-stone-500">CSV or JSON format supported</p>
+              <p className="text-sm text-stone-500">CSV, JSON or template pack files supported</p>
             </div>
             <div className="text-stone-400 group-open:rotate-180 transition-transform">
               <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -506,12 +606,13 @@ export default function Templates() {
           <div className="mt-4 pt-4 border-t border-stone-100">
             <div className="text-sm text-stone-600 space-y-3">
               <p><strong>Required columns:</strong> subject, body</p>
-              <p><strong>Optional column:</strong> name (for your reference)</p>
+              <p><strong>Optional columns:</strong> name (for your reference), tags (comma-separated)</p>
               <div className="bg-stone-50 rounded-lg p-3 font-mono text-xs overflow-x-auto">
                 <div className="text-stone-500">name,subject,body</div>
                 <div>Welcome,Welcome!,"Hi!\n\nWelcome.\n\nBest"</div>
               </div>
-              <p className="text-xs text-stone-500">💡 Use <code className="bg-stone-100 px-1 rounded">\n</code> for line breaks</p>
+              <p className="text-xs text-stone-500">💡 Line breaks can be kept inside a quoted body, or written as <code className="bg-stone-100 px-1 rounded">\n</code></p>
+              <p className="text-xs text-stone-500">📦 Template packs exported from another workspace import the same way</p>
             </div>
           </div>
         </details>
@@ -571,9 +672,31 @@ export default function Templates() {
                       <div className="flex-1 min-w-0">
                         <div className="flex items-center gap-2 mb-1">
                           <span className="text-xs text-stone-400">#{globalIndex}</span>
+                          {template.current_version > 0 && (
+                            <span className="text-xs text-stone-400" title="Template version">v{template.current_version}</span>
+                          )}
                           {template.name && (
                             <span className="text-xs font-medium text-stone-500">{template.name}</span>
                           )}
+                          <DeliverabilityBadge result={deliverability[template.id]} />
+                          {variationCounts[template.id] > 1 && (
+                            <Badge variant="purple" size="xs">{variationCounts[template.id].toLocaleString()} variations</Badge>
+                          )}
+                          {hasSubjectVariants(template) && (
+                            <Badge variant="info" size="xs">A/B · {template.subject_variants.length} subjects</Badge>
+                          )}
+                          {template.tags?.map(tag => (
+                            <Badge key={tag} size="xs">{tag}</Badge>
+                          ))}
+                          {template.source_pack && (
+                            <span
+                              className="inline-flex items-center gap-1 text-xs text-stone-400"
+                              title={`Imported from template pack "${template.source_pack.name}"`}
+                            >
+                              <Package className="w-3 h-3" aria-hidden="true" />
+                              {template.source_pack.name}{template.source_pack.version && ` v${template.source_pack.version}`}
+                            </span>
+                          )}
                         </div>
                         <h3 className="text-base sm:text-lg font-semibold text-stone-900 break-words">
                           {template.subject}
@@ -598,6 +721,29 @@ export default function Templates() {
                       >
                         <Edit className="w-5 h-5 mx-auto" aria-hidden="true" />
                       </button>
+                      <button
+                        onClick={() => setImproveTemplate(template)}
+                        className="flex-1 sm:flex-none p-2 text-stone-400 hover:text-purple-600 hover:bg-purple-50 rounded-lg transition-colors"
+                        aria-label={`Improve with AI: ${template.subject}`}
+                        title="Improve with AI"
+                      >
+                        <Wand2 className="w-5 h-5 mx-auto" aria-hidden="true" />
+                      </button>
+                      <button
+                        onClick={() => setVariantsTemplate(template)}
+                        className="flex-1 sm:flex-none p-2 text-stone-400 hover:text-stone-700 hover:bg-stone-100 rounded-lg transition-colors"
+                        aria-label={`Subject line A/B test: ${template.subject}`}
+                        title="Subject line A/B test"
+                      >
+                        <FlaskConical className="w-5 h-5 mx-auto" aria-hidden="true" />
+                      </button>
+                      <button
+                        onClick={() => setHistoryTemplate(template)}
+                        className="flex-1 sm:flex-none p-2 text-stone-400 hover:text-stone-700 hover:bg-stone-100 rounded-lg transition-colors"
+                        aria-label={`Version history: ${template.subject}`}
+                      >
+                        <History className="w-5 h-5 mx-auto" aria-hidden="true" />
+                      </button>
                     </div>
                   </div>
                 </Card>
@@ -671,19 +817,77 @@ export default function Templates() {
             maxLength={100}
           />
           <Input
+            label="Tags"
+            placeholder="e.g., cold, follow-up"
+            hint="Comma-separated; kept in JSON exports and template packs"
+            value={formData.tags}
+            onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+          />
+          <Input
+            ref={subjectRef}
             label="Subject"
             placeholder="Enter email subject"
+            onFocus={() => { lastFieldRef.current = 'subject'; }}
             value={formData.subject}
             onChange={(e) => setFormData({ ...formData, subject: e.target.value })}
             maxLength={200}
+            error={formErrors.subject?.message}
+            hint={editId && hasSubjectVariants(templates.find(t => t.id === editId))
+              ? 'This template runs a subject line A/B test; campaigns send its test subjects instead'
+              : undefined}
           />
+          <LintIssues issues={formLint.issues.filter(issue => issue.field === 'subject')} />
           <TextArea
+            ref={bodyRef}
             label="Body"
             placeholder="Enter email body (HTML supported)"
             rows={10}
+            onFocus={() => { lastFieldRef.current = 'body'; }}
             value={formData.body}
             onChange={(e) => setFormData({ ...formData, body: e.target.value })}
+            error={formErrors.body?.message}
           />
+          <LintIssues issues={formLint.issues.filter(issue => issue.field === 'body')} />
+          {(formData.subject.trim() || formData.body.trim()) && <DeliverabilityScore result={formLint} />}
+          <p className="text-xs text-stone-500">
+            Use {'{{firstName | default: "there"}}'} for fallbacks, {'{{#if company}}…{{else}}…{{/if}}'} or {'{{#unless website}}…{{/unless}}'} for optional text,
+            and {'{Hi|Hello|Hey}'} to vary wording per recipient.
+          </p>
+
+          {/* Variable picker with filters */}
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowVariablePicker(!showVariablePicker)}
+              className="flex items-center gap-1.5 text-sm font-medium text-stone-600 hover:text-stone-900"
+            >
+              <Braces className="w-4 h-4" />
+              {showVariablePicker ? 'Hide variables' : 'Insert variable'}
+            </button>
+            {showVariablePicker && <VariablePicker customFields={customFields} onInsert={insertVariable} className="mt-3" />}
+          </div>
+
+          {/* Live preview with sample data */}
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowEditorPreview(!showEditorPreview)}
+              className="flex items-center gap-1.5 text-sm font-medium text-stone-600 hover:text-stone-900"
+            >
+              <Eye className="w-4 h-4" />
+              {showEditorPreview ? 'Hide preview' : 'Preview with sample data'}
+            </button>
+            {showEditorPreview && (
+              <TemplatePreview
+                subject={formData.subject}
+                body={formData.body}
+                errors={formErrors}
+                fields={customFields}
+                className="mt-3"
+              />
+            )}
+          </div>
+
           <div className="flex justify-end gap-3 pt-4">
             <Button variant="secondary" onClick={() => setIsModalOpen(false)}>
               Cancel
@@ -703,21 +907,12 @@ export default function Templates() {
         size="lg"
       >
         {previewTemplate && (
-          <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-stone-500 mb-1">Subject</label>
-              <p className="text-lg font-medium text-stone-900">{previewTemplate.subject}</p>
-            </div>
-            <div>
-              <label className="block text-sm font-medium text-stone-500 mb-1">Body</label>
-              <div 
-                className="bg-stone-50 rounded-lg p-4 prose prose-sm max-w-none"
-                dangerouslySetInnerHTML={{ 
-                  __html: sanitizeAndFormat(previewTemplate.body)
-                }}
-              />
-            </div>
-          </div>
+          <TemplatePreview
+            subject={previewTemplate.subject}
+            body={previewTemplate.body}
+            errors={{ subject: validateTemplate(previewTemplate.subject), body: validateTemplate(previewTemplate.body) }}
+            fields={customFields}
+          />
         )}
       </Modal>
 
@@ -735,6 +930,62 @@ export default function Templates() {
         variant="danger"
       />
 
+      {/* Export */}
+      {isExportOpen && (
+        <TemplateExportModal
+          templates={selectedIds.length > 0 ? templates.filter(t => selectedIds.includes(t.id)) : templates}
+          selected={selectedIds.length > 0}
+          onClose={() => setIsExportOpen(false)}
+          onExported={(message) => {
+            setIsExportOpen(false);
+            setSuccess(message);
+          }}
+        />
+      )}
+
+      {/* Version History */}
+      {historyTemplate && (
+        <TemplateHistoryModal
+          template={historyTemplate}
+          onClose={() => setHistoryTemplate(null)}
+          onRestored={async (message) => {
+            setHistoryTemplate(null);
+            setSuccess(message);
+            await loadTemplates();
+          }}
+        />
+      )}
+
+      {/* Improve with AI */}
+      {improveTemplate && (
+        <TemplateImproveModal
+          template={improveTemplate}
+          availableFields={aiFields.map(field => field.id)}
+          userId={user?.id}
+          onClose={() => setImproveTemplate(null)}
+          onSaved={async (message) => {
+            setImproveTemplate(null);
+            setSuccess(message);
+            await loadTemplates();
+          }}
+        />
+      )}
+
+      {/* Subject Variants */}
+      {variantsTemplate && (
+        <SubjectVariantsModal
+          template={variantsTemplate}
+          availableFields={aiFields.map(field => field.id)}
+          userId={user?.id}
+          onClose={() => setVariantsTemplate(null)}
+          onSaved={async (message) => {
+            setVariantsTemplate(null);
+            setSuccess(message);
+            await loadTemplates();
+          }}
+        />
+      )}
+
       {/* Delete All Confirmation */}
       <ConfirmDialog
         isOpen={deleteAllConfirm}
@@ -850,7 +1101,7 @@ export default function Templates() {
                   Select the fields available in your contacts. AI will only use these variables.
                 </p>
                 <div className="flex flex-wrap gap-2">
-                  {PERSONALIZATION_FIELDS.map((field) => {
+                  {aiFields.map((field) => {
                     const isSelected = aiForm.availableFields.includes(field.id);
                     return (
                       <button
@@ -1022,3 +1273,1013 @@ export default function Templates() {
     </div>
   );
 }
+
+// Variable Picker Component - builds a {{variable | filter}} tag with a live example
+function VariablePicker({ customFields, onInsert, className = '' }) {
+  const variables = [
+    ...SUPPORTED_VARIABLES,
+    ...customFields.map(field => ({ key: field.name, label: field.label || field.name, example: field.default_value || '', custom: true })),
+  ];
+  const [variable, setVariable] = useState(SUPPORTED_VARIABLES[0]);
+  const [sample, setSample] = useState(SUPPORTED_VARIABLES[0].example);
+  const [filters, setFilters] = useState('');
+
+  const tag = filters.trim() ? `{{${variable.key} | ${filters.trim()}}}` : `{{${variable.key}}}`;
+
+  // Filters run on the sample value as typed, so messy data ("ACME CORP") can be tried out
+  const tryFilters = (chain) => {
+    try {
+      return { value: applyTemplateFilters(sample, chain) };
+    } catch (err) {
+      return { error: err.reason || err.message };
+    }
+  };
+  const result = tryFilters(filters);
+
+  function selectVariable(item) {
+    setVariable(item);
+    setSample(item.example);
+  }
+
+  function addFilter(usage) {
+    setFilters(filters.trim() ? `${filters.trim()} | ${usage}` : usage);
+  }
+
+  return (
+    <div className={`border border-stone-200 rounded-lg p-3 space-y-3 ${className}`}>
+      <div className="flex flex-wrap gap-1.5">
+        {variables.map(item => (
+          <button
+            key={item.key}
+            type="button"
+            onClick={() => selectVariable(item)}
+            title={item.custom ? `${item.label} (custom field)` : item.label}
+            className={`px-2 py-1 rounded-md text-xs font-mono transition-colors ${
+              item.key === variable.key
+                ? 'bg-stone-900 text-white'
+                : item.custom
+                  ? 'bg-violet-50 text-violet-700 hover:bg-violet-100'
+                  : 'bg-stone-100 text-stone-700 hover:bg-stone-200'
+            }`}
+          >
+            {item.key}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-2">
+        <Input
+          label="Sample value"
+          value={sample}
+          onChange={(e) => setSample(e.target.value)}
+        />
+        <Input
+          label="Filters"
+          placeholder="e.g. title | truncate: 20"
+          value={filters}
+          onChange={(e) => setFilters(e.target.value)}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-1.5">
+        {SUPPORTED_FILTERS.map(filter => {
+          const example = tryFilters(filter.usage);
+          return (
+            <button
+              key={filter.name}
+              type="button"
+              onClick={() => addFilter(filter.usage)}
+              title={filter.label}
+              className="px-2 py-1 rounded-md text-xs bg-stone-50 border border-stone-200 text-stone-600 hover:bg-stone-100"
+            >
+              <span className="font-mono text-stone-800">{filter.usage}</span>
+              {example.value !== undefined && (
+                <span className="text-stone-400"> → {example.value || '(empty)'}</span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center justify-between gap-3 bg-stone-50 rounded-lg px-3 py-2">
+        <div className="min-w-0 text-sm">
+          <code className="font-mono text-stone-800 break-all">{tag}</code>
+          {result.error
+            ? <p className="text-red-600 text-xs mt-0.5">{result.error}</p>
+            : <p className="text-stone-500 text-xs mt-0.5 truncate">→ {result.value || '(empty)'}</p>}
+        </div>
+        <Button size="sm" onClick={() => onInsert(tag)} disabled={!!result.error}>
+          Insert
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Template Preview Component - renders with sample data, the same way campaigns do
+function TemplatePreview({ subject, body, errors, fields = [], className = '' }) {
+  const [sample, setSample] = useState(0);
+  const syntaxError = errors.subject || errors.body;
+
+  // Every subject variant paired with every body variant
+  const subjectCount = countSpintaxPermutations(subject);
+  const total = subjectCount * countSpintaxPermutations(body);
+  const current = sample % total;
+  const subjectVariant = current % subjectCount;
+  const bodyVariant = Math.floor(current / subjectCount);
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {syntaxError && (
+        <Alert type="error" message={`${errors.subject ? 'Subject' : 'Body'}: ${syntaxError.message}`} />
+      )}
+      {total > 1 && (
+        <div className="flex items-center justify-between gap-3 bg-stone-50 rounded-lg px-3 py-2">
+          <span className="text-sm text-stone-600">
+            {total.toLocaleString()} unique variations · showing #{(current + 1).toLocaleString()}
+          </span>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={() => setSample((current - 1 + total) % total)}
+              className="p-1.5 rounded-lg text-stone-600 hover:bg-stone-200 transition-colors"
+              title="Previous variation"
+            >
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setSample((current + 1) % total)}
+              className="p-1.5 rounded-lg text-stone-600 hover:bg-stone-200 transition-colors"
+              title="Next variation"
+            >
+              <ChevronRight className="w-4 h-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setSample(Math.floor(Math.random() * total))}
+              className="p-1.5 rounded-lg text-stone-600 hover:bg-stone-200 transition-colors"
+              title="Random variation"
+            >
+              <Shuffle className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+      <div>
+        <label className="block text-sm font-medium text-stone-500 mb-1">Subject</label>
+        <p className="text-lg font-medium text-stone-900">{getTemplatePreview(subject, null, { variant: subjectVariant, fields })}</p>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-stone-500 mb-1">Body</label>
+        <div 
+          className="bg-stone-50 rounded-lg p-4 prose prose-sm max-w-none"
+          dangerouslySetInnerHTML={{ 
+            __html: sanitizeAndFormat(getTemplatePreview(body, null, { variant: bodyVariant, fields }))
+          }}
+        />
+      </div>
+      <p className="text-xs text-stone-500">Shown with sample contact data (John Doe at Acme Corp).</p>
+    </div>
+  );
+}
+
+// Template Export Modal Component - CSV, JSON or a versioned template pack
+function TemplateExportModal({ templates, selected, onClose, onExported }) {
+  const [format, setFormat] = useState('csv');
+  const [pack, setPack] = useState({ name: '', version: '1.0.0', description: '' });
+  const [error, setError] = useState('');
+
+  const count = templates.length;
+
+  function handleExport() {
+    if (format === 'pack') {
+      const problem = !pack.name.trim() ? 'Give the pack a name' : validatePackVersion(pack.version);
+      if (problem) {
+        setError(problem);
+        return;
+      }
+    }
+
+    const { content, extension, type } = buildTemplateExport(templates, format, pack);
+    const baseName = format === 'pack' ? `${toFileSlug(pack.name)}_v${pack.version.trim()}` : `templates_${new Date().toISOString().split('T')[0]}`;
+    downloadFile(content, `${baseName}.${extension}`, type);
+    onExported(`${count} template${count !== 1 ? 's' : ''} exported as ${TEMPLATE_EXPORT_FORMATS.find(item => item.value === format).label}`);
+  }
+
+  return (
+    <Modal isOpen onClose={onClose} title="Export Templates">
+      <div className="space-y-5">
+        <p className="text-sm text-stone-500">
+          {selected ? `${count} selected template${count !== 1 ? 's' : ''}` : `All ${count} template${count !== 1 ? 's' : ''}`}
+        </p>
+
+        {error && <Alert type="error" message={error} />}
+
+        <fieldset>
+          <legend className="block text-sm font-medium text-stone-700 mb-1.5">Format</legend>
+          <div className="grid gap-2 sm:grid-cols-3">
+            {TEMPLATE_EXPORT_FORMATS.map(item => (
+              <label
+                key={item.value}
+                className={`flex flex-col gap-0.5 p-3 border rounded-lg cursor-pointer transition-colors ${
+                  format === item.value ? 'border-stone-900 bg-stone-50' : 'border-stone-200 hover:border-stone-300'
+                }`}
+              >
+                <span className="flex items-center gap-2 text-sm font-medium text-stone-900">
+                  <input
+                    type="radio"
+                    name="template-export-format"
+                    value={item.value}
+                    checked={format === item.value}
+                    onChange={() => {
+                      setFormat(item.value);
+                      setError('');
+                    }}
+                  />
+                  {item.label}
+                </span>
+                <span className="text-xs text-stone-500">{item.description}</span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        {format === 'pack' && (
+          <div className="space-y-3">
+            <div className="grid gap-3 sm:grid-cols-3">
+              <div className="sm:col-span-2">
+                <Input
+                  label="Pack name"
+                  placeholder="e.g., SaaS cold outreach"
+                  value={pack.name}
+                  onChange={(e) => setPack({ ...pack, name: e.target.value })}
+                  maxLength={100}
+                />
+              </div>
+              <Input
+                label="Version"
+                placeholder="1.0.0"
+                value={pack.version}
+                onChange={(e) => setPack({ ...pack, version: e.target.value })}
+                maxLength={20}
+              />
+            </div>
+            <Input
+              label="Description (optional)"
+              placeholder="What these templates are for"
+              value={pack.description}
+              onChange={(e) => setPack({ ...pack, description: e.target.value })}
+              maxLength={300}
+            />
+            <p className="text-xs text-stone-500">
+              Other workspaces import the pack with Import. Duplicates are detected, and imported templates show the pack name and version.
+            </p>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleExport} disabled={count === 0}>
+            <Download className="w-4 h-4 mr-2" aria-hidden="true" />
+            Export {count} Template{count !== 1 ? 's' : ''}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function formatVersionDate(value) {
+  return value ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' }) : '';
+}
+
+function sameContent(a, b) {
+  return a.name === b.name && a.subject === b.subject && a.body === b.body && (a.tags || []).join('\n') === (b.tags || []).join('\n');
+}
+
+// Template History Modal Component - Saved versions, side-by-side diff and rollback
+function TemplateHistoryModal({ template, onClose, onRestored }) {
+  const [versions, setVersions] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareTo, setCompareTo] = useState('previous');
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    templateVersionsService.getAll(template.id)
+      .then(data => {
+        if (cancelled) return;
+        setVersions(data);
+        setSelectedId(data[0]?.id || null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [template.id]);
+
+  const current = versions?.[0];
+  const selectedIndex = versions ? versions.findIndex(version => version.id === selectedId) : -1;
+  const selected = versions?.[selectedIndex];
+  const isCurrent = selectedIndex === 0;
+
+  // Older version on the left, newer on the right
+  const [before, after] = !selected
+    ? [null, null]
+    : (compareTo === 'current' && !isCurrent ? [selected, current] : [versions[selectedIndex + 1] || null, selected]);
+
+  async function handleRestore() {
+    setRestoring(true);
+    setError('');
+    try {
+      const saved = await templateVersionsService.restore(selected);
+      onRestored(`Rolled back to version ${selected.version_number}${saved?.current_version ? ` (saved as version ${saved.current_version})` : ''}`);
+    } catch (err) {
+      setError(err.message);
+      setRestoring(false);
+    }
+  }
+
+  return (
+    <Modal isOpen onClose={onClose} title="Version History" size="xl">
+      <div className="space-y-4">
+        <p className="text-sm text-stone-500 truncate">{template.name || template.subject}</p>
+
+        {error && <Alert type="error" message={error} />}
+
+        {!versions && !error && (
+          <div className="flex items-center justify-center gap-2 py-10 text-sm text-stone-500">
+            <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />
+            Loading versions...
+          </div>
+        )}
+
+        {versions?.length === 0 && (
+          <p className="text-sm text-stone-500 py-6 text-center">No saved versions yet. Versions are recorded from the next save on.</p>
+        )}
+
+        {selected && (
+          <div className="grid gap-4 md:grid-cols-[14rem_1fr]">
+            <ul className="space-y-1 md:max-h-[28rem] md:overflow-y-auto" aria-label="Versions">
+              {versions.map(version => (
+                <li key={version.id}>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedId(version.id)}
+                    aria-current={version.id === selectedId ? 'true' : undefined}
+                    className={`w-full text-left px-3 py-2 rounded-lg border transition-colors ${
+                      version.id === selectedId ? 'border-stone-900 bg-stone-50' : 'border-transparent hover:bg-stone-50'
+                    }`}
+                  >
+                    <span className="flex items-center gap-2 text-sm font-medium text-stone-900">
+                      Version {version.version_number}
+                      {version.id === current.id && <Badge variant="success" size="xs">Current</Badge>}
+                    </span>
+                    <span className="block text-xs text-stone-500 truncate">{version.author_email || 'Unknown author'}</span>
+                    <span className="block text-xs text-stone-400">{formatVersionDate(version.created_at)}</span>
+                    {version.restored_from && (
+                      <span className="flex items-center gap-1 text-xs text-stone-500">
+                        <RotateCcw className="w-3 h-3" aria-hidden="true" />
+                        Rolled back to v{version.restored_from}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <div className="space-y-4 min-w-0">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex items-center gap-2">
+                  <label htmlFor="template-history-compare" className="text-sm text-stone-600">Compare with</label>
+                  <select
+                    id="template-history-compare"
+                    value={compareTo}
+                    onChange={(e) => setCompareTo(e.target.value)}
+                    className="px-3 py-1.5 border border-stone-300 rounded-lg bg-white text-sm"
+                  >
+                    <option value="previous">Previous version</option>
+                    <option value="current" disabled={isCurrent}>Current version</option>
+                  </select>
+                </div>
+                {!isCurrent && (
+                  <Button size="sm" onClick={handleRestore} loading={restoring} disabled={sameContent(selected, current)}>
+                    <RotateCcw className="w-4 h-4 mr-2" aria-hidden="true" />
+                    Roll back to v{selected.version_number}
+                  </Button>
+                )}
+              </div>
+
+              {before ? (
+                <VersionDiff before={before} after={after} />
+              ) : (
+                <p className="text-sm text-stone-500">Version {selected.version_number} is the first version; there is nothing earlier to compare with.</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+// Version Diff Component - Changed fields and a side-by-side body diff
+function VersionDiff({ before, after }) {
+  const bodyOps = useMemo(() => diffLines(before.body, after.body), [before.body, after.body]);
+  const bodyRows = useMemo(() => toSideBySide(bodyOps), [bodyOps]);
+  const { added, removed } = countDiffChanges(bodyOps);
+
+  const fields = [
+    { label: 'Name', before: before.name || '', after: after.name || '' },
+    { label: 'Subject', before: before.subject, after: after.subject },
+    { label: 'Tags', before: (before.tags || []).join(', '), after: (after.tags || []).join(', ') },
+  ]
+    .filter(field => field.before !== field.after)
+    .map(field => ({ ...field, parts: diffWords(field.before, field.after) }));
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2 text-xs font-medium text-stone-500">
+        <span>v{before.version_number} · {before.author_email || 'Unknown author'}</span>
+        <span>v{after.version_number} · {after.author_email || 'Unknown author'}</span>
+      </div>
+
+      {fields.map(field => (
+        <div key={field.label}>
+          <p className="text-xs font-medium text-stone-500 mb-1">{field.label}</p>
+          <div className="grid grid-cols-2 gap-2 text-sm">
+            <DiffText parts={field.parts} side="left" className="p-2 rounded-lg bg-red-50/50" />
+            <DiffText parts={field.parts} side="right" className="p-2 rounded-lg bg-emerald-50/50" />
+          </div>
+        </div>
+      ))}
+
+      <div>
+        <p className="text-xs font-medium text-stone-500 mb-1">
+          Body {added + removed > 0 ? `· ${added} line${added !== 1 ? 's' : ''} added, ${removed} removed` : '· unchanged'}
+        </p>
+        <div className="border border-stone-200 rounded-lg overflow-auto max-h-[24rem] font-mono text-xs">
+          <table className="w-full table-fixed border-collapse">
+            <tbody>
+              {bodyRows.map((row, index) => {
+                const words = row.type === 'changed' ? diffWords(row.left.text, row.right.text) : null;
+                return (
+                  <tr key={index}>
+                    <DiffCell cell={row.left} tone={row.type === 'equal' ? null : 'removed'} parts={words} side="left" />
+                    <DiffCell cell={row.right} tone={row.type === 'equal' ? null : 'added'} parts={words} side="right" />
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// One side of a word diff: the left shows removed words, the right added ones
+function DiffText({ parts, side, className = '' }) {
+  const hidden = side === 'left' ? 'added' : 'removed';
+  const highlight = side === 'left' ? 'bg-red-200 text-red-900' : 'bg-emerald-200 text-emerald-900';
+  return (
+    <span className={`whitespace-pre-wrap break-words ${className}`}>
+      {parts.filter(part => part.type !== hidden).map((part, index) => (
+        part.type === 'equal' ? part.text : <mark key={index} className={`${highlight} rounded-sm`}>{part.text}</mark>
+      ))}
+    </span>
+  );
+}
+
+function DiffCell({ cell, tone, parts, side }) {
+  const background = !cell ? 'bg-stone-50' : tone === 'removed' ? 'bg-red-50' : tone === 'added' ? 'bg-emerald-50' : '';
+  return (
+    <>
+      <td className={`w-10 px-2 py-0.5 text-right text-stone-400 align-top select-none border-r border-stone-100 ${background}`}>
+        {cell?.number}
+      </td>
+      <td className={`px-2 py-0.5 align-top whitespace-pre-wrap break-words ${background} ${side === 'left' ? 'border-r border-stone-200' : ''}`}>
+        {cell && (parts ? <DiffText parts={parts} side={side} /> : cell.text || ' ')}
+      </td>
+    </>
+  );
+}
+
+// Template Improve Modal Component - AI rewrite reviewed hunk by hunk before saving as a new version
+function TemplateImproveModal({ template, availableFields, userId, onClose, onSaved }) {
+  const [goals, setGoals] = useState(['shorter']);
+  const [instructions, setInstructions] = useState('');
+  const [suggestion, setSuggestion] = useState(null);
+  const [accepted, setAccepted] = useState(new Set());
+  const [subjectAccepted, setSubjectAccepted] = useState(true);
+  const [improving, setImproving] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const segments = useMemo(
+    () => (suggestion ? buildDiffHunks(template.body, suggestion.body) : []),
+    [template.body, suggestion]
+  );
+  const hunks = segments.filter(segment => segment.type === 'hunk');
+  const subjectChanged = !!suggestion && suggestion.subject !== template.subject;
+
+  const result = suggestion && {
+    subject: subjectChanged && subjectAccepted ? suggestion.subject : template.subject,
+    body: applyDiffHunks(segments, accepted),
+  };
+  const resultError = result && (validateTemplate(result.subject) || validateTemplate(result.body));
+  const acceptedCount = accepted.size + (subjectChanged && subjectAccepted ? 1 : 0);
+  const totalCount = hunks.length + (subjectChanged ? 1 : 0);
+
+  function toggleGoal(value) {
+    setGoals(prev => prev.includes(value) ? prev.filter(goal => goal !== value) : [...prev, value]);
+  }
+
+  function setHunk(id, accept) {
+    setAccepted(prev => {
+      const next = new Set(prev);
+      if (accept) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+  }
+
+  function setAll(accept) {
+    setAccepted(accept ? new Set(hunks.map(hunk => hunk.id)) : new Set());
+    setSubjectAccepted(accept);
+  }
+
+  async function handleImprove() {
+    if (goals.length === 0 && !instructions.trim()) {
+      setError('Pick at least one goal or describe what to change');
+      return;
+    }
+
+    setImproving(true);
+    setError('');
+    try {
+      const response = await aiAPI.improveTemplate({
+        template: { subject: template.subject, body: template.body },
+        goals,
+        instructions: instructions.trim(),
+        availableFields,
+        userId,
+      });
+
+      if (!response.success || !response.template) {
+        throw new Error(response.error || 'Failed to improve template');
+      }
+
+      const improved = {
+        subject: response.template.subject || template.subject,
+        body: response.template.body || template.body,
+      };
+      // Everything starts accepted; reject what you don't want
+      setSuggestion(improved);
+      setAccepted(new Set(buildDiffHunks(template.body, improved.body).filter(segment => segment.type === 'hunk').map(hunk => hunk.id)));
+      setSubjectAccepted(true);
+    } catch (err) {
+      setError(err.message || 'AI improvement failed. Please try again.');
+    } finally {
+      setImproving(false);
+    }
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError('');
+    try {
+      const saved = await templatesService.update(template.id, { ...template, ...result });
+      onSaved(`${acceptedCount} AI change${acceptedCount !== 1 ? 's' : ''} saved${saved?.current_version ? ` as version ${saved.current_version}` : ''}`);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  }
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={
+        <div className="flex items-center gap-2">
+          <Wand2 className="w-5 h-5 text-purple-600" />
+          Improve with AI
+        </div>
+      }
+      size="xl"
+    >
+      <div className="space-y-5">
+        <p className="text-sm text-stone-500 truncate">{template.name || template.subject}</p>
+
+        {error && <Alert type="error" message={error} />}
+
+        {!suggestion ? (
+          <>
+            <fieldset>
+              <legend className="block text-sm font-medium text-stone-700 mb-2">What should change?</legend>
+              <div className="flex flex-wrap gap-2">
+                {AI_IMPROVE_GOALS.map(goal => {
+                  const isSelected = goals.includes(goal.value);
+                  return (
+                    <button
+                      key={goal.value}
+                      type="button"
+                      onClick={() => toggleGoal(goal.value)}
+                      aria-pressed={isSelected}
+                      className={`px-3 py-1.5 rounded-full text-sm font-medium transition-all ${
+                        isSelected ? 'bg-purple-600 text-white' : 'bg-stone-100 text-stone-600 hover:bg-stone-200'
+                      }`}
+                    >
+                      {goal.label}
+                      {isSelected && ' ✓'}
+                    </button>
+                  );
+                })}
+              </div>
+            </fieldset>
+
+            <Input
+              label="Anything else? (optional)"
+              placeholder="e.g., mention our free trial, keep it under 100 words"
+              value={instructions}
+              onChange={(e) => setInstructions(e.target.value)}
+              maxLength={300}
+            />
+
+            <p className="text-xs text-stone-500">
+              Variables like {'{{firstName}}'} and spintax are kept. You review every change before anything is saved.
+            </p>
+
+            <div className="flex justify-end gap-3">
+              <Button variant="secondary" onClick={onClose}>Cancel</Button>
+              <Button onClick={handleImprove} loading={improving} className="bg-purple-600 hover:bg-purple-700">
+                <Sparkles className="w-4 h-4 mr-2" aria-hidden="true" />
+                Suggest Changes
+              </Button>
+            </div>
+          </>
+        ) : totalCount === 0 ? (
+          <>
+            <Alert type="info" message="The AI didn't suggest any changes. Try different goals." />
+            <div className="flex justify-end gap-3">
+              <Button variant="secondary" onClick={onClose}>Close</Button>
+              <Button variant="outline" onClick={() => setSuggestion(null)}>← Try Again</Button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <p className="text-sm text-stone-600">
+                {acceptedCount} of {totalCount} change{totalCount !== 1 ? 's' : ''} accepted
+              </p>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => setAll(true)}>Accept All</Button>
+                <Button variant="outline" size="sm" onClick={() => setAll(false)}>Reject All</Button>
+              </div>
+            </div>
+
+            <div className="space-y-3 max-h-[28rem] overflow-y-auto">
+              {subjectChanged && (
+                <div>
+                  <p className="text-xs font-medium text-stone-500 mb-1">Subject</p>
+                  <SuggestedHunk
+                    removed={[template.subject]}
+                    added={[suggestion.subject]}
+                    accepted={subjectAccepted}
+                    onChange={setSubjectAccepted}
+                  />
+                </div>
+              )}
+
+              <div>
+                <p className="text-xs font-medium text-stone-500 mb-1">Body</p>
+                <div className="border border-stone-200 rounded-lg p-3 font-mono text-xs space-y-2">
+                  {segments.map((segment, index) => (
+                    segment.type === 'equal' ? (
+                      <p key={index} className="whitespace-pre-wrap break-words text-stone-600">{segment.lines.join('\n')}</p>
+                    ) : (
+                      <SuggestedHunk
+                        key={index}
+                        removed={segment.removed}
+                        added={segment.added}
+                        accepted={accepted.has(segment.id)}
+                        onChange={(accept) => setHunk(segment.id, accept)}
+                      />
+                    )
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {resultError && (
+              <Alert type="error" message={`The accepted changes leave a syntax error: ${resultError.message}`} />
+            )}
+
+            <div className="flex justify-between gap-3">
+              <Button variant="outline" onClick={() => setSuggestion(null)}>← Try Again</Button>
+              <div className="flex gap-3">
+                <Button variant="secondary" onClick={onClose}>Cancel</Button>
+                <Button onClick={handleSave} loading={saving} disabled={acceptedCount === 0 || !!resultError}>
+                  Save as New Version
+                </Button>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+// One suggested change shown as tracked changes, with accept/reject buttons
+function SuggestedHunk({ removed, added, accepted, onChange }) {
+  // Lines replaced one for one get word-level highlights
+  const paired = removed.length === added.length;
+
+  return (
+    <div className={`rounded-lg border ${accepted ? 'border-emerald-200' : 'border-stone-200'}`}>
+      <div className="p-2 space-y-0.5 whitespace-pre-wrap break-words">
+        {removed.map((line, index) => (
+          <p key={`removed-${index}`} className={`bg-red-50 ${accepted ? 'line-through text-red-800' : 'text-stone-700'}`}>
+            {paired ? <DiffText parts={diffWords(line, added[index])} side="left" /> : line || ' '}
+          </p>
+        ))}
+        {added.map((line, index) => (
+          <p key={`added-${index}`} className={`bg-emerald-50 ${accepted ? 'text-emerald-900' : 'line-through text-stone-400'}`}>
+            {paired ? <DiffText parts={diffWords(removed[index], line)} side="right" /> : line || ' '}
+          </p>
+        ))}
+      </div>
+      <div className="flex justify-end gap-1 px-2 py-1.5 border-t border-stone-100 font-sans">
+        <button
+          type="button"
+          onClick={() => onChange(true)}
+          aria-pressed={accepted}
+          className={`inline-flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium transition-colors ${
+            accepted ? 'bg-emerald-600 text-white' : 'text-stone-600 hover:bg-stone-100'
+          }`}
+        >
+          <Check className="w-3 h-3" aria-hidden="true" />
+          Accept
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange(false)}
+          aria-pressed={!accepted}
+          className={`inline-flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium transition-colors ${
+            !accepted ? 'bg-stone-700 text-white' : 'text-stone-600 hover:bg-stone-100'
+          }`}
+        >
+          <RotateCcw className="w-3 h-3" aria-hidden="true" />
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Subject Variants Modal Component - AI subject line suggestions kept for an A/B test
+function SubjectVariantsModal({ template, availableFields, userId, onClose, onSaved }) {
+  const [items, setItems] = useState(() => (
+    hasSubjectVariants(template)
+      ? template.subject_variants.map(subject => ({ subject, keep: true }))
+      : [{ subject: template.subject, keep: true }]
+  ));
+  const [count, setCount] = useState(SUBJECT_VARIANT_COUNTS[0]);
+  const [newSubject, setNewSubject] = useState('');
+  const [generating, setGenerating] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const kept = normalizeSubjectVariants(items.filter(item => item.keep).map(item => item.subject));
+  const keptErrors = kept.map(subject => validateTemplate(subject)).filter(Boolean);
+  const isFull = kept.length >= MAX_SUBJECT_VARIANTS;
+
+  // New subjects go to the end of the list, skipping ones already there
+  function addSubjects(subjects, keep) {
+    setItems(prev => {
+      const known = new Set(prev.map(item => item.subject.trim().toLowerCase()));
+      const added = normalizeSubjectVariants(subjects)
+        .filter(subject => !known.has(subject.toLowerCase()))
+        .map(subject => ({ subject, keep }));
+      return [...prev, ...added];
+    });
+  }
+
+  function toggleKeep(index) {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, keep: !item.keep } : item)));
+  }
+
+  function removeItem(index) {
+    setItems(prev => prev.filter((_, i) => i !== index));
+  }
+
+  function handleAdd() {
+    if (!newSubject.trim()) return;
+    addSubjects([newSubject], !isFull);
+    setNewSubject('');
+  }
+
+  async function handleGenerate() {
+    setGenerating(true);
+    setError('');
+    try {
+      const response = await aiAPI.generateSubjectVariants({
+        template: { subject: template.subject, body: template.body },
+        count,
+        availableFields,
+        userId,
+      });
+
+      if (!response.success || !Array.isArray(response.subjects)) {
+        throw new Error(response.error || 'Failed to generate subject lines');
+      }
+      // Suggestions start unticked; keep the ones you like
+      addSubjects(response.subjects, false);
+    } catch (err) {
+      setError(err.message || 'AI generation failed. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    setError('');
+    try {
+      await templatesService.updateSubjectVariants(template.id, kept);
+      onSaved(kept.length > 1
+        ? `A/B test saved: campaigns will split recipients across ${kept.length} subject lines`
+        : 'Subject line A/B test turned off');
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  }
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={
+        <div className="flex items-center gap-2">
+          <FlaskConical className="w-5 h-5 text-purple-600" />
+          Subject Line A/B Test
+        </div>
+      }
+      size="lg"
+    >
+      <div className="space-y-5">
+        <p className="text-sm text-stone-500">
+          Tick the subject lines to test. Campaigns using this template split recipients evenly across them,
+          and the campaign report compares failure and reply rates per subject.
+        </p>
+
+        {error && <Alert type="error" message={error} />}
+
+        <div className="flex flex-wrap items-end gap-3 p-3 bg-purple-50 border border-purple-100 rounded-lg">
+          <div>
+            <label htmlFor="subject-variant-count" className="block text-sm font-medium text-stone-700 mb-1.5">Suggestions</label>
+            <select
+              id="subject-variant-count"
+              value={count}
+              onChange={(e) => setCount(Number(e.target.value))}
+              className="px-3 py-2 border border-stone-300 rounded-lg bg-white text-sm"
+            >
+              {SUBJECT_VARIANT_COUNTS.map(value => (
+                <option key={value} value={value}>{value} subject lines</option>
+              ))}
+            </select>
+          </div>
+          <Button onClick={handleGenerate} loading={generating} className="bg-purple-600 hover:bg-purple-700">
+            <Sparkles className="w-4 h-4 mr-2" aria-hidden="true" />
+            Generate with AI
+          </Button>
+        </div>
+
+        <ul className="space-y-2 max-h-80 overflow-y-auto" aria-label="Subject lines">
+          {items.map((item, index) => {
+            const syntaxError = validateTemplate(item.subject);
+            return (
+              <li key={item.subject} className="flex items-start gap-3 p-2 border border-stone-200 rounded-lg">
+                <input
+                  type="checkbox"
+                  checked={item.keep}
+                  onChange={() => toggleKeep(index)}
+                  disabled={!item.keep && isFull}
+                  className="mt-1 w-4 h-4 rounded border-stone-300 text-stone-900 focus:ring-2 focus:ring-stone-500"
+                  aria-label={`Keep subject: ${item.subject}`}
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-stone-900 break-words">{item.subject}</p>
+                  {item.subject === template.subject && <p className="text-xs text-stone-400">Current subject</p>}
+                  {syntaxError && <p className="text-xs text-red-600">{syntaxError.message}</p>}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeItem(index)}
+                  className="p-1 text-stone-400 hover:text-red-500 transition-colors"
+                  aria-label={`Remove subject: ${item.subject}`}
+                >
+                  <Trash2 className="w-4 h-4" aria-hidden="true" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="flex gap-2">
+          <div className="flex-1">
+            <Input
+              placeholder="Add your own subject line"
+              value={newSubject}
+              onChange={(e) => setNewSubject(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  handleAdd();
+                }
+              }}
+              maxLength={200}
+            />
+          </div>
+          <Button variant="outline" onClick={handleAdd} disabled={!newSubject.trim()}>
+            <Plus className="w-4 h-4" aria-hidden="true" />
+          </Button>
+        </div>
+
+        <p className={`text-sm ${kept.length === 1 ? 'text-amber-700' : 'text-stone-600'}`}>
+          {kept.length === 1
+            ? 'Keep at least two subject lines to run a test, or none to turn it off.'
+            : kept.length === 0
+              ? 'No subject lines kept: campaigns use the template subject.'
+              : `${kept.length} of up to ${MAX_SUBJECT_VARIANTS} subject lines kept.`}
+        </p>
+
+        <div className="flex justify-end gap-3">
+          <Button variant="secondary" onClick={onClose}>Cancel</Button>
+          <Button onClick={handleSave} loading={saving} disabled={kept.length === 1 || keptErrors.length > 0}>
+            Save
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+const LINT_SEVERITY_STYLES = {
+  error: { icon: AlertCircle, className: 'text-red-700' },
+  warning: { icon: AlertTriangle, className: 'text-amber-700' },
+  info: { icon: Info, className: 'text-stone-500' },
+};
+
+// Lint Issues Component - Deliverability warnings shown under the field they concern
+function LintIssues({ issues }) {
+  if (issues.length === 0) return null;
+  return (
+    <ul className="-mt-2 space-y-1" aria-label="Deliverability warnings">
+      {issues.map(issue => {
+        const { icon: Icon, className } = LINT_SEVERITY_STYLES[issue.severity];
+        return (
+          <li key={issue.id} className={`flex items-start gap-1.5 text-xs ${className}`}>
+            <Icon className="w-3.5 h-3.5 mt-px flex-shrink-0" aria-hidden="true" />
+            <span>{issue.message}</span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// Deliverability Score Component - Overall score for the template being edited
+function DeliverabilityScore({ result }) {
+  const { score, grade, issues } = result;
+  return (
+    <div className="flex items-center justify-between gap-3 p-3 bg-stone-50 border border-stone-200 rounded-lg">
+      <span className="flex items-center gap-2 text-sm text-stone-700">
+        <ShieldCheck className="w-4 h-4 text-stone-500" aria-hidden="true" />
+        Deliverability score
+      </span>
+      <span className="flex items-center gap-2 text-sm">
+        <span className="text-stone-500">
+          {issues.length === 0 ? 'No issues found' : `${issues.length} issue${issues.length !== 1 ? 's' : ''}`}
+        </span>
+        <Badge variant={grade.variant}>{score}/100 · {grade.label}</Badge>
+      </span>
+    </div>
+  );
+}
+
+function DeliverabilityBadge({ result }) {
+  if (!result) return null;
+  return (
+    <span title={[`Deliverability ${result.score}/100`, ...result.issues.map(issue => issue.message)].join('\n')}>
+      <Badge variant={result.grade.variant} size="xs">{result.score}/100</Badge>
+    </span>
+  );
+}
@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { MailX, CheckCircle, AlertCircle } from 'lucide-react';
+import { Button, LoadingSpinner } from '../components/UI';
+import { unsubscribedService } from '../services/supabase';
+
+/**
+ * Public page behind {{unsubscribeLink}}. Recipients confirm with a click,
+ * so link scanners that prefetch URLs don't unsubscribe anyone by accident.
+ */
+export default function Unsubscribe() {
+  const { token } = useParams();
+  const [request, setRequest] = useState(null);
+  const [status, setStatus] = useState('loading'); // loading | ready | saving | done | invalid
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    unsubscribedService.getUnsubscribeRequest(token)
+      .then(data => {
+        if (cancelled) return;
+        setRequest(data);
+        setStatus(!data ? 'invalid' : data.unsubscribed ? 'done' : 'ready');
+      })
+      .catch(() => {
+        if (!cancelled) setStatus('invalid');
+      });
+
+    return () => { cancelled = true; };
+  }, [token]);
+
+  async function handleConfirm() {
+    setStatus('saving');
+    setError('');
+    try {
+      await unsubscribedService.recordUnsubscribe(token, 'Unsubscribed via link');
+      setStatus('done');
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+      setStatus('ready');
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-stone-50 px-4">
+      <div className="w-full max-w-md bg-white border border-stone-200 rounded-2xl shadow-sm p-8 text-center">
+        {status === 'loading' && (
+          <div className="py-8 flex justify-center">
+            <LoadingSpinner size="lg" />
+          </div>
+        )}
+
+        {status === 'invalid' && (
+          <>
+            <AlertCircle className="w-12 h-12 mx-auto text-stone-400 mb-4" />
+            <h1 className="text-xl font-semibold text-stone-900">Link not recognised</h1>
+            <p className="text-stone-500 mt-2">
+              This unsubscribe link is invalid or has expired. Reply to the email and ask to be removed instead.
+            </p>
+          </>
+        )}
+
+        {(status === 'ready' || status === 'saving') && (
+          <>
+            <MailX className="w-12 h-12 mx-auto text-stone-500 mb-4" />
+            <h1 className="text-xl font-semibold text-stone-900">Unsubscribe</h1>
+            <p className="text-stone-500 mt-2">
+              Stop receiving emails from this sender at <strong className="text-stone-800">{request.email}</strong>?
+            </p>
+            {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+            <Button onClick={handleConfirm} loading={status === 'saving'} className="mt-6 w-full">
+              Unsubscribe
+            </Button>
+          </>
+        )}
+
+        {status === 'done' && (
+          <>
+            <CheckCircle className="w-12 h-12 mx-auto text-green-500 mb-4" />
+            <h1 className="text-xl font-semibold text-stone-900">You're unsubscribed</h1>
+            <p className="text-stone-500 mt-2">
+              {request?.email ? <strong className="text-stone-800">{request.email}</strong> : 'This address'} won't receive any more emails from this sender.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -5,3 +5,5 @@ export { default as SendEmails } from './SendEmails';
 export { default as Settings } from './Settings';
 export { default as Help } from './Help';
 export { default as FailedEmails } from './FailedEmails';
+export { default as Campaigns } from './Campaigns';
+export { default as Suppression } from './Suppression';
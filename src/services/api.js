@@ -199,34 +199,88 @@ export const aiAPI = {
       body: JSON.stringify(options),
     });
   },
+  // Rewrite an existing template: { template: { subject, body }, goals, instructions, availableFields, userId }
+  // → { success, template: { subject, body } }; {{variables}} and spintax are kept
   improveTemplate: async (options) => {
     return fetchAPI(API_ENDPOINTS.AI_IMPROVE_TEMPLATE, {
       method: 'POST',
       body: JSON.stringify(options),
     });
   },
+  // Suggest subject lines for a template: { template: { subject, body }, count, availableFields, userId }
+  // → { success, subjects: string[] }
+  generateSubjectVariants: async (options) => {
+    return fetchAPI(API_ENDPOINTS.AI_SUBJECT_VARIANTS, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
+  // Write {{aiIntro}} opening lines: { contacts: [{ email, firstName, lastName, company, website, customFields }],
+  // maxLength, userId } → { success, intros: [{ email, intro }] }
+  generateIntros: async (options) => {
+    return fetchAPI(API_ENDPOINTS.AI_GENERATE_INTROS, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    });
+  },
 };
 
-// Campaign API (Server-side queue)
-export const campaignAPI = {
-  // Start a new campaign (server-side execution)
-  start: async (options) => {
-    const creds = await smtpService.get();
-    if (!hasUsableMailAuth(creds)) {
-      throw new Error('SMTP not configured. Please set up your credentials in Settings.');
-    }
-    
-    const credentials = {
+// Credentials and caps for one sender account, as the campaign server expects them
+function toSenderPayload(creds) {
+  return {
+    id: creds.id,
+    emailUser: creds.emailUser,
+    weight: creds.weight || 1,
+    credentials: {
       smtpHost: creds.smtpHost,
       smtpPort: creds.smtpPort,
       emailUser: creds.emailUser,
       emailPass: creds.emailPass,
       senderName: creds.senderName,
-    };
+    },
+    // Sender limits, enforced across all of this sender's campaigns
+    sendCaps: {
+      daily: creds.dailyCap || null,
+      hourly: creds.hourlyCap || null,
+      timezone: creds.capTimezone || 'UTC',
+    },
+  };
+}
+
+// Load the sender accounts a campaign uses (the default sender when none are selected)
+async function getCampaignSenders(senderIds) {
+  const all = await smtpService.getAll();
+  const selected = senderIds?.length
+    ? all.filter(sender => senderIds.includes(sender.id))
+    : all.slice(0, 1);
+
+  if (selected.length === 0) {
+    throw new Error('SMTP not configured. Please set up your credentials in Settings.');
+  }
+
+  const unusable = selected.find(sender => !hasUsableMailAuth(sender));
+  if (unusable) {
+    throw new Error(`Sender ${unusable.emailUser || unusable.label} has no password on this device. Please re-enter it in Settings.`);
+  }
+
+  return selected;
+}
+
+// Campaign API (Server-side queue)
+export const campaignAPI = {
+  // Start a new campaign (server-side execution)
+  start: async (options) => {
+    const senders = await getCampaignSenders(options.senderIds);
+    const creds = senders[0];
+    const { credentials } = toSenderPayload(creds);
 
     return fetchAPI(API_ENDPOINTS.CAMPAIGN_START, {
       method: 'POST',
       body: JSON.stringify({
+        // Each contact carries its rendered template and follow-ups (followUps[].stepNumber matches sequence.steps),
+        // plus customFields, stored on campaign_emails.contact_custom_fields as sent, and templateVersionId
+        // (per contact and per follow-up), stored on campaign_emails.template_version_id, and subjectVariant
+        // (1-based, null without a subject test), stored on campaign_emails.subject_variant
         contacts: options.contacts,
         template: options.template,
         credentials,
@@ -234,6 +288,26 @@ export const campaignAPI = {
         delayMin: options.delayMin || 10000,
         delayMax: options.delayMax || 30000,
         campaignName: options.campaignName,
+        // Follow-up steps after the initial email (null for single-step campaigns)
+        sequence: options.sequence || null,
+        // ISO timestamp to start at (null starts immediately)
+        scheduledAt: options.scheduledAt || null,
+        timezone: options.timezone || null,
+        // Days/hours to send in, per contact timezone (null sends any time)
+        sendingWindow: options.sendingWindow || null,
+        fallbackTimezone: options.fallbackTimezone || null,
+        // Sender accounts to rotate across; each contact carries its senderId
+        senders: senders.map(toSenderPayload),
+        senderRotation: options.senderRotation || 'round_robin',
+        // Campaign whose failed emails this one resends (null for new campaigns)
+        retryOf: options.retryOf || null,
+        // Lists/segments the contacts were picked from (null for all contacts)
+        audience: options.audience || null,
+        // { pageUrl, oneClickUrl, footer, headers }: the server fills {{unsubscribeLink}} with pageUrl/<token>
+        // and, with headers on, adds List-Unsubscribe: <oneClickUrl/<token>> and List-Unsubscribe-Post:
+        // List-Unsubscribe=One-Click, so mail clients POST to the endpoint that records the opt-out
+        // (no headers are sent without oneClickUrl)
+        unsubscribe: options.unsubscribe || null,
       }),
     });
   },
@@ -261,11 +335,15 @@ export const campaignAPI = {
       senderName: creds.senderName,
     };
 
+    // Every sender with a password on this device; the server uses the ones the campaign was started with
+    const senders = (await smtpService.getAll()).filter(hasUsableMailAuth);
+
     return fetchAPI(API_ENDPOINTS.CAMPAIGN_RESUME, {
       method: 'POST',
       body: JSON.stringify({
         campaignId,
         credentials,
+        senders: senders.map(toSenderPayload),
       }),
     });
   },
@@ -1,4 +1,27 @@
 import { supabase } from '../config/supabase';
+import { inferTimezone } from '../utils/schedule';
+import { normalizeSuppressionEntry, getSuppressionCandidates, buildSuppressionSet, isSuppressed } from '../utils/suppression';
+
+// Contacts per request when saving AI intros
+const AI_INTRO_SAVE_CHUNK_SIZE = 500;
+
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+// Addresses per suppression check, so the suppressed ones always fit in one response
+const SUPPRESSION_CHECK_CHUNK_SIZE = 1000;
+
+// Fetch every row of a query page by page until a short page comes back.
+// buildQuery must return a fresh query with a unique sort order, so pages don't overlap.
+async function fetchAllPages(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
 
 // ==================
 // AUTH HELPER (with caching)
@@ -48,6 +71,7 @@ export const templatesService = {
         name: template.name || 'Untitled Template',
         subject: template.subject,
         body: template.body,
+        tags: template.tags || [],
       })
       .select()
       .single();
@@ -63,6 +87,9 @@ export const templatesService = {
         name: template.name,
         subject: template.subject,
         body: template.body,
+        tags: template.tags || [],
+        // Content changes create a new template version (see supabase_template_versions_schema.sql)
+        restored_from_version: template.restoredFromVersion || null,
         updated_at: new Date().toISOString(),
       })
       .eq('id', id)
@@ -73,6 +100,19 @@ export const templatesService = {
     return data;
   },
 
+  // Save the subject lines kept for A/B tests (not a content change, so no new version)
+  async updateSubjectVariants(id, subjects) {
+    const { data, error } = await supabase
+      .from('templates')
+      .update({ subject_variants: subjects })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
   async delete(id) {
     const { error } = await supabase
       .from('templates')
@@ -90,6 +130,8 @@ export const templatesService = {
       name: t.name || 'Imported Template',
       subject: t.subject,
       body: t.body,
+      tags: t.tags || [],
+      source_pack: t.source_pack || null,
     }));
 
     const { data, error } = await supabase
@@ -113,6 +155,34 @@ export const templatesService = {
   }
 };
 
+// ==================
+// TEMPLATE VERSIONS
+// ==================
+export const templateVersionsService = {
+  // Every saved version of a template, newest first
+  async getAll(templateId) {
+    const { data, error } = await supabase
+      .from('template_versions')
+      .select('*')
+      .eq('template_id', templateId)
+      .order('version_number', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Roll a template back by saving an old version's content as a new version
+  async restore(version) {
+    return templatesService.update(version.template_id, {
+      name: version.name,
+      subject: version.subject,
+      body: version.body,
+      tags: version.tags,
+      restoredFromVersion: version.version_number,
+    });
+  },
+};
+
 // ==================
 // CONTACTS
 // ==================
@@ -174,9 +244,8 @@ export const contactsService = {
         last_name: c.lastName || null,
         company: c.company || null,
         website: c.website || null,
-        custom1: c.custom1 || null,
-        custom2: c.custom2 || null,
-        custom3: c.custom3 || null,
+        custom_fields: c.customFields || c.custom_fields || {},
+        timezone: inferTimezone(c),
       };
     });
 
@@ -189,6 +258,41 @@ export const contactsService = {
     return data;
   },
 
+  // Update a contact's fields, e.g. { company: 'Acme' }
+  async update(id, changes) {
+    const { data, error } = await supabase
+      .from('contacts')
+      .update(changes)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Save AI intros: [{ id, intro, status: 'pending' | 'approved' }], one update per chunk
+  // (generated stamps ai_intro_generated_at). Only existing contacts are updated; deleted
+  // ones are skipped. If a chunk fails, the thrown error carries the rows already saved as error.saved.
+  async saveAiIntros(intros, { generated = false } = {}) {
+    const saved = [];
+
+    for (let index = 0; index < intros.length; index += AI_INTRO_SAVE_CHUNK_SIZE) {
+      const { data, error } = await supabase.rpc('save_ai_intros', {
+        p_intros: intros.slice(index, index + AI_INTRO_SAVE_CHUNK_SIZE).map(({ id, intro, status }) => ({ id, intro, status })),
+        p_generated: generated,
+      });
+
+      if (error) {
+        error.saved = saved;
+        throw error;
+      }
+      saved.push(...(data || []));
+    }
+
+    return saved;
+  },
+
   async delete(id) {
     const { error } = await supabase
       .from('contacts')
@@ -216,53 +320,346 @@ export const contactsService = {
       .eq('user_id', user.id);
     
     if (error) throw error;
+  },
+
+  // Get sent count and last send time per email address (for "emailed" segment rules)
+  async getEmailHistory() {
+    return fetchAllPages(() => supabase
+      .rpc('get_contact_email_history')
+      .order('email'));
+  },
+
+  // Get sent/failed counts, last send time and last status per email address (for exports)
+  async getCampaignStats() {
+    return fetchAllPages(() => supabase
+      .rpc('get_contact_campaign_stats')
+      .order('email'));
   }
 };
 
 // ==================
-// SMTP CONFIG - Synced across devices
+// CONTACT FIELDS - Registry of custom contact fields
 // ==================
-export const smtpService = {
-  async get() {
+export const contactFieldsService = {
+  // Get all custom fields
+  async getAll() {
     const { data, error } = await supabase
-      .from('smtp_configs')
+      .from('contact_fields')
       .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Create a field
+  async create({ name, label, type, default_value }) {
+    const user = await getAuthUser();
+
+    const { data, error } = await supabase
+      .from('contact_fields')
+      .insert({
+        user_id: user.id,
+        name,
+        label: label?.trim() || null,
+        type: type || 'text',
+        default_value: default_value?.trim() || null,
+      })
+      .select()
       .single();
-    
-    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
-    
-    if (data) {
-      // Get password from localStorage (device-specific for security)
-      const storedPass = localStorage.getItem(`smtp_pass_${data.id}`);
-      return {
-        id: data.id,
-        smtpHost: data.smtp_host,
-        smtpPort: data.smtp_port?.toString() || '587',
-        emailUser: data.email_user,
-        emailPass: storedPass || '',
-        senderName: data.sender_name || 'Support Team',
-      };
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error(`A field named "${name}" already exists`);
+      }
+      throw error;
     }
-    return null;
+    return data;
   },
 
-  async save(config) {
+  // Update a field's label, type or default (the name stays, since templates use it)
+  async update(id, { label, type, default_value }) {
+    const { data, error } = await supabase
+      .from('contact_fields')
+      .update({
+        label: label?.trim() || null,
+        type,
+        default_value: default_value?.trim() || null,
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete a field (contacts keep their stored values)
+  async delete(id) {
+    const { error } = await supabase
+      .from('contact_fields')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Register fields found in an import; names that already exist are left as they are
+  async ensure(fields) {
+    if (fields.length === 0) return [];
     const user = await getAuthUser();
 
     const { data, error } = await supabase
-      .from('smtp_configs')
-      .upsert({
-        user_id: user.id,
-        smtp_host: config.smtpHost,
-        smtp_port: parseInt(config.smtpPort) || 587,
-        email_user: config.emailUser,
-        sender_name: config.senderName || 'Support Team',
-        updated_at: new Date().toISOString(),
-      }, { onConflict: 'user_id' })
+      .from('contact_fields')
+      .upsert(
+        fields.map(field => ({
+          user_id: user.id,
+          name: field.name,
+          label: field.label || null,
+          type: field.type || 'text',
+        })),
+        { onConflict: 'user_id,name', ignoreDuplicates: true }
+      )
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  },
+};
+
+// ==================
+// CONTACT LISTS - Named groups of contacts
+// ==================
+export const listsService = {
+  // Get all lists
+  async getAll() {
+    const { data, error } = await supabase
+      .from('contact_lists')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Get every list membership as { list_id, contact_id } pairs
+  async getMemberships() {
+    return fetchAllPages(() => supabase
+      .from('contact_list_members')
+      .select('list_id, contact_id')
+      .order('list_id')
+      .order('contact_id'));
+  },
+
+  // Create a list
+  async create(name) {
+    const user = await getAuthUser();
+
+    const { data, error } = await supabase
+      .from('contact_lists')
+      .insert({ user_id: user.id, name: name.trim() })
       .select()
       .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('A list with this name already exists');
+      }
+      throw error;
+    }
+    return data;
+  },
+
+  // Rename a list
+  async rename(id, name) {
+    const { error } = await supabase
+      .from('contact_lists')
+      .update({ name: name.trim() })
+      .eq('id', id);
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('A list with this name already exists');
+      }
+      throw error;
+    }
+  },
+
+  // Delete a list (its contacts are kept)
+  async delete(id) {
+    const { error } = await supabase
+      .from('contact_lists')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Add contacts to a list (contacts already in it are ignored)
+  async addContacts(listId, contactIds) {
+    const user = await getAuthUser();
+
+    const { error } = await supabase
+      .from('contact_list_members')
+      .upsert(
+        contactIds.map(contactId => ({ list_id: listId, contact_id: contactId, user_id: user.id })),
+        { onConflict: 'list_id,contact_id', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+  },
+
+  // Remove contacts from a list
+  async removeContacts(listId, contactIds) {
+    const { error } = await supabase
+      .from('contact_list_members')
+      .delete()
+      .eq('list_id', listId)
+      .in('contact_id', contactIds);
+
+    if (error) throw error;
+  },
+};
+
+// ==================
+// CONTACT SEGMENTS - Saved dynamic filters
+// ==================
+export const segmentsService = {
+  // Get all saved segments
+  async getAll() {
+    const { data, error } = await supabase
+      .from('contact_segments')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Create or update a segment
+  async save(segment) {
+    const user = await getAuthUser();
+    const record = {
+      name: segment.name.trim(),
+      match: segment.match === 'any' ? 'any' : 'all',
+      rules: segment.rules,
+      updated_at: new Date().toISOString(),
+    };
+
+    const query = segment.id
+      ? supabase.from('contact_segments').update(record).eq('id', segment.id)
+      : supabase.from('contact_segments').insert({ ...record, user_id: user.id });
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw new Error('A segment with this name already exists');
+      }
+      throw error;
+    }
+    return data;
+  },
+
+  // Delete a segment
+  async delete(id) {
+    const { error } = await supabase
+      .from('contact_segments')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+};
+
+// ==================
+// SMTP CONFIG - Synced across devices
+// ==================
+
+// Map an smtp_configs row to the shape the app uses
+function toSmtpConfig(data) {
+  // Get password from localStorage (device-specific for security)
+  const storedPass = localStorage.getItem(`smtp_pass_${data.id}`);
+  return {
+    id: data.id,
+    label: data.label || '',
+    smtpHost: data.smtp_host,
+    smtpPort: data.smtp_port?.toString() || '587',
+    emailUser: data.email_user,
+    emailPass: storedPass || '',
+    senderName: data.sender_name || 'Support Team',
+    dailyCap: data.daily_cap || null,
+    hourlyCap: data.hourly_cap || null,
+    capTimezone: data.cap_timezone || 'UTC',
+    weight: data.weight || 1,
+    isDefault: !!data.is_default,
+  };
+}
+
+export const smtpService = {
+  // Get the default sender (or the oldest one if none is marked default)
+  async get() {
+    const { data, error } = await supabase
+      .from('smtp_configs')
+      .select('*')
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
     
     if (error) throw error;
+    return data ? toSmtpConfig(data) : null;
+  },
+
+  // Get all sender accounts, default first
+  async getAll() {
+    const { data, error } = await supabase
+      .from('smtp_configs')
+      .select('*')
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(toSmtpConfig);
+  },
+
+  // Create a sender account, or update it when config.id is set
+  async save(config) {
+    const user = await getAuthUser();
+
+    const record = {
+      user_id: user.id,
+      label: config.label || null,
+      smtp_host: config.smtpHost,
+      smtp_port: parseInt(config.smtpPort) || 587,
+      email_user: config.emailUser,
+      sender_name: config.senderName || 'Support Team',
+      daily_cap: config.dailyCap || null,
+      hourly_cap: config.hourlyCap || null,
+      cap_timezone: config.capTimezone || 'UTC',
+      weight: config.weight || 1,
+      updated_at: new Date().toISOString(),
+    };
+
+    let query;
+    if (config.id) {
+      query = supabase.from('smtp_configs').update(record).eq('id', config.id);
+    } else {
+      // The first sender account becomes the default
+      const { count } = await supabase
+        .from('smtp_configs')
+        .select('id', { count: 'exact', head: true });
+      query = supabase.from('smtp_configs').insert({ ...record, is_default: !count });
+    }
+
+    const { data, error } = await query.select().single();
+    
+    if (error) {
+      if (error.code === '23505') { // Unique violation
+        throw new Error('A sender with this email address already exists');
+      }
+      throw error;
+    }
     
     // Store password in localStorage (device-specific for security)
     if (config.emailPass) {
@@ -271,21 +668,51 @@ export const smtpService = {
       localStorage.removeItem(`smtp_pass_${data.id}`);
     }
 
-    return data;
+    return toSmtpConfig(data);
   },
 
-  async delete() {
+  // Make one sender the default (used for test emails and single-sender campaigns)
+  async setDefault(id) {
     const user = await getAuthUser();
 
-    // Get config ID first to clear localStorage
-    const { data: config } = await supabase
+    const { error: clearError } = await supabase
       .from('smtp_configs')
-      .select('id')
-      .single();
+      .update({ is_default: false })
+      .eq('user_id', user.id)
+      .eq('is_default', true);
+
+    if (clearError) throw clearError;
+
+    const { error } = await supabase
+      .from('smtp_configs')
+      .update({ is_default: true })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Delete one sender account
+  async delete(id) {
+    localStorage.removeItem(`smtp_pass_${id}`);
+
+    const { error } = await supabase
+      .from('smtp_configs')
+      .delete()
+      .eq('id', id);
     
-    if (config) {
-      localStorage.removeItem(`smtp_pass_${config.id}`);
-    }
+    if (error) throw error;
+  },
+
+  // Delete every sender account
+  async deleteAll() {
+    const user = await getAuthUser();
+
+    // Get config IDs first to clear localStorage
+    const { data: configs } = await supabase
+      .from('smtp_configs')
+      .select('id');
+    
+    (configs || []).forEach(config => localStorage.removeItem(`smtp_pass_${config.id}`));
 
     const { error } = await supabase
       .from('smtp_configs')
@@ -295,11 +722,25 @@ export const smtpService = {
     if (error) throw error;
   },
 
-  // Check if configured (has all required fields)
+  // Check if configured (at least one sender has all required fields)
   async isConfigured() {
-    const config = await this.get();
-    if (!config?.smtpHost || !config?.emailUser) return false;
-    return !!config.emailPass;
+    const configs = await this.getAll();
+    return configs.some(config => config.smtpHost && config.emailUser && config.emailPass);
+  },
+
+  // Emails sent this hour and today, counted against the send caps
+  async getSendVolume(timezone = 'UTC', senderId = null) {
+    const { data, error } = await supabase.rpc('get_send_volume', {
+      p_timezone: timezone,
+      p_sender_id: senderId,
+    });
+
+    if (error) throw error;
+    const row = data?.[0];
+    return {
+      sentThisHour: Number(row?.sent_this_hour) || 0,
+      sentToday: Number(row?.sent_today) || 0,
+    };
   }
 };
 
@@ -327,6 +768,29 @@ export const campaignService = {
     return data || [];
   },
 
+  // Get one page of campaign history, filtered by name and status
+  async getHistory({ page = 1, pageSize = 20, search = '', status = 'all', sortBy = 'created_at', ascending = false } = {}) {
+    const from = (page - 1) * pageSize;
+
+    let query = supabase
+      .from('campaigns')
+      .select('*', { count: 'exact' })
+      .order(sortBy, { ascending })
+      .range(from, from + pageSize - 1);
+
+    if (search.trim()) {
+      query = query.ilike('name', `%${search.trim()}%`);
+    }
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+    return { campaigns: data || [], total: count || 0 };
+  },
+
   // Get active campaign (running or paused)
   async getActive() {
     const { data: { session } } = await supabase.auth.getSession();
@@ -348,6 +812,55 @@ export const campaignService = {
     return data;
   },
 
+  // Get campaigns waiting for their scheduled start (soonest first)
+  async getScheduled() {
+    const { data: { session } } = await supabase.auth.getSession();
+
+    if (!session) {
+      return [];
+    }
+
+    const { data, error } = await supabase
+      .from('campaigns')
+      .select('*')
+      .eq('status', 'scheduled')
+      .order('scheduled_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Change the start time (and optionally the name) of a scheduled campaign
+  async reschedule(campaignId, { scheduledAt, timezone, name }) {
+    const updateData = {
+      scheduled_at: scheduledAt,
+      scheduled_timezone: timezone,
+    };
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+
+    const { data, error } = await supabase
+      .from('campaigns')
+      .update(updateData)
+      .eq('id', campaignId)
+      .eq('status', 'scheduled')
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Cancel a scheduled campaign before it starts
+  async cancelScheduled(campaignId) {
+    // One transaction, so a campaign the worker has just started keeps its emails
+    const { data, error } = await supabase.rpc('cancel_scheduled_campaign', { p_campaign_id: campaignId });
+
+    if (error) throw error;
+    return data;
+  },
+
   // Get campaign by ID
   async getById(id) {
     const { data, error } = await supabase
@@ -392,8 +905,12 @@ export const campaignService = {
       contact_name: contact.name || '',
       template_subject: contact.template.subject,
       template_body: contact.template.body,
+      template_version_id: contact.template.current_version_id || null,
+      subject_variant: contact.template.subjectVariant || null,
       status: 'pending',
       sort_order: index,
+      sender_id: contact.senderId || null,
+      sender_email: contact.senderEmail || null,
     }));
 
     const { error: emailsError } = await supabase
@@ -463,16 +980,75 @@ export const campaignService = {
     return data || [];
   },
 
-  // Get all emails for a campaign
+  // Get all emails for a campaign, with the template version each was sent from
   async getCampaignEmails(campaignId) {
+    return fetchAllPages(() => supabase
+      .from('campaign_emails')
+      .select('*, template_version:template_versions(version_number, template_id)')
+      .eq('campaign_id', campaignId)
+      .order('sort_order', { ascending: true })
+      .order('id'));
+  },
+
+  // Get the follow-up sequence (with ordered steps) for a campaign
+  async getSequence(campaignId) {
+    const { data, error } = await supabase
+      .from('campaign_sequences')
+      .select('*, sequence_steps(*)')
+      .eq('campaign_id', campaignId)
+      .maybeSingle();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data) return null;
+
+    return {
+      ...data,
+      sequence_steps: (data.sequence_steps || []).sort((a, b) => a.step_number - b.step_number),
+    };
+  },
+
+  // Get sent/failed/pending/skipped counts per sequence step
+  async getStepProgress(campaignId) {
     const { data, error } = await supabase
       .from('campaign_emails')
-      .select('*')
+      .select('step_number, status')
+      .eq('campaign_id', campaignId);
+
+    if (error) throw error;
+
+    const steps = {};
+    for (const row of data || []) {
+      const step = row.step_number || 1;
+      if (!steps[step]) {
+        steps[step] = { step, total: 0, sent: 0, failed: 0, pending: 0, skipped: 0 };
+      }
+      steps[step].total += 1;
+      if (steps[step][row.status] !== undefined) {
+        steps[step][row.status] += 1;
+      }
+    }
+
+    return Object.values(steps).sort((a, b) => a.step - b.step);
+  },
+
+  // Record a reply and stop the remaining follow-ups for that contact
+  async markReplied(campaignId, email) {
+    const { error: replyError } = await supabase
+      .from('campaign_emails')
+      .update({ replied_at: new Date().toISOString() })
       .eq('campaign_id', campaignId)
-      .order('sort_order', { ascending: true });
-    
+      .eq('email', email)
+      .eq('status', 'sent');
+
+    if (replyError) throw replyError;
+
+    const { data, error } = await supabase.rpc('stop_sequence_for_contact', {
+      p_campaign_id: campaignId,
+      p_email: email,
+    });
+
     if (error) throw error;
-    return data || [];
+    return data || 0;
   },
 
   // Mark an email as sent
@@ -542,23 +1118,43 @@ export const campaignService = {
 // ==================
 export const unsubscribedService = {
   async getAll() {
-    const { data, error } = await supabase
+    return fetchAllPages(() => supabase
       .from('unsubscribed_emails')
       .select('*')
-      .order('unsubscribed_at', { ascending: false });
-    
-    if (error) throw error;
-    return data || [];
+      .order('unsubscribed_at', { ascending: false })
+      .order('id'));
+  },
+
+  // Find which addresses are suppressed (by address or domain), checked on the server
+  // so the whole list counts however long it is; returns lowercase addresses
+  async findSuppressed(emails) {
+    const unique = [...new Set(emails.map(email => (email || '').trim().toLowerCase()).filter(Boolean))];
+    const suppressed = [];
+
+    for (let index = 0; index < unique.length; index += SUPPRESSION_CHECK_CHUNK_SIZE) {
+      const { data, error } = await supabase.rpc('get_suppressed_emails', {
+        p_emails: unique.slice(index, index + SUPPRESSION_CHECK_CHUNK_SIZE),
+      });
+
+      if (error) throw error;
+      suppressed.push(...(data || []).map(row => row.email));
+    }
+
+    return suppressed;
   },
 
+  // Suppress an address or a whole domain
   async add(email, reason = null, campaignId = null) {
     const user = await getAuthUser();
+    const entry = normalizeSuppressionEntry(email);
+    if (!entry) throw new Error(`"${email}" is not a valid email address or domain`);
 
     const { data, error } = await supabase
       .from('unsubscribed_emails')
       .upsert({
         user_id: user.id,
-        email,
+        email: entry.value,
+        kind: entry.kind,
         reason,
         campaign_id: campaignId,
       }, { onConflict: 'user_id,email' })
@@ -569,6 +1165,22 @@ export const unsubscribedService = {
     return data;
   },
 
+  // Suppress many entries at once ({ value, kind } from parseSuppressionList); existing ones are kept
+  async bulkAdd(entries, reason = null) {
+    const user = await getAuthUser();
+
+    const { data, error } = await supabase
+      .from('unsubscribed_emails')
+      .upsert(
+        entries.map(entry => ({ user_id: user.id, email: entry.value, kind: entry.kind, reason })),
+        { onConflict: 'user_id,email', ignoreDuplicates: true }
+      )
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  },
+
   async delete(id) {
     const { error } = await supabase
       .from('unsubscribed_emails')
@@ -578,17 +1190,46 @@ export const unsubscribedService = {
     if (error) throw error;
   },
 
+  // Look up the email behind a public unsubscribe link (works signed out)
+  async getUnsubscribeRequest(token) {
+    const { data, error } = await supabase.rpc('get_unsubscribe_request', { p_token: token });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+
+  // Record an opt-out from a public unsubscribe link (works signed out); returns the address
+  async recordUnsubscribe(token, reason = null) {
+    const { data, error } = await supabase.rpc('record_unsubscribe', {
+      p_token: token,
+      p_reason: reason,
+    });
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Remove several entries
+  async deleteMany(ids) {
+    const { error } = await supabase
+      .from('unsubscribed_emails')
+      .delete()
+      .in('id', ids);
+
+    if (error) throw error;
+  },
+
+  // Check an address against suppressed addresses and domains
   async isEmailUnsubscribed(email) {
     const { data, error } = await supabase
       .from('unsubscribed_emails')
-      .select('id')
-      .eq('email', email)
-      .maybeSingle();
+      .select('email, kind')
+      .in('email', getSuppressionCandidates(email));
     
     if (error) {
       console.error('Error checking unsubscribed email:', error);
       return false; // Default to not unsubscribed on error
     }
-    return !!data;
+    return isSuppressed(email, buildSuppressionSet(data));
   }
 };
@@ -0,0 +1,81 @@
+/**
+ * AI Intro Utilities
+ *
+ * {{aiIntro}} is an opening line written per contact by the AI from their
+ * company, website and custom fields. Intros are generated in batches before
+ * a campaign starts, cached on the contact (ai_intro, ai_intro_status) and
+ * only rendered once approved.
+ */
+
+import { detectUsedVariables } from './personalization';
+import { getContactCustomFields } from './customFields';
+
+export const AI_INTRO_VARIABLE = 'aiIntro';
+
+// Contacts per AI request
+export const AI_INTRO_BATCH_SIZE = 20;
+
+export const AI_INTRO_MAX_LENGTH = 300;
+
+/**
+ * Check whether any of the templates use {{aiIntro}}
+ * @param {object[]} templates - Templates with subject and body (plus subject_variants)
+ * @returns {boolean}
+ */
+export function templatesUseAiIntro(templates) {
+  return templates.some(template => (
+    [template.subject, template.body, ...(template.subject_variants || [])]
+      .some(text => detectUsedVariables(text).some(name => name.toLowerCase() === AI_INTRO_VARIABLE.toLowerCase()))
+  ));
+}
+
+/**
+ * Review state of a contact's intro
+ * @param {object} contact - Contact row
+ * @returns {string} - 'missing', 'pending' or 'approved'
+ */
+export function getAiIntroStatus(contact) {
+  if (!contact.ai_intro?.trim()) return 'missing';
+  return contact.ai_intro_status === 'approved' ? 'approved' : 'pending';
+}
+
+/**
+ * Count contacts by intro review state
+ * @param {object[]} contacts - Contact rows
+ * @returns {object} - { missing, pending, approved }
+ */
+export function countAiIntroStatuses(contacts) {
+  const counts = { missing: 0, pending: 0, approved: 0 };
+  for (const contact of contacts) counts[getAiIntroStatus(contact)]++;
+  return counts;
+}
+
+/**
+ * What the AI gets to write a contact's intro from
+ * @param {object} contact - Contact row
+ * @returns {object} - { email, firstName, lastName, company, website, customFields }
+ */
+export function buildAiIntroRequest(contact) {
+  return {
+    email: contact.email,
+    firstName: contact.first_name || '',
+    lastName: contact.last_name || '',
+    company: contact.company || '',
+    website: contact.website || '',
+    customFields: getContactCustomFields(contact),
+  };
+}
+
+/**
+ * Split contacts into AI request batches
+ * @param {object[]} contacts - Contacts to generate intros for
+ * @param {number} size - Contacts per batch
+ * @returns {object[][]}
+ */
+export function toAiIntroBatches(contacts, size = AI_INTRO_BATCH_SIZE) {
+  const batches = [];
+  for (let index = 0; index < contacts.length; index += size) {
+    batches.push(contacts.slice(index, index + size));
+  }
+  return batches;
+}
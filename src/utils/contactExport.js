@@ -0,0 +1,154 @@
+/**
+ * Contact Export Utilities
+ *
+ * Exports contacts as CSV, JSON or vCard, each with the contact's campaign
+ * stats. The CSV uses headers the importer maps back automatically: built-in
+ * fields by name, custom fields by their variable name, and the stats
+ * columns are ignored on import.
+ */
+
+import { toCSV } from './csvExport';
+import { getContactCustomFields } from './customFields';
+
+export const CONTACT_EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', description: 'Spreadsheets; re-imports with all fields', extension: 'csv', type: 'text/csv;charset=utf-8;' },
+  { value: 'json', label: 'JSON', description: 'For scripts and other tools', extension: 'json', type: 'application/json;charset=utf-8;' },
+  { value: 'vcard', label: 'vCard', description: 'Address books (Contacts, Outlook, Gmail)', extension: 'vcf', type: 'text/vcard;charset=utf-8;' },
+];
+
+// Stats column headers; the CSV importer ignores these
+export const CONTACT_STATS_HEADERS = ['Times Emailed', 'Times Failed', 'Last Sent', 'Last Status'];
+
+// Built-in contact columns in export order
+const CONTACT_COLUMNS = [
+  { header: 'Email', key: 'email', column: 'email' },
+  { header: 'First Name', key: 'firstName', column: 'first_name' },
+  { header: 'Last Name', key: 'lastName', column: 'last_name' },
+  { header: 'Name', key: 'name', column: 'name' },
+  { header: 'Company', key: 'company', column: 'company' },
+  { header: 'Website', key: 'website', column: 'website' },
+  { header: 'Timezone', key: 'timezone', column: 'timezone' },
+];
+
+const EMPTY_STATS = { timesEmailed: 0, timesFailed: 0, lastSentAt: null, lastStatus: null };
+
+/**
+ * Index campaign stats by address
+ * @param {object[]} rows - From contactsService.getCampaignStats
+ * @returns {Map} - Lowercase email → { timesEmailed, timesFailed, lastSentAt, lastStatus }
+ */
+export function buildContactStats(rows = []) {
+  return new Map(rows.map(row => [(row.email || '').toLowerCase(), {
+    timesEmailed: Number(row.sent_count) || 0,
+    timesFailed: Number(row.failed_count) || 0,
+    lastSentAt: row.last_sent_at || null,
+    lastStatus: row.last_status || null,
+  }]));
+}
+
+function statsFor(contact, stats) {
+  return stats?.get((contact.email || '').toLowerCase()) || EMPTY_STATS;
+}
+
+// Registry fields first (in registry order), then any other names found on the contacts
+function customFieldNames(contacts, fields) {
+  const names = fields.map(field => field.name);
+  const known = new Set(names.map(name => name.toLowerCase()));
+  for (const contact of contacts) {
+    for (const name of Object.keys(getContactCustomFields(contact))) {
+      if (!known.has(name.toLowerCase())) {
+        known.add(name.toLowerCase());
+        names.push(name);
+      }
+    }
+  }
+  return names;
+}
+
+function contactsToCSV(contacts, { fields, stats }) {
+  return toCSV([
+    ...CONTACT_COLUMNS.map(({ header, column }) => ({ header, value: contact => contact[column] })),
+    ...customFieldNames(contacts, fields).map(name => ({
+      header: name,
+      value: contact => getContactCustomFields(contact)[name],
+    })),
+    { header: CONTACT_STATS_HEADERS[0], value: contact => statsFor(contact, stats).timesEmailed },
+    { header: CONTACT_STATS_HEADERS[1], value: contact => statsFor(contact, stats).timesFailed },
+    { header: CONTACT_STATS_HEADERS[2], value: contact => statsFor(contact, stats).lastSentAt },
+    { header: CONTACT_STATS_HEADERS[3], value: contact => statsFor(contact, stats).lastStatus },
+  ], contacts);
+}
+
+function contactsToJSON(contacts, { stats }) {
+  const records = contacts.map(contact => ({
+    ...Object.fromEntries(CONTACT_COLUMNS.map(({ key, column }) => [key, contact[column] || null])),
+    customFields: getContactCustomFields(contact),
+    stats: statsFor(contact, stats),
+    createdAt: contact.created_at || null,
+  }));
+  return JSON.stringify(records, null, 2);
+}
+
+// Escape a vCard value and fold lines longer than 75 characters
+function vCardLine(name, value) {
+  const escaped = String(value).replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/([,;])/g, '\\$1');
+  const line = `${name}:${escaped}`;
+  const parts = [line.slice(0, 75)];
+  for (let index = 75; index < line.length; index += 74) parts.push(` ${line.slice(index, index + 74)}`);
+  return parts.join('\r\n');
+}
+
+function vCardProperty(name) {
+  return `X-SENDIUM-${name.replace(/[^A-Za-z0-9-]/g, '-').toUpperCase()}`;
+}
+
+function contactsToVCard(contacts, { stats }) {
+  return contacts.map(contact => {
+    const first = contact.first_name || '';
+    const last = contact.last_name || '';
+    const fullName = contact.name || [first, last].filter(Boolean).join(' ') || contact.email;
+    const { timesEmailed, timesFailed, lastSentAt, lastStatus } = statsFor(contact, stats);
+
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      vCardLine('FN', fullName),
+      // N is structured (family;given;...), so its parts are escaped one by one
+      `N:${[last, first].map(part => part.replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1')).join(';')};;;`,
+      vCardLine('EMAIL;TYPE=INTERNET', contact.email),
+    ];
+    if (contact.company) lines.push(vCardLine('ORG', contact.company));
+    if (contact.website) lines.push(vCardLine('URL', contact.website));
+    if (contact.timezone) lines.push(vCardLine('X-SENDIUM-TIMEZONE', contact.timezone));
+    for (const [name, value] of Object.entries(getContactCustomFields(contact))) {
+      if (value !== '' && value !== null && value !== undefined) lines.push(vCardLine(vCardProperty(name), value));
+    }
+
+    const note = [`Emailed ${timesEmailed} time${timesEmailed !== 1 ? 's' : ''}`];
+    if (timesFailed > 0) note.push(`${timesFailed} failed`);
+    if (lastSentAt) note.push(`last sent ${lastSentAt.slice(0, 10)}`);
+    if (lastStatus) note.push(`last status ${lastStatus}`);
+    lines.push(vCardLine('NOTE', note.join(', ')));
+    lines.push('END:VCARD');
+    return lines.join('\r\n');
+  }).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an export file for contacts
+ * @param {object[]} contacts - Contact rows
+ * @param {string} format - 'csv', 'json' or 'vcard'
+ * @param {object} options - { fields: custom field registry, stats: from buildContactStats }
+ * @returns {object} - { content, extension, type } for downloadFile
+ */
+export function buildContactExport(contacts, format, { fields = [], stats = new Map() } = {}) {
+  const definition = CONTACT_EXPORT_FORMATS.find(item => item.value === format);
+  if (!definition) throw new Error(`Unknown export format "${format}"`);
+
+  const builders = { csv: contactsToCSV, json: contactsToJSON, vcard: contactsToVCard };
+  return {
+    content: builders[format](contacts, { fields, stats }),
+    extension: definition.extension,
+    type: definition.type,
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * CSV Export Utility
+ *
+ * Builds RFC 4180 CSV text from rows and triggers a browser download.
+ */
+
+/**
+ * Quote a single CSV cell
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @returns {string} - Quoted cell with inner quotes doubled
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '""';
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build CSV text from rows
+ * @param {Array<{header: string, value: function}>} columns - Column headers and cell getters
+ * @param {object[]} rows - Rows to export
+ * @returns {string} - CSV text with a header line
+ */
+export function toCSV(columns, rows) {
+  const header = columns.map(col => escapeCell(col.header)).join(',');
+  const lines = rows.map(row => columns.map(col => escapeCell(col.value(row))).join(','));
+  return [header, ...lines].join('\n');
+}
+
+/**
+ * Download text as a file
+ * @param {string} content - File content
+ * @param {string} filename - Download file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type = 'text/csv;charset=utf-8;') {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Make a string safe to use in a download file name
+ * @param {string} name - Raw name (e.g. a campaign name)
+ * @returns {string} - Lowercase name with only letters, digits, dashes and underscores
+ */
+export function toFileSlug(name) {
+  return (name || 'export')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'export';
+}
@@ -0,0 +1,183 @@
+/**
+ * CSV Column Mapping Utilities
+ *
+ * Each CSV column maps to a target: a built-in contact field ("email",
+ * "company", ...), a custom field ("custom:jobTitle") or nothing ("", ignored).
+ * Mappings are suggested from the headers, and the user's choices are
+ * remembered per header signature so the next export from the same tool
+ * imports in one click.
+ */
+
+import { mapCSVHeaders, mapCustomCSVHeaders, parseCSVRow } from './personalization';
+import { inferFieldType } from './customFields';
+import { CONTACT_STATS_HEADERS } from './contactExport';
+
+// Built-in fields a column can map to (keys match CSV_COLUMN_MAPPINGS)
+export const CSV_BUILT_IN_FIELDS = [
+  { key: 'email', label: 'Email' },
+  { key: 'firstName', label: 'First Name' },
+  { key: 'lastName', label: 'Last Name' },
+  { key: 'name', label: 'Full Name' },
+  { key: 'company', label: 'Company' },
+  { key: 'website', label: 'Website' },
+  { key: 'timezone', label: 'Timezone' },
+  { key: 'country', label: 'Country' },
+];
+
+export const CUSTOM_TARGET_PREFIX = 'custom:';
+
+const SAVED_MAPPINGS_KEY = 'sendium_csv_mappings';
+const MAX_SAVED_MAPPINGS = 20;
+
+/**
+ * Identify a CSV layout by its headers
+ * @param {string[]} headers - CSV header row
+ * @returns {string} - Same for files with the same columns in the same order
+ */
+export function getCSVHeaderSignature(headers) {
+  return headers.map(header => header.trim().toLowerCase()).join('\u001f');
+}
+
+function readSavedMappings() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_MAPPINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Mapping saved for files with these headers
+ * @param {string[]} headers - CSV header row
+ * @returns {string[]|null} - Target per column, or null if none was saved
+ */
+export function loadSavedCSVMapping(headers) {
+  const saved = readSavedMappings()[getCSVHeaderSignature(headers)];
+  return Array.isArray(saved?.mapping) && saved.mapping.length === headers.length ? saved.mapping : null;
+}
+
+/**
+ * Remember a mapping for files with these headers (most recent layouts are kept)
+ * @param {string[]} headers - CSV header row
+ * @param {string[]} mapping - Target per column
+ */
+export function saveCSVMapping(headers, mapping) {
+  const saved = readSavedMappings();
+  saved[getCSVHeaderSignature(headers)] = { mapping, savedAt: Date.now() };
+
+  const recent = Object.entries(saved)
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+    .slice(0, MAX_SAVED_MAPPINGS);
+  try {
+    localStorage.setItem(SAVED_MAPPINGS_KEY, JSON.stringify(Object.fromEntries(recent)));
+  } catch {
+    // Storage full or unavailable: the mapping just isn't remembered
+  }
+}
+
+/**
+ * Suggest a target for every column
+ * Known aliases map to built-in fields and every other column becomes a
+ * custom field, using the registry's name when one already matches.
+ * @param {string[]} headers - CSV header row
+ * @param {object[]} fields - Custom field registry
+ * @returns {string[]} - Target per column
+ */
+export function suggestCSVMapping(headers, fields = []) {
+  const columnMap = mapCSVHeaders(headers);
+  const customMap = mapCustomCSVHeaders(headers, columnMap);
+  const registered = new Map(fields.map(field => [field.name.toLowerCase(), field.name]));
+  const statsHeaders = new Set(CONTACT_STATS_HEADERS.map(header => header.toLowerCase()));
+
+  return headers.map((header, index) => {
+    if (columnMap[index]) return columnMap[index];
+    // Stats columns of our own contact export aren't contact data
+    if (statsHeaders.has(header.trim().toLowerCase())) return '';
+    // A header that is exactly a field's name (as in our exports) maps to it as-is
+    if (registered.has(header.trim().toLowerCase())) return CUSTOM_TARGET_PREFIX + registered.get(header.trim().toLowerCase());
+    if (!customMap[index]) return '';
+    return CUSTOM_TARGET_PREFIX + (registered.get(customMap[index].toLowerCase()) || customMap[index]);
+  });
+}
+
+/**
+ * Check a mapping before import
+ * @param {string[]} mapping - Target per column
+ * @param {string[]} headers - CSV header row, for naming clashing columns
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateCSVMapping(mapping, headers) {
+  if (!mapping.includes('email')) return 'Map one column to Email';
+
+  const seen = new Map();
+  for (const [index, target] of mapping.entries()) {
+    if (!target) continue;
+    if (seen.has(target)) {
+      return `"${headers[seen.get(target)]}" and "${headers[index]}" are both mapped to the same field`;
+    }
+    seen.set(target, index);
+  }
+  return null;
+}
+
+/**
+ * Build contacts from CSV rows with a mapping
+ * @param {string[]} headers - CSV header row
+ * @param {string[][]} rows - Data rows
+ * @param {string[]} mapping - Target per column
+ * @returns {object} - { contacts, skipped: rows without a usable email, fields: used field names,
+ *   customFields: [{ name, label, type }] for custom columns that have values }
+ */
+export function applyCSVMapping(headers, rows, mapping) {
+  const columnMap = {};
+  const customMap = {};
+  mapping.forEach((target, index) => {
+    if (target.startsWith(CUSTOM_TARGET_PREFIX)) customMap[index] = target.slice(CUSTOM_TARGET_PREFIX.length);
+    else if (target) columnMap[index] = target;
+  });
+
+  const contacts = [];
+  const usedFields = new Set();
+  let skipped = 0;
+
+  for (const values of rows) {
+    if (values.every(value => !value?.trim())) continue;
+
+    const contact = parseCSVRow(values, columnMap, customMap);
+    if (!contact) {
+      skipped++;
+      continue;
+    }
+
+    contacts.push(contact);
+    Object.keys(contact).forEach(field => field !== 'customFields' && usedFields.add(field));
+    Object.keys(contact.customFields || {}).forEach(field => usedFields.add(field));
+  }
+
+  const customFields = Object.entries(customMap)
+    .filter(([, name]) => usedFields.has(name))
+    .map(([index, name]) => ({
+      name,
+      label: headers[index].trim(),
+      type: inferFieldType(contacts.map(contact => contact.customFields?.[name] || '')),
+    }));
+
+  return { contacts, skipped, fields: Array.from(usedFields), customFields };
+}
+
+/**
+ * First non-empty values of a column, for showing what a column holds
+ * @param {string[][]} rows - Data rows
+ * @param {number} index - Column index
+ * @param {number} count - How many samples
+ * @returns {string[]}
+ */
+export function getCSVColumnSamples(rows, index, count = 3) {
+  const samples = [];
+  for (const row of rows) {
+    const value = row[index]?.trim();
+    if (value) samples.push(value);
+    if (samples.length >= count) break;
+  }
+  return samples;
+}
@@ -0,0 +1,239 @@
+/**
+ * CSV Parser
+ *
+ * RFC 4180 parsing that works on a stream of text chunks, so large files
+ * never have to be split into lines first:
+ * - quoted fields may contain delimiters, doubled quotes ("") and line breaks
+ * - CRLF, LF and CR line endings
+ * - comma, semicolon and tab delimiters (detected from the header row)
+ * - UTF-8 (with or without BOM), UTF-16 and Windows-1252 files
+ *
+ * Fields are returned exactly as written; callers trim where it matters.
+ */
+
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+const DELIMITER_LABELS = { ',': 'Comma', ';': 'Semicolon', '\t': 'Tab' };
+
+/**
+ * Human-readable name of a delimiter
+ * @param {string} delimiter - ',', ';' or '\t'
+ * @returns {string}
+ */
+export function getDelimiterLabel(delimiter) {
+  return DELIMITER_LABELS[delimiter] || delimiter;
+}
+
+/**
+ * Guess the delimiter from the first row of a file
+ * @param {string} sample - Start of the CSV text
+ * @returns {string} - The candidate delimiter that appears most often outside quotes (',' on a tie)
+ */
+export function detectCSVDelimiter(sample) {
+  const counts = Object.fromEntries(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of sample) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  return CSV_DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+}
+
+/**
+ * Create an incremental parser
+ * Text can be fed in chunks of any size; a quote, CRLF or field split across
+ * two chunks is handled.
+ * @param {object} options - { delimiter }
+ * @returns {object} - { push(text) → completed rows, end() → last row if any }
+ */
+export function createCSVParser({ delimiter = ',' } = {}) {
+  let row = [];
+  let field = '';
+  let quoted = false;      // current field started with a quote
+  let inQuotes = false;    // inside the quoted part of the field
+  let quotePending = false; // saw a quote inside quotes; the next char decides
+  let skipLineFeed = false; // last chunk ended on CR of a CRLF
+  let started = false;
+  let completedRows = 0;
+
+  function endField() {
+    row.push(field);
+    field = '';
+    quoted = false;
+  }
+
+  function endRow(rows) {
+    endField();
+    // Blank lines are not rows
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+      completedRows++;
+    }
+    row = [];
+  }
+
+  function push(text) {
+    const rows = [];
+    let index = 0;
+
+    if (!started && text.length > 0) {
+      started = true;
+      if (text.charCodeAt(0) === 0xFEFF) index = 1;
+    }
+
+    for (; index < text.length; index++) {
+      const char = text[index];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '' && !quoted) {
+        quoted = true;
+        inQuotes = true;
+      } else if (char === delimiter) {
+        endField();
+      } else if (char === '\n') {
+        endRow(rows);
+      } else if (char === '\r') {
+        endRow(rows);
+        skipLineFeed = true;
+      } else {
+        // Text after a closing quote, or a quote inside an unquoted field, is kept as-is
+        field += char;
+      }
+    }
+
+    return rows;
+  }
+
+  function end() {
+    const rows = [];
+    if (inQuotes && !quotePending) {
+      throw new Error(`CSV row ${completedRows + 1} has a quoted field that is never closed`);
+    }
+    quotePending = false;
+    inQuotes = false;
+    if (field !== '' || quoted || row.length > 0) endRow(rows);
+    return rows;
+  }
+
+  return { push, end };
+}
+
+/**
+ * Parse CSV text in one go
+ * @param {string} text - CSV text
+ * @param {object} options - { delimiter } (detected when omitted)
+ * @returns {object} - { headers: string[], rows: string[][], delimiter }
+ */
+export function parseCSV(text, { delimiter } = {}) {
+  const source = String(text || '');
+  const used = delimiter || detectCSVDelimiter(source.replace(/^\uFEFF/, ''));
+  const parser = createCSVParser({ delimiter: used });
+  const [headers, ...rows] = [...parser.push(source), ...parser.end()];
+
+  if (!headers) {
+    throw new Error('CSV file is empty');
+  }
+
+  return { headers, rows, delimiter: used };
+}
+
+function detectEncoding(bytes) {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Parse a CSV file as a stream, without loading it as one string
+ * With encoding "auto" the file is read as UTF-8 unless it has a UTF-16 BOM;
+ * if it turns out not to be valid UTF-8 it is re-read as Windows-1252
+ * (what Excel writes on Windows).
+ * @param {Blob} file - File or Blob
+ * @param {object} options - { delimiter, encoding: 'auto' or a TextDecoder label,
+ *   onProgress({ loaded, total, rows }) }
+ * @returns {Promise<object>} - { headers, rows, delimiter, encoding }
+ */
+export async function parseCSVStream(file, { delimiter, encoding = 'auto', onProgress } = {}) {
+  const reader = file.stream().getReader();
+  const total = file.size;
+  let decoder = null;
+  let parser = null;
+  let usedEncoding = encoding;
+  let usedDelimiter = delimiter;
+  let loaded = 0;
+  const rows = [];
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+
+      if (!decoder) {
+        if (encoding === 'auto') usedEncoding = (value && detectEncoding(value)) || 'utf-8';
+        // Only a guessed UTF-8 is strict, so invalid bytes trigger the fallback
+        decoder = new TextDecoder(usedEncoding, { fatal: encoding === 'auto' && usedEncoding === 'utf-8' });
+      }
+
+      const text = done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+      if (!parser) {
+        if (!text && !done) continue;
+        usedDelimiter = delimiter || detectCSVDelimiter(text.replace(/^\uFEFF/, ''));
+        parser = createCSVParser({ delimiter: usedDelimiter });
+      }
+
+      for (const row of parser.push(text)) rows.push(row);
+
+      if (done) {
+        for (const row of parser.end()) rows.push(row);
+        break;
+      }
+
+      loaded += value.length;
+      onProgress?.({ loaded, total, rows: Math.max(0, rows.length - 1) });
+    }
+  } catch (err) {
+    if (err instanceof TypeError && encoding === 'auto' && usedEncoding === 'utf-8') {
+      reader.cancel().catch(() => {});
+      return parseCSVStream(file, { delimiter, encoding: 'windows-1252', onProgress });
+    }
+    throw err;
+  }
+
+  const [headers, ...dataRows] = rows;
+  if (!headers) {
+    throw new Error('CSV file is empty');
+  }
+
+  onProgress?.({ loaded: total, total, rows: dataRows.length });
+  return { headers, rows: dataRows, delimiter: usedDelimiter, encoding: usedEncoding };
+}
@@ -0,0 +1,132 @@
+/**
+ * Custom Contact Field Utilities
+ *
+ * Contacts carry any number of user-defined fields in `custom_fields` (JSONB),
+ * described by a per-user registry of { name, label, type, default_value }.
+ * Every field is a template variable: {{industry}} renders the contact's
+ * value, or the field's default when the contact has none.
+ */
+
+export const CUSTOM_FIELD_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'date', label: 'Date' },
+  { value: 'url', label: 'URL' },
+];
+
+// Built-in variables and contact columns; custom fields can't shadow them
+const RESERVED_FIELD_NAMES = new Set([
+  'email', 'firstname', 'lastname', 'name', 'company', 'companyname', 'website', 'aiintro',
+  'date', 'day', 'unsubscribelink', 'timezone', 'country',
+  'id', 'user_id', 'created_at', 'custom_fields',
+]);
+
+/**
+ * Turn a CSV header or label into a template-safe field name
+ * @param {string} text - e.g. "Job Title"
+ * @returns {string} - e.g. "jobTitle" (empty if nothing usable is left)
+ */
+export function toFieldName(text) {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  if (words.length === 0) return '';
+
+  const name = words
+    .map((word, index) => (index === 0
+      ? word.charAt(0).toLowerCase() + word.slice(1)
+      : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+  return /^\d/.test(name) ? `field${name}` : name;
+}
+
+/**
+ * Validate a new field name
+ * @param {string} name - Proposed name
+ * @param {object[]} fields - Existing registry
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateFieldName(name, fields = []) {
+  if (!name) return 'Field name is required';
+  if (!/^[A-Za-z_]\w*$/.test(name)) {
+    return 'Use letters, numbers and underscores only, starting with a letter';
+  }
+  if (RESERVED_FIELD_NAMES.has(name.toLowerCase())) return `"${name}" is a built-in field`;
+  if (fields.some(field => field.name.toLowerCase() === name.toLowerCase())) {
+    return `A field named "${name}" already exists`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a CSV header or key belongs to a built-in field
+ * @param {string} name - Field name or header
+ * @returns {boolean}
+ */
+export function isReservedFieldName(name) {
+  return RESERVED_FIELD_NAMES.has(String(name || '').toLowerCase());
+}
+
+/**
+ * Guess a field's type from sample values
+ * @param {string[]} values - Non-empty sample values
+ * @returns {string} - 'number', 'date', 'url' or 'text'
+ */
+export function inferFieldType(values) {
+  const samples = values.map(value => String(value).trim()).filter(Boolean).slice(0, 50);
+  if (samples.length === 0) return 'text';
+
+  if (samples.every(value => /^-?\d+(\.\d+)?$/.test(value.replace(/,/g, '')))) return 'number';
+  if (samples.every(value => /^\d{4}-\d{2}-\d{2}/.test(value) || /^\d{1,2}[/.]\d{1,2}[/.]\d{2,4}$/.test(value))) return 'date';
+  if (samples.every(value => /^(https?:\/\/|www\.)\S+$/i.test(value))) return 'url';
+  return 'text';
+}
+
+/**
+ * Validate a field value against its type
+ * @param {string} value - Value to check (empty is always valid)
+ * @param {string} type - Field type
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateFieldValue(value, type) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  if (type === 'number' && !/^-?\d+(\.\d+)?$/.test(text.replace(/,/g, ''))) return 'Must be a number';
+  if (type === 'date' && Number.isNaN(new Date(text).getTime())) return 'Must be a date, e.g. 2026-03-01';
+  if (type === 'url' && !/^(https?:\/\/|www\.)?[^\s.]+\.\S+$/i.test(text)) return 'Must be a URL';
+  return null;
+}
+
+/**
+ * A contact's own custom field values (camelCase or snake_case contacts)
+ * @param {object} contact - Contact object
+ * @returns {object} - Field name → value
+ */
+export function getContactCustomFields(contact) {
+  return contact?.custom_fields || contact?.customFields || {};
+}
+
+/**
+ * Match imported custom field names to the registry's casing ("Industry" → "industry")
+ * @param {object[]} contacts - Parsed contacts with customFields
+ * @param {object[]} importedFields - [{ name, label, type }] from the import
+ * @param {object[]} fields - Existing registry
+ * @returns {object} - { contacts, newFields: imported fields not yet in the registry }
+ */
+export function alignCustomFieldNames(contacts, importedFields, fields) {
+  const registered = new Map(fields.map(field => [field.name.toLowerCase(), field.name]));
+  const rename = (name) => registered.get(name.toLowerCase()) || name;
+
+  return {
+    contacts: contacts.map(contact => (contact.customFields
+      ? {
+          ...contact,
+          customFields: Object.fromEntries(Object.entries(contact.customFields).map(([name, value]) => [rename(name), value])),
+        }
+      : contact)),
+    newFields: importedFields.filter(field => !registered.has(field.name.toLowerCase())),
+  };
+}
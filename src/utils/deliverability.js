@@ -0,0 +1,259 @@
+/**
+ * Deliverability Linter
+ *
+ * Scores a template out of 100 for things spam filters and mailbox providers
+ * penalize: spam phrases, shouting subjects, link shorteners and too many
+ * links or domains, image-only or text-poor HTML, messages large enough to be
+ * clipped, and broken markup. Each finding lowers the score by its penalty.
+ *
+ * Templates are linted as written, so {{variables}} and spintax count as text.
+ */
+
+// Phrases commonly weighted by content filters (matched case-insensitively)
+export const SPAM_PHRASES = [
+  '100% free', '100% satisfied', 'act now', 'all natural', 'apply now', 'as seen on',
+  'be your own boss', 'best price', 'buy direct', 'buy now', 'call now', 'cancel at any time',
+  'cash bonus', 'click below', 'click here', 'congratulations', 'dear friend', 'double your',
+  'earn extra cash', 'earn money', 'eliminate debt', 'extra income', 'fast cash', 'free access',
+  'free gift', 'free money', 'free offer', 'get paid', 'guaranteed', 'increase sales',
+  'limited time', 'lowest price', 'make money', 'million dollars', 'miracle', 'no catch',
+  'no cost', 'no credit check', 'no fees', 'no obligation', 'not spam', 'once in a lifetime',
+  'order now', 'risk-free', 'risk free', 'special promotion', 'this is not spam', 'urgent',
+  'what are you waiting for', 'winner', 'you have been selected', "you've been selected",
+];
+
+// URL shorteners hide the destination and are heavily penalized
+export const LINK_SHORTENER_DOMAINS = [
+  'bit.ly', 'bitly.com', 'tinyurl.com', 'goo.gl', 't.co', 'ow.ly', 'is.gd', 'buff.ly',
+  'rebrand.ly', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 't.ly', 'bl.ink', 'soo.gd',
+];
+
+export const DELIVERABILITY_GRADES = [
+  { value: 'good', label: 'Good', min: 80, variant: 'success' },
+  { value: 'fair', label: 'Fair', min: 50, variant: 'warning' },
+  { value: 'poor', label: 'Poor', min: 0, variant: 'danger' },
+];
+
+const SUBJECT_MAX_LENGTH = 60;
+const SUBJECT_MIN_LENGTH = 10;
+const MAX_LINKS = 3;
+const MAX_LINK_DOMAINS = 2;
+const MIN_TEXT_RATIO = 0.3;
+const MIN_PLAIN_TEXT_LENGTH = 40;
+// Gmail clips messages over ~102KB; warn well before that
+const LARGE_BODY_BYTES = 50 * 1024;
+const CLIPPED_BODY_BYTES = 100 * 1024;
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SPAM_PHRASE_PATTERN = new RegExp(
+  `(^|[^a-z0-9])(${SPAM_PHRASES.map(escapeRegExp).join('|')})(?=$|[^a-z0-9])`,
+  'gi'
+);
+
+function findSpamPhrases(text) {
+  const found = new Set();
+  for (const match of String(text || '').matchAll(SPAM_PHRASE_PATTERN)) {
+    found.add(match[2].toLowerCase());
+  }
+  return [...found];
+}
+
+function stripTags(html) {
+  return html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(style|script)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hasHtml(text) {
+  return /<\/?[a-z][a-z0-9]*\b[^>]*>/i.test(text);
+}
+
+// Hostnames of http(s) links in href attributes and bare URLs
+function findLinks(body) {
+  const urls = [];
+  for (const match of body.matchAll(/\bhref\s*=\s*["']?\s*(https?:\/\/[^"'\s>]+)/gi)) urls.push(match[1]);
+  const withoutHrefs = body.replace(/\bhref\s*=\s*(["'])[^"']*\1/gi, '');
+  for (const match of withoutHrefs.matchAll(/\bhttps?:\/\/[^\s"'<>)]+/gi)) urls.push(match[0]);
+
+  return urls.map(url => {
+    const host = url.replace(/^https?:\/\//i, '').split(/[/?#:]/)[0].toLowerCase().replace(/^www\./, '');
+    return { url, host };
+  }).filter(link => link.host && !link.host.includes('{{'));
+}
+
+// Opening tags never closed, and closing tags with no opening tag
+function findUnbalancedTags(body) {
+  const stack = [];
+  const stray = [];
+  const source = body.replace(/<!--[\s\S]*?-->/g, '');
+
+  for (const match of source.matchAll(/<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>/gi)) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    if (VOID_ELEMENTS.has(name) || selfClosing) continue;
+
+    if (!closing) {
+      stack.push(name);
+    } else {
+      const index = stack.lastIndexOf(name);
+      if (index === -1) {
+        stray.push(name);
+      } else {
+        // Tags opened after this one were never closed
+        stray.push(...stack.splice(index).slice(1));
+      }
+    }
+  }
+
+  return [...new Set([...stack, ...stray])];
+}
+
+function subjectIssues(subject) {
+  const issues = [];
+  const text = String(subject || '').trim();
+  if (!text) return issues;
+
+  if (text.length > SUBJECT_MAX_LENGTH) {
+    issues.push({ id: 'subject-length', field: 'subject', severity: 'warning', penalty: 5,
+      message: `Subject is ${text.length} characters; keep it under ${SUBJECT_MAX_LENGTH} so it isn't cut off` });
+  } else if (text.length < SUBJECT_MIN_LENGTH) {
+    issues.push({ id: 'subject-short', field: 'subject', severity: 'info', penalty: 2,
+      message: 'Very short subjects look like spam or unfinished mail' });
+  }
+
+  const letters = text.replace(/\{\{[^}]*\}\}/g, '').replace(/[^a-zA-Z]/g, '');
+  const capsWords = text.match(/\b[A-Z]{4,}\b/g) || [];
+  if (letters.length >= 6 && letters === letters.toUpperCase()) {
+    issues.push({ id: 'subject-caps', field: 'subject', severity: 'error', penalty: 20,
+      message: 'Subject is in ALL CAPS' });
+  } else if (capsWords.length > 0) {
+    issues.push({ id: 'subject-caps', field: 'subject', severity: 'warning', penalty: 8,
+      message: `Shouting words in the subject: ${capsWords.slice(0, 3).join(', ')}` });
+  }
+
+  if (/[!?]{2,}|\${2,}/.test(text)) {
+    issues.push({ id: 'subject-punctuation', field: 'subject', severity: 'warning', penalty: 8,
+      message: 'Repeated !, ? or $ in the subject' });
+  }
+
+  const phrases = findSpamPhrases(text);
+  if (phrases.length > 0) {
+    issues.push({ id: 'subject-spam-phrases', field: 'subject', severity: 'error', penalty: Math.min(30, 12 * phrases.length),
+      message: `Spam trigger phrase${phrases.length !== 1 ? 's' : ''} in the subject: "${phrases.join('", "')}"` });
+  }
+
+  return issues;
+}
+
+function bodyIssues(body) {
+  const issues = [];
+  const source = String(body || '');
+  if (!source.trim()) return issues;
+
+  const phrases = findSpamPhrases(stripTags(source));
+  if (phrases.length > 0) {
+    issues.push({ id: 'body-spam-phrases', field: 'body', severity: phrases.length > 2 ? 'error' : 'warning',
+      penalty: Math.min(30, 6 * phrases.length),
+      message: `Spam trigger phrase${phrases.length !== 1 ? 's' : ''}: "${phrases.slice(0, 6).join('", "')}"${phrases.length > 6 ? ` and ${phrases.length - 6} more` : ''}` });
+  }
+
+  const links = findLinks(source);
+  const shorteners = [...new Set(links.map(link => link.host).filter(host => LINK_SHORTENER_DOMAINS.includes(host)))];
+  if (shorteners.length > 0) {
+    issues.push({ id: 'link-shortener', field: 'body', severity: 'error', penalty: 25,
+      message: `Link shortener${shorteners.length !== 1 ? 's' : ''} (${shorteners.join(', ')}); link to your own domain instead` });
+  }
+  if (links.some(link => /^\d{1,3}(\.\d{1,3}){3}$/.test(link.host))) {
+    issues.push({ id: 'link-ip', field: 'body', severity: 'error', penalty: 25,
+      message: 'Links to a bare IP address look like phishing' });
+  }
+  if (links.length > MAX_LINKS) {
+    issues.push({ id: 'link-count', field: 'body', severity: 'warning', penalty: Math.min(15, 3 * (links.length - MAX_LINKS)),
+      message: `${links.length} links; cold emails do best with ${MAX_LINKS} or fewer` });
+  }
+  const domains = [...new Set(links.map(link => link.host))];
+  if (domains.length > MAX_LINK_DOMAINS) {
+    issues.push({ id: 'link-domains', field: 'body', severity: 'warning', penalty: 5,
+      message: `Links point to ${domains.length} different domains (${domains.slice(0, 4).join(', ')}${domains.length > 4 ? ', ...' : ''})` });
+  }
+
+  const bytes = new TextEncoder().encode(source).length;
+  if (bytes > CLIPPED_BODY_BYTES) {
+    issues.push({ id: 'body-size', field: 'body', severity: 'error', penalty: 20,
+      message: `Body is ${Math.round(bytes / 1024)} KB; Gmail clips messages over about 100 KB` });
+  } else if (bytes > LARGE_BODY_BYTES) {
+    issues.push({ id: 'body-size', field: 'body', severity: 'warning', penalty: 10,
+      message: `Body is ${Math.round(bytes / 1024)} KB; large HTML is often filtered` });
+  }
+
+  if (hasHtml(source)) {
+    const text = stripTags(source);
+    const images = (source.match(/<img\b/gi) || []).length;
+
+    if (text.length < MIN_PLAIN_TEXT_LENGTH) {
+      issues.push(images > 0
+        ? { id: 'image-only', field: 'body', severity: 'error', penalty: 30,
+          message: 'Body is mostly images with little text; image-only emails are a classic spam signal' }
+        : { id: 'plain-text', field: 'body', severity: 'error', penalty: 20,
+          message: 'Body has almost no readable text, so its plain-text version would be empty' });
+    } else if (text.length / source.length < MIN_TEXT_RATIO) {
+      issues.push({ id: 'text-ratio', field: 'body', severity: 'warning', penalty: 10,
+        message: `Only ${Math.round((text.length / source.length) * 100)}% of the body is text; aim for at least ${MIN_TEXT_RATIO * 100}%` });
+    }
+
+    const missingAlt = (source.match(/<img\b(?![^>]*\balt\s*=)[^>]*>/gi) || []).length;
+    if (missingAlt > 0) {
+      issues.push({ id: 'image-alt', field: 'body', severity: 'info', penalty: 2,
+        message: `${missingAlt} image${missingAlt !== 1 ? 's' : ''} without alt text` });
+    }
+
+    const unbalanced = findUnbalancedTags(source);
+    if (unbalanced.length > 0) {
+      issues.push({ id: 'unbalanced-tags', field: 'body', severity: 'warning', penalty: Math.min(15, 5 * unbalanced.length),
+        message: `Unbalanced HTML tags: ${unbalanced.slice(0, 5).map(tag => `<${tag}>`).join(', ')}` });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Grade for a score
+ * @param {number} score - 0 to 100
+ * @returns {object} - Entry of DELIVERABILITY_GRADES: { value, label, min, variant }
+ */
+export function getDeliverabilityGrade(score) {
+  return DELIVERABILITY_GRADES.find(grade => score >= grade.min);
+}
+
+/**
+ * Lint a template for spam and deliverability problems
+ * @param {object} template - { subject, body }
+ * @returns {object} - { score: 0-100, grade, issues: [{ id, field, severity: 'error' | 'warning' | 'info', penalty, message }] }
+ */
+export function lintTemplate({ subject, body }) {
+  const issues = [...subjectIssues(subject), ...bodyIssues(body)];
+  const score = Math.max(0, 100 - issues.reduce((sum, issue) => sum + issue.penalty, 0));
+  return { score, grade: getDeliverabilityGrade(score), issues };
+}
+
+/**
+ * Lint a saved template; with A/B subject variants the weakest subject counts
+ * @param {object} template - Template row (subject, body, subject_variants)
+ * @returns {object} - Result of lintTemplate
+ */
+export function scoreTemplate(template) {
+  const subjects = template.subject_variants?.length > 1 ? template.subject_variants : [template.subject];
+  return subjects
+    .map(subject => lintTemplate({ subject, body: template.body }))
+    .reduce((worst, result) => (result.score < worst.score ? result : worst));
+}
@@ -0,0 +1,65 @@
+/**
+ * Import File Readers
+ *
+ * Read CSV and spreadsheet files in a worker so large imports don't freeze
+ * the page, falling back to the main thread where workers aren't available.
+ */
+
+import { parseCSVStream } from './csvParser';
+import { readSpreadsheet } from './spreadsheet';
+
+// Post one "parse" message and settle on the worker's complete/error reply
+function runWorker(worker, message, onProgress) {
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (e) => {
+      const { type, ...data } = e.data;
+
+      if (type === 'progress') {
+        onProgress?.(data);
+      } else if (type === 'complete') {
+        worker.terminate();
+        resolve(data);
+      } else if (type === 'error') {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message || 'Failed to read file'));
+    };
+
+    worker.postMessage({ type: 'parse', ...message });
+  });
+}
+
+/**
+ * Read and parse a CSV file
+ * @param {File} file - Selected file
+ * @param {object} options - { delimiter, encoding, onProgress({ loaded, total, rows }) }
+ * @returns {Promise<object>} - { headers, rows, delimiter, encoding }
+ */
+export function readCSVFile(file, { delimiter, encoding = 'auto', onProgress } = {}) {
+  if (typeof Worker === 'undefined') {
+    return parseCSVStream(file, { delimiter, encoding, onProgress });
+  }
+
+  const worker = new Worker(new URL('../workers/csvWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { file, delimiter, encoding }, onProgress);
+}
+
+/**
+ * Read every visible sheet of an .xlsx or .ods file
+ * @param {File} file - Selected file
+ * @param {string} format - 'xlsx' or 'ods'
+ * @returns {Promise<object>} - { sheets: [{ name, headers, rows }], format }
+ */
+export async function readSpreadsheetFile(file, format) {
+  if (typeof Worker === 'undefined') {
+    return { sheets: readSpreadsheet(await file.arrayBuffer(), format), format };
+  }
+
+  const worker = new Worker(new URL('../workers/spreadsheetWorker.js', import.meta.url), { type: 'module' });
+  return runWorker(worker, { file, format });
+}
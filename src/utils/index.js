@@ -2,11 +2,20 @@ export { sanitizeHtml, sanitizeAndFormat } from './sanitize';
 export { debounce, useDebounce } from './debounce';
 export { 
   replaceVariables, 
-  parseContactsCSV, 
   SUPPORTED_VARIABLES,
+  SUPPORTED_FILTERS,
   CSV_COLUMN_MAPPINGS,
+  mapCustomCSVHeaders,
+  mapCSVHeaders,
+  parseCSVTable,
   detectUsedVariables,
   getTemplatePreview,
+  TemplateSyntaxError,
+  parseTemplate,
+  renderTemplate,
+  inspectTemplateRender,
+  validateTemplate,
+  applyTemplateFilters,
 } from './personalization';
 export {
   isNotificationSupported,
@@ -34,3 +43,166 @@ export {
   findDuplicateTemplates,
   validateContactEmails,
 } from './validation';
+export {
+  getLocalTimezone,
+  getTimezones,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  utcToZonedInputs,
+  formatInTimezone,
+  WEEKDAY_LABELS,
+  DEFAULT_SENDING_WINDOW,
+  inferTimezone,
+  validateSendingWindow,
+  isWithinSendingWindow,
+  getNextWindowStart,
+  buildSchedulePreview,
+} from './schedule';
+export {
+  parseCap,
+  getCapStatus,
+  estimateCampaignDays,
+} from './sendCaps';
+export {
+  SENDER_ROTATION_MODES,
+  buildSenderSequence,
+  assignSenders,
+  getSenderShares,
+} from './senders';
+export {
+  toCSV,
+  downloadFile,
+  toFileSlug,
+} from './csvExport';
+export {
+  isPermanentFailure,
+  buildRetryContacts,
+} from './retry';
+export {
+  SEGMENT_FIELDS,
+  SEGMENT_OPERATORS,
+  EMPTY_AUDIENCE,
+  buildSegmentContext,
+  matchesRule,
+  matchesSegment,
+  validateSegment,
+  describeSegment,
+  countAudienceSources,
+  isAudienceEmpty,
+  resolveAudience,
+} from './segments';
+export {
+  normalizeSuppressionEntry,
+  parseSuppressionList,
+  buildSuppressionSet,
+  getSuppressionCandidates,
+  isSuppressed,
+  filterSuppressed,
+} from './suppression';
+export {
+  DEFAULT_UNSUBSCRIBE_FOOTER,
+  hasUnsubscribeLink,
+  withUnsubscribeFooter,
+  validateUnsubscribeSettings,
+  getUnsubscribePageUrl,
+  getUnsubscribeOneClickUrl,
+} from './unsubscribe';
+export {
+  createSeededRandom,
+  hasSpintax,
+  countSpintaxPermutations,
+  expandSpintax,
+  findSpintaxError,
+} from './spintax';
+export {
+  VARIABLE_CONTACT_COLUMNS,
+  getContactColumnValue,
+  buildContactChanges,
+  findRenderIssues,
+  checkCampaignRender,
+} from './preflight';
+export {
+  CUSTOM_FIELD_TYPES,
+  toFieldName,
+  validateFieldName,
+  isReservedFieldName,
+  inferFieldType,
+  validateFieldValue,
+  getContactCustomFields,
+  alignCustomFieldNames,
+} from './customFields';
+export {
+  CSV_BUILT_IN_FIELDS,
+  CUSTOM_TARGET_PREFIX,
+  getCSVHeaderSignature,
+  loadSavedCSVMapping,
+  saveCSVMapping,
+  suggestCSVMapping,
+  validateCSVMapping,
+  applyCSVMapping,
+  getCSVColumnSamples,
+} from './csvMapping';
+export {
+  CSV_DELIMITERS,
+  getDelimiterLabel,
+  detectCSVDelimiter,
+  createCSVParser,
+  parseCSV,
+  parseCSVStream,
+} from './csvParser';
+export {
+  SPREADSHEET_FORMATS,
+  getSpreadsheetFormat,
+  readSpreadsheet,
+} from './spreadsheet';
+export { readCSVFile, readSpreadsheetFile } from './importFile';
+export {
+  CONTACT_EXPORT_FORMATS,
+  CONTACT_STATS_HEADERS,
+  buildContactStats,
+  buildContactExport,
+} from './contactExport';
+export {
+  TEMPLATE_PACK_FORMAT,
+  TEMPLATE_PACK_FORMAT_VERSION,
+  TEMPLATE_EXPORT_FORMATS,
+  parseTags,
+  validatePackVersion,
+  buildTemplateExport,
+  parseTemplateImport,
+} from './templateExport';
+export {
+  diffLines,
+  diffWords,
+  toSideBySide,
+  countDiffChanges,
+  buildDiffHunks,
+  applyDiffHunks,
+} from './textDiff';
+export {
+  MAX_SUBJECT_VARIANTS,
+  SUBJECT_VARIANT_COUNTS,
+  normalizeSubjectVariants,
+  hasSubjectVariants,
+  applySubjectVariant,
+  summarizeSubjectVariants,
+} from './subjectVariants';
+export {
+  AI_INTRO_VARIABLE,
+  AI_INTRO_BATCH_SIZE,
+  AI_INTRO_MAX_LENGTH,
+  templatesUseAiIntro,
+  getAiIntroStatus,
+  countAiIntroStatuses,
+  buildAiIntroRequest,
+  toAiIntroBatches,
+} from './aiIntro';
+export {
+  SPAM_PHRASES,
+  LINK_SHORTENER_DOMAINS,
+  DELIVERABILITY_GRADES,
+  getDeliverabilityGrade,
+  lintTemplate,
+  scoreTemplate,
+} from './deliverability';
@@ -11,11 +11,26 @@
  * - {{email}} - Email address
  * - {{company}} or {{companyName}} - Company name
  * - {{website}} - Website URL
- * - {{custom1}} through {{custom5}} - Custom fields
+ * - {{aiIntro}} - AI-written opening line, once approved (see aiIntro.js)
+ * - {{fieldName}} - Any custom field from the user's field registry (see customFields.js)
  * - {{date}} - Current date (formatted)
  * - {{day}} - Day of week (Monday, Tuesday, etc.)
+ * - {{unsubscribeLink}} - Recipient's unsubscribe page (filled in by the server per email)
+ *
+ * Beyond plain variables, templates support filters and conditions:
+ * - {{firstName | default: "there"}}
+ * - {{company | title}}, {{website | domain}}, {{industry | truncate: 40}}
+ * - {{date | format: "dd MMM"}} (filters chain left to right)
+ * - {{#if company}}at {{company}}{{else}}at your company{{/if}}
+ * - {{#unless website}}...{{/unless}}
+ *
+ * Spintax ("{Hi|Hello} {{firstName}}") is expanded first; see spintax.js.
  */
 
+import { expandSpintax, findSpintaxError } from './spintax';
+import { toFieldName, isReservedFieldName, getContactCustomFields } from './customFields';
+import { parseCSV } from './csvParser';
+
 // All supported variables
 export const SUPPORTED_VARIABLES = [
   { key: 'firstName', label: 'First Name', example: 'John' },
@@ -25,92 +40,500 @@ export const SUPPORTED_VARIABLES = [
   { key: 'company', label: 'Company Name', example: 'Acme Corp' },
   { key: 'companyName', label: 'Company Name (alt)', example: 'Acme Corp' },
   { key: 'website', label: 'Website', example: 'acme.com' },
-  { key: 'custom1', label: 'Custom Field 1', example: 'Custom value' },
-  { key: 'custom2', label: 'Custom Field 2', example: 'Custom value' },
-  { key: 'custom3', label: 'Custom Field 3', example: 'Custom value' },
+  { key: 'aiIntro', label: 'AI Opening Line', example: 'Saw Acme just opened a second warehouse, congrats.' },
   { key: 'date', label: 'Today\'s Date', example: 'February 5, 2026' },
   { key: 'day', label: 'Day of Week', example: 'Wednesday' },
+  { key: 'unsubscribeLink', label: 'Unsubscribe Link', example: 'https://example.com/unsubscribe/…' },
 ];
 
-// CSV columns that map to personalization variables
+// CSV columns that map to built-in contact fields; other columns become custom fields
 export const CSV_COLUMN_MAPPINGS = {
-  email: ['email', 'e-mail', 'emailaddress', 'email_address', 'email address'],
+  email: ['email', 'e-mail', 'emailaddress', 'email_address', 'email address', 'mail'],
   firstName: ['firstname', 'first_name', 'first name', 'first', 'fname'],
   lastName: ['lastname', 'last_name', 'last name', 'last', 'lname'],
   name: ['name', 'fullname', 'full_name', 'full name'],
-  company: ['company', 'companyname', 'company_name', 'company name', 'organization', 'org'],
-  website: ['website', 'web', 'url', 'site', 'domain'],
-  custom1: ['custom1', 'custom_1', 'custom 1', 'field1'],
-  custom2: ['custom2', 'custom_2', 'custom 2', 'field2'],
-  custom3: ['custom3', 'custom_3', 'custom 3', 'field3'],
+  company: ['company', 'companyname', 'company_name', 'company name', 'organization', 'organisation',
+    'organization name', 'organisation name', 'org', 'employer', 'account name'],
+  website: ['website', 'web', 'url', 'site', 'domain', 'homepage', 'website url'],
+  timezone: ['timezone', 'time_zone', 'time zone', 'tz'],
+  country: ['country', 'country_code', 'country code', 'countrycode'],
 };
 
 /**
- * Replace all personalization variables in text with contact data
- * Handles missing data gracefully with smart fallbacks
- * @param {string} text - Template text with {{variables}}
- * @param {object} contact - Contact object with data
- * @returns {string} - Text with variables replaced
+ * Error thrown for malformed template syntax, with the position of the problem
  */
-export function replaceVariables(text, contact) {
-  if (!text || !contact) return text;
-  
-  // Get current date info
-  const now = new Date();
-  const dateFormatted = now.toLocaleDateString('en-US', { 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
+export class TemplateSyntaxError extends Error {
+  constructor(message, text, position) {
+    const { line, column } = getLineAndColumn(text, position);
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'TemplateSyntaxError';
+    this.reason = message;
+    this.position = position;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Filters usable after a pipe, for the variable picker
+export const SUPPORTED_FILTERS = [
+  { name: 'default', usage: 'default: "there"', label: 'Fallback when empty' },
+  { name: 'capitalize', usage: 'capitalize', label: 'First letter upper-case' },
+  { name: 'title', usage: 'title', label: 'Every Word Capitalized' },
+  { name: 'upper', usage: 'upper', label: 'UPPER CASE' },
+  { name: 'lower', usage: 'lower', label: 'lower case' },
+  { name: 'domain', usage: 'domain', label: 'Domain of a URL or email' },
+  { name: 'truncate', usage: 'truncate: 40', label: 'Shorten to a length' },
+  { name: 'format', usage: 'format: "dd MMM"', label: 'Format a date' },
+];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Read a date from a variable value, e.g. "February 5, 2026" or "2026-02-05"
+ * @returns {Date|null}
+ */
+function parseDateValue(value) {
+  // Date-only ISO strings would otherwise be read as UTC midnight
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Format a date with a pattern: yyyy yy MMMM MMM MM M dd d EEEE EEE, 'quoted text' kept as is
+ */
+function formatDate(date, pattern) {
+  const pad = (number) => String(number).padStart(2, '0');
+  const tokens = {
+    yyyy: () => String(date.getFullYear()),
+    yy: () => pad(date.getFullYear() % 100),
+    MMMM: () => MONTH_NAMES[date.getMonth()],
+    MMM: () => MONTH_NAMES[date.getMonth()].slice(0, 3),
+    MM: () => pad(date.getMonth() + 1),
+    M: () => String(date.getMonth() + 1),
+    dd: () => pad(date.getDate()),
+    d: () => String(date.getDate()),
+    EEEE: () => WEEKDAY_NAMES[date.getDay()],
+    EEE: () => WEEKDAY_NAMES[date.getDay()].slice(0, 3),
+  };
+
+  return pattern.replace(/yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|'([^']*)'/g, (token, literal) => (
+    literal !== undefined ? literal : tokens[token]()
+  ));
+}
+
+// Filter implementations: args is [min, max] argument count, check validates arguments at parse time
+const TEMPLATE_FILTERS = {
+  default: {
+    args: [1, 1],
+    apply: (value, [fallback]) => (value === '' ? fallback : value),
+  },
+  capitalize: {
+    args: [0, 0],
+    apply: (value) => value.charAt(0).toUpperCase() + value.slice(1).toLowerCase(),
+  },
+  title: {
+    args: [0, 0],
+    apply: (value) => value.toLowerCase().replace(/(^|[\s\-/])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase()),
+  },
+  upper: {
+    args: [0, 0],
+    apply: (value) => value.toUpperCase(),
+  },
+  lower: {
+    args: [0, 0],
+    apply: (value) => value.toLowerCase(),
+  },
+  domain: {
+    args: [0, 0],
+    apply: (value) => {
+      const host = value.includes('@') && !value.includes('/')
+        ? value.split('@').pop()
+        : value.replace(/^[a-z][a-z\d+.-]*:\/\//i, '').split(/[/?#]/)[0];
+      return host.replace(/:\d+$/, '').replace(/^www\./i, '').toLowerCase();
+    },
+  },
+  truncate: {
+    args: [1, 2],
+    check: ([length]) => (/^\d+$/.test(length) && Number(length) > 0 ? null : 'Filter "truncate" needs a length, e.g. truncate: 40'),
+    apply: (value, [length, ending = '…']) => {
+      const limit = Number(length);
+      if (value.length <= limit) return value;
+      return value.slice(0, Math.max(limit - ending.length, 0)).trimEnd() + ending;
+    },
+  },
+  format: {
+    args: [1, 1],
+    apply: (value, [pattern]) => {
+      const date = parseDateValue(value);
+      return date ? formatDate(date, pattern) : value;
+    },
+  },
+};
+
+/**
+ * Convert a character offset into a 1-based line and column
+ */
+function getLineAndColumn(text, position) {
+  const before = String(text || '').slice(0, position);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Split a tag's contents on pipes and commas, keeping quoted strings intact
+ * @returns {object} - { parts: string[] (quoted strings still quoted), unclosedQuote: boolean }
+ */
+function splitOutsideQuotes(source, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of source) {
+    if (quote) {
+      current += char;
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return { parts, unclosedQuote: !!quote };
+}
+
+/**
+ * Parse one filter argument: a quoted string or a bare number/word
+ */
+function parseFilterArg(raw, fail) {
+  const arg = raw.trim();
+  if (arg === '') fail('Missing filter argument');
+  const quoted = arg.match(/^(["'])([\s\S]*)\1$/);
+  if (quoted) return quoted[2];
+  if (/^[\w.-]+$/.test(arg)) return arg;
+  fail(`Filter arguments must be quoted: ${arg}`);
+}
+
+/**
+ * Parse a variable expression: key | filter: arg, arg | filter
+ */
+function parseExpression(source, fail) {
+  const { parts, unclosedQuote } = splitOutsideQuotes(source, '|');
+  if (unclosedQuote) fail('Unclosed quote');
+
+  const key = parts[0].trim();
+  if (!/^[A-Za-z_]\w*$/.test(key)) {
+    fail(key ? `Invalid variable name "${key}"` : 'Empty variable');
+  }
+
+  const filters = parts.slice(1).map(part => {
+    const match = part.trim().match(/^(\w+)\s*(?::([\s\S]*))?$/);
+    if (!match) fail(`Invalid filter "${part.trim()}"`);
+
+    const [, name, rawArgs] = match;
+    const filter = TEMPLATE_FILTERS[name];
+    if (!filter) fail(`Unknown filter "${name}"`);
+
+    const args = rawArgs === undefined
+      ? []
+      : splitOutsideQuotes(rawArgs, ',').parts.map(arg => parseFilterArg(arg, fail));
+    const [min, max] = filter.args;
+    if (args.length < min || args.length > max) {
+      fail(min === max
+        ? `Filter "${name}" takes ${min} argument${min !== 1 ? 's' : ''}`
+        : `Filter "${name}" takes ${min} to ${max} arguments`);
+    }
+    const problem = filter.check?.(args);
+    if (problem) fail(problem);
+    return { name, args };
   });
-  const dayOfWeek = now.toLocaleDateString('en-US', { weekday: 'long' });
-  
-  // Extract name parts
+
+  return { key, filters };
+}
+
+/**
+ * Parse template text into a tree of text, variable and condition nodes
+ * Syntax:
+ *   {{key}}                              - variable
+ *   {{key | default: "fallback"}}        - variable with filters
+ *   {{#if key}}...{{else}}...{{/if}}     - shown when key has a value
+ *   {{#unless key}}...{{/unless}}        - shown when key is empty
+ * @param {string} text - Template text
+ * @returns {object[]} - Nodes
+ * @throws {TemplateSyntaxError}
+ */
+export function parseTemplate(text) {
+  const source = String(text || '');
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  // Inside a block, nodes after {{else}} go to its else branch
+  const append = (node) => {
+    const parent = current();
+    (parent.elseChildren || parent.children).push(node);
+  };
+  let index = 0;
+
+  while (index < source.length) {
+    const open = source.indexOf('{{', index);
+    if (open === -1) {
+      append({ type: 'text', value: source.slice(index) });
+      break;
+    }
+    if (open > index) {
+      append({ type: 'text', value: source.slice(index, open) });
+    }
+
+    const close = source.indexOf('}}', open + 2);
+    if (close === -1) {
+      throw new TemplateSyntaxError('Unclosed "{{"', source, open);
+    }
+
+    const raw = source.slice(open, close + 2);
+    const inner = source.slice(open + 2, close).trim();
+    const fail = (message) => { throw new TemplateSyntaxError(message, source, open); };
+    const block = inner.match(/^([#/])(\w+)\s*([\s\S]*)$/);
+
+    if (block && block[1] === '#') {
+      const [, , kind, key] = block;
+      if (kind !== 'if' && kind !== 'unless') fail(`Unknown block "{{#${kind}}}"`);
+      if (!/^[A-Za-z_]\w*$/.test(key.trim())) fail(`"{{#${kind}}}" needs a variable name`);
+
+      const node = { type: kind, key: key.trim(), children: [], elseChildren: null, position: open };
+      append(node);
+      stack.push(node);
+    } else if (block) {
+      const [, , kind] = block;
+      const node = current();
+      if (node === root) fail(`"{{/${kind}}}" has no matching "{{#${kind}}}"`);
+      if (node.type !== kind) fail(`"{{/${kind}}}" closes "{{#${node.type} ${node.key}}}"`);
+      stack.pop();
+    } else if (inner === 'else') {
+      const node = current();
+      if (node === root) fail('"{{else}}" outside of an "{{#if}}" or "{{#unless}}" block');
+      if (node.elseChildren) fail(`"{{#${node.type} ${node.key}}}" already has an "{{else}}"`);
+      node.elseChildren = [];
+    } else {
+      append({ type: 'variable', raw, position: open, ...parseExpression(inner, fail) });
+    }
+
+    index = close + 2;
+  }
+
+  if (stack.length > 1) {
+    const unclosed = current();
+    throw new TemplateSyntaxError(`"{{#${unclosed.type} ${unclosed.key}}}" is never closed`, source, unclosed.position);
+  }
+
+  return root.children;
+}
+
+/**
+ * Build the variable values for a contact
+ * @param {object} contact - Contact object (camelCase or snake_case fields)
+ * @param {Date} now - Reference time for {{date}} and {{day}}
+ * @param {object[]} fields - Custom field registry: [{ name, default_value }]
+ * @returns {object} - Lowercased variable name → string value
+ */
+function buildTemplateVariables(contact, now, fields = []) {
   const firstName = contact.firstName || contact.first_name || extractFirstName(contact.name) || '';
   const lastName = contact.lastName || contact.last_name || extractLastName(contact.name) || '';
-  const fullName = contact.name || `${firstName} ${lastName}`.trim() || '';
   const company = contact.company || contact.companyName || contact.company_name || '';
-  
-  // Build replacement map with smart fallbacks for missing data
-  const replacements = {
-    firstName: firstName || 'there',  // "Hi there" instead of "Hi "
-    lastName: lastName,
-    name: fullName || 'there',  // "Hi there" instead of "Hi "
+
+  const values = {
+    firstName,
+    lastName,
+    name: contact.name || `${firstName} ${lastName}`.trim(),
     email: contact.email || '',
-    company: company,
+    company,
     companyName: company,
     website: contact.website || '',
-    custom1: contact.custom1 || '',
-    custom2: contact.custom2 || '',
-    custom3: contact.custom3 || '',
-    date: dateFormatted,
-    day: dayOfWeek,
+    // Unreviewed intros render empty, like a missing field
+    aiIntro: contact.aiIntro || (contact.ai_intro_status === 'approved' ? contact.ai_intro : '') || '',
+    date: now.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    day: now.toLocaleDateString('en-US', { weekday: 'long' }),
+    unsubscribeLink: contact.unsubscribeLink || '',
   };
-  
-  // Replace all {{variable}} patterns
-  let result = text;
-  for (const [key, value] of Object.entries(replacements)) {
-    // Match both {{variable}} and {{ variable }} (with spaces)
-    const regex = new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`, 'gi');
-    result = result.replace(regex, value);
+
+  const variables = {};
+  for (const [key, value] of Object.entries(values)) {
+    variables[key.toLowerCase()] = String(value ?? '').trim();
+  }
+
+  // Custom fields: the contact's own value, else the field's default; built-ins take precedence
+  const custom = {};
+  for (const field of fields) {
+    custom[field.name.toLowerCase()] = String(field.default_value ?? '').trim();
+  }
+  for (const [name, value] of Object.entries(getContactCustomFields(contact))) {
+    const text = String(value ?? '').trim();
+    if (text || !(name.toLowerCase() in custom)) custom[name.toLowerCase()] = text;
+  }
+  for (const [key, value] of Object.entries(custom)) {
+    if (!(key in variables)) variables[key] = value;
+  }
+  return variables;
+}
+
+// Used when a name variable is empty and the template gives no default ("Hi there,")
+const IMPLICIT_DEFAULTS = { firstname: 'there', name: 'there' };
+
+function applyFilters(value, filters) {
+  return filters.reduce((result, { name, args }) => String(TEMPLATE_FILTERS[name].apply(result, args) ?? ''), value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {object} report - Optional { unknown: Set, empty: Set } collecting variables that
+ *   aren't supported, or that rendered empty without a default
+ */
+function renderNodes(nodes, variables, report = null) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const key = node.key.toLowerCase();
+      if (!(key in variables)) report?.unknown.add(node.key);
+      if (!(key in variables) && node.filters.length === 0) {
+        // Unknown variables stay visible so typos show up in previews
+        output += node.raw;
+        continue;
+      }
+
+      let value = applyFilters(variables[key] ?? '', node.filters);
+      if (value === '' && !node.filters.some(filter => filter.name === 'default')) {
+        value = IMPLICIT_DEFAULTS[key] || '';
+        if (value === '' && key in variables) report?.empty.add(node.key);
+      }
+      output += value;
+    } else {
+      const hasValue = (variables[node.key.toLowerCase()] ?? '') !== '';
+      const show = node.type === 'if' ? hasValue : !hasValue;
+      output += renderNodes(show ? node.children : node.elseChildren || [], variables, report);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Check personalization and spintax syntax of the text as written
+ * @throws {TemplateSyntaxError}
+ */
+function checkSyntax(text) {
+  parseTemplate(text);
+  const spintaxError = findSpintaxError(text);
+  if (spintaxError) throw new TemplateSyntaxError(spintaxError.message, text, spintaxError.position);
+}
+
+/**
+ * Render a template for a contact
+ * This is the single rendering path: previews use it, and campaigns render
+ * every email with it before handing them to the server.
+ * @param {string} text - Template text
+ * @param {object} contact - Contact object with data
+ * @param {object} options - { now: Date for {{date}}/{{day}}, seed: spintax seed (defaults to the
+ *   contact's email, so each contact always gets the same variant), variant: render a specific spintax permutation,
+ *   fields: custom field registry, for defaults of fields the contact has no value for }
+ * @returns {string} - Rendered text
+ * @throws {TemplateSyntaxError}
+ */
+export function renderTemplate(text, contact, options = {}) {
+  return render(text, contact, options, null);
+}
+
+function render(text, contact, { now = new Date(), seed, variant = null, fields = [] } = {}, report) {
+  if (!text) return text;
+
+  // Errors point at the text as written, before spintax is expanded
+  checkSyntax(text);
+
+  // Salting with the text keeps subject and body choices independent
+  const expanded = expandSpintax(text, { seed: `${seed ?? contact?.email ?? ''}\n${text}`, variant });
+  const result = renderNodes(parseTemplate(expanded), buildTemplateVariables(contact || {}, now, fields), report);
+
+  // Lines emptied by conditions shouldn't leave trailing whitespace behind
+  return result.split('\n').map(line => line.trimEnd()).join('\n');
+}
+
+/**
+ * Render a template and report what went wrong for this contact
+ * Only what the contact actually receives is checked: variables in hidden
+ * {{#if}} branches or unpicked spintax options are ignored.
+ * @param {string} text - Template text
+ * @param {object} contact - Contact object with data
+ * @param {object} options - Passed to renderTemplate
+ * @returns {object} - { output, unknownVariables, emptyVariables, leftoverTags }
+ * @throws {TemplateSyntaxError}
+ */
+export function inspectTemplateRender(text, contact, options = {}) {
+  const report = { unknown: new Set(), empty: new Set() };
+  const output = render(text, contact, options, report) || '';
+
+  return {
+    output,
+    unknownVariables: [...report.unknown],
+    emptyVariables: [...report.empty],
+    // Unfilled tags, e.g. "{{...}}" inside the contact's own data
+    leftoverTags: [...new Set(output.match(/\{\{[\s\S]*?\}\}/g) || [])],
+  };
+}
+
+/**
+ * Apply a filter chain to a single value, e.g. for live examples in the variable picker
+ * @param {string} value - Input value
+ * @param {string} filters - Filter chain as written after the variable, e.g. 'title | truncate: 20'
+ * @returns {string} - Filtered value
+ * @throws {TemplateSyntaxError}
+ */
+export function applyTemplateFilters(value, filters) {
+  const source = filters.trim() ? `value | ${filters}` : 'value';
+  const fail = (message) => { throw new TemplateSyntaxError(message, source, 0); };
+  return applyFilters(String(value ?? '').trim(), parseExpression(source, fail).filters);
+}
+
+/**
+ * Check template syntax without rendering
+ * @param {string} text - Template text
+ * @returns {object|null} - { message, line, column, position }, or null if valid
+ */
+export function validateTemplate(text) {
+  try {
+    checkSyntax(text);
+    return null;
+  } catch (err) {
+    if (!(err instanceof TemplateSyntaxError)) throw err;
+    return { message: err.message, line: err.line, column: err.column, position: err.position };
+  }
+}
+
+/**
+ * Replace all personalization variables in text with contact data
+ * Lenient version of renderTemplate for previews: text with syntax errors is
+ * returned unchanged (use validateTemplate to report them).
+ * @param {string} text - Template text with {{variables}}
+ * @param {object} contact - Contact object with data
+ * @param {object} options - Passed to renderTemplate
+ * @returns {string} - Text with variables replaced
+ */
+export function replaceVariables(text, contact, options = {}) {
+  if (!text || !contact) return text;
+
+  try {
+    return renderTemplate(text, contact, options);
+  } catch (err) {
+    if (err instanceof TemplateSyntaxError) return text;
+    throw err;
   }
-  
-  // Clean up common issues with missing data
-  // Remove double spaces
-  result = result.replace(/  +/g, ' ');
-  
-  // Fix "Hi ," or "Hello ," patterns (greeting followed by comma with nothing between)
-  result = result.replace(/\b(Hi|Hello|Hey|Dear)\s*,/gi, '$1 there,');
-  
-  // Fix "at " or "from " with nothing after (company was empty)
-  result = result.replace(/\b(at|from|with)\s+([.,!?\s])/gi, '$2');
-  
-  // Fix double punctuation
-  result = result.replace(/([.,!?])\s*([.,!?])/g, '$1');
-  
-  // Trim lines with only whitespace
-  result = result.split('\n').map(line => line.trimEnd()).join('\n');
-  
-  return result;
 }
 
 /**
@@ -138,12 +561,15 @@ function extractLastName(fullName) {
 export function mapCSVHeaders(headers) {
   const columnMap = {};
   
+  // Compare letters and digits only, so "E-mail Address" matches "email address"
+  const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
   headers.forEach((header, index) => {
-    const normalizedHeader = header.toLowerCase().trim();
+    const normalizedHeader = normalize(header);
     
     // Check each field's possible column names
     for (const [field, aliases] of Object.entries(CSV_COLUMN_MAPPINGS)) {
-      if (aliases.includes(normalizedHeader)) {
+      if (aliases.some(alias => normalize(alias) === normalizedHeader)) {
         columnMap[index] = field;
         break;
       }
@@ -153,22 +579,53 @@ export function mapCSVHeaders(headers) {
   return columnMap;
 }
 
+/**
+ * Map the CSV columns that aren't built-in fields to custom field names
+ * @param {string[]} headers - Array of CSV header values
+ * @param {object} columnMap - Built-in columns from mapCSVHeaders
+ * @returns {object} - Map of column index to custom field name, e.g. { 4: 'jobTitle' }
+ */
+export function mapCustomCSVHeaders(headers, columnMap) {
+  const customMap = {};
+  const taken = new Set();
+
+  headers.forEach((header, index) => {
+    if (columnMap[index]) return;
+    const name = toFieldName(header);
+    if (!name || isReservedFieldName(name) || taken.has(name.toLowerCase())) return;
+    taken.add(name.toLowerCase());
+    customMap[index] = name;
+  });
+
+  return customMap;
+}
+
 /**
  * Parse a CSV row into a contact object
  * @param {string[]} values - Array of row values
  * @param {object} columnMap - Map of column index to field name
+ * @param {object} customMap - Map of column index to custom field name
  * @returns {object|null} - Contact object or null if invalid
  */
-export function parseCSVRow(values, columnMap) {
+export function parseCSVRow(values, columnMap, customMap = {}) {
   const contact = {};
+  // Quotes are already removed by the CSV parser
+  const clean = (index) => values[parseInt(index)]?.trim();
   
   // Map each value to its field
   for (const [index, field] of Object.entries(columnMap)) {
-    const value = values[parseInt(index)]?.trim().replace(/^["']|["']$/g, '');
+    const value = clean(index);
     if (value) {
       contact[field] = value;
     }
   }
+
+  for (const [index, name] of Object.entries(customMap)) {
+    const value = clean(index);
+    if (value) {
+      contact.customFields = { ...contact.customFields, [name]: value };
+    }
+  }
   
   // Must have email to be valid
   if (!contact.email || !contact.email.includes('@')) {
@@ -179,88 +636,24 @@ export function parseCSVRow(values, columnMap) {
 }
 
 /**
- * Parse full CSV text into contacts array with personalization fields
+ * Split CSV text into its header row and data rows, without mapping any columns
+ * Quoted fields may span lines; the delimiter is detected.
  * @param {string} csvText - Raw CSV text
- * @returns {object} - { contacts: array, fields: array of used field names }
+ * @returns {object} - { headers: string[], rows: string[][] }
  */
-export function parseContactsCSV(csvText) {
-  const lines = csvText.split(/[\n\r]+/).filter(line => line.trim());
-  
-  if (lines.length < 1) {
-    throw new Error('CSV file is empty');
-  }
-  
-  // Parse header row
-  const headers = parseCSVLine(lines[0]);
-  const columnMap = mapCSVHeaders(headers);
-  
-  // Must have email column
-  const hasEmail = Object.values(columnMap).includes('email');
-  if (!hasEmail) {
-    throw new Error('CSV must have an "email" column');
-  }
-  
-  // Parse data rows
-  const contacts = [];
-  const usedFields = new Set();
-  
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    const contact = parseCSVRow(values, columnMap);
-    
-    if (contact) {
-      contacts.push(contact);
-      // Track which fields are actually used
-      Object.keys(contact).forEach(field => usedFields.add(field));
-    }
-  }
-  
-  if (contacts.length === 0) {
-    throw new Error('No valid contacts found in CSV');
-  }
-  
-  return {
-    contacts,
-    fields: Array.from(usedFields),
-  };
-}
-
-/**
- * Parse a single CSV line, handling quoted fields
- * @param {string} line - CSV line
- * @returns {string[]} - Array of field values
- */
-function parseCSVLine(line) {
-  const fields = [];
-  let currentField = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      fields.push(currentField.trim());
-      currentField = '';
-    } else {
-      currentField += char;
-    }
-  }
-  
-  // Don't forget the last field
-  fields.push(currentField.trim());
-  
-  return fields;
+export function parseCSVTable(csvText) {
+  const { headers, rows } = parseCSV(csvText);
+  return { headers: headers.map(header => header.trim()), rows };
 }
 
 /**
  * Get preview of how template will look with sample data
  * @param {string} template - Template text
  * @param {object} sampleContact - Sample contact for preview
+ * @param {object} options - Passed to renderTemplate, e.g. { variant } to cycle spintax, { fields } for custom fields
  * @returns {string} - Rendered preview
  */
-export function getTemplatePreview(template, sampleContact = null) {
+export function getTemplatePreview(template, sampleContact = null, options = {}) {
   const defaultSample = {
     firstName: 'John',
     lastName: 'Doe',
@@ -268,29 +661,43 @@ export function getTemplatePreview(template, sampleContact = null) {
     email: 'john@example.com',
     company: 'Acme Corp',
     website: 'acme.com',
-    custom1: 'Custom Value 1',
-    custom2: 'Custom Value 2',
-    custom3: 'Custom Value 3',
+    aiIntro: 'Saw Acme just opened a second warehouse, congrats.',
+    unsubscribeLink: 'https://example.com/unsubscribe/preview',
+    // Custom fields show their default, or their label when they have none
+    customFields: Object.fromEntries((options.fields || []).map(field => [
+      field.name,
+      field.default_value || field.label || field.name,
+    ])),
   };
   
-  return replaceVariables(template, sampleContact || defaultSample);
+  return replaceVariables(template, sampleContact || defaultSample, options);
 }
 
 /**
- * Detect which variables are used in a template
+ * Detect which variables are used in a template, including ones tested by conditions
  * @param {string} template - Template text
- * @returns {string[]} - Array of variable names used
+ * @returns {string[]} - Array of variable names used, as first written (empty if the template has syntax errors)
  */
 export function detectUsedVariables(template) {
   if (!template) return [];
   
-  const variablePattern = /\{\{\s*(\w+)\s*\}\}/g;
-  const used = new Set();
-  let match;
-  
-  while ((match = variablePattern.exec(template)) !== null) {
-    used.add(match[1].toLowerCase());
+  // Lowercase key → name as written, so {{firstName}} and {{firstname}} count once
+  const used = new Map();
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+      if (!used.has(node.key.toLowerCase())) used.set(node.key.toLowerCase(), node.key);
+      if (node.children) walk(node.children);
+      if (node.elseChildren) walk(node.elseChildren);
+    }
+  };
+
+  try {
+    walk(parseTemplate(template));
+  } catch (err) {
+    if (!(err instanceof TemplateSyntaxError)) throw err;
+    return [];
   }
   
-  return Array.from(used);
+  return Array.from(used.values());
 }
@@ -0,0 +1,133 @@
+/**
+ * Pre-flight Render Checks
+ *
+ * Before a campaign starts, every contact × template combination is rendered
+ * the way it will be sent. Anything that would look broken in the inbox is
+ * listed per contact:
+ * - unknown: a variable that doesn't exist, e.g. a typo like {{frist_name}}
+ * - empty: a variable without a default that rendered empty for this contact
+ * - leftover: a "{{...}}" tag still in the output, e.g. from the contact's own data
+ */
+
+import { inspectTemplateRender } from './personalization';
+import { hasUnsubscribeLink } from './unsubscribe';
+import { getContactCustomFields } from './customFields';
+
+// Contact columns behind each variable, so empty fields can be filled in place;
+// custom fields use "custom_fields.<name>"
+export const VARIABLE_CONTACT_COLUMNS = {
+  firstname: 'first_name',
+  lastname: 'last_name',
+  name: 'name',
+  company: 'company',
+  companyname: 'company',
+  website: 'website',
+};
+
+const CUSTOM_COLUMN_PREFIX = 'custom_fields.';
+
+function columnForVariable(key, contact, fields) {
+  const lower = key.toLowerCase();
+  if (VARIABLE_CONTACT_COLUMNS[lower]) return VARIABLE_CONTACT_COLUMNS[lower];
+
+  const name = fields.find(field => field.name.toLowerCase() === lower)?.name
+    || Object.keys(getContactCustomFields(contact)).find(field => field.toLowerCase() === lower);
+  return name ? CUSTOM_COLUMN_PREFIX + name : null;
+}
+
+/**
+ * Read a contact value by column, including "custom_fields.<name>"
+ * @param {object} contact - Contact row
+ * @param {string} column - Column from a render issue
+ * @returns {string}
+ */
+export function getContactColumnValue(contact, column) {
+  if (column.startsWith(CUSTOM_COLUMN_PREFIX)) {
+    return getContactCustomFields(contact)[column.slice(CUSTOM_COLUMN_PREFIX.length)] || '';
+  }
+  return contact[column] || '';
+}
+
+/**
+ * Turn edited column values into a contact update, merging custom fields into the stored JSONB
+ * @param {object} contact - Contact row
+ * @param {object} values - Column → new value
+ * @returns {object} - Changes for contactsService.update
+ */
+export function buildContactChanges(contact, values) {
+  const changes = {};
+  for (const [column, value] of Object.entries(values)) {
+    const text = String(value ?? '').trim();
+    if (column.startsWith(CUSTOM_COLUMN_PREFIX)) {
+      const customFields = { ...getContactCustomFields(contact), ...changes.custom_fields };
+      const name = column.slice(CUSTOM_COLUMN_PREFIX.length);
+      if (text) customFields[name] = text;
+      else delete customFields[name];
+      changes.custom_fields = customFields;
+    } else {
+      changes[column] = text || null;
+    }
+  }
+  return changes;
+}
+
+function tagKey(tag) {
+  return tag.slice(2, -2).split('|')[0].trim();
+}
+
+/**
+ * Find render problems for one contact
+ * @param {object} contact - Contact as it will be sent
+ * @param {object[]} templates - [{ label, subject, body }], e.g. label "Step 1 · Intro"
+ * @param {object} options - Passed to renderTemplate, e.g. { now, fields }
+ * @returns {object[]} - [{ type, key, column, where: ['Step 1 · Intro subject', ...] }]
+ */
+export function findRenderIssues(contact, templates, options = {}) {
+  // {{unsubscribeLink}} is filled in by the server, so it's expected to survive
+  const data = { ...contact, unsubscribeLink: '{{unsubscribeLink}}' };
+  const issues = new Map();
+
+  const add = (type, key, column, where) => {
+    const id = `${type}:${key.toLowerCase()}:${column || ''}`;
+    if (!issues.has(id)) issues.set(id, { type, key, column, where: [] });
+    const issue = issues.get(id);
+    if (!issue.where.includes(where)) issue.where.push(where);
+  };
+
+  for (const template of templates) {
+    for (const field of ['subject', 'body']) {
+      const where = `${template.label} ${field}`;
+      const { unknownVariables, emptyVariables, leftoverTags } = inspectTemplateRender(template[field], data, options);
+      const unknown = new Set(unknownVariables.map(key => key.toLowerCase()));
+
+      unknownVariables.forEach(key => add('unknown', key, null, where));
+      emptyVariables.forEach(key => add('empty', key, columnForVariable(key, contact, options.fields || []), where));
+
+      for (const tag of leftoverTags) {
+        // Unknown variables are left in place on purpose and already reported
+        if (hasUnsubscribeLink(tag) || unknown.has(tagKey(tag).toLowerCase())) continue;
+        const column = Object.keys(contact).find(name => (
+          typeof contact[name] === 'string' && contact[name].includes(tag)
+        )) || Object.entries(getContactCustomFields(contact))
+          .filter(([, value]) => String(value ?? '').includes(tag))
+          .map(([name]) => CUSTOM_COLUMN_PREFIX + name)[0];
+        add('leftover', tag, column || null, where);
+      }
+    }
+  }
+
+  return [...issues.values()];
+}
+
+/**
+ * Check every contact of a campaign
+ * @param {object[]} contacts - Contacts in send order
+ * @param {function} templatesFor - (contact, index) => [{ label, subject, body }] the contact will receive
+ * @param {object} options - Passed to renderTemplate
+ * @returns {object[]} - [{ contact, issues }] for contacts with at least one problem
+ */
+export function checkCampaignRender(contacts, templatesFor, options = {}) {
+  return contacts
+    .map((contact, index) => ({ contact, issues: findRenderIssues(contact, templatesFor(contact, index), options) }))
+    .filter(result => result.issues.length > 0);
+}
@@ -0,0 +1,98 @@
+/**
+ * Failed Email Retry Utilities
+ *
+ * Turns failed campaign_emails rows back into campaign contacts, keeping
+ * each row's template and personalization. Rows whose error means the
+ * address can never be delivered to are skipped.
+ */
+
+import { validateEmail } from './validation';
+
+// SMTP reply code at the start of the message ("550 ...", "421-...") and
+// enhanced status code anywhere in it ("5.1.1"). Codes decide when present;
+// other numbers in the text (ids, sizes) are ignored.
+const SMTP_REPLY_CODE_REGEX = /^\s*(\d{3})[ -]/;
+const SMTP_ENHANCED_CODE_REGEX = /\b([245])\.(\d{1,3})\.\d{1,3}\b/;
+
+// Reply codes for a bad recipient address: mailbox unavailable, user not local, name not allowed
+const PERMANENT_REPLY_CODES = ['550', '551', '553'];
+
+// Without a code: temporary or sender-side problems (limits, credentials, connectivity)
+// that a later attempt can get past. Checked first so a quota or login error is not
+// treated as a bad address.
+const RETRYABLE_ERROR_PATTERNS = [
+  /\b(auth|authentication|login|credentials?)\b/i,
+  /quota|rate limit|too many/i,
+  /timeout|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ESOCKET/i,
+];
+
+// Without a code: the recipient address or domain is bad; sending again would fail the same way
+const PERMANENT_ERROR_PATTERNS = [
+  /user (unknown|not found)/i,
+  /no such (user|mailbox|recipient)/i,
+  /(mailbox|recipient|address|user|account) (does not|doesn't) exist/i,
+  /(mailbox|recipient|address) (unavailable|rejected|not found)/i,
+  /invalid (recipient|email|mailbox|address)/i,
+  /unroutable|unrouteable/i,
+  /domain (not found|does not exist)/i,
+  /hard bounce|unsubscribed|suppressed/i,
+];
+
+/**
+ * Check whether a send error marks a permanent failure
+ * The enhanced status code wins over the reply code, so Gmail's
+ * "550 5.4.5 Daily sending quota exceeded" is not treated as a bad address.
+ * @param {string} errorMessage - error_message from a campaign_emails row
+ * @returns {boolean} - True if retrying cannot succeed
+ */
+export function isPermanentFailure(errorMessage) {
+  if (!errorMessage) return false;
+
+  const enhanced = errorMessage.match(SMTP_ENHANCED_CODE_REGEX);
+  if (enhanced) return enhanced[1] === '5' && enhanced[2] === '1';
+
+  const reply = errorMessage.match(SMTP_REPLY_CODE_REGEX);
+  if (reply) return PERMANENT_REPLY_CODES.includes(reply[1]);
+
+  if (RETRYABLE_ERROR_PATTERNS.some(pattern => pattern.test(errorMessage))) return false;
+  return PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(errorMessage));
+}
+
+/**
+ * Build campaign contacts from failed campaign_emails rows
+ * @param {object[]} rows - Failed rows (contact_data, template_subject, template_body, ...)
+ * @returns {object} - { contacts, skipped: [{ row, reason }] }
+ */
+export function buildRetryContacts(rows) {
+  const contacts = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const row of rows || []) {
+    const email = (row.email || row.contact_email || '').trim();
+    const check = validateEmail(email);
+
+    if (!check.valid) {
+      skipped.push({ row, reason: check.error });
+    } else if (isPermanentFailure(row.error_message)) {
+      skipped.push({ row, reason: row.error_message });
+    } else if (seen.has(email.toLowerCase())) {
+      skipped.push({ row, reason: 'Already retried in this batch' });
+    } else {
+      seen.add(email.toLowerCase());
+      contacts.push({
+        ...(row.contact_data || {}),
+        email,
+        name: row.contact_data?.name || row.contact_name || '',
+        template: {
+          subject: row.template_subject,
+          body: row.template_body,
+          current_version_id: row.template_version_id || null,
+          subjectVariant: row.subject_variant || null,
+        },
+      });
+    }
+  }
+
+  return { contacts, skipped };
+}
@@ -0,0 +1,334 @@
+/**
+ * Scheduling & Timezone Utilities
+ *
+ * Converts between wall-clock times in a named IANA timezone
+ * (e.g. "America/New_York") and UTC timestamps, using only Intl.
+ */
+
+// Fallback list for browsers without Intl.supportedValuesOf
+const FALLBACK_TIMEZONES = [
+  'UTC',
+  'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+  'America/Sao_Paulo', 'Europe/London', 'Europe/Berlin', 'Europe/Paris',
+  'Africa/Johannesburg', 'Asia/Dubai', 'Asia/Karachi', 'Asia/Kolkata',
+  'Asia/Singapore', 'Asia/Tokyo', 'Australia/Sydney',
+];
+
+/**
+ * Get the browser's timezone
+ * @returns {string} - IANA timezone name
+ */
+export function getLocalTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * List all selectable timezones
+ * @returns {string[]} - IANA timezone names
+ */
+export function getTimezones() {
+  let zones = FALLBACK_TIMEZONES;
+  if (typeof Intl.supportedValuesOf === 'function') {
+    zones = Intl.supportedValuesOf('timeZone');
+  }
+  const local = getLocalTimezone();
+  const withExtras = new Set(['UTC', local, ...zones]);
+  return Array.from(withExtras);
+}
+
+/**
+ * Check that a timezone name is understood by this browser
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Break a Date into wall-clock parts in a timezone
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} - { year, month, day, hour, minute, second, weekday } (weekday 0 = Sunday)
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+  }).formatToParts(date);
+
+  const map = Object.fromEntries(parts.map(p => [p.type, p.value]));
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: Number(map.year),
+    month: Number(map.month),
+    day: Number(map.day),
+    hour: Number(map.hour),
+    minute: Number(map.minute),
+    second: Number(map.second),
+    weekday: weekdays.indexOf(map.weekday),
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given moment, in milliseconds
+ */
+function getTimezoneOffsetMs(timeZone, date) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+  return asUtc - wholeSeconds;
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to a UTC Date
+ * @param {string} dateStr - "YYYY-MM-DD"
+ * @param {string} timeStr - "HH:MM"
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date|null} - UTC Date, or null if the input is invalid
+ */
+export function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+  const timeMatch = /^(\d{2}):(\d{2})$/.exec(timeStr || '');
+  if (!dateMatch || !timeMatch || !isValidTimezone(timeZone)) return null;
+
+  const guess = Date.UTC(
+    Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3]),
+    Number(timeMatch[1]), Number(timeMatch[2])
+  );
+
+  // Re-check the offset at the result so DST transitions land correctly
+  let result = guess - getTimezoneOffsetMs(timeZone, new Date(guess));
+  const correctedOffset = getTimezoneOffsetMs(timeZone, new Date(result));
+  result = guess - correctedOffset;
+
+  return new Date(result);
+}
+
+/**
+ * Convert a UTC timestamp to date/time input values in a timezone
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} - { date: "YYYY-MM-DD", time: "HH:MM" }
+ */
+export function utcToZonedInputs(value, timeZone) {
+  const p = getZonedParts(new Date(value), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return {
+    date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+    time: `${pad(p.hour)}:${pad(p.minute)}`,
+  };
+}
+
+/**
+ * Format a timestamp for display in a timezone
+ * @param {string|Date} value - ISO timestamp or Date
+ * @param {string} timeZone - IANA timezone name (defaults to the browser's)
+ * @returns {string} - e.g. "Mar 4, 2026, 9:00 AM (Europe/Berlin)"
+ */
+export function formatInTimezone(value, timeZone = getLocalTimezone()) {
+  if (!value) return '';
+  const formatted = new Date(value).toLocaleString('en-US', {
+    timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+  return `${formatted} (${timeZone})`;
+}
+
+// =============================================
+// SENDING WINDOWS - Business-hours-only delivery
+// =============================================
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Mon–Fri 09:00–17:00 in the contact's timezone
+export const DEFAULT_SENDING_WINDOW = {
+  days: [1, 2, 3, 4, 5],
+  start: '09:00',
+  end: '17:00',
+};
+
+// Main timezone per country, keyed by lowercase ISO code and common names.
+// Countries spanning several zones use their most populous one.
+const COUNTRY_TIMEZONES = {
+  us: 'America/New_York', usa: 'America/New_York', 'united states': 'America/New_York', 'united states of america': 'America/New_York',
+  ca: 'America/Toronto', canada: 'America/Toronto',
+  mx: 'America/Mexico_City', mexico: 'America/Mexico_City',
+  br: 'America/Sao_Paulo', brazil: 'America/Sao_Paulo',
+  ar: 'America/Argentina/Buenos_Aires', argentina: 'America/Argentina/Buenos_Aires',
+  cl: 'America/Santiago', chile: 'America/Santiago',
+  co: 'America/Bogota', colombia: 'America/Bogota',
+  gb: 'Europe/London', uk: 'Europe/London', 'united kingdom': 'Europe/London', england: 'Europe/London',
+  ie: 'Europe/Dublin', ireland: 'Europe/Dublin',
+  pt: 'Europe/Lisbon', portugal: 'Europe/Lisbon',
+  es: 'Europe/Madrid', spain: 'Europe/Madrid',
+  fr: 'Europe/Paris', france: 'Europe/Paris',
+  de: 'Europe/Berlin', germany: 'Europe/Berlin',
+  nl: 'Europe/Amsterdam', netherlands: 'Europe/Amsterdam',
+  be: 'Europe/Brussels', belgium: 'Europe/Brussels',
+  ch: 'Europe/Zurich', switzerland: 'Europe/Zurich',
+  at: 'Europe/Vienna', austria: 'Europe/Vienna',
+  it: 'Europe/Rome', italy: 'Europe/Rome',
+  se: 'Europe/Stockholm', sweden: 'Europe/Stockholm',
+  no: 'Europe/Oslo', norway: 'Europe/Oslo',
+  dk: 'Europe/Copenhagen', denmark: 'Europe/Copenhagen',
+  fi: 'Europe/Helsinki', finland: 'Europe/Helsinki',
+  pl: 'Europe/Warsaw', poland: 'Europe/Warsaw',
+  gr: 'Europe/Athens', greece: 'Europe/Athens',
+  tr: 'Europe/Istanbul', turkey: 'Europe/Istanbul',
+  ua: 'Europe/Kyiv', ukraine: 'Europe/Kyiv',
+  ru: 'Europe/Moscow', russia: 'Europe/Moscow',
+  il: 'Asia/Jerusalem', israel: 'Asia/Jerusalem',
+  ae: 'Asia/Dubai', uae: 'Asia/Dubai', 'united arab emirates': 'Asia/Dubai',
+  sa: 'Asia/Riyadh', 'saudi arabia': 'Asia/Riyadh',
+  eg: 'Africa/Cairo', egypt: 'Africa/Cairo',
+  ng: 'Africa/Lagos', nigeria: 'Africa/Lagos',
+  ke: 'Africa/Nairobi', kenya: 'Africa/Nairobi',
+  za: 'Africa/Johannesburg', 'south africa': 'Africa/Johannesburg',
+  pk: 'Asia/Karachi', pakistan: 'Asia/Karachi',
+  in: 'Asia/Kolkata', india: 'Asia/Kolkata',
+  bd: 'Asia/Dhaka', bangladesh: 'Asia/Dhaka',
+  th: 'Asia/Bangkok', thailand: 'Asia/Bangkok',
+  vn: 'Asia/Ho_Chi_Minh', vietnam: 'Asia/Ho_Chi_Minh',
+  id: 'Asia/Jakarta', indonesia: 'Asia/Jakarta',
+  my: 'Asia/Kuala_Lumpur', malaysia: 'Asia/Kuala_Lumpur',
+  sg: 'Asia/Singapore', singapore: 'Asia/Singapore',
+  ph: 'Asia/Manila', philippines: 'Asia/Manila',
+  cn: 'Asia/Shanghai', china: 'Asia/Shanghai',
+  hk: 'Asia/Hong_Kong', 'hong kong': 'Asia/Hong_Kong',
+  tw: 'Asia/Taipei', taiwan: 'Asia/Taipei',
+  kr: 'Asia/Seoul', 'south korea': 'Asia/Seoul', korea: 'Asia/Seoul',
+  jp: 'Asia/Tokyo', japan: 'Asia/Tokyo',
+  au: 'Australia/Sydney', australia: 'Australia/Sydney',
+  nz: 'Pacific/Auckland', 'new zealand': 'Pacific/Auckland',
+};
+
+/**
+ * Work out a contact's timezone from an explicit value or their country
+ * @param {object} contact - Contact with optional timezone and country
+ * @returns {string|null} - IANA timezone name, or null if unknown
+ */
+export function inferTimezone(contact) {
+  if (!contact) return null;
+
+  const explicit = contact.timezone?.trim();
+  if (explicit && isValidTimezone(explicit)) return explicit;
+
+  const country = contact.country?.trim().toLowerCase();
+  if (country && COUNTRY_TIMEZONES[country]) return COUNTRY_TIMEZONES[country];
+
+  return null;
+}
+
+function timeToMinutes(timeStr) {
+  const match = /^(\d{2}):(\d{2})$/.exec(timeStr || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Check a sending window for mistakes
+ * @param {object} window - { days: number[], start: "HH:MM", end: "HH:MM" }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateSendingWindow(window) {
+  if (!window) return null;
+  if (!window.days?.length) return 'Pick at least one sending day';
+
+  const start = timeToMinutes(window.start);
+  const end = timeToMinutes(window.end);
+  if (start === null || end === null) return 'Please enter valid sending hours';
+  if (start >= end) return 'Sending hours must end after they start';
+
+  return null;
+}
+
+/**
+ * Check whether a moment falls inside a sending window in a timezone
+ * @param {Date} date - Point in time
+ * @param {object} window - { days, start, end }
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean}
+ */
+export function isWithinSendingWindow(date, window, timeZone) {
+  if (!window) return true;
+
+  const p = getZonedParts(date, timeZone);
+  const minutes = p.hour * 60 + p.minute;
+
+  return window.days.includes(p.weekday) &&
+    minutes >= timeToMinutes(window.start) &&
+    minutes < timeToMinutes(window.end);
+}
+
+/**
+ * Find the earliest moment at or after `from` that is inside the window
+ * @param {Date} from - Earliest allowed moment
+ * @param {object} window - { days, start, end }
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} - `from` itself when already inside the window
+ */
+export function getNextWindowStart(from, window, timeZone) {
+  if (!window || isWithinSendingWindow(from, window, timeZone)) return from;
+
+  const p = getZonedParts(from, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+
+  // Walk forward day by day (a week is always enough for a non-empty window)
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(p.year, p.month - 1, p.day + offset));
+    if (!window.days.includes(day.getUTCDay())) continue;
+
+    const dateStr = `${day.getUTCFullYear()}-${pad(day.getUTCMonth() + 1)}-${pad(day.getUTCDate())}`;
+    const opensAt = zonedTimeToUtc(dateStr, window.start, timeZone);
+    if (opensAt && opensAt > from) return opensAt;
+  }
+
+  return from;
+}
+
+/**
+ * Preview when each timezone group of contacts will first receive email
+ * @param {object[]} contacts - Contacts with optional timezone/country
+ * @param {object|null} window - Sending window, or null to send any time
+ * @param {object} options - { startAt: Date, fallbackTimezone: string }
+ * @returns {object[]} - [{ timezone, count, usingFallback, firstSendAt, waiting }] sorted by firstSendAt
+ */
+export function buildSchedulePreview(contacts, window, { startAt = new Date(), fallbackTimezone = getLocalTimezone() } = {}) {
+  const groups = new Map();
+
+  for (const contact of contacts) {
+    const known = inferTimezone(contact);
+    const timezone = known || fallbackTimezone;
+    const group = groups.get(timezone) || { timezone, count: 0, usingFallback: 0 };
+    group.count++;
+    if (!known) group.usingFallback++;
+    groups.set(timezone, group);
+  }
+
+  return Array.from(groups.values())
+    .map(group => {
+      const firstSendAt = getNextWindowStart(startAt, window, group.timezone);
+      return { ...group, firstSendAt, waiting: firstSendAt > startAt };
+    })
+    .sort((a, b) => a.firstSendAt - b.firstSendAt || b.count - a.count);
+}
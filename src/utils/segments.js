@@ -0,0 +1,272 @@
+/**
+ * Contact Segment & Audience Utilities
+ *
+ * Segments are saved rules evaluated against contacts, e.g.
+ * "company is set AND never emailed AND domain is not gmail.com".
+ * A campaign audience combines lists and segments:
+ *   (contacts in any included list or segment) minus (contacts in any excluded one).
+ * With nothing included, the audience starts from every contact.
+ */
+
+export const SEGMENT_FIELDS = [
+  { key: 'email', label: 'Email', type: 'text' },
+  { key: 'domain', label: 'Email domain', type: 'text' },
+  { key: 'firstName', label: 'First name', type: 'text' },
+  { key: 'lastName', label: 'Last name', type: 'text' },
+  { key: 'company', label: 'Company', type: 'text' },
+  { key: 'website', label: 'Website', type: 'text' },
+  { key: 'timezone', label: 'Timezone', type: 'text' },
+  { key: 'emailed', label: 'Emailed', type: 'history' },
+  { key: 'list', label: 'List', type: 'list' },
+];
+
+export const SEGMENT_OPERATORS = {
+  text: [
+    { value: 'is_set', label: 'is set' },
+    { value: 'is_not_set', label: 'is not set' },
+    { value: 'equals', label: 'is', needsValue: true },
+    { value: 'not_equals', label: 'is not', needsValue: true },
+    { value: 'contains', label: 'contains', needsValue: true },
+    { value: 'not_contains', label: 'does not contain', needsValue: true },
+  ],
+  history: [
+    { value: 'never', label: 'never' },
+    { value: 'ever', label: 'at least once' },
+    { value: 'not_within_days', label: 'not in the last N days', needsValue: true },
+  ],
+  list: [
+    { value: 'in_list', label: 'is in', needsValue: true },
+    { value: 'not_in_list', label: 'is not in', needsValue: true },
+  ],
+};
+
+export const EMPTY_AUDIENCE = { lists: [], segments: [], excludeLists: [], excludeSegments: [] };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getFieldType(fieldKey) {
+  return SEGMENT_FIELDS.find(field => field.key === fieldKey)?.type || 'text';
+}
+
+function getOperator(rule) {
+  return (SEGMENT_OPERATORS[getFieldType(rule.field)] || []).find(op => op.value === rule.operator);
+}
+
+/**
+ * Read a text field from a contact (DB rows are snake_case, imports are camelCase)
+ */
+function getTextValue(contact, fieldKey) {
+  switch (fieldKey) {
+    case 'domain':
+      return (contact.email || '').split('@')[1] || '';
+    case 'firstName':
+      return contact.first_name || contact.firstName || '';
+    case 'lastName':
+      return contact.last_name || contact.lastName || '';
+    default:
+      return contact[fieldKey] || '';
+  }
+}
+
+/**
+ * Build the lookups segment rules need
+ * @param {object} data - { emailHistory: [{ email, sent_count, last_sent_at }], memberships: [{ list_id, contact_id }] }
+ * @returns {object} - { history: Map(email → { sentCount, lastSentAt }), listsByContact: Map(contactId → Set(listId)) }
+ */
+export function buildSegmentContext({ emailHistory = [], memberships = [] } = {}) {
+  const history = new Map();
+  for (const row of emailHistory) {
+    history.set((row.email || '').toLowerCase(), {
+      sentCount: Number(row.sent_count) || 0,
+      lastSentAt: row.last_sent_at || null,
+    });
+  }
+
+  const listsByContact = new Map();
+  for (const { list_id: listId, contact_id: contactId } of memberships) {
+    if (!listsByContact.has(contactId)) listsByContact.set(contactId, new Set());
+    listsByContact.get(contactId).add(listId);
+  }
+
+  return { history, listsByContact };
+}
+
+/**
+ * Check one rule against a contact
+ * @param {object} contact - Contact row
+ * @param {object} rule - { field, operator, value }
+ * @param {object} context - From buildSegmentContext
+ * @param {Date} now - Reference time for day-based rules
+ * @returns {boolean}
+ */
+export function matchesRule(contact, rule, context, now = new Date()) {
+  const type = getFieldType(rule.field);
+
+  if (type === 'history') {
+    const entry = context?.history?.get((contact.email || '').toLowerCase());
+    const sentCount = entry?.sentCount || 0;
+    switch (rule.operator) {
+      case 'never': return sentCount === 0;
+      case 'ever': return sentCount > 0;
+      case 'not_within_days': {
+        if (!entry?.lastSentAt) return true;
+        const days = Math.max(0, Number(rule.value) || 0);
+        return now.getTime() - new Date(entry.lastSentAt).getTime() > days * DAY_MS;
+      }
+      default: return false;
+    }
+  }
+
+  if (type === 'list') {
+    const inList = !!context?.listsByContact?.get(contact.id)?.has(rule.value);
+    return rule.operator === 'not_in_list' ? !inList : inList;
+  }
+
+  const actual = getTextValue(contact, rule.field).trim().toLowerCase();
+  const expected = String(rule.value ?? '').trim().toLowerCase();
+
+  switch (rule.operator) {
+    case 'is_set': return actual !== '';
+    case 'is_not_set': return actual === '';
+    case 'equals': return actual === expected;
+    case 'not_equals': return actual !== expected;
+    case 'contains': return actual.includes(expected);
+    case 'not_contains': return !actual.includes(expected);
+    default: return false;
+  }
+}
+
+/**
+ * Check whether a contact belongs to a segment
+ * @param {object} contact - Contact row
+ * @param {object} segment - { match: 'all' | 'any', rules: [] }
+ * @param {object} context - From buildSegmentContext
+ * @returns {boolean} - Segments without rules match every contact
+ */
+export function matchesSegment(contact, segment, context, now = new Date()) {
+  const rules = segment?.rules || [];
+  if (rules.length === 0) return true;
+
+  return segment.match === 'any'
+    ? rules.some(rule => matchesRule(contact, rule, context, now))
+    : rules.every(rule => matchesRule(contact, rule, context, now));
+}
+
+/**
+ * Validate a segment before saving
+ * @param {object} segment - { name, match, rules }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateSegment(segment) {
+  if (!segment?.name?.trim()) return 'Please give the segment a name';
+  if (!segment.rules?.length) return 'Add at least one rule';
+
+  for (const rule of segment.rules) {
+    const operator = getOperator(rule);
+    if (!operator) return 'Every rule needs a field and a condition';
+    if (operator.needsValue && String(rule.value ?? '').trim() === '') {
+      const field = SEGMENT_FIELDS.find(f => f.key === rule.field);
+      return `Please fill in a value for the ${field?.label || rule.field} rule`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Human-readable summary of a segment's rules
+ * @param {object} segment - { match, rules }
+ * @param {object[]} lists - Contact lists, to show list names
+ * @returns {string} - e.g. "Company is set AND Emailed never"
+ */
+export function describeSegment(segment, lists = []) {
+  const parts = (segment?.rules || []).map(rule => {
+    const field = SEGMENT_FIELDS.find(f => f.key === rule.field);
+    const operator = getOperator(rule);
+    if (!field || !operator) return 'Invalid rule';
+
+    if (rule.operator === 'not_within_days') {
+      return `${field.label} not in the last ${rule.value} days`;
+    }
+
+    let value = '';
+    if (operator.needsValue) {
+      value = field.type === 'list'
+        ? ` "${lists.find(list => list.id === rule.value)?.name || 'deleted list'}"`
+        : ` "${rule.value}"`;
+    }
+    return `${field.label} ${operator.label}${value}`;
+  });
+
+  return parts.join(segment?.match === 'any' ? ' OR ' : ' AND ') || 'All contacts';
+}
+
+/**
+ * Count the contacts in each list and segment
+ * @param {object[]} contacts - All contacts
+ * @param {object[]} segments - Saved segments
+ * @param {object} context - From buildSegmentContext
+ * @returns {object} - { lists: { listId: count }, segments: { segmentId: count } }
+ */
+export function countAudienceSources(contacts, segments, context) {
+  const now = new Date();
+  const counts = { lists: {}, segments: {} };
+
+  for (const contact of contacts) {
+    for (const listId of context?.listsByContact?.get(contact.id) || []) {
+      counts.lists[listId] = (counts.lists[listId] || 0) + 1;
+    }
+    for (const segment of segments) {
+      if (matchesSegment(contact, segment, context, now)) {
+        counts.segments[segment.id] = (counts.segments[segment.id] || 0) + 1;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Check whether an audience selects anything (empty means every contact)
+ */
+export function isAudienceEmpty(audience) {
+  return !audience || (
+    !audience.lists?.length && !audience.segments?.length &&
+    !audience.excludeLists?.length && !audience.excludeSegments?.length
+  );
+}
+
+/**
+ * Resolve a campaign audience to contacts
+ * @param {object[]} contacts - All contacts
+ * @param {object} audience - { lists, segments, excludeLists, excludeSegments } (arrays of ids)
+ * @param {object} options - { segments: saved segments, context: from buildSegmentContext }
+ * @returns {object[]} - Matching contacts, in their original order
+ */
+export function resolveAudience(contacts, audience, { segments = [], context } = {}) {
+  if (isAudienceEmpty(audience)) return contacts;
+
+  const now = new Date();
+  const segmentsById = new Map(segments.map(segment => [segment.id, segment]));
+
+  const inAnyList = (contact, listIds) => {
+    const memberOf = context?.listsByContact?.get(contact.id);
+    return !!memberOf && listIds.some(id => memberOf.has(id));
+  };
+  const inAnySegment = (contact, segmentIds) => segmentIds.some(id => {
+    const segment = segmentsById.get(id);
+    return !!segment && matchesSegment(contact, segment, context, now);
+  });
+
+  const includeLists = audience.lists || [];
+  const includeSegments = audience.segments || [];
+  const hasIncludes = includeLists.length > 0 || includeSegments.length > 0;
+
+  return contacts.filter(contact => {
+    const included = !hasIncludes
+      || inAnyList(contact, includeLists)
+      || inAnySegment(contact, includeSegments);
+    if (!included) return false;
+
+    return !inAnyList(contact, audience.excludeLists || [])
+      && !inAnySegment(contact, audience.excludeSegments || []);
+  });
+}
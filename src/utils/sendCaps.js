@@ -0,0 +1,58 @@
+/**
+ * Send Cap Utilities
+ *
+ * Daily and hourly sending limits for an SMTP sender. The daily cap
+ * resets at midnight and the hourly cap at the top of each hour, both
+ * in the sender's cap timezone.
+ */
+
+import { getZonedParts, zonedTimeToUtc } from './schedule';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Parse a cap input value
+ * @param {string|number|null} value - Raw input value
+ * @returns {number|null} - Positive whole number, or null for no limit
+ */
+export function parseCap(value) {
+  const cap = parseInt(value, 10);
+  return Number.isFinite(cap) && cap > 0 ? cap : null;
+}
+
+/**
+ * Work out whether a sender is capped right now, and until when
+ * @param {object} caps - { dailyCap, hourlyCap, timeZone }
+ * @param {object} volume - { sentToday, sentThisHour }
+ * @param {Date} now - Current time
+ * @returns {object|null} - { reason: 'daily_cap' | 'hourly_cap', resumesAt: Date }, or null if not capped
+ */
+export function getCapStatus({ dailyCap, hourlyCap, timeZone = 'UTC' }, { sentToday = 0, sentThisHour = 0 }, now = new Date()) {
+  const p = getZonedParts(now, timeZone);
+
+  // Daily cap wins: it waits longer than the hourly one
+  if (dailyCap && sentToday >= dailyCap) {
+    const tomorrow = new Date(Date.UTC(p.year, p.month - 1, p.day + 1));
+    const dateStr = `${tomorrow.getUTCFullYear()}-${pad(tomorrow.getUTCMonth() + 1)}-${pad(tomorrow.getUTCDate())}`;
+    return { reason: 'daily_cap', resumesAt: zonedTimeToUtc(dateStr, '00:00', timeZone) };
+  }
+
+  if (hourlyCap && sentThisHour >= hourlyCap) {
+    const secondsLeft = (60 - p.minute) * 60 - p.second;
+    const resumesAt = new Date(Math.floor(now.getTime() / 1000) * 1000 + secondsLeft * 1000);
+    return { reason: 'hourly_cap', resumesAt };
+  }
+
+  return null;
+}
+
+/**
+ * Estimate how many days a campaign needs under a daily cap
+ * @param {number} emailCount - Emails to send
+ * @param {number|null} dailyCap - Daily cap, or null for no limit
+ * @returns {number} - Whole days (1 when uncapped)
+ */
+export function estimateCampaignDays(emailCount, dailyCap) {
+  if (!dailyCap || emailCount <= 0) return 1;
+  return Math.ceil(emailCount / dailyCap);
+}
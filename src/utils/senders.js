@@ -0,0 +1,78 @@
+/**
+ * Sender Rotation Utilities
+ *
+ * Spreads campaign contacts across several SMTP sender accounts.
+ * - round_robin: senders take turns (A, B, C, A, B, C, ...)
+ * - weighted: each sender gets a share proportional to its weight,
+ *   interleaved rather than in blocks (weights 2:1 → A, B, A, A, B, A, ...)
+ */
+
+export const SENDER_ROTATION_MODES = [
+  { value: 'round_robin', label: 'Round-robin', description: 'Senders take turns, one email each' },
+  { value: 'weighted', label: 'Weighted', description: 'Busier senders get a larger share' },
+];
+
+/**
+ * Pick the sender for each position in a campaign
+ * @param {number} count - Number of emails
+ * @param {object[]} senders - Sender accounts ({ id, weight })
+ * @param {string} mode - 'round_robin' | 'weighted'
+ * @returns {object[]} - Sender for each position
+ */
+export function buildSenderSequence(count, senders, mode = 'round_robin') {
+  if (!senders?.length || count <= 0) return [];
+
+  if (mode !== 'weighted') {
+    return Array.from({ length: count }, (_, i) => senders[i % senders.length]);
+  }
+
+  // Smooth weighted round-robin: every pick adds each sender's weight to its
+  // score, the highest score wins and pays back the total weight
+  const weights = senders.map(sender => Math.max(1, Number(sender.weight) || 1));
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  const scores = weights.map(() => 0);
+  const sequence = [];
+
+  for (let i = 0; i < count; i++) {
+    let best = 0;
+    for (let j = 0; j < senders.length; j++) {
+      scores[j] += weights[j];
+      if (scores[j] > scores[best]) best = j;
+    }
+    scores[best] -= totalWeight;
+    sequence.push(senders[best]);
+  }
+
+  return sequence;
+}
+
+/**
+ * Attach a sender to each contact
+ * @param {object[]} contacts - Campaign contacts
+ * @param {object[]} senders - Selected sender accounts
+ * @param {string} mode - 'round_robin' | 'weighted'
+ * @returns {object[]} - Contacts with senderId and senderEmail
+ */
+export function assignSenders(contacts, senders, mode = 'round_robin') {
+  const sequence = buildSenderSequence(contacts.length, senders, mode);
+  return contacts.map((contact, i) => ({
+    ...contact,
+    senderId: sequence[i]?.id || null,
+    senderEmail: sequence[i]?.emailUser || null,
+  }));
+}
+
+/**
+ * Count how many emails each sender would get
+ * @param {number} count - Number of emails
+ * @param {object[]} senders - Selected sender accounts
+ * @param {string} mode - 'round_robin' | 'weighted'
+ * @returns {object} - Map of sender id to email count
+ */
+export function getSenderShares(count, senders, mode = 'round_robin') {
+  const shares = Object.fromEntries((senders || []).map(sender => [sender.id, 0]));
+  buildSenderSequence(count, senders, mode).forEach(sender => {
+    shares[sender.id]++;
+  });
+  return shares;
+}
@@ -0,0 +1,238 @@
+/**
+ * Spintax Utilities
+ *
+ * Spintax varies wording per recipient: "{Hi|Hello|Hey} {{firstName}}".
+ * Groups can be nested ("{Hi|Hello {there|friend}}"). Double-brace
+ * personalization tags are left alone, and single braces without a "|"
+ * are kept as literal text.
+ *
+ * Expansion uses a random generator seeded from the recipient, so the same
+ * contact always gets the same variant.
+ */
+
+/**
+ * Match braces in one pass, skipping {{tags}} the way the parser does
+ * Knowing up front which braces are never closed lets the parser keep them
+ * as literal text without scanning to the end of the text for each one.
+ * @returns {object} - { closed: Set of "{" positions that have a matching "}", errors }
+ */
+function matchBraces(text) {
+  const closed = new Set();
+  const open = []; // { position, hasAlternatives }
+  let index = 0;
+
+  while (index < text.length) {
+    if (text.startsWith('{{', index)) {
+      const close = text.indexOf('}}', index + 2);
+      index = close === -1 ? text.length : close + 2;
+      continue;
+    }
+
+    const char = text[index];
+    if (char === '{') {
+      open.push({ position: index, hasAlternatives: false });
+    } else if (char === '}' && open.length > 0) {
+      closed.add(open.pop().position);
+    } else if (char === '|' && open.length > 0) {
+      open[open.length - 1].hasAlternatives = true;
+    }
+    index++;
+  }
+
+  // An unclosed "{" with no "|" is just a brace in the text
+  const errors = open
+    .filter(group => group.hasAlternatives)
+    .map(group => ({ message: 'Unclosed spintax group "{"', position: group.position }));
+  return { closed, errors };
+}
+
+/**
+ * Parse a sequence of text and choice nodes
+ * @returns {object} - { nodes, end, stop } where stop is '|', '}' or null (end of text)
+ */
+function parseSequence(text, start, depth, closed) {
+  const nodes = [];
+  let buffer = '';
+  let index = start;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (text.startsWith('{{', index)) {
+      // Personalization tag: copy through untouched
+      const close = text.indexOf('}}', index + 2);
+      const end = close === -1 ? text.length : close + 2;
+      buffer += text.slice(index, end);
+      index = end;
+    } else if (char === '{') {
+      const group = parseGroup(text, index, depth, closed);
+      if (group.node) {
+        flush();
+        nodes.push(group.node);
+      } else {
+        buffer += group.literal;
+      }
+      index = group.end;
+    } else if (depth > 0 && (char === '|' || char === '}')) {
+      flush();
+      return { nodes, end: index, stop: char };
+    } else {
+      buffer += char;
+      index++;
+    }
+  }
+
+  flush();
+  return { nodes, end: index, stop: null };
+}
+
+/**
+ * Parse a "{...}" group starting at an opening brace
+ * @returns {object} - { node } for a choice, or { literal } for braces that aren't spintax; plus end
+ */
+function parseGroup(text, start, depth, closed) {
+  // Unclosed: keep the brace as text and carry on after it
+  if (!closed.has(start)) return { literal: '{', end: start + 1 };
+
+  const options = [];
+  let index = start + 1;
+
+  for (;;) {
+    const option = parseSequence(text, index, depth + 1, closed);
+    options.push(option.nodes);
+
+    if (option.stop === '|') {
+      index = option.end + 1;
+      continue;
+    }
+
+    const end = option.end + 1;
+    if (options.length === 1) {
+      // "{text}" without alternatives is not spintax
+      return { literal: text.slice(start, end), end };
+    }
+    return { node: { type: 'choice', options }, end };
+  }
+}
+
+function parse(text) {
+  const source = String(text || '');
+  const { closed, errors } = matchBraces(source);
+  const { nodes } = parseSequence(source, 0, 0, closed);
+  return { nodes, errors };
+}
+
+function countNodes(nodes) {
+  return nodes.reduce((total, node) => (
+    node.type === 'choice'
+      ? total * node.options.reduce((sum, option) => sum + countNodes(option), 0)
+      : total
+  ), 1);
+}
+
+/**
+ * Render the n-th permutation (mixed-radix over the choices, in order)
+ */
+function renderVariant(nodes, variant) {
+  let remaining = variant;
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    const counts = node.options.map(countNodes);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    let pick = remaining % total;
+    remaining = Math.floor(remaining / total);
+
+    for (let i = 0; i < node.options.length; i++) {
+      if (pick < counts[i]) {
+        output += renderVariant(node.options[i], pick);
+        break;
+      }
+      pick -= counts[i];
+    }
+  }
+
+  return output;
+}
+
+function renderRandom(nodes, random) {
+  return nodes.map(node => (
+    node.type === 'text'
+      ? node.value
+      : renderRandom(node.options[Math.floor(random() * node.options.length)], random)
+  )).join('');
+}
+
+/**
+ * Create a deterministic random number generator from a string seed
+ * @param {string} seed - e.g. a recipient's email address
+ * @returns {function} - Returns numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  // FNV-1a hash of the seed, then mulberry32
+  let state = 2166136261;
+  for (const char of String(seed ?? '')) {
+    state ^= char.codePointAt(0);
+    state = Math.imul(state, 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check whether text contains spintax
+ * @param {string} text - Template text
+ * @returns {boolean}
+ */
+export function hasSpintax(text) {
+  return parse(text).nodes.some(node => node.type === 'choice');
+}
+
+/**
+ * Count the unique variants text can produce
+ * @param {string} text - Template text
+ * @returns {number} - 1 for text without spintax
+ */
+export function countSpintaxPermutations(text) {
+  return countNodes(parse(text).nodes);
+}
+
+/**
+ * Expand spintax into one variant
+ * @param {string} text - Template text
+ * @param {object} options - { seed: string for a stable random pick, variant: index to render a specific permutation }
+ * @returns {string} - Text with every group replaced by one of its options
+ */
+export function expandSpintax(text, { seed = '', variant = null } = {}) {
+  if (!text) return text;
+
+  const { nodes } = parse(text);
+  if (variant !== null && variant !== undefined) {
+    return renderVariant(nodes, Math.max(0, Math.floor(variant)) % countNodes(nodes));
+  }
+  return renderRandom(nodes, createSeededRandom(seed));
+}
+
+/**
+ * Find malformed spintax, like a group with alternatives that is never closed
+ * @param {string} text - Template text
+ * @returns {object|null} - { message, position }, or null if valid
+ */
+export function findSpintaxError(text) {
+  return parse(text).errors[0] || null;
+}
@@ -0,0 +1,381 @@
+/**
+ * Spreadsheet Import Utilities
+ *
+ * Reads the sheets of Excel (.xlsx) and OpenDocument (.ods) files, which is
+ * what Excel, Numbers and Google Sheets ("Download as") produce. Both formats
+ * are ZIP archives of XML; every sheet comes back as a header row plus data
+ * rows of display strings, the same shape the CSV parser returns, so both
+ * go through the same column mapping.
+ */
+
+import { unzipSync, strFromU8 } from 'fflate';
+
+export const SPREADSHEET_FORMATS = {
+  xlsx: 'Excel',
+  ods: 'OpenDocument',
+};
+
+/**
+ * Spreadsheet format of a file, by extension
+ * @param {string} fileName - e.g. "leads.xlsx"
+ * @returns {string|null} - 'xlsx', 'ods', or null for anything else
+ */
+export function getSpreadsheetFormat(fileName) {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  return extension in SPREADSHEET_FORMATS ? extension : null;
+}
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeXML(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const [, name, , double, single] of source.matchAll(/([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[name] = decodeXML(double ?? single);
+  }
+  return attributes;
+}
+
+/**
+ * Walk an XML document tag by tag (DOMParser isn't available in workers)
+ * @param {string} xml - Document text
+ * @param {object} handlers - { open(name, attributes, selfClosing), close(name), text(value) }
+ */
+function scanXML(xml, { open, close, text }) {
+  const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+
+  for (const [, cdata, closing, name, attributes, selfClosing, content] of xml.matchAll(pattern)) {
+    if (cdata !== undefined) {
+      text?.(cdata);
+    } else if (content !== undefined) {
+      text?.(decodeXML(content));
+    } else if (name) {
+      if (closing) {
+        close?.(name);
+      } else {
+        open?.(name, parseAttributes(attributes), Boolean(selfClosing));
+        if (selfClosing) close?.(name);
+      }
+    }
+  }
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+// Drop trailing empty cells, and rows without any value
+function cleanRows(rows) {
+  return rows
+    .map(row => {
+      let end = row.length;
+      while (end > 0 && !row[end - 1]) end--;
+      return Array.from({ length: end }, (_, index) => row[index] ?? '');
+    })
+    .filter(row => row.some(value => value.trim()));
+}
+
+function toSheet(name, rows) {
+  const [headers = [], ...dataRows] = cleanRows(rows);
+  return { name, headers: headers.map(header => header.trim()), rows: dataRows };
+}
+
+// ==================
+// XLSX
+// ==================
+
+// Built-in number formats that display dates
+const XLSX_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 30, 36, 45, 46, 47, 50, 57]);
+
+function isDateFormatCode(code) {
+  // Ignore quoted text, escapes and [color]/[locale] sections before looking for date parts
+  const stripped = code.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+  return /[dmyhs]/i.test(stripped) && !/^general$/i.test(stripped.trim());
+}
+
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/i.exec(reference || '')?.[0].toUpperCase();
+  if (!letters) return null;
+  return [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Excel stores dates as days since 1899-12-30 (or 1904-01-01); shown as ISO dates
+function serialToDate(serial, date1904) {
+  const days = Number(serial) + (date1904 ? 1462 : 0);
+  if (!Number.isFinite(days)) return String(serial);
+
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.round(days * 86400000));
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  const hasTime = date.getUTCHours() || date.getUTCMinutes() || date.getUTCSeconds();
+  return hasTime ? `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}` : day;
+}
+
+function resolvePath(base, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base.split('/').slice(0, -1);
+  for (const part of target.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  }
+  return parts.join('/');
+}
+
+function readSharedStrings(xml) {
+  const strings = [];
+  let current = null;
+  let inText = false;
+  let inPhonetic = false;
+
+  scanXML(xml || '', {
+    open: (name) => {
+      const tag = localName(name);
+      if (tag === 'si') current = '';
+      else if (tag === 't' && !inPhonetic) inText = true;
+      else if (tag === 'rPh') inPhonetic = true;
+    },
+    close: (name) => {
+      const tag = localName(name);
+      if (tag === 'si') strings.push(current);
+      else if (tag === 't') inText = false;
+      else if (tag === 'rPh') inPhonetic = false;
+    },
+    text: (value) => {
+      if (inText && current !== null) current += value;
+    },
+  });
+
+  return strings;
+}
+
+// Style index → whether cells with that style display a date
+function readDateStyles(xml) {
+  const customDates = new Set();
+  const dateStyles = [];
+  let inCellXfs = false;
+
+  scanXML(xml || '', {
+    open: (name, attributes) => {
+      const tag = localName(name);
+      if (tag === 'numFmt' && isDateFormatCode(attributes.formatCode || '')) {
+        customDates.add(Number(attributes.numFmtId));
+      } else if (tag === 'cellXfs') {
+        inCellXfs = true;
+      } else if (tag === 'xf' && inCellXfs) {
+        const id = Number(attributes.numFmtId || 0);
+        dateStyles.push(XLSX_DATE_FORMATS.has(id) || customDates.has(id));
+      }
+    },
+    close: (name) => {
+      if (localName(name) === 'cellXfs') inCellXfs = false;
+    },
+  });
+
+  return dateStyles;
+}
+
+function readXLSXSheet(xml, sharedStrings, dateStyles, date1904) {
+  const rows = [];
+  let row = null;
+  let cell = null;
+  let target = null; // 'value' inside <v>, 'text' inside an inline string's <t>
+
+  scanXML(xml, {
+    open: (name, attributes) => {
+      const tag = localName(name);
+      if (tag === 'row') {
+        row = [];
+      } else if (tag === 'c' && row) {
+        cell = { column: columnIndex(attributes.r) ?? row.length, type: attributes.t || 'n', style: Number(attributes.s || 0), value: '', text: '' };
+      } else if (cell && tag === 'v') {
+        target = 'value';
+      } else if (cell && tag === 't') {
+        target = 'text';
+      }
+    },
+    close: (name) => {
+      const tag = localName(name);
+      if (tag === 'v' || tag === 't') {
+        target = null;
+      } else if (tag === 'c' && cell) {
+        let value = cell.value;
+        if (cell.type === 's') value = sharedStrings[Number(cell.value)] ?? '';
+        else if (cell.type === 'inlineStr') value = cell.text;
+        else if (cell.type === 'b') value = cell.value === '1' ? 'TRUE' : 'FALSE';
+        else if (cell.type === 'n' && value !== '' && dateStyles[cell.style]) value = serialToDate(value, date1904);
+        row[cell.column] = value;
+        cell = null;
+      } else if (tag === 'row' && row) {
+        rows.push(row);
+        row = null;
+      }
+    },
+    text: (value) => {
+      if (cell && target) cell[target] += value;
+    },
+  });
+
+  return rows;
+}
+
+function readXLSX(files) {
+  const text = (path) => (files[path] ? strFromU8(files[path]) : null);
+  const workbookXML = text('xl/workbook.xml');
+  if (!workbookXML) throw new Error('This file is not a valid Excel workbook');
+
+  const relationships = {};
+  scanXML(text('xl/_rels/workbook.xml.rels') || '', {
+    open: (name, attributes) => {
+      if (localName(name) === 'Relationship') relationships[attributes.Id] = resolvePath('xl/workbook.xml', attributes.Target);
+    },
+  });
+
+  const entries = [];
+  let date1904 = false;
+  scanXML(workbookXML, {
+    open: (name, attributes) => {
+      const tag = localName(name);
+      if (tag === 'workbookPr') {
+        date1904 = attributes.date1904 === '1' || attributes.date1904 === 'true';
+      } else if (tag === 'sheet' && attributes.state !== 'hidden' && attributes.state !== 'veryHidden') {
+        const id = Object.entries(attributes).find(([key]) => localName(key) === 'id')?.[1];
+        entries.push({ name: attributes.name, path: relationships[id] });
+      }
+    },
+  });
+
+  const sharedStrings = readSharedStrings(text('xl/sharedStrings.xml'));
+  const dateStyles = readDateStyles(text('xl/styles.xml'));
+
+  return entries
+    .filter(entry => entry.path && files[entry.path])
+    .map(entry => toSheet(entry.name, readXLSXSheet(text(entry.path), sharedStrings, dateStyles, date1904)));
+}
+
+// ==================
+// ODS
+// ==================
+
+function readODS(files) {
+  const xml = files['content.xml'] ? strFromU8(files['content.xml']) : null;
+  if (!xml) throw new Error('This file is not a valid OpenDocument spreadsheet');
+
+  const sheets = [];
+  let sheet = null;
+  let row = null;
+  let cell = null;
+  let paragraphs = 0;
+  let inParagraph = false;
+  let annotation = 0;
+
+  scanXML(xml, {
+    open: (name, attributes) => {
+      switch (name) {
+        case 'table:table':
+          sheet = { name: attributes['table:name'], rows: [] };
+          break;
+        case 'table:table-row':
+          row = { cells: [], repeat: Number(attributes['table:number-rows-repeated'] || 1) };
+          break;
+        case 'table:table-cell':
+        case 'table:covered-table-cell':
+          cell = { attributes, text: '', repeat: Number(attributes['table:number-columns-repeated'] || 1) };
+          paragraphs = 0;
+          break;
+        case 'office:annotation':
+          annotation++;
+          break;
+        case 'text:p':
+          if (cell && !annotation && paragraphs++ > 0) cell.text += '\n';
+          inParagraph = true;
+          break;
+        case 'text:s':
+          if (cell && !annotation) cell.text += ' '.repeat(Number(attributes['text:c'] || 1));
+          break;
+        case 'text:tab':
+          if (cell && !annotation) cell.text += '\t';
+          break;
+        case 'text:line-break':
+          if (cell && !annotation) cell.text += '\n';
+          break;
+        default:
+          break;
+      }
+    },
+    close: (name) => {
+      if (name === 'text:p') {
+        inParagraph = false;
+      } else if (name === 'office:annotation') {
+        annotation--;
+      } else if ((name === 'table:table-cell' || name === 'table:covered-table-cell') && cell && row) {
+        const type = cell.attributes['office:value-type'];
+        let value = cell.text;
+        if (type === 'float') value = cell.attributes['office:value'] ?? value;
+        else if (type === 'date') value = (cell.attributes['office:date-value'] || value).replace(/T00:00:00$/, '').replace('T', ' ');
+        // Empty repeated cells only matter when something follows them
+        row.cells.push({ value, repeat: cell.repeat });
+        cell = null;
+      } else if (name === 'table:table-row' && row && sheet) {
+        const cells = [];
+        row.cells.forEach(({ value, repeat }, index) => {
+          const isLast = index === row.cells.length - 1;
+          if (!value && isLast) return;
+          for (let i = 0; i < repeat; i++) cells.push(value);
+        });
+        // Repeated rows are almost always the empty filler to the bottom of the sheet
+        if (cells.some(Boolean)) {
+          for (let i = 0; i < Math.min(row.repeat, 1000); i++) sheet.rows.push(cells);
+        }
+        row = null;
+      } else if (name === 'table:table' && sheet) {
+        sheets.push(toSheet(sheet.name, sheet.rows));
+        sheet = null;
+      }
+    },
+    text: (value) => {
+      if (cell && !annotation && inParagraph) cell.text += value;
+    },
+  });
+
+  return sheets;
+}
+
+/**
+ * Read every visible sheet of an .xlsx or .ods file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @param {string} format - 'xlsx' or 'ods'
+ * @returns {object[]} - [{ name, headers: string[], rows: string[][] }]
+ */
+export function readSpreadsheet(data, format) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  let files;
+  try {
+    files = unzipSync(bytes, {
+      filter: (file) => (format === 'ods'
+        ? file.name === 'content.xml'
+        : (file.name.startsWith('xl/') && file.name.endsWith('.xml')) || file.name.endsWith('.rels')),
+    });
+  } catch {
+    throw new Error(format === 'ods'
+      ? 'This file is not a valid OpenDocument spreadsheet'
+      : 'This file is not a valid Excel workbook (old .xls files must be saved as .xlsx first)');
+  }
+
+  const sheets = format === 'ods' ? readODS(files) : readXLSX(files);
+  if (sheets.length === 0) {
+    throw new Error('The spreadsheet has no sheets');
+  }
+  return sheets;
+}
@@ -0,0 +1,91 @@
+/**
+ * Subject Line A/B Variants
+ *
+ * A template can keep several subject lines. Campaigns split the contacts
+ * that get the template evenly across them, and each campaign email records
+ * which variant (1-based) it was sent with, so results can be compared per
+ * subject.
+ */
+
+export const MAX_SUBJECT_VARIANTS = 10;
+
+// How many subjects the AI can be asked for at once
+export const SUBJECT_VARIANT_COUNTS = [5, 6, 7, 8, 9, 10];
+
+/**
+ * Clean up a list of subject lines
+ * @param {string[]} subjects - Subject lines, possibly with blanks and repeats
+ * @returns {string[]} - Trimmed, de-duplicated (case-insensitive), at most MAX_SUBJECT_VARIANTS
+ */
+export function normalizeSubjectVariants(subjects) {
+  const seen = new Set();
+  const result = [];
+  for (const item of subjects || []) {
+    const subject = String(item ?? '').trim();
+    if (!subject || seen.has(subject.toLowerCase())) continue;
+    seen.add(subject.toLowerCase());
+    result.push(subject);
+  }
+  return result.slice(0, MAX_SUBJECT_VARIANTS);
+}
+
+/**
+ * Check whether a template runs an A/B subject test
+ * @param {object} template - Template row
+ * @returns {boolean} - True with two or more kept subject lines
+ */
+export function hasSubjectVariants(template) {
+  return (template?.subject_variants?.length || 0) > 1;
+}
+
+/**
+ * Give a template the subject variant for one recipient
+ * Recipients are numbered per template (0, 1, 2, ...); consecutive numbers
+ * cycle through the variants, so every variant gets an even share.
+ * @param {object} template - Template row
+ * @param {number} slot - The recipient's position among contacts getting this template
+ * @returns {object} - Template with subject and subjectVariant (1-based) set,
+ *   or the template unchanged when it has no variants
+ */
+export function applySubjectVariant(template, slot) {
+  if (!hasSubjectVariants(template)) return template;
+  const index = slot % template.subject_variants.length;
+  return { ...template, subject: template.subject_variants[index], subjectVariant: index + 1 };
+}
+
+/**
+ * Compare results per subject variant
+ * @param {object[]} emails - campaign_emails rows (subject_variant, template_subject, status, replied_at)
+ * @returns {object[]} - [{ variant, subject, total, sent, failed, replied, failureRate, replyRate }],
+ *   empty when the campaign had no subject test; rates are percentages of sent + failed and of sent
+ */
+export function summarizeSubjectVariants(emails) {
+  const byVariant = new Map();
+
+  for (const email of emails || []) {
+    if (!email.subject_variant) continue;
+    if (!byVariant.has(email.subject_variant)) {
+      byVariant.set(email.subject_variant, {
+        variant: email.subject_variant,
+        subject: email.template_subject || '',
+        total: 0,
+        sent: 0,
+        failed: 0,
+        replied: 0,
+      });
+    }
+    const stats = byVariant.get(email.subject_variant);
+    stats.total++;
+    if (email.status === 'sent') stats.sent++;
+    if (email.status === 'failed') stats.failed++;
+    if (email.replied_at) stats.replied++;
+  }
+
+  return [...byVariant.values()]
+    .sort((a, b) => a.variant - b.variant)
+    .map(stats => ({
+      ...stats,
+      failureRate: stats.sent + stats.failed > 0 ? (stats.failed / (stats.sent + stats.failed)) * 100 : 0,
+      replyRate: stats.sent > 0 ? (stats.replied / stats.sent) * 100 : 0,
+    }));
+}
@@ -0,0 +1,132 @@
+/**
+ * Suppression List Utilities
+ *
+ * Suppressed contacts are never emailed. An entry is either a single
+ * address or a whole domain; a domain entry also covers its subdomains
+ * ("example.com" suppresses "a@example.com" and "b@mail.example.com").
+ */
+
+import { validateEmail } from './validation';
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Turn user input into a suppression entry
+ * @param {string} input - An address, or a domain ("example.com", "@example.com", "*@example.com")
+ * @returns {object|null} - { value, kind: 'email' | 'domain' }, or null if it is neither
+ */
+export function normalizeSuppressionEntry(input) {
+  const value = String(input || '')
+    .trim()
+    .replace(/^["']|["']$/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/^\*?@/, '');
+
+  if (!value) return null;
+
+  if (value.includes('@')) {
+    const check = validateEmail(value);
+    // Typo warnings don't matter here; only reject addresses that can't be parsed
+    return check.valid || check.suggestion ? { value, kind: 'email' } : null;
+  }
+
+  return DOMAIN_REGEX.test(value) ? { value, kind: 'domain' } : null;
+}
+
+/**
+ * Parse pasted text or an imported CSV/TXT file into suppression entries
+ * @param {string} text - One entry per line, or separated by commas/semicolons/tabs
+ * @returns {object} - { entries: [{ value, kind }], invalid: string[] }
+ */
+export function parseSuppressionList(text) {
+  const entries = [];
+  const invalid = [];
+  const seen = new Set();
+
+  const tokens = String(text || '')
+    .split(/[\n\r,;\t]+/)
+    .map(token => token.trim())
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    // Skip CSV header cells like "email" or "domain"
+    if (/^["']?(email|e-mail|email address|domain|reason)["']?$/i.test(token)) continue;
+
+    const entry = normalizeSuppressionEntry(token);
+    if (!entry) {
+      invalid.push(token);
+    } else if (!seen.has(entry.value)) {
+      seen.add(entry.value);
+      entries.push(entry);
+    }
+  }
+
+  return { entries, invalid };
+}
+
+/**
+ * Build fast lookups from suppression rows
+ * @param {object[]} rows - unsubscribed_emails rows ({ email, kind })
+ * @returns {object} - { emails: Set, domains: Set }
+ */
+export function buildSuppressionSet(rows) {
+  const emails = new Set();
+  const domains = new Set();
+
+  for (const row of rows || []) {
+    const value = (row.email || '').trim().toLowerCase();
+    if (!value) continue;
+    if (row.kind === 'domain') {
+      domains.add(value);
+    } else {
+      emails.add(value);
+    }
+  }
+
+  return { emails, domains };
+}
+
+/**
+ * List the suppression values that could match an address
+ * @param {string} email - Address to check
+ * @returns {string[]} - The address, its domain and each parent domain
+ */
+export function getSuppressionCandidates(email) {
+  const address = (email || '').trim().toLowerCase();
+  const labels = (address.split('@')[1] || '').split('.');
+  const domains = labels.slice(0, -1).map((_, i) => labels.slice(i).join('.'));
+  return [address, ...domains];
+}
+
+/**
+ * Check whether an address is suppressed
+ * @param {string} email - Address to check
+ * @param {object} suppression - From buildSuppressionSet
+ * @returns {boolean}
+ */
+export function isSuppressed(email, suppression) {
+  if (!email || !suppression) return false;
+
+  // The address itself, then its domain and each parent domain: mail.example.com, example.com
+  const [address, ...domains] = getSuppressionCandidates(email);
+  return suppression.emails.has(address) || domains.some(domain => suppression.domains.has(domain));
+}
+
+/**
+ * Split contacts into those that may be emailed and those that are suppressed
+ * @param {object[]} contacts - Contacts with an email property
+ * @param {object} suppression - From buildSuppressionSet
+ * @returns {object} - { allowed: [], suppressed: [] }
+ */
+export function filterSuppressed(contacts, suppression) {
+  const allowed = [];
+  const suppressed = [];
+
+  for (const contact of contacts || []) {
+    const email = typeof contact === 'string' ? contact : contact.email;
+    (isSuppressed(email, suppression) ? suppressed : allowed).push(contact);
+  }
+
+  return { allowed, suppressed };
+}
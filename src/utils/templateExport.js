@@ -0,0 +1,141 @@
+/**
+ * Template Export & Template Packs
+ *
+ * Templates export as CSV, as JSON (with the variables each one uses and its
+ * tags), or as a template pack: one versioned file that another workspace
+ * imports through the regular template import.
+ */
+
+import { toCSV } from './csvExport';
+import { detectUsedVariables } from './personalization';
+
+export const TEMPLATE_PACK_FORMAT = 'sendium-template-pack';
+
+// Bump when the pack file layout changes; older apps refuse newer packs
+export const TEMPLATE_PACK_FORMAT_VERSION = 1;
+
+export const TEMPLATE_EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', description: 'Spreadsheets; name, subject, body, tags', extension: 'csv', type: 'text/csv;charset=utf-8;' },
+  { value: 'json', label: 'JSON', description: 'With variables used and tags', extension: 'json', type: 'application/json;charset=utf-8;' },
+  { value: 'pack', label: 'Template pack', description: 'One versioned file to share with other workspaces', extension: 'pack.json', type: 'application/json;charset=utf-8;' },
+];
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalize tags from comma-separated text or an array
+ * @param {string|string[]} value - e.g. "cold, follow-up" or ['cold', 'Cold']
+ * @returns {string[]} - Trimmed, de-duplicated (case-insensitive) tags
+ */
+export function parseTags(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+  const tags = [];
+  for (const item of items) {
+    const tag = String(item ?? '').trim().slice(0, MAX_TAG_LENGTH);
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+  return tags.slice(0, MAX_TAGS);
+}
+
+/**
+ * Check a pack version string
+ * @param {string} version - e.g. "1.2.0"
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validatePackVersion(version) {
+  return /^\d+(\.\d+){0,2}$/.test(String(version || '').trim()) ? null : 'Use a version like 1.0 or 1.2.0';
+}
+
+function templateRecord(template) {
+  const variables = new Map();
+  for (const name of [...detectUsedVariables(template.subject), ...detectUsedVariables(template.body)]) {
+    if (!variables.has(name.toLowerCase())) variables.set(name.toLowerCase(), name);
+  }
+
+  return {
+    name: template.name || '',
+    subject: template.subject,
+    body: template.body,
+    variables: [...variables.values()],
+    tags: template.tags || [],
+  };
+}
+
+/**
+ * Build an export file for templates
+ * @param {object[]} templates - Template rows
+ * @param {string} format - 'csv', 'json' or 'pack'
+ * @param {object} pack - For packs: { name, version, description }
+ * @returns {object} - { content, extension, type } for downloadFile
+ */
+export function buildTemplateExport(templates, format, pack = {}) {
+  const definition = TEMPLATE_EXPORT_FORMATS.find(item => item.value === format);
+  if (!definition) throw new Error(`Unknown export format "${format}"`);
+
+  let content;
+  if (format === 'csv') {
+    content = toCSV([
+      { header: 'name', value: template => template.name },
+      { header: 'subject', value: template => template.subject },
+      { header: 'body', value: template => template.body },
+      { header: 'tags', value: template => (template.tags || []).join(', ') },
+    ], templates);
+  } else if (format === 'json') {
+    content = JSON.stringify(templates.map(templateRecord), null, 2);
+  } else {
+    content = JSON.stringify({
+      format: TEMPLATE_PACK_FORMAT,
+      formatVersion: TEMPLATE_PACK_FORMAT_VERSION,
+      name: pack.name?.trim() || 'Template pack',
+      version: pack.version?.trim() || '1.0.0',
+      description: pack.description?.trim() || '',
+      exportedAt: new Date().toISOString(),
+      templates: templates.map(template => ({
+        ...templateRecord(template),
+        updatedAt: template.updated_at || template.created_at || null,
+      })),
+    }, null, 2);
+  }
+
+  return { content, extension: definition.extension, type: definition.type };
+}
+
+/**
+ * Read an imported JSON file: a template pack, an array of templates or a single template
+ * @param {*} data - Parsed JSON
+ * @returns {object} - { templates: [{ name, subject, body, tags, source_pack }], pack: { name, version, description } or null }
+ */
+export function parseTemplateImport(data) {
+  const isPack = data && !Array.isArray(data) && data.format === TEMPLATE_PACK_FORMAT;
+
+  if (isPack) {
+    if (Number(data.formatVersion) > TEMPLATE_PACK_FORMAT_VERSION) {
+      throw new Error('This template pack was made with a newer version of the app. Update and try again.');
+    }
+    if (!Array.isArray(data.templates)) {
+      throw new Error('This template pack has no templates');
+    }
+  }
+
+  const pack = isPack
+    ? { name: String(data.name || 'Template pack'), version: String(data.version || ''), description: String(data.description || '') }
+    : null;
+  const sourcePack = pack ? { name: pack.name, version: pack.version, exportedAt: data.exportedAt || null } : null;
+  const items = isPack ? data.templates : (Array.isArray(data) ? data : [data]);
+
+  const templates = items
+    .filter(item => item && typeof item.subject === 'string' && typeof item.body === 'string' && item.subject.trim() && item.body.trim())
+    .map(item => ({
+      name: typeof item.name === 'string' ? item.name.trim() : '',
+      subject: item.subject,
+      body: item.body,
+      tags: parseTags(item.tags),
+      source_pack: sourcePack,
+    }));
+
+  return { templates, pack };
+}
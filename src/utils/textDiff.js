@@ -0,0 +1,196 @@
+/**
+ * Text Diff Utilities
+ *
+ * Line and word diffs for comparing template versions and reviewing AI
+ * suggestions hunk by hunk. Diffs are a list of
+ * operations ({ type: 'equal' | 'removed' | 'added', text }) computed with a
+ * longest-common-subsequence table, which is plenty for email-sized text.
+ */
+
+// Above this many table cells the changed middle is shown as replaced wholesale
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Diff two arrays of strings into merged operations
+function diffTokens(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const middle = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    for (const text of a) middle.push({ type: 'removed', text });
+    for (const text of b) middle.push({ type: 'added', text });
+  } else {
+    // lengths[i * width + j] = LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        middle.push({ type: 'equal', text: a[i] });
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        middle.push({ type: 'removed', text: a[i++] });
+      } else {
+        middle.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) middle.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) middle.push({ type: 'added', text: b[j++] });
+  }
+
+  return [
+    ...before.slice(0, start).map(text => ({ type: 'equal', text })),
+    ...middle,
+    ...before.slice(endBefore).map(text => ({ type: 'equal', text })),
+  ];
+}
+
+function splitLines(text) {
+  return String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {object[]} - [{ type: 'equal' | 'removed' | 'added', text }], one per line
+ */
+export function diffLines(before, after) {
+  return diffTokens(splitLines(before), splitLines(after));
+}
+
+/**
+ * Diff two lines word by word (whitespace is kept as its own token)
+ * @param {string} before - Old line
+ * @param {string} after - New line
+ * @returns {object[]} - [{ type, text }] with adjacent parts of the same type merged
+ */
+export function diffWords(before, after) {
+  const tokenize = text => String(text ?? '').match(/\s+|[^\s]+/g) || [];
+  const parts = [];
+  for (const op of diffTokens(tokenize(before), tokenize(after))) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.text;
+    } else {
+      parts.push({ ...op });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Lay out a line diff as side-by-side rows
+ * Removed lines are paired with the added lines that replace them.
+ * @param {object[]} ops - From diffLines
+ * @returns {object[]} - [{ type: 'equal' | 'changed' | 'removed' | 'added',
+ *   left: { number, text } | null, right: { number, text } | null }]
+ */
+export function toSideBySide(ops) {
+  const rows = [];
+  let leftNumber = 0;
+  let rightNumber = 0;
+  let index = 0;
+
+  while (index < ops.length) {
+    if (ops[index].type === 'equal') {
+      const text = ops[index++].text;
+      rows.push({ type: 'equal', left: { number: ++leftNumber, text }, right: { number: ++rightNumber, text } });
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < ops.length && ops[index].type !== 'equal') {
+      (ops[index].type === 'removed' ? removed : added).push(ops[index].text);
+      index++;
+    }
+    for (let line = 0; line < Math.max(removed.length, added.length); line++) {
+      const left = line < removed.length ? { number: ++leftNumber, text: removed[line] } : null;
+      const right = line < added.length ? { number: ++rightNumber, text: added[line] } : null;
+      rows.push({ type: left && right ? 'changed' : (left ? 'removed' : 'added'), left, right });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Count changed lines
+ * @param {object[]} ops - From diffLines
+ * @returns {object} - { added, removed }
+ */
+export function countDiffChanges(ops) {
+  return {
+    added: ops.filter(op => op.type === 'added').length,
+    removed: ops.filter(op => op.type === 'removed').length,
+  };
+}
+
+/**
+ * Group a line diff into reviewable hunks
+ * Each run of consecutive removed/added lines is one hunk that can be
+ * accepted or rejected on its own.
+ * @param {string} before - Old text
+ * @param {string} after - Suggested text
+ * @returns {object[]} - [{ type: 'equal', lines }] and [{ type: 'hunk', id, removed, added }]
+ */
+export function buildDiffHunks(before, after) {
+  const segments = [];
+  let hunkCount = 0;
+
+  for (const op of diffLines(before, after)) {
+    const last = segments[segments.length - 1];
+    if (op.type === 'equal') {
+      if (last?.type === 'equal') {
+        last.lines.push(op.text);
+      } else {
+        segments.push({ type: 'equal', lines: [op.text] });
+      }
+    } else {
+      const hunk = last?.type === 'hunk' ? last : { type: 'hunk', id: hunkCount++, removed: [], added: [] };
+      if (hunk !== last) segments.push(hunk);
+      hunk[op.type].push(op.text);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Rebuild the text from reviewed hunks
+ * @param {object[]} segments - From buildDiffHunks
+ * @param {Set<number>} accepted - Ids of hunks to take from the suggestion
+ * @returns {string} - Old text with only the accepted hunks applied
+ */
+export function applyDiffHunks(segments, accepted) {
+  const lines = [];
+  for (const segment of segments) {
+    if (segment.type === 'equal') {
+      lines.push(...segment.lines);
+    } else {
+      lines.push(...(accepted.has(segment.id) ? segment.added : segment.removed));
+    }
+  }
+  return lines.join('\n');
+}
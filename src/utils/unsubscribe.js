@@ -0,0 +1,62 @@
+/**
+ * Unsubscribe Link Utilities
+ *
+ * Every campaign email gets its own unsubscribe token on the server. The
+ * server replaces {{unsubscribeLink}} with the public /unsubscribe/:token
+ * page for that email, and (when enabled) sends List-Unsubscribe and
+ * List-Unsubscribe-Post headers pointing at /api/unsubscribe/:token, which
+ * records the opt-out when a mail client's one-click unsubscribe POSTs to it.
+ */
+
+export const DEFAULT_UNSUBSCRIBE_FOOTER = "Don't want to hear from me again? Unsubscribe here: {{unsubscribeLink}}";
+
+const UNSUBSCRIBE_VARIABLE_REGEX = /\{\{\s*unsubscribeLink\s*\}\}/i;
+
+/**
+ * Check whether text contains the {{unsubscribeLink}} variable
+ * @param {string} text - Template subject or body
+ * @returns {boolean}
+ */
+export function hasUnsubscribeLink(text) {
+  return UNSUBSCRIBE_VARIABLE_REGEX.test(text || '');
+}
+
+/**
+ * Append the unsubscribe footer to a template's body
+ * Templates that already place {{unsubscribeLink}} themselves are left alone.
+ * @param {object} template - { subject, body }
+ * @param {string|null} footer - Footer text containing {{unsubscribeLink}}, or null to skip
+ * @returns {object} - Template with the footer appended
+ */
+export function withUnsubscribeFooter(template, footer) {
+  if (!template || !footer || hasUnsubscribeLink(template.body)) return template;
+  return { ...template, body: `${(template.body || '').trimEnd()}\n\n${footer}` };
+}
+
+/**
+ * Validate unsubscribe settings before a campaign starts
+ * @param {object} settings - { footerEnabled, footer }
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateUnsubscribeSettings({ footerEnabled, footer }) {
+  if (footerEnabled && !hasUnsubscribeLink(footer)) {
+    return 'The unsubscribe footer must include {{unsubscribeLink}}';
+  }
+  return null;
+}
+
+/**
+ * Base URL of the public unsubscribe page; the server appends each email's token
+ * @returns {string} - e.g. "https://app.example.com/unsubscribe"
+ */
+export function getUnsubscribePageUrl() {
+  return `${window.location.origin}/unsubscribe`;
+}
+
+/**
+ * Base URL of the one-click unsubscribe endpoint used in List-Unsubscribe headers
+ * @returns {string} - e.g. "https://app.example.com/api/unsubscribe"
+ */
+export function getUnsubscribeOneClickUrl() {
+  return `${window.location.origin}/api/unsubscribe`;
+}
@@ -0,0 +1,19 @@
+// CSV Web Worker - parses large CSV files without freezing the page
+import { parseCSVStream } from '../utils/csvParser';
+
+self.onmessage = async function(e) {
+  const { type, file, delimiter, encoding } = e.data;
+
+  if (type === 'parse') {
+    try {
+      const result = await parseCSVStream(file, {
+        delimiter,
+        encoding,
+        onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+      });
+      self.postMessage({ type: 'complete', ...result });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message || 'Failed to read CSV file' });
+    }
+  }
+};
@@ -0,0 +1,15 @@
+// Spreadsheet Web Worker - unzips and reads .xlsx/.ods files without freezing the page
+import { readSpreadsheet } from '../utils/spreadsheet';
+
+self.onmessage = async function(e) {
+  const { type, file, format } = e.data;
+
+  if (type === 'parse') {
+    try {
+      const sheets = readSpreadsheet(await file.arrayBuffer(), format);
+      self.postMessage({ type: 'complete', sheets, format });
+    } catch (err) {
+      self.postMessage({ type: 'error', message: err.message || 'Failed to read spreadsheet' });
+    }
+  }
+};
@@ -0,0 +1,41 @@
+-- =============================================
+-- AI INTROS - Per-contact AI-written opening lines
+-- =============================================
+-- {{aiIntro}} is an opening line the AI writes for each contact from their
+-- company, website and custom fields. It is generated in batches before a
+-- campaign starts, cached on the contact, and only used once approved:
+--   ai_intro_status = 'pending'  -- generated or edited, waiting for review
+--   ai_intro_status = 'approved' -- reviewed; {{aiIntro}} renders it
+-- Campaigns using {{aiIntro}} can't start until every recipient's intro is approved.
+
+-- =============================================
+-- CONTACTS TABLE
+-- =============================================
+ALTER TABLE contacts
+ADD COLUMN IF NOT EXISTS ai_intro TEXT,
+ADD COLUMN IF NOT EXISTS ai_intro_status TEXT CHECK (ai_intro_status IN ('pending', 'approved')),
+ADD COLUMN IF NOT EXISTS ai_intro_generated_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS ai_intro_approved_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_ai_intro_status ON contacts(user_id, ai_intro_status);
+
+-- =============================================
+-- FUNCTION: Save reviewed or generated intros
+-- =============================================
+-- p_intros: [{ "id": "...", "intro": "...", "status": "pending" | "approved" }]
+-- Updates existing contacts only (a contact deleted during review is skipped)
+-- and returns the updated rows. Runs as the caller, so RLS limits it to
+-- their own contacts.
+CREATE OR REPLACE FUNCTION save_ai_intros(p_intros JSONB, p_generated BOOLEAN DEFAULT FALSE)
+RETURNS SETOF contacts AS $$
+  UPDATE contacts c
+  SET ai_intro = NULLIF(i.intro, ''),
+      ai_intro_status = CASE WHEN NULLIF(i.intro, '') IS NULL THEN NULL ELSE i.status END,
+      ai_intro_approved_at = CASE WHEN NULLIF(i.intro, '') IS NOT NULL AND i.status = 'approved' THEN NOW() END,
+      ai_intro_generated_at = CASE WHEN p_generated THEN NOW() ELSE c.ai_intro_generated_at END
+  FROM jsonb_to_recordset(p_intros) AS i(id UUID, intro TEXT, status TEXT)
+  WHERE c.id = i.id
+  RETURNING c.*;
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION save_ai_intros(JSONB, BOOLEAN) TO authenticated;
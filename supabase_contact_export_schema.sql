@@ -0,0 +1,48 @@
+-- =============================================
+-- CONTACT EXPORT - Per-contact campaign stats
+-- =============================================
+-- Contact exports (CSV, JSON, vCard) include how often each address was
+-- emailed, how often sending failed, when it was last sent to and the
+-- status of the most recent attempt.
+-- Run after supabase_lists_schema.sql.
+
+-- =============================================
+-- FUNCTION: Campaign stats per address
+-- =============================================
+CREATE OR REPLACE FUNCTION get_contact_campaign_stats()
+RETURNS TABLE (
+  email TEXT,
+  sent_count BIGINT,
+  failed_count BIGINT,
+  last_sent_at TIMESTAMPTZ,
+  last_status TEXT,
+  last_attempt_at TIMESTAMPTZ
+) AS $$
+  WITH attempts AS (
+    SELECT
+      lower(COALESCE(email, contact_email)) AS email,
+      status,
+      sent_at,
+      COALESCE(sent_at, failed_at, created_at) AS attempted_at
+    FROM campaign_emails
+    WHERE user_id = auth.uid()
+      AND status IN ('sent', 'failed')
+  ),
+  latest AS (
+    SELECT DISTINCT ON (email) email, status, attempted_at
+    FROM attempts
+    ORDER BY email, attempted_at DESC
+  )
+  SELECT
+    a.email,
+    COUNT(*) FILTER (WHERE a.status = 'sent'),
+    COUNT(*) FILTER (WHERE a.status = 'failed'),
+    MAX(a.sent_at),
+    l.status,
+    l.attempted_at
+  FROM attempts a
+  JOIN latest l ON l.email = a.email
+  GROUP BY a.email, l.status, l.attempted_at;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_contact_campaign_stats() TO authenticated;
@@ -0,0 +1,110 @@
+-- =============================================
+-- CUSTOM CONTACT FIELDS - Unlimited user-defined fields
+-- =============================================
+-- Replaces the fixed custom1..custom3 columns. Each contact stores its
+-- extra fields as JSONB ({"industry": "SaaS", "seats": "40"}), and each
+-- user keeps a registry of their fields with a type and a default value.
+-- Every field is available in templates as {{fieldName}}; the default is
+-- used when a contact has no value.
+-- Run after supabase_personalization_schema.sql.
+
+-- =============================================
+-- CONTACT_FIELDS TABLE - Per-user field registry
+-- =============================================
+CREATE TABLE IF NOT EXISTS contact_fields (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (name ~ '^[A-Za-z_][A-Za-z0-9_]*$'),
+  label TEXT,
+  type TEXT NOT NULL DEFAULT 'text' CHECK (type IN ('text', 'number', 'date', 'url')),
+  default_value TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+ALTER TABLE contact_fields ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own contact fields" ON contact_fields
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own contact fields" ON contact_fields
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own contact fields" ON contact_fields
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own contact fields" ON contact_fields
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- CONTACTS TABLE - Field values
+-- =============================================
+ALTER TABLE contacts
+ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_custom_fields ON contacts USING GIN (custom_fields);
+
+-- =============================================
+-- CAMPAIGN_EMAILS TABLE - Field values at the time of sending
+-- =============================================
+ALTER TABLE campaign_emails
+ADD COLUMN IF NOT EXISTS contact_custom_fields JSONB;
+
+-- =============================================
+-- MIGRATION: custom1..custom3 into custom_fields
+-- =============================================
+-- Existing values keep working as {{custom1}}..{{custom3}}. The old
+-- columns are no longer written and can be dropped once this has run.
+UPDATE contacts
+SET custom_fields = jsonb_strip_nulls(jsonb_build_object(
+  'custom1', NULLIF(custom1, ''),
+  'custom2', NULLIF(custom2, ''),
+  'custom3', NULLIF(custom3, '')
+)) || custom_fields
+WHERE COALESCE(custom1, custom2, custom3) IS NOT NULL;
+
+INSERT INTO contact_fields (user_id, name, label)
+SELECT DISTINCT c.user_id, f.key, 'Custom Field ' || right(f.key, 1)
+FROM contacts c
+CROSS JOIN LATERAL jsonb_object_keys(c.custom_fields) AS f(key)
+WHERE f.key IN ('custom1', 'custom2', 'custom3')
+ON CONFLICT (user_id, name) DO NOTHING;
+
+UPDATE campaign_emails
+SET contact_custom_fields = jsonb_strip_nulls(jsonb_build_object(
+  'custom1', contact_custom1,
+  'custom2', contact_custom2,
+  'custom3', contact_custom3
+))
+WHERE contact_custom_fields IS NULL
+  AND COALESCE(contact_custom1, contact_custom2, contact_custom3) IS NOT NULL;
+
+-- =============================================
+-- View: Contacts with computed full name
+-- =============================================
+CREATE OR REPLACE VIEW contacts_with_names AS
+SELECT
+  id,
+  user_id,
+  email,
+  name,
+  first_name,
+  last_name,
+  COALESCE(
+    name,
+    CASE
+      WHEN first_name IS NOT NULL AND last_name IS NOT NULL
+        THEN first_name || ' ' || last_name
+      WHEN first_name IS NOT NULL
+        THEN first_name
+      ELSE NULL
+    END
+  ) AS display_name,
+  company,
+  website,
+  custom1,
+  custom2,
+  custom3,
+  created_at,
+  custom_fields
+FROM contacts;
@@ -0,0 +1,114 @@
+-- =============================================
+-- CONTACT LISTS & SEGMENTS - Campaign audiences
+-- =============================================
+-- Lists are named, hand-picked groups of contacts; a contact can belong
+-- to any number of lists. Segments are saved rules (e.g. "company is set
+-- AND never emailed AND domain is not gmail.com") evaluated against the
+-- contacts whenever a campaign is built. A campaign audience is a set of
+-- lists/segments to include, minus lists/segments to exclude.
+
+-- =============================================
+-- CONTACT_LISTS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS contact_lists (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_lists_user_name ON contact_lists(user_id, lower(name));
+
+ALTER TABLE contact_lists ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own contact lists" ON contact_lists
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own contact lists" ON contact_lists
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own contact lists" ON contact_lists
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own contact lists" ON contact_lists
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- CONTACT_LIST_MEMBERS TABLE - Which contacts are in which lists
+-- =============================================
+CREATE TABLE IF NOT EXISTS contact_list_members (
+  list_id UUID NOT NULL REFERENCES contact_lists(id) ON DELETE CASCADE,
+  contact_id UUID NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (list_id, contact_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contact_list_members_contact ON contact_list_members(contact_id);
+
+ALTER TABLE contact_list_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own list members" ON contact_list_members
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own list members" ON contact_list_members
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own list members" ON contact_list_members
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- CONTACT_SEGMENTS TABLE - Saved dynamic filters
+-- =============================================
+-- rules: [{ "field": "company", "operator": "is_set", "value": null }, ...]
+-- match: 'all' (AND) or 'any' (OR)
+CREATE TABLE IF NOT EXISTS contact_segments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  match TEXT NOT NULL DEFAULT 'all' CHECK (match IN ('all', 'any')),
+  rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_segments_user_name ON contact_segments(user_id, lower(name));
+
+ALTER TABLE contact_segments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own segments" ON contact_segments
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own segments" ON contact_segments
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own segments" ON contact_segments
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own segments" ON contact_segments
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- CAMPAIGNS TABLE - Audience the campaign was sent to
+-- =============================================
+-- { "lists": [...], "segments": [...], "excludeLists": [...], "excludeSegments": [...] }
+-- NULL means every contact.
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS audience JSONB;
+
+-- =============================================
+-- FUNCTION: Per-address send history for "emailed" segment rules
+-- =============================================
+CREATE OR REPLACE FUNCTION get_contact_email_history()
+RETURNS TABLE (email TEXT, sent_count BIGINT, last_sent_at TIMESTAMPTZ) AS $$
+  SELECT
+    lower(COALESCE(email, contact_email)),
+    COUNT(*),
+    MAX(sent_at)
+  FROM campaign_emails
+  WHERE user_id = auth.uid()
+    AND status = 'sent'
+  GROUP BY lower(COALESCE(email, contact_email));
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_contact_email_history() TO authenticated;
@@ -0,0 +1,16 @@
+-- =============================================
+-- FAILED EMAIL RETRIES
+-- =============================================
+-- Retrying failed emails starts a new campaign from the failed
+-- campaign_emails rows of an earlier one, keeping each row's template and
+-- contact_data. Rows that failed permanently (unknown user, bad domain)
+-- are left out by the frontend before the campaign is created.
+
+-- =============================================
+-- CAMPAIGNS TABLE - Link a retry to its original campaign
+-- =============================================
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS retry_of UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_retry_of ON campaigns(retry_of)
+  WHERE retry_of IS NOT NULL;
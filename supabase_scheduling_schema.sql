@@ -0,0 +1,52 @@
+-- =============================================
+-- SCHEDULED CAMPAIGNS - Start at a future date/time
+-- =============================================
+-- A scheduled campaign is created up front with all of its
+-- campaign_emails rows, in the 'scheduled' status. The campaign worker
+-- switches it to 'running' once scheduled_at has passed.
+
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS scheduled_timezone TEXT;
+
+-- Allow the new 'scheduled' status
+ALTER TABLE campaigns DROP CONSTRAINT IF EXISTS campaigns_status_check;
+ALTER TABLE campaigns ADD CONSTRAINT campaigns_status_check
+  CHECK (status IN ('idle', 'scheduled', 'running', 'paused', 'completed', 'error', 'stopped'));
+
+-- Worker lookup for campaigns that are due
+CREATE INDEX IF NOT EXISTS idx_campaigns_scheduled_at ON campaigns(scheduled_at)
+  WHERE status = 'scheduled';
+
+-- =============================================
+-- FUNCTION: Cancel a scheduled campaign before it starts
+-- =============================================
+-- Stops the campaign and cancels its pending emails in one transaction.
+-- Only a campaign still in 'scheduled' is touched; once the worker has
+-- started it, nothing changes and an error is raised. Runs as the caller,
+-- so RLS limits it to their own campaigns.
+CREATE OR REPLACE FUNCTION cancel_scheduled_campaign(p_campaign_id UUID)
+RETURNS campaigns AS $$
+DECLARE
+  v_campaign campaigns;
+BEGIN
+  UPDATE campaigns
+  SET status = 'stopped'
+  WHERE id = p_campaign_id
+    AND status = 'scheduled'
+  RETURNING * INTO v_campaign;
+
+  IF v_campaign.id IS NULL THEN
+    RAISE EXCEPTION 'This campaign has already started or was cancelled';
+  END IF;
+
+  UPDATE campaign_emails
+  SET status = 'cancelled'
+  WHERE campaign_id = p_campaign_id
+    AND status = 'pending';
+
+  RETURN v_campaign;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION cancel_scheduled_campaign(UUID) TO authenticated;
@@ -0,0 +1,50 @@
+-- =============================================
+-- SEND CAPS - Daily and hourly limits per sender
+-- =============================================
+-- Caps apply to everything a sender sends, across all campaigns. When a
+-- cap is reached the campaign worker leaves the remaining emails pending,
+-- records when sending can resume, and carries on from there (spilling
+-- over into the next hour or day).
+
+-- =============================================
+-- SMTP_CONFIGS TABLE - Cap settings
+-- =============================================
+-- NULL means no limit. The daily cap resets at midnight in cap_timezone.
+ALTER TABLE smtp_configs
+ADD COLUMN IF NOT EXISTS daily_cap INTEGER CHECK (daily_cap IS NULL OR daily_cap > 0),
+ADD COLUMN IF NOT EXISTS hourly_cap INTEGER CHECK (hourly_cap IS NULL OR hourly_cap > 0),
+ADD COLUMN IF NOT EXISTS cap_timezone TEXT NOT NULL DEFAULT 'UTC';
+
+-- =============================================
+-- CAMPAIGNS TABLE - Why and until when sending is on hold
+-- =============================================
+-- Set by the worker while a running campaign waits for a cap to reset
+-- or a sending window to open; cleared once sending resumes.
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS throttled_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS throttle_reason TEXT
+  CHECK (throttle_reason IS NULL OR throttle_reason IN ('hourly_cap', 'daily_cap', 'window'));
+
+-- Fast counting of recent sends per user
+CREATE INDEX IF NOT EXISTS idx_campaign_emails_user_sent_at ON campaign_emails(user_id, sent_at)
+  WHERE status = 'sent';
+
+-- =============================================
+-- FUNCTION: Emails sent this hour and today
+-- =============================================
+CREATE OR REPLACE FUNCTION get_send_volume(p_timezone TEXT DEFAULT 'UTC')
+RETURNS TABLE (sent_this_hour BIGINT, sent_today BIGINT) AS $$
+  SELECT
+    COUNT(*) FILTER (
+      WHERE sent_at >= date_trunc('hour', NOW() AT TIME ZONE p_timezone) AT TIME ZONE p_timezone
+    ),
+    COUNT(*) FILTER (
+      WHERE sent_at >= date_trunc('day', NOW() AT TIME ZONE p_timezone) AT TIME ZONE p_timezone
+    )
+  FROM campaign_emails
+  WHERE user_id = auth.uid()
+    AND status = 'sent'
+    AND sent_at >= NOW() - INTERVAL '1 day 1 hour';
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_send_volume(TEXT) TO authenticated;
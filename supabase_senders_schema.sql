@@ -0,0 +1,78 @@
+-- =============================================
+-- MULTIPLE SENDERS - Inbox rotation
+-- =============================================
+-- A user can keep several SMTP sender accounts. A campaign spreads its
+-- contacts across the selected senders (round-robin or weighted), and
+-- each campaign_emails row records which sender sent it. Send caps apply
+-- per sender.
+
+-- =============================================
+-- SMTP_CONFIGS TABLE - Many rows per user
+-- =============================================
+ALTER TABLE smtp_configs DROP CONSTRAINT IF EXISTS smtp_configs_user_id_key;
+
+ALTER TABLE smtp_configs
+ADD COLUMN IF NOT EXISTS label TEXT,
+ADD COLUMN IF NOT EXISTS weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+
+-- One account per mailbox
+CREATE UNIQUE INDEX IF NOT EXISTS idx_smtp_configs_user_email ON smtp_configs(user_id, lower(email_user));
+
+-- At most one default sender per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_smtp_configs_user_default ON smtp_configs(user_id)
+  WHERE is_default;
+
+-- Existing single configs become the default sender
+UPDATE smtp_configs SET is_default = TRUE
+WHERE id IN (
+  SELECT DISTINCT ON (user_id) id FROM smtp_configs ORDER BY user_id, updated_at DESC NULLS LAST
+)
+AND NOT EXISTS (
+  SELECT 1 FROM smtp_configs other WHERE other.user_id = smtp_configs.user_id AND other.is_default
+);
+
+-- =============================================
+-- CAMPAIGNS TABLE - Rotation settings
+-- =============================================
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS sender_rotation TEXT NOT NULL DEFAULT 'round_robin'
+  CHECK (sender_rotation IN ('round_robin', 'weighted')),
+ADD COLUMN IF NOT EXISTS sender_ids UUID[];
+
+-- =============================================
+-- CAMPAIGN_EMAILS TABLE - Sender per email
+-- =============================================
+-- sender_email is kept so history survives deleting the sender account
+ALTER TABLE campaign_emails
+ADD COLUMN IF NOT EXISTS sender_id UUID REFERENCES smtp_configs(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS sender_email TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_campaign_emails_sender_sent_at ON campaign_emails(sender_id, sent_at)
+  WHERE status = 'sent';
+
+-- =============================================
+-- FUNCTION: Emails sent this hour and today, per sender
+-- =============================================
+-- Replaces the per-user version from supabase_send_caps_schema.sql.
+-- p_sender_id NULL counts every sender of the user.
+DROP FUNCTION IF EXISTS get_send_volume(TEXT);
+
+CREATE OR REPLACE FUNCTION get_send_volume(p_timezone TEXT DEFAULT 'UTC', p_sender_id UUID DEFAULT NULL)
+RETURNS TABLE (sent_this_hour BIGINT, sent_today BIGINT) AS $$
+  SELECT
+    COUNT(*) FILTER (
+      WHERE sent_at >= date_trunc('hour', NOW() AT TIME ZONE p_timezone) AT TIME ZONE p_timezone
+    ),
+    COUNT(*) FILTER (
+      WHERE sent_at >= date_trunc('day', NOW() AT TIME ZONE p_timezone) AT TIME ZONE p_timezone
+    )
+  FROM campaign_emails
+  WHERE user_id = auth.uid()
+    AND status = 'sent'
+    AND (p_sender_id IS NULL OR sender_id = p_sender_id)
+    AND sent_at >= NOW() - INTERVAL '1 day 1 hour';
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_send_volume(TEXT, UUID) TO authenticated;
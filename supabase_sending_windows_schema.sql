@@ -0,0 +1,33 @@
+-- =============================================
+-- SENDING WINDOWS - Business-hours-only delivery
+-- =============================================
+-- A campaign can restrict sending to certain days and hours, evaluated
+-- in each contact's own timezone. The campaign worker leaves emails
+-- pending while their contact is outside the window and sends them once
+-- the window opens.
+
+-- =============================================
+-- CONTACTS TABLE - Recipient timezone
+-- =============================================
+-- IANA timezone name (e.g. 'America/New_York'), taken from a CSV
+-- timezone column or inferred from the contact's country on import.
+-- NULL means the campaign's fallback timezone is used.
+ALTER TABLE contacts
+ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- =============================================
+-- CAMPAIGNS TABLE - Window settings
+-- =============================================
+-- { "days": [1,2,3,4,5], "start": "09:00", "end": "17:00" }
+-- days use 0 = Sunday. NULL sends at any time.
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS sending_window JSONB,
+ADD COLUMN IF NOT EXISTS fallback_timezone TEXT;
+
+-- =============================================
+-- CAMPAIGN_EMAILS TABLE - Timezone snapshot
+-- =============================================
+-- The timezone used for this email's window, fixed when the campaign
+-- is created
+ALTER TABLE campaign_emails
+ADD COLUMN IF NOT EXISTS contact_timezone TEXT;
@@ -0,0 +1,113 @@
+-- =============================================
+-- CAMPAIGN SEQUENCES - Multi-step follow-ups
+-- =============================================
+-- A campaign sends step 1 to every contact, then each follow-up step
+-- after its wait time. Follow-ups stop for contacts who replied or
+-- unsubscribed.
+
+-- =============================================
+-- CAMPAIGN_SEQUENCES TABLE - One per campaign
+-- =============================================
+CREATE TABLE IF NOT EXISTS campaign_sequences (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  campaign_id UUID NOT NULL UNIQUE REFERENCES campaigns(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  stop_on_reply BOOLEAN NOT NULL DEFAULT TRUE,
+  stop_on_unsubscribe BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE campaign_sequences ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Users can view their own sequences" ON campaign_sequences
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own sequences" ON campaign_sequences
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own sequences" ON campaign_sequences
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own sequences" ON campaign_sequences
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- SEQUENCE_STEPS TABLE - Step 1 plus N follow-ups
+-- =============================================
+CREATE TABLE IF NOT EXISTS sequence_steps (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  sequence_id UUID NOT NULL REFERENCES campaign_sequences(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  step_number INTEGER NOT NULL CHECK (step_number >= 1),
+  template_id UUID REFERENCES templates(id) ON DELETE SET NULL,
+  template_subject TEXT NOT NULL,
+  template_body TEXT NOT NULL,
+  -- Days to wait after the previous step was sent (0 for step 1)
+  wait_days INTEGER NOT NULL DEFAULT 0 CHECK (wait_days >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (sequence_id, step_number)
+);
+
+-- Enable RLS
+ALTER TABLE sequence_steps ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Users can view their own sequence steps" ON sequence_steps
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own sequence steps" ON sequence_steps
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own sequence steps" ON sequence_steps
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own sequence steps" ON sequence_steps
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_sequence_steps_sequence_id ON sequence_steps(sequence_id);
+
+-- =============================================
+-- CAMPAIGN_EMAILS TABLE - Per-step tracking
+-- =============================================
+ALTER TABLE campaign_emails
+ADD COLUMN IF NOT EXISTS step_number INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS replied_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_campaign_emails_step_number ON campaign_emails(campaign_id, step_number);
+
+-- Follow-ups that were stopped because the contact replied or unsubscribed
+ALTER TABLE campaign_emails DROP CONSTRAINT IF EXISTS campaign_emails_status_check;
+ALTER TABLE campaign_emails ADD CONSTRAINT campaign_emails_status_check
+  CHECK (status IN ('pending', 'sent', 'failed', 'cancelled', 'skipped'));
+
+-- =============================================
+-- CAMPAIGNS TABLE - Step count
+-- =============================================
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS total_steps INTEGER NOT NULL DEFAULT 1;
+
+-- =============================================
+-- FUNCTION: Stop remaining follow-ups for a contact
+-- =============================================
+CREATE OR REPLACE FUNCTION stop_sequence_for_contact(p_campaign_id UUID, p_email TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+  skipped INTEGER;
+BEGIN
+  UPDATE campaign_emails
+  SET status = 'skipped',
+      error_message = 'Sequence stopped'
+  WHERE campaign_id = p_campaign_id
+    AND user_id = auth.uid()
+    AND lower(COALESCE(email, contact_email)) = lower(p_email)
+    AND status = 'pending';
+
+  GET DIAGNOSTICS skipped = ROW_COUNT;
+  RETURN skipped;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION stop_sequence_for_contact(UUID, TEXT) TO authenticated;
@@ -0,0 +1,28 @@
+-- =============================================
+-- SUBJECT VARIANTS - A/B testing subject lines
+-- =============================================
+-- A template can keep up to 10 subject lines. Campaigns split the contacts
+-- that get the template evenly across them, and each campaign email records
+-- the variant it was sent with (1-based; NULL when there was no test).
+-- template_subject on the same row holds that variant's subject line.
+
+-- =============================================
+-- TEMPLATES TABLE
+-- =============================================
+ALTER TABLE templates
+ADD COLUMN IF NOT EXISTS subject_variants TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE templates
+DROP CONSTRAINT IF EXISTS templates_subject_variants_max;
+
+ALTER TABLE templates
+ADD CONSTRAINT templates_subject_variants_max CHECK (COALESCE(array_length(subject_variants, 1), 0) <= 10);
+
+-- =============================================
+-- CAMPAIGN_EMAILS TABLE
+-- =============================================
+ALTER TABLE campaign_emails
+ADD COLUMN IF NOT EXISTS subject_variant INTEGER CHECK (subject_variant >= 1);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_emails_subject_variant ON campaign_emails(campaign_id, subject_variant)
+WHERE subject_variant IS NOT NULL;
@@ -0,0 +1,96 @@
+-- =============================================
+-- SUPPRESSION LIST - Addresses and domains never to email
+-- =============================================
+-- Every campaign drops suppressed contacts before it starts. An entry is
+-- either a single address (kind = 'email') or a whole domain
+-- (kind = 'domain', stored without the "@"), which also covers its
+-- subdomains. Values are stored lowercase.
+
+-- =============================================
+-- UNSUBSCRIBED_EMAILS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS unsubscribed_emails (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  reason TEXT,
+  campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL,
+  unsubscribed_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, email)
+);
+
+ALTER TABLE unsubscribed_emails
+ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'email' CHECK (kind IN ('email', 'domain'));
+
+-- Existing entries may have been stored with mixed case
+UPDATE unsubscribed_emails SET email = lower(trim(email)) WHERE email <> lower(trim(email));
+
+ALTER TABLE unsubscribed_emails ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own suppression list" ON unsubscribed_emails;
+CREATE POLICY "Users can view their own suppression list" ON unsubscribed_emails
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can insert into their own suppression list" ON unsubscribed_emails;
+CREATE POLICY "Users can insert into their own suppression list" ON unsubscribed_emails
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own suppression list" ON unsubscribed_emails;
+CREATE POLICY "Users can update their own suppression list" ON unsubscribed_emails
+  FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete from their own suppression list" ON unsubscribed_emails;
+CREATE POLICY "Users can delete from their own suppression list" ON unsubscribed_emails
+  FOR DELETE USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_unsubscribed_emails_user_kind ON unsubscribed_emails(user_id, kind);
+
+-- =============================================
+-- FUNCTION: Check an address against a user's suppression list
+-- =============================================
+-- Used by the campaign worker as a last check before each send, so
+-- entries added while a campaign runs are honoured too.
+CREATE OR REPLACE FUNCTION is_suppressed(p_user_id UUID, p_email TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM unsubscribed_emails
+    WHERE user_id = p_user_id
+      AND (
+        (kind = 'email' AND email = lower(trim(p_email)))
+        OR (kind = 'domain' AND (
+          split_part(lower(trim(p_email)), '@', 2) = email
+          OR split_part(lower(trim(p_email)), '@', 2) LIKE '%.' || email
+        ))
+      )
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Takes any user id, so only the service role (the worker) may call it
+REVOKE EXECUTE ON FUNCTION is_suppressed(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- =============================================
+-- FUNCTION: Find the suppressed addresses among a campaign's contacts
+-- =============================================
+-- Called by the app before a campaign starts. Runs as the caller, so RLS
+-- limits it to their own list. Returns each suppressed address once, lowercase.
+CREATE OR REPLACE FUNCTION get_suppressed_emails(p_emails TEXT[])
+RETURNS TABLE (email TEXT) AS $$
+  SELECT DISTINCT candidate.address
+  FROM unnest(p_emails) AS input(value)
+  CROSS JOIN LATERAL (SELECT lower(trim(input.value)) AS address) AS candidate
+  WHERE EXISTS (
+    SELECT 1
+    FROM unsubscribed_emails ue
+    WHERE ue.user_id = auth.uid()
+      AND (
+        (ue.kind = 'email' AND ue.email = candidate.address)
+        OR (ue.kind = 'domain' AND (
+          split_part(candidate.address, '@', 2) = ue.email
+          OR split_part(candidate.address, '@', 2) LIKE '%.' || ue.email
+        ))
+      )
+  );
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_suppressed_emails(TEXT[]) TO authenticated;
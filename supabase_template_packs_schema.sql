@@ -0,0 +1,17 @@
+-- =============================================
+-- TEMPLATE PACKS - Tags and pack origin for templates
+-- =============================================
+-- Templates can be tagged, and exported as a "template pack" file that
+-- other workspaces import. Imported templates remember the pack they came
+-- from: {"name": "Cold outreach", "version": "1.2.0", "exportedAt": "..."}.
+
+-- =============================================
+-- TEMPLATES TABLE
+-- =============================================
+ALTER TABLE templates
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE templates
+ADD COLUMN IF NOT EXISTS source_pack JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_templates_tags ON templates USING GIN (tags);
@@ -0,0 +1,141 @@
+-- =============================================
+-- TEMPLATE VERSIONS - Immutable history of every template save
+-- =============================================
+-- Each insert or content change (name, subject, body, tags) of a template
+-- writes a new template_versions row with its author and timestamp. Versions
+-- are written only by the triggers below and can never be edited. Rolling
+-- back saves an old version's content as a new version, so history only
+-- grows. Each campaign_emails row links to the version it was sent from.
+
+-- =============================================
+-- TEMPLATE_VERSIONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS template_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  template_id UUID NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL CHECK (version_number >= 1),
+  name TEXT,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  author_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  author_email TEXT,
+  -- Version this one was rolled back to (NULL for regular saves)
+  restored_from INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (template_id, version_number)
+);
+
+-- Enable RLS
+ALTER TABLE template_versions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies: read only; rows are written by the template triggers
+CREATE POLICY "Users can view their own template versions" ON template_versions
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_template_versions_template_id ON template_versions(template_id, version_number DESC);
+
+-- =============================================
+-- TEMPLATES TABLE
+-- =============================================
+ALTER TABLE templates
+ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS current_version_id UUID,
+-- Set by the app when a save is a rollback; copied onto the new version
+ADD COLUMN IF NOT EXISTS restored_from_version INTEGER;
+
+-- =============================================
+-- CAMPAIGN_EMAILS TABLE - Template version sent
+-- =============================================
+ALTER TABLE campaign_emails
+ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES template_versions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_campaign_emails_template_version_id ON campaign_emails(template_version_id);
+
+-- Follow-up steps remember the version they were created from
+ALTER TABLE sequence_steps
+ADD COLUMN IF NOT EXISTS template_version_id UUID REFERENCES template_versions(id) ON DELETE SET NULL;
+
+-- =============================================
+-- BACKFILL: Version 1 for existing templates
+-- =============================================
+UPDATE templates
+SET current_version = 1, current_version_id = gen_random_uuid()
+WHERE current_version_id IS NULL;
+
+INSERT INTO template_versions (id, template_id, user_id, version_number, name, subject, body, tags, author_id, author_email, created_at)
+SELECT t.current_version_id, t.id, t.user_id, t.current_version, t.name, t.subject, t.body, t.tags, t.user_id, u.email,
+  COALESCE(t.updated_at, t.created_at, NOW())
+FROM templates t
+LEFT JOIN auth.users u ON u.id = t.user_id
+WHERE NOT EXISTS (SELECT 1 FROM template_versions v WHERE v.id = t.current_version_id);
+
+-- =============================================
+-- FUNCTION: Number a new version when template content changes
+-- =============================================
+CREATE OR REPLACE FUNCTION assign_template_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    NEW.current_version = 1;
+    NEW.current_version_id = gen_random_uuid();
+  ELSIF (NEW.name, NEW.subject, NEW.body, NEW.tags) IS DISTINCT FROM (OLD.name, OLD.subject, OLD.body, OLD.tags) THEN
+    NEW.current_version = OLD.current_version + 1;
+    NEW.current_version_id = gen_random_uuid();
+  ELSE
+    -- Metadata-only updates keep the current version
+    NEW.current_version = OLD.current_version;
+    NEW.current_version_id = OLD.current_version_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_templates_assign_version ON templates;
+CREATE TRIGGER trigger_templates_assign_version
+  BEFORE INSERT OR UPDATE ON templates
+  FOR EACH ROW
+  EXECUTE FUNCTION assign_template_version();
+
+-- =============================================
+-- FUNCTION: Write the version row after the template is saved
+-- =============================================
+CREATE OR REPLACE FUNCTION record_template_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.current_version_id IS DISTINCT FROM OLD.current_version_id THEN
+    INSERT INTO template_versions (
+      id, template_id, user_id, version_number, name, subject, body, tags,
+      author_id, author_email, restored_from
+    ) VALUES (
+      NEW.current_version_id, NEW.id, NEW.user_id, NEW.current_version, NEW.name, NEW.subject, NEW.body, NEW.tags,
+      auth.uid(), auth.jwt() ->> 'email',
+      CASE WHEN TG_OP = 'UPDATE' THEN NEW.restored_from_version END
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trigger_templates_record_version ON templates;
+CREATE TRIGGER trigger_templates_record_version
+  AFTER INSERT OR UPDATE ON templates
+  FOR EACH ROW
+  EXECUTE FUNCTION record_template_version();
+
+-- =============================================
+-- FUNCTION: Reject edits to saved versions
+-- =============================================
+CREATE OR REPLACE FUNCTION prevent_template_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Template versions cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_template_versions_immutable ON template_versions;
+CREATE TRIGGER trigger_template_versions_immutable
+  BEFORE UPDATE ON template_versions
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_template_version_update();
@@ -0,0 +1,90 @@
+-- =============================================
+-- UNSUBSCRIBE LINKS - One-click unsubscribe for campaign emails
+-- =============================================
+-- Each campaign email gets a random token. The server replaces
+-- {{unsubscribeLink}} with <page url>/<token> and, when enabled, sends
+-- List-Unsubscribe / List-Unsubscribe-Post headers pointing at
+-- <one-click url>/<token>. The public /unsubscribe/:token page and the
+-- /api/unsubscribe/:token endpoint (which mailbox providers POST to) read and
+-- record the opt-out through the functions below, which are callable without
+-- signing in.
+-- Run after supabase_suppression_schema.sql.
+
+-- =============================================
+-- CAMPAIGN_EMAILS TABLE - Per-email unsubscribe token
+-- =============================================
+ALTER TABLE campaign_emails
+ADD COLUMN IF NOT EXISTS unsubscribe_token UUID DEFAULT gen_random_uuid();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_campaign_emails_unsubscribe_token ON campaign_emails(unsubscribe_token);
+
+-- =============================================
+-- CAMPAIGNS TABLE - Unsubscribe settings
+-- =============================================
+-- { "pageUrl": "https://app.example.com/unsubscribe",
+--   "oneClickUrl": "https://app.example.com/api/unsubscribe", "footer": "...", "headers": true }
+-- NULL means no unsubscribe link or headers were added.
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS unsubscribe JSONB;
+
+-- =============================================
+-- FUNCTION: Look up the email behind an unsubscribe token
+-- =============================================
+CREATE OR REPLACE FUNCTION get_unsubscribe_request(p_token UUID)
+RETURNS TABLE (email TEXT, campaign_id UUID, unsubscribed BOOLEAN) AS $$
+  SELECT
+    lower(COALESCE(ce.email, ce.contact_email)),
+    ce.campaign_id,
+    EXISTS (
+      SELECT 1 FROM unsubscribed_emails ue
+      WHERE ue.user_id = ce.user_id
+        AND ue.kind = 'email'
+        AND ue.email = lower(COALESCE(ce.email, ce.contact_email))
+    )
+  FROM campaign_emails ce
+  WHERE ce.unsubscribe_token = p_token
+  LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_unsubscribe_request(UUID) TO anon, authenticated;
+
+-- =============================================
+-- FUNCTION: Record an opt-out from an unsubscribe link
+-- =============================================
+-- Suppresses the address for the campaign's owner and skips its remaining
+-- follow-ups in that campaign. Returns the unsubscribed address.
+DROP FUNCTION IF EXISTS record_unsubscribe(UUID, UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION record_unsubscribe(p_token UUID, p_reason TEXT DEFAULT NULL)
+RETURNS TEXT AS $$
+DECLARE
+  v_user_id UUID;
+  v_campaign_id UUID;
+  v_email TEXT;
+BEGIN
+  SELECT user_id, campaign_id, lower(COALESCE(email, contact_email))
+  INTO v_user_id, v_campaign_id, v_email
+  FROM campaign_emails
+  WHERE unsubscribe_token = p_token
+  LIMIT 1;
+
+  IF v_email IS NULL THEN
+    RAISE EXCEPTION 'This unsubscribe link is invalid or has expired';
+  END IF;
+
+  INSERT INTO unsubscribed_emails (user_id, email, kind, reason, campaign_id)
+  VALUES (v_user_id, v_email, 'email', COALESCE(p_reason, 'Unsubscribed via link'), v_campaign_id)
+  ON CONFLICT (user_id, email) DO NOTHING;
+
+  UPDATE campaign_emails
+  SET status = 'skipped',
+      error_message = 'Unsubscribed'
+  WHERE campaign_id = v_campaign_id
+    AND lower(COALESCE(email, contact_email)) = v_email
+    AND status = 'pending';
+
+  RETURN v_email;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION record_unsubscribe(UUID, TEXT) TO anon, authenticated;